@@ -0,0 +1,210 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSettings } from "@/context/SettingsContext";
+import { useSite } from "@/context/SiteContext";
+import { getAdjustmentTransactions } from "@/lib/firestore";
+import {
+  getReasonLabel,
+  getMonthRange,
+  getCurrentMonth,
+  getEntryValue,
+  summarizeAdjustments,
+} from "@/lib/adjustments";
+import { roundQuantity } from "@/lib/units";
+
+// ─── Helper functions (outside component — no state dependency) ───────────────
+
+// "$12.40", or "−$3.10" for a loss.
+const formatMoney = (amount) =>
+  `${amount < 0 ? "−" : ""}$${Math.abs(amount ?? 0).toFixed(2)}`;
+
+// Converts a Firestore Timestamp to "Oct 3, 2:05 PM".
+const formatTimestamp = (ts) => {
+  if (!ts) return "—";
+  return ts.toDate().toLocaleString("en-US", {
+    month:  "short",
+    day:    "numeric",
+    hour:   "numeric",
+    minute: "2-digit",
+  });
+};
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+// The monthly stock adjustments report: every adjustment and stock count
+// variance in a calendar month at the current site, totalled by reason at the
+// cost recorded on each entry.
+export default function AdjustmentsReportPage() {
+  const { settings }           = useSettings();
+  const { site, loadingSites } = useSite();
+
+  // month: "YYYY-MM", as produced by <input type="month">.
+  const [month,   setMonth]   = useState(getCurrentMonth());
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error,   setError]   = useState(null);
+
+  // ── Fetch the chosen month ────────────────────────────────────────────────
+  useEffect(() => {
+    if (!month || loadingSites) return;
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { start, end } = getMonthRange(month);
+        setEntries(await getAdjustmentTransactions(start, end, site));
+      } catch (err) {
+        console.error("Failed to load adjustments:", err);
+        setError("Failed to load adjustments. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [month, site, loadingSites]);
+
+  // ── Derived values ────────────────────────────────────────────────────────
+  const reasons          = settings.adjustmentReasons ?? [];
+  const { rows, totals } = summarizeAdjustments(entries, reasons);
+
+  // ── Main render ───────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-12">
+
+      {/* ── Page header ── */}
+      <div className="flex items-end justify-between gap-4 flex-wrap">
+        <div>
+          <h1 className="text-2xl font-semibold text-stone-800">Stock Adjustments</h1>
+          <p className="text-sm text-stone-500 mt-1">
+            Spoilage, breakage, tastings and count variances for the month, at cost.
+          </p>
+        </div>
+        <div>
+          <label htmlFor="reportMonth" className="block text-sm font-medium text-stone-700 mb-1">Month</label>
+          <input
+            id="reportMonth"
+            type="month"
+            value={month}
+            onChange={(e) => setMonth(e.target.value)}
+            className="rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-stone-500">Loading...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-stone-400">No adjustments recorded this month.</p>
+      ) : (
+        <>
+          {/* ══════════════════════════════════════════════════════════════════
+              SUMMARY BY REASON
+              ══════════════════════════════════════════════════════════════════ */}
+          <section>
+            <h2 className="text-base font-semibold text-stone-800 mb-4">Cost Impact by Reason</h2>
+
+            <div className="grid grid-cols-3 gap-4 mb-6">
+              <div className="rounded-lg border border-stone-200 p-4">
+                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider">Losses</p>
+                <p className="text-xl font-semibold text-rose-600 mt-1">{formatMoney(-totals.lossValue)}</p>
+              </div>
+              <div className="rounded-lg border border-stone-200 p-4">
+                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider">Gains</p>
+                <p className="text-xl font-semibold text-green-700 mt-1">{formatMoney(totals.gainValue)}</p>
+              </div>
+              <div className="rounded-lg border border-stone-200 p-4">
+                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider">Net</p>
+                <p className={`text-xl font-semibold mt-1 ${totals.netValue < 0 ? "text-rose-600" : "text-stone-800"}`}>
+                  {formatMoney(totals.netValue)}
+                </p>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto rounded-lg border border-stone-200">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-stone-50 border-b border-stone-200">
+                  <tr>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Entries</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Losses</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Gains</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Net</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-stone-100 bg-white">
+                  {rows.map((row) => (
+                    <tr key={row.reasonCode || "none"}>
+                      <td className="px-4 py-3 text-stone-800">{row.label}</td>
+                      <td className="px-4 py-3 text-right text-stone-600">{row.entries}</td>
+                      <td className="px-4 py-3 text-right text-rose-600">{row.lossValue > 0 ? formatMoney(-row.lossValue) : "—"}</td>
+                      <td className="px-4 py-3 text-right text-green-700">{row.gainValue > 0 ? formatMoney(row.gainValue) : "—"}</td>
+                      <td className={`px-4 py-3 text-right font-medium ${row.netValue < 0 ? "text-rose-600" : "text-stone-800"}`}>
+                        {formatMoney(row.netValue)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          {/* ══════════════════════════════════════════════════════════════════
+              EVERY ENTRY
+              ══════════════════════════════════════════════════════════════════ */}
+          <section>
+            <h2 className="text-base font-semibold text-stone-800 mb-4">All Adjustments ({totals.entries})</h2>
+            <div className="overflow-x-auto rounded-lg border border-stone-200">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-stone-50 border-b border-stone-200">
+                  <tr>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">When</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Item</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Change</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Value</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">By</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-stone-100 bg-white">
+                  {entries.map((entry) => {
+                    const value = getEntryValue(entry);
+                    return (
+                      <tr key={entry.id}>
+                        <td className="px-4 py-3 text-stone-500 whitespace-nowrap">{formatTimestamp(entry.createdAt)}</td>
+                        <td className="px-4 py-3 text-stone-800">
+                          {entry.itemName}
+                          <div className="text-xs text-stone-400">
+                            {entry.itemType === "finishedGood" ? "Finished good" : "Ingredient"}
+                            {entry.sourceNumber && ` · ${entry.sourceNumber}`}
+                          </div>
+                        </td>
+                        <td className="px-4 py-3 text-stone-600">
+                          {getReasonLabel(entry.reasonCode, reasons)}
+                          {entry.notes && <div className="text-xs text-stone-400">{entry.notes}</div>}
+                        </td>
+                        <td className={`px-4 py-3 text-right font-medium ${entry.delta < 0 ? "text-rose-600" : "text-green-700"}`}>
+                          {entry.delta > 0 ? "+" : ""}{roundQuantity(entry.delta)} {entry.unit}
+                        </td>
+                        <td className={`px-4 py-3 text-right ${value < 0 ? "text-rose-600" : "text-stone-600"}`}>
+                          {entry.unitCost > 0 ? formatMoney(value) : "—"}
+                        </td>
+                        <td className="px-4 py-3 text-xs text-stone-400">{entry.createdBy || "—"}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-stone-400 mt-2">
+              Entries without a recorded unit cost count as $0.
+            </p>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect } from "react";
+import { getIngredients, getFinishedGoods, getRecipes } from "@/lib/firestore";
+import {
+  ALLERGENS,
+  getFinishedGoodAllergens,
+  getIngredientAllergens,
+} from "@/lib/allergens";
+
+// ─── Helper functions (outside component — no state dependency) ───────────────
+
+// Sorts by name, case-insensitively.
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
+
+// One matrix cell: a filled dot for "contains", a hollow one for "may
+// contain", nothing otherwise.
+const renderCell = (profile, key) => {
+  if (profile.contains.includes(key)) {
+    return <span className="text-rose-600" title="Contains">●</span>;
+  }
+  if (profile.mayContain.includes(key)) {
+    return <span className="text-amber-600" title="May contain">○</span>;
+  }
+  return null;
+};
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+// The Allergen Matrix page: every finished good against the major allergens,
+// rolled up from its recipes' ingredients (sub-recipes included), or every
+// ingredient as flagged on the ingredients page. Printable for the front
+// counter.
+export default function AllergensPage() {
+  // "products" | "ingredients"
+  const [view,          setView]          = useState("products");
+  const [ingredients,   setIngredients]   = useState([]);
+  const [finishedGoods, setFinishedGoods] = useState([]);
+  const [recipes,       setRecipes]       = useState([]);
+  const [loading,       setLoading]       = useState(true);
+  const [error,         setError]         = useState(null);
+
+  // Allergens aren't site-specific, so everything is loaded unscoped.
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [ingredientData, finishedGoodData, recipeData] = await Promise.all([
+          getIngredients(),
+          getFinishedGoods(),
+          getRecipes(),
+        ]);
+        setIngredients(ingredientData);
+        setFinishedGoods(finishedGoodData);
+        setRecipes(recipeData);
+      } catch (err) {
+        console.error("Failed to load allergen matrix:", err);
+        setError("Failed to load allergen data. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  // ── Derived values ────────────────────────────────────────────────────────
+  // [{ id, name, profile, note }] for whichever view is showing.
+  const rows = view === "products"
+    ? [...finishedGoods].sort(byName).map((fg) => {
+        const profile = getFinishedGoodAllergens(fg.id, recipes, ingredients);
+        return { id: fg.id, name: fg.name, profile, note: profile.hasRecipe ? "" : "no recipe" };
+      })
+    : [...ingredients].sort(byName).map((ing) => {
+        const profile = getIngredientAllergens(ing);
+        // Not flagged at all yet — different from flagged "none".
+        const declared = Array.isArray(ing.allergens) || Array.isArray(ing.mayContain);
+        return { id: ing.id, name: ing.name, profile, note: declared ? "" : "not declared" };
+      });
+
+  const undeclaredCount = ingredients.filter(
+    (ing) => !Array.isArray(ing.allergens) && !Array.isArray(ing.mayContain)
+  ).length;
+
+  // ── Main render ───────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-8 space-y-8">
+
+      {/* ── Page header ── */}
+      <div className="flex items-end justify-between gap-4 flex-wrap">
+        <div>
+          <h1 className="text-2xl font-semibold text-stone-800">Allergen Matrix</h1>
+          <p className="text-sm text-stone-500 mt-1">
+            {view === "products"
+              ? "Every product, rolled up from the ingredients in the recipes that make it."
+              : "Every ingredient, as flagged on the ingredients page."}
+          </p>
+        </div>
+        <div className="flex items-end gap-3 print:hidden">
+          <div>
+            <label htmlFor="matrixView" className="block text-sm font-medium text-stone-700 mb-1">Show</label>
+            <select
+              id="matrixView"
+              value={view}
+              onChange={(e) => setView(e.target.value)}
+              className="rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+            >
+              <option value="products">Products</option>
+              <option value="ingredients">Ingredients</option>
+            </select>
+          </div>
+          <button
+            onClick={() => window.print()}
+            disabled={loading || rows.length === 0}
+            className="rounded-md border border-stone-300 px-4 py-2 text-sm font-medium text-stone-700 hover:bg-stone-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Print
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-stone-500 text-sm">Loading...</p>
+      ) : error ? (
+        <p className="text-sm text-rose-600">{error}</p>
+      ) : rows.length === 0 ? (
+        <p className="text-stone-500 text-sm">
+          No {view === "products" ? "finished goods" : "ingredients"} yet.
+        </p>
+      ) : (
+        <>
+          {/* Ingredients nobody has flagged make every product that uses them
+              look safer than it may be. */}
+          {undeclaredCount > 0 && (
+            <p className="rounded-md border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800 print:hidden">
+              ⚠ {undeclaredCount} ingredient{undeclaredCount !== 1 ? "s have" : " has"} no allergens declared.
+              Products using {undeclaredCount !== 1 ? "them" : "it"} may contain more than shown — set them
+              from the Allergens panel on the ingredients page.
+            </p>
+          )}
+
+          <div className="overflow-x-auto rounded-lg border border-stone-200">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-stone-50 border-b border-stone-200">
+                <tr>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">
+                    {view === "products" ? "Product" : "Ingredient"}
+                  </th>
+                  {ALLERGENS.map((a) => (
+                    <th key={a.key} className="px-2 py-3 text-center text-xs font-medium text-stone-500 uppercase tracking-wider">
+                      {a.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-stone-100 bg-white">
+                {rows.map((row) => (
+                  <tr key={row.id} className="hover:bg-stone-50">
+                    <td className="px-4 py-2 font-medium text-stone-800">
+                      {row.name}
+                      {row.note && <span className="ml-2 text-xs font-normal text-stone-400">{row.note}</span>}
+                    </td>
+                    {ALLERGENS.map((a) => (
+                      <td key={a.key} className="px-2 py-2 text-center">{renderCell(row.profile, a.key)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-stone-500">
+            <span className="text-rose-600">●</span> contains · <span className="text-amber-600">○</span> may
+            contain (cross-contact). Based on the allergens recorded against each ingredient — check supplier
+            specifications before relying on it for a customer with an allergy.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// POST /api/purchase-orders/send — emails a purchase order to its supplier
+// with the PO attached as a PDF, and records the send on the PO.
+//
+// The purchasing page sends:
+//   headers: Authorization: Bearer <Firebase ID token>
+//   body:    { poId, deliveryDate, message }
+//     poId         — the purchase order to send
+//     deliveryDate — "YYYY-MM-DD" to print as "deliver by"
+//     message      — optional note to the supplier
+//
+// Everything else — the lines, the supplier's ordering email, the bakery
+// name — is loaded here from Firestore, so the route can only ever send a
+// real PO to that PO's supplier. Recording the send happens here too, so a
+// PO never shows "not sent" after its email went out.
+//
+// Responds with { messageId, subject, to } on success, or { error } with a
+// 4xx/5xx status.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { NextResponse } from "next/server";
+import { FieldValue } from "firebase-admin/firestore";
+import { adminDb, verifyRequestUser } from "@/lib/firebaseAdmin";
+import { sendMail } from "@/lib/mailer";
+import {
+  buildPoDocumentData,
+  buildPoEmail,
+  buildPoPdf,
+  getPoPdfFilename,
+} from "@/lib/purchaseOrderDocument";
+
+// nodemailer needs Node's net/tls modules, which the Edge runtime doesn't have.
+export const runtime = "nodejs";
+
+// Records a sent email on the purchase order. `message` is
+// { messageId, to, subject, sentBy } — the history lives in po.emails so a
+// resend keeps the earlier record. A draft becomes "sent" (with sentAt) on
+// its first email; the status is re-read in the transaction so a PO received
+// in the meantime isn't pushed back to "sent".
+const recordPurchaseOrderEmail = async (poId, message, deliveryDate) => {
+  const ref = adminDb.collection("purchaseOrders").doc(poId);
+  await adminDb.runTransaction(async (transaction) => {
+    const snap = await transaction.get(ref);
+
+    // FieldValue.serverTimestamp() isn't allowed inside array elements, so
+    // the message carries the server's clock as an ISO string instead.
+    const writeData = {
+      emails:       FieldValue.arrayUnion({ ...message, sentAt: new Date().toISOString() }),
+      deliveryDate: deliveryDate ?? "",
+      updatedAt:    FieldValue.serverTimestamp(),
+    };
+    if (snap.data()?.status === "draft") {
+      writeData.status = "sent";
+      writeData.sentAt = FieldValue.serverTimestamp();
+    }
+    transaction.update(ref, writeData);
+  });
+
+  console.log(`Recorded email ${message.messageId} on purchase order ${poId}`);
+};
+
+export async function POST(request) {
+  let user;
+  try {
+    user = await verifyRequestUser(request);
+  } catch (err) {
+    console.error("Rejected purchase order send:", err);
+    return NextResponse.json({ error: "You must be signed in to send purchase orders." }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (err) {
+    console.error("Rejected purchase order send — body isn't JSON:", err);
+    return NextResponse.json({ error: "The request body must be JSON." }, { status: 400 });
+  }
+
+  const { poId, deliveryDate = "", message = "" } = body ?? {};
+  if (typeof poId !== "string" || !poId) {
+    return NextResponse.json({ error: "Missing purchase order." }, { status: 400 });
+  }
+
+  let document;
+  try {
+    const poSnap = await adminDb.collection("purchaseOrders").doc(poId).get();
+    if (!poSnap.exists) {
+      return NextResponse.json({ error: "Purchase order not found." }, { status: 404 });
+    }
+    const po = { id: poSnap.id, ...poSnap.data() };
+
+    const [supplierSnap, settingsSnap] = await Promise.all([
+      po.supplierId ? adminDb.collection("suppliers").doc(po.supplierId).get() : null,
+      adminDb.collection("settings").doc("global").get(),
+    ]);
+
+    document = buildPoDocumentData(po, {
+      bakeryName:   settingsSnap.data()?.bakeryName,
+      deliveryDate: String(deliveryDate),
+      message:      String(message),
+      supplier:     supplierSnap?.exists ? supplierSnap.data() : null,
+    });
+  } catch (err) {
+    console.error("Failed to load purchase order for sending:", err);
+    return NextResponse.json({ error: "Failed to load the purchase order." }, { status: 500 });
+  }
+
+  const to = document.supplier.email.trim();
+  if (!to) {
+    return NextResponse.json(
+      { error: "The supplier has no ordering email — add one on the Suppliers page." },
+      { status: 400 }
+    );
+  }
+
+  let result;
+  let subject;
+  try {
+    const email = buildPoEmail(document);
+    const pdf   = buildPoPdf(document).output("arraybuffer");
+    subject     = email.subject;
+
+    result = await sendMail({
+      to,
+      // Replies go to whoever sent the PO rather than the shared SMTP_FROM box.
+      replyTo: user.email,
+      subject,
+      text:    email.text,
+      html:    email.html,
+      attachments: [
+        {
+          filename:    getPoPdfFilename(document),
+          content:     Buffer.from(pdf),
+          contentType: "application/pdf",
+        },
+      ],
+    });
+
+    if (result.accepted.length === 0) {
+      return NextResponse.json({ error: `The mail server rejected ${to}.` }, { status: 502 });
+    }
+  } catch (err) {
+    console.error("Failed to send purchase order email:", err);
+    return NextResponse.json({ error: err.message || "Failed to send email." }, { status: 500 });
+  }
+
+  try {
+    await recordPurchaseOrderEmail(
+      poId,
+      { messageId: result.messageId, to, subject, sentBy: user.email ?? "" },
+      document.deliveryDate
+    );
+  } catch (err) {
+    // The supplier has the email, so don't invite a resend.
+    console.error("Sent purchase order email but failed to record it:", err);
+    return NextResponse.json(
+      { error: `The email was sent to ${to}, but recording it on the PO failed. Don't resend — mark the PO as sent instead.` },
+      { status: 500 }
+    );
+  }
+
+  return NextResponse.json({ messageId: result.messageId, subject, to });
+}
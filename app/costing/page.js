@@ -2,30 +2,42 @@
 "use client";
 
 import { useState, useEffect } from "react";
-import { getRecipes, getIngredients } from "@/lib/firestore";
+import { getRecipes, getIngredients, getAllPriceHistory } from "@/lib/firestore";
+import { isSubRecipeLine, getRecipeBatchCost, getLineCost } from "@/lib/recipes";
+import { COST_TREND_PERIODS, getRecipeCostChanges } from "@/lib/priceHistory";
+import { canConvert } from "@/lib/units";
+
+// How many recipes the cost changes table lists.
+const MAX_COST_CHANGES = 10;
 
 // The Costing page.
-// Shows a detailed ingredient-level cost breakdown for every active recipe.
+// Shows the recipes whose unit costs moved most over a chosen period, then a
+// detailed ingredient-level cost breakdown for every active recipe.
 // All cost math is derived state — no useEffect or extra state needed beyond
-// the raw recipes and ingredients arrays.
+// the raw recipes, ingredients and price history arrays.
 export default function CostingPage() {
 
   const [recipes,     setRecipes]     = useState([]);
   const [ingredients, setIngredients] = useState([]);
+  const [pricePoints, setPricePoints] = useState([]);
+  const [trendDays,   setTrendDays]   = useState(90);
   const [loading,     setLoading]     = useState(true);
 
   // ─── Initial data fetch ──────────────────────────────────────────────────
-  // Recipes and ingredients are fetched in parallel. Costs are calculated
-  // from the ingredients array at render time — no separate cost state needed.
+  // Recipes, ingredients and price history are fetched in parallel. Costs are
+  // calculated from the ingredients array at render time — no separate cost
+  // state needed.
   useEffect(() => {
     const fetchAll = async () => {
       try {
-        const [recipeData, ingredientData] = await Promise.all([
+        const [recipeData, ingredientData, priceData] = await Promise.all([
           getRecipes(),
           getIngredients(),
+          getAllPriceHistory(),
         ]);
         setRecipes(recipeData);
         setIngredients(ingredientData);
+        setPricePoints(priceData);
       } catch (err) {
         console.error("Failed to load costing data:", err);
       } finally {
@@ -54,6 +66,14 @@ export default function CostingPage() {
     ingredients.map((ing) => [ing.id, ing])
   );
 
+  // ─── Cost changes over the chosen period ─────────────────────────────────
+  // Each recipe costed at the ingredient prices of `trendDays` ago and now.
+  // Recipes whose cost didn't move are left out.
+  const trendStart  = new Date(Date.now() - trendDays * 24 * 60 * 60 * 1000);
+  const costChanges = getRecipeCostChanges(recipes, ingredients, pricePoints, trendStart)
+    .filter((row) => Math.abs(row.change) >= 0.005)
+    .slice(0, MAX_COST_CHANGES);
+
   // ─── Main render ─────────────────────────────────────────────────────────
   return (
     <div className="max-w-4xl mx-auto px-4 py-8 space-y-8">
@@ -62,10 +82,67 @@ export default function CostingPage() {
       <div>
         <h1 className="text-2xl font-semibold text-stone-800">Recipe Costing</h1>
         <p className="text-sm text-stone-500 mt-1">
-          Ingredient cost breakdown for all active recipes
+          Ingredient cost breakdown for all active recipes, rolled up through sub-recipes
         </p>
       </div>
 
+      {/* ── Biggest cost changes ── */}
+      {recipes.length > 0 && (
+        <section className="rounded-lg border border-stone-200 p-6">
+          <div className="flex items-start justify-between gap-4 mb-4">
+            <div>
+              <h2 className="text-base font-semibold text-stone-800">Biggest Cost Changes</h2>
+              <p className="text-sm text-stone-500 mt-0.5">
+                Unit cost change from ingredient prices, costed on today&apos;s recipes
+              </p>
+            </div>
+            <select
+              value={trendDays}
+              onChange={(e) => setTrendDays(Number(e.target.value))}
+              aria-label="Period"
+              className="rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+            >
+              {COST_TREND_PERIODS.map((p) => <option key={p.days} value={p.days}>{p.label}</option>)}
+            </select>
+          </div>
+
+          {costChanges.length === 0 ? (
+            <p className="text-sm text-stone-400">No recipe costs changed over this period.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-stone-200">
+                  <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Recipe</th>
+                  <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Then</th>
+                  <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Now</th>
+                  <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Change</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-stone-100">
+                {costChanges.map((row) => (
+                  <tr key={row.recipe.id}>
+                    <td className="py-2 text-stone-700">
+                      {row.recipe.name}
+                      <span className="ml-2 text-xs text-stone-400">per {row.recipe.yieldUnit}</span>
+                    </td>
+                    <td className="py-2 text-right text-stone-600">${row.startCost.toFixed(2)}</td>
+                    <td className="py-2 text-right text-stone-600">${row.currentCost.toFixed(2)}</td>
+                    <td className={`py-2 text-right font-medium ${row.change > 0 ? "text-rose-600" : "text-green-700"}`}>
+                      {row.change > 0 ? "+" : "−"}${Math.abs(row.change).toFixed(2)}
+                      {row.changePct !== null && (
+                        <span className="ml-1 text-xs font-normal">
+                          ({row.changePct > 0 ? "+" : ""}{row.changePct.toFixed(1)}%)
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+
       {/* ── Recipe cards ── */}
       {recipes.length === 0 ? (
         <p className="text-stone-500 text-sm">No active recipes found.</p>
@@ -76,15 +153,33 @@ export default function CostingPage() {
             // Build a row object for each ingredient in this recipe.
             // We look up the ingredient by ID to get its costPerUnit.
             // ?? 0 handles ingredients that predate the costPerUnit field.
+            //
+            // costPerUnit is per the ingredient's stock unit (costUnit), which
+            // can differ from the recipe line's unit — getLineCost converts
+            // the line quantity before multiplying. A line that can't be
+            // converted is flagged as a unit mismatch and costs nothing.
+            //
+            // Sub-recipe lines get their cost per unit rolled up from the
+            // sub-recipe's own lines (and theirs, all the way down):
+            //   sub batch cost / sub yieldQuantity
             const rows = recipe.ingredients.map((ing) => {
-              const ingData    = ingredientMap[ing.ingredientId];
-              const costPerUnit = ingData?.costPerUnit ?? 0;
-              const lineCost   = costPerUnit * ing.quantity;
+              const isSubRecipe = isSubRecipeLine(ing);
+              const subRecipe   = isSubRecipe ? recipes.find((r) => r.id === ing.subRecipeId) : null;
+              const ingData     = isSubRecipe ? null : ingredientMap[ing.ingredientId];
+              const costPerUnit = isSubRecipe
+                ? (subRecipe ? getRecipeBatchCost(subRecipe, recipes, ingredients) / subRecipe.yieldQuantity : 0)
+                : ingData?.costPerUnit ?? 0;
+              const costUnit     = isSubRecipe ? subRecipe?.yieldUnit ?? ing.unit : ingData?.unit ?? ing.unit;
+              const unitMismatch = !isSubRecipe && Boolean(ingData) && !canConvert(ing.unit, ingData.unit, ingData);
+              const lineCost     = getLineCost(ing, recipes, ingredients);
               return {
                 ...ing,
+                isSubRecipe,
                 costPerUnit,
+                costUnit,
+                unitMismatch,
                 lineCost,
-                hasCost: costPerUnit > 0,
+                hasCost: costPerUnit > 0 && !unitMismatch,
               };
             });
 
@@ -143,14 +238,21 @@ export default function CostingPage() {
                   <tbody className="divide-y divide-stone-100">
                     {rows.map((row, i) => (
                       <tr key={i}>
-                        <td className="py-2 text-stone-700">{row.ingredientName}</td>
+                        <td className="py-2 text-stone-700">
+                          {row.ingredientName}
+                          {row.isSubRecipe && (
+                            <span className="ml-2 text-xs text-stone-400">sub-recipe</span>
+                          )}
+                        </td>
                         <td className="py-2 text-right text-stone-600">{row.quantity}</td>
                         <td className="py-2 text-right text-stone-600">{row.unit}</td>
                         {/* Cost/Unit — amber when missing, normal when set */}
                         <td className={`py-2 text-right ${row.hasCost ? "text-stone-600" : "text-amber-600"}`}>
-                          {row.hasCost
-                            ? `$${row.costPerUnit.toFixed(2)}/${row.unit}`
-                            : "No cost set"}
+                          {row.unitMismatch
+                            ? `Can't convert to ${row.costUnit}`
+                            : row.hasCost
+                              ? `$${row.costPerUnit.toFixed(2)}/${row.costUnit}`
+                              : "No cost set"}
                         </td>
                         <td className={`py-2 text-right font-medium ${row.hasCost ? "text-stone-700" : "text-amber-600"}`}>
                           {row.hasCost ? `$${row.lineCost.toFixed(2)}` : "—"}
@@ -183,7 +285,7 @@ export default function CostingPage() {
                 {/* Warning note — only shown when some costs are missing */}
                 {anyMissingCost && (
                   <p className="text-xs text-amber-600 mt-4 pt-3 border-t border-amber-100">
-                    Some ingredient costs are missing — costs may be incomplete
+                    Some ingredient costs are missing or in a unit that can&apos;t be converted — costs may be incomplete
                   </p>
                 )}
 
@@ -0,0 +1,638 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect, Fragment } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { useSettings } from "@/context/SettingsContext";
+import { useSite } from "@/context/SiteContext";
+import {
+  getIngredients,
+  getStockCounts,
+  startStockCount,
+  saveStockCount,
+  cancelStockCount,
+  postStockCount,
+} from "@/lib/firestore";
+import {
+  getCountScopeOptions,
+  filterCountItems,
+  getCountLineVariance,
+  summarizeCount,
+} from "@/lib/stockCounts";
+import { getReasonLabel } from "@/lib/adjustments";
+import { roundQuantity } from "@/lib/units";
+
+// ─── Helper functions (outside component — no state dependency) ───────────────
+
+// "$12.40", or "−$3.10" for a loss.
+const formatMoney = (amount) =>
+  `${amount < 0 ? "−" : ""}$${Math.abs(amount ?? 0).toFixed(2)}`;
+
+// Converts a Firestore Timestamp to a short readable date: "Feb 26, 2026".
+const formatTimestamp = (ts) => {
+  if (!ts) return "—";
+  return ts.toDate().toLocaleDateString("en-US", {
+    month: "short",
+    day:   "numeric",
+    year:  "numeric",
+  });
+};
+
+// "Dairy · Walk-in cooler", or "All ingredients" for an unscoped count.
+const describeScope = (count) =>
+  [count.category, count.storageArea].filter(Boolean).join(" · ") || "All ingredients";
+
+// The sheet keeps what's typed as strings (so an input can be cleared) in
+// `countInputs`, keyed by itemId. This merges them back into the count's
+// lines: a blank input means "not counted yet" (null).
+const applyCountInputs = (lines, countInputs, reasons) =>
+  lines.map((line) => {
+    const typed = countInputs[line.itemId] ?? "";
+    return {
+      ...line,
+      countedQuantity: typed === "" ? null : parseFloat(typed) || 0,
+      reasonCode:      reasons[line.itemId] ?? "",
+    };
+  });
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+// Counts are of the current site's stock.
+export default function StockCountsPage() {
+  const { user }               = useAuth();
+  const { settings }           = useSettings();
+  const { site, loadingSites } = useSite();
+
+  // ── Page-level data ───────────────────────────────────────────────────────
+  const [counts,      setCounts]      = useState([]);
+  const [ingredients, setIngredients] = useState([]);
+  const [loadingPage, setLoadingPage] = useState(true);
+
+  // ── Start a count ─────────────────────────────────────────────────────────
+  // scope: blank category / storage area = any.
+  const [scope,      setScope]      = useState({ category: "", storageArea: "" });
+  const [starting,   setStarting]   = useState(false);
+  const [startError, setStartError] = useState(null);
+
+  // ── Count sheet ───────────────────────────────────────────────────────────
+  // activeCount: the open count being filled in, or null when the sheet is closed.
+  // countInputs / reasons: typed quantity and reason code per line, by itemId.
+  const [activeCount,   setActiveCount]   = useState(null);
+  const [countInputs,   setCountInputs]   = useState({});
+  const [reasons,       setReasons]       = useState({});
+  const [countNotes,    setCountNotes]    = useState("");
+  // reviewing: false = the blind count sheet; true = the variance review.
+  const [reviewing,     setReviewing]     = useState(false);
+  const [onlyUncounted, setOnlyUncounted] = useState(false);
+  const [savingCount,   setSavingCount]   = useState(false);
+  const [postingCount,  setPostingCount]  = useState(false);
+  const [sheetError,    setSheetError]    = useState(null);
+
+  // ── History ───────────────────────────────────────────────────────────────
+  const [expandedCountId, setExpandedCountId] = useState(null);
+
+  // ── Initial data fetch ────────────────────────────────────────────────────
+  // Switching site closes any open sheet — it belongs to the old site.
+  useEffect(() => {
+    if (loadingSites) return;
+    const load = async () => {
+      setLoadingPage(true);
+      setActiveCount(null);
+      try {
+        const [countData, ingredientData] = await Promise.all([getStockCounts(site), getIngredients(site)]);
+        setCounts(countData);
+        setIngredients(ingredientData);
+      } catch (err) {
+        console.error("Failed to load stock counts:", err);
+      } finally {
+        setLoadingPage(false);
+      }
+    };
+    load();
+  }, [site, loadingSites]);
+
+  // Re-fetches the count list after a write.
+  const reloadCounts = async () => {
+    try {
+      setCounts(await getStockCounts(site));
+    } catch (err) {
+      console.error("Failed to reload stock counts:", err);
+    }
+  };
+
+  // ── Start handlers ────────────────────────────────────────────────────────
+
+  // Snapshots live stock for the chosen scope and opens the new count.
+  // Ingredients are re-fetched first so the system quantities are current.
+  const handleStart = async () => {
+    setStartError(null);
+    setStarting(true);
+    try {
+      const latest = await getIngredients(site);
+      setIngredients(latest);
+      const id = await startStockCount(scope, filterCountItems(latest, scope), user?.email ?? "", site);
+      const updated = await getStockCounts(site);
+      setCounts(updated);
+      handleOpenCount(updated.find((c) => c.id === id));
+    } catch (err) {
+      console.error("Failed to start stock count:", err);
+      setStartError(err.message || "Failed to start the count. Please try again.");
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  // ── Sheet handlers ────────────────────────────────────────────────────────
+
+  // Opens an open count, restoring whatever was saved on it so far.
+  const handleOpenCount = (count) => {
+    if (!count) return;
+    const inputs = {};
+    const codes  = {};
+    for (const line of count.lines) {
+      inputs[line.itemId] = line.countedQuantity === null ? "" : String(line.countedQuantity);
+      codes[line.itemId]  = line.reasonCode ?? "";
+    }
+    setActiveCount(count);
+    setCountInputs(inputs);
+    setReasons(codes);
+    setCountNotes(count.notes ?? "");
+    setReviewing(false);
+    setOnlyUncounted(false);
+    setSheetError(null);
+  };
+
+  const handleCloseSheet = () => {
+    setActiveCount(null);
+    setCountInputs({});
+    setReasons({});
+    setCountNotes("");
+    setSheetError(null);
+  };
+
+  // Saves progress so the count can be finished later or on another device.
+  const handleSaveCount = async () => {
+    setSavingCount(true);
+    setSheetError(null);
+    try {
+      await saveStockCount(activeCount.id, applyCountInputs(activeCount.lines, countInputs, reasons), countNotes);
+      await reloadCounts();
+    } catch (err) {
+      console.error("Failed to save stock count:", err);
+      setSheetError("Failed to save the count. Please try again.");
+    } finally {
+      setSavingCount(false);
+    }
+  };
+
+  // Posts every variance as a stock adjustment, after confirmation.
+  const handlePostCount = async () => {
+    const lines   = applyCountInputs(activeCount.lines, countInputs, reasons);
+    const summary = summarizeCount(lines);
+
+    const uncounted = summary.total - summary.counted;
+    const confirmed = window.confirm(
+      `Post ${activeCount.countNumber}? ${summary.withVariance} item${summary.withVariance !== 1 ? "s" : ""} will be adjusted ` +
+      `(net ${formatMoney(summary.netValue)}).` +
+      (uncounted > 0 ? ` ${uncounted} uncounted item${uncounted !== 1 ? "s" : ""} will be left as they are.` : "")
+    );
+    if (!confirmed) return;
+
+    setPostingCount(true);
+    setSheetError(null);
+    try {
+      await postStockCount(activeCount.id, lines, countNotes, user?.email ?? "", site);
+      handleCloseSheet();
+      await reloadCounts();
+    } catch (err) {
+      console.error("Failed to post stock count:", err);
+      setSheetError(err.message || "Failed to post the count. Please try again.");
+    } finally {
+      setPostingCount(false);
+    }
+  };
+
+  // Abandons the count without touching stock.
+  const handleCancelCount = async (count) => {
+    if (!window.confirm(`Cancel ${count.countNumber}? Nothing entered on it will be posted.`)) return;
+    try {
+      await cancelStockCount(count.id, user?.email ?? "");
+      if (activeCount?.id === count.id) handleCloseSheet();
+      await reloadCounts();
+    } catch (err) {
+      console.error("Failed to cancel stock count:", err);
+      window.alert("Failed to cancel the count. Please try again.");
+    }
+  };
+
+  // ── Derived values ────────────────────────────────────────────────────────
+  // Reason codes are configured on the settings page.
+  const reasonOptions = settings.adjustmentReasons ?? [];
+  const { categories, storageAreas } = getCountScopeOptions(ingredients);
+  const scopeItemCount = filterCountItems(ingredients, scope).length;
+
+  const openCounts   = counts.filter((c) => c.status === "open");
+  const closedCounts = counts.filter((c) => c.status !== "open");
+
+  const sheetLines   = activeCount ? applyCountInputs(activeCount.lines, countInputs, reasons) : [];
+  const sheetSummary = summarizeCount(sheetLines);
+  const visibleLines = onlyUncounted
+    ? sheetLines.filter((line) => line.countedQuantity === null)
+    : sheetLines;
+
+  // ── Main render ───────────────────────────────────────────────────────────
+  if (loadingPage) {
+    return <p className="max-w-4xl mx-auto px-4 py-8 text-sm text-stone-500">Loading...</p>;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-12">
+
+      {/* ── Page header ── */}
+      <div>
+        <h1 className="text-2xl font-semibold text-stone-800">Stock Counts</h1>
+        <p className="text-sm text-stone-500 mt-1">
+          Count a category or storage area, review the variances, and post them as stock adjustments with a reason.
+        </p>
+      </div>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          COUNT SHEET — the open count being filled in
+          ══════════════════════════════════════════════════════════════════════ */}
+      {activeCount ? (
+        <section className="space-y-4">
+          <div className="flex items-start justify-between gap-4 flex-wrap">
+            <div>
+              <h2 className="text-base font-semibold text-stone-800">
+                {activeCount.countNumber} — {describeScope(activeCount)}
+              </h2>
+              <p className="text-sm text-stone-500">
+                {sheetSummary.counted} of {sheetSummary.total} counted · started {formatTimestamp(activeCount.createdAt)}
+              </p>
+            </div>
+            <button onClick={handleCloseSheet} className="text-sm text-stone-500 hover:text-stone-800">
+              Close
+            </button>
+          </div>
+
+          {/* Count / Review toggle */}
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setReviewing(false)}
+              className={`rounded-md px-4 py-2 text-sm font-medium ${!reviewing ? "bg-stone-800 text-white" : "border border-stone-300 text-stone-700 hover:bg-stone-50"}`}
+            >
+              Count
+            </button>
+            <button
+              onClick={() => setReviewing(true)}
+              className={`rounded-md px-4 py-2 text-sm font-medium ${reviewing ? "bg-stone-800 text-white" : "border border-stone-300 text-stone-700 hover:bg-stone-50"}`}
+            >
+              Review Variances{sheetSummary.withVariance > 0 && ` (${sheetSummary.withVariance})`}
+            </button>
+          </div>
+
+          {!reviewing ? (
+            <>
+              {/* Blind count — system quantities are hidden on the sheet so
+                  the counter records what's on the shelf, not what they expect. */}
+              <label className="flex items-center gap-2 text-sm text-stone-600">
+                <input
+                  type="checkbox"
+                  checked={onlyUncounted}
+                  onChange={(e) => setOnlyUncounted(e.target.checked)}
+                  className="h-4 w-4 rounded border-stone-300"
+                />
+                Show uncounted only
+              </label>
+
+              <div className="divide-y divide-stone-100 rounded-lg border border-stone-200 bg-white">
+                {visibleLines.map((line) => (
+                  <div key={line.itemId} className="flex items-center justify-between gap-4 px-4 py-3">
+                    <div className="min-w-0">
+                      <div className="text-base font-medium text-stone-800">{line.itemName}</div>
+                      <div className="text-xs text-stone-400">{line.unit}</div>
+                    </div>
+                    <div className="flex items-center gap-2 shrink-0">
+                      <input
+                        type="number"
+                        inputMode="decimal"
+                        min="0"
+                        step="any"
+                        value={countInputs[line.itemId] ?? ""}
+                        onChange={(e) => setCountInputs((prev) => ({ ...prev, [line.itemId]: e.target.value }))}
+                        placeholder="—"
+                        aria-label={`Counted ${line.itemName} in ${line.unit}`}
+                        className="w-32 rounded-md border border-stone-300 px-3 py-3 text-lg text-right text-stone-800 placeholder-stone-300 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                      />
+                      <span className="w-10 text-sm text-stone-500">{line.unit}</span>
+                    </div>
+                  </div>
+                ))}
+                {visibleLines.length === 0 && (
+                  <p className="px-4 py-6 text-sm text-stone-400 text-center">Everything has been counted.</p>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              {/* Variance review — only counted lines. Uncounted lines are
+                  skipped on posting, not set to zero. */}
+              <div className="overflow-x-auto rounded-lg border border-stone-200">
+                <table className="w-full text-sm text-left">
+                  <thead className="bg-stone-50 border-b border-stone-200">
+                    <tr>
+                      <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Ingredient</th>
+                      <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">System</th>
+                      <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Counted</th>
+                      <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Variance</th>
+                      <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Value</th>
+                      <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-stone-100 bg-white">
+                    {sheetLines.filter((line) => line.countedQuantity !== null).map((line) => {
+                      const variance = getCountLineVariance(line);
+                      const hasVariance = variance.quantity !== 0;
+                      return (
+                        <tr key={line.itemId} className={hasVariance ? "" : "opacity-60"}>
+                          <td className="px-4 py-3 text-stone-800">{line.itemName}</td>
+                          <td className="px-4 py-3 text-right text-stone-600">{roundQuantity(line.systemQuantity)} {line.unit}</td>
+                          <td className="px-4 py-3 text-right text-stone-800">{line.countedQuantity} {line.unit}</td>
+                          <td className={`px-4 py-3 text-right font-medium ${variance.quantity < 0 ? "text-rose-600" : variance.quantity > 0 ? "text-green-700" : "text-stone-500"}`}>
+                            {variance.quantity > 0 ? "+" : ""}{variance.quantity}
+                          </td>
+                          <td className={`px-4 py-3 text-right ${variance.value < 0 ? "text-rose-600" : "text-stone-600"}`}>
+                            {line.costPerUnit > 0 ? formatMoney(variance.value) : "—"}
+                          </td>
+                          <td className="px-4 py-3">
+                            {hasVariance && (
+                              <select
+                                value={reasons[line.itemId] ?? ""}
+                                onChange={(e) => setReasons((prev) => ({ ...prev, [line.itemId]: e.target.value }))}
+                                className={`w-44 rounded-md border px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 ${
+                                  reasons[line.itemId] ? "border-stone-300" : "border-rose-300"
+                                }`}
+                              >
+                                <option value="">Choose a reason…</option>
+                                {reasonOptions.map((r) => (
+                                  <option key={r.value} value={r.value}>{r.label}</option>
+                                ))}
+                              </select>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Totals at cost */}
+              <div className="flex gap-6 text-sm flex-wrap">
+                <span className="text-stone-600">Gains <span className="font-medium text-green-700">{formatMoney(sheetSummary.gainValue)}</span></span>
+                <span className="text-stone-600">Losses <span className="font-medium text-rose-600">{formatMoney(-sheetSummary.lossValue)}</span></span>
+                <span className="text-stone-600">Net <span className="font-semibold text-stone-800">{formatMoney(sheetSummary.netValue)}</span></span>
+              </div>
+
+              <div>
+                <label htmlFor="countNotes" className="block text-sm font-medium text-stone-700 mb-1">
+                  Notes <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <textarea
+                  id="countNotes"
+                  rows={2}
+                  value={countNotes}
+                  onChange={(e) => setCountNotes(e.target.value)}
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                />
+              </div>
+            </>
+          )}
+
+          {sheetError && <p className="text-sm text-rose-600">{sheetError}</p>}
+
+          <div className="flex items-center gap-3 flex-wrap">
+            <button
+              onClick={handleSaveCount}
+              disabled={savingCount || postingCount}
+              className="rounded-md border border-stone-300 px-4 py-2 text-sm font-medium text-stone-700 hover:bg-stone-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {savingCount ? "Saving..." : "Save Progress"}
+            </button>
+            <button
+              onClick={handlePostCount}
+              disabled={postingCount || savingCount || sheetSummary.counted === 0 || sheetSummary.missingReason > 0}
+              className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {postingCount ? "Posting..." : "Post Count"}
+            </button>
+            {sheetSummary.missingReason > 0 && (
+              <p className="text-xs text-rose-600">
+                {sheetSummary.missingReason} variance{sheetSummary.missingReason !== 1 ? "s" : ""} still need{sheetSummary.missingReason === 1 ? "s" : ""} a reason — see Review Variances.
+              </p>
+            )}
+            <button
+              onClick={() => handleCancelCount(activeCount)}
+              className="ml-auto text-sm font-medium text-rose-600 hover:text-rose-800"
+            >
+              Cancel Count
+            </button>
+          </div>
+        </section>
+      ) : (
+        <>
+          {/* ══════════════════════════════════════════════════════════════════
+              START A COUNT
+              ══════════════════════════════════════════════════════════════════ */}
+          <section>
+            <h2 className="text-base font-semibold text-stone-800 mb-4">Start a Count</h2>
+            <div className="border border-stone-200 rounded-lg p-5 space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="countCategory" className="block text-sm font-medium text-stone-700 mb-1">Category</label>
+                  <select
+                    id="countCategory"
+                    value={scope.category}
+                    onChange={(e) => setScope((prev) => ({ ...prev, category: e.target.value }))}
+                    className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                  >
+                    <option value="">Any category</option>
+                    {categories.map((c) => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="countStorageArea" className="block text-sm font-medium text-stone-700 mb-1">Storage Area</label>
+                  <select
+                    id="countStorageArea"
+                    value={scope.storageArea}
+                    onChange={(e) => setScope((prev) => ({ ...prev, storageArea: e.target.value }))}
+                    className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                  >
+                    <option value="">Any storage area</option>
+                    {storageAreas.map((a) => <option key={a} value={a}>{a}</option>)}
+                  </select>
+                </div>
+              </div>
+
+              {categories.length === 0 && storageAreas.length === 0 && (
+                <p className="text-xs text-stone-400">
+                  Set a category or storage area on the Ingredients page to count one section at a time.
+                </p>
+              )}
+
+              {startError && <p className="text-sm text-rose-600">{startError}</p>}
+
+              <div className="flex items-center gap-4">
+                <button
+                  onClick={handleStart}
+                  disabled={starting || scopeItemCount === 0}
+                  className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {starting ? "Starting..." : "Start Count"}
+                </button>
+                <p className="text-xs text-stone-500">
+                  {scopeItemCount} ingredient{scopeItemCount !== 1 ? "s" : ""} to count
+                </p>
+              </div>
+            </div>
+          </section>
+
+          {/* Open counts — started but not posted, e.g. on another tablet */}
+          {openCounts.length > 0 && (
+            <section>
+              <h2 className="text-base font-semibold text-stone-800 mb-4">In Progress</h2>
+              <div className="divide-y divide-stone-100 rounded-lg border border-stone-200">
+                {openCounts.map((count) => {
+                  const summary = summarizeCount(count.lines ?? []);
+                  return (
+                    <div key={count.id} className="flex items-center justify-between gap-4 px-4 py-3 text-sm flex-wrap">
+                      <div>
+                        <span className="font-medium text-stone-800">{count.countNumber}</span>
+                        <span className="text-stone-500">
+                          {" · "}{describeScope(count)} · {summary.counted} of {summary.total} counted · started by {count.createdBy || "—"}
+                        </span>
+                      </div>
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => handleOpenCount(count)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Continue
+                        </button>
+                        <button
+                          onClick={() => handleCancelCount(count)}
+                          className="text-sm font-medium text-rose-600 hover:text-rose-800"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </section>
+          )}
+        </>
+      )}
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          COUNT HISTORY
+          ══════════════════════════════════════════════════════════════════════ */}
+      <section>
+        <h2 className="text-base font-semibold text-stone-800 mb-4">Count History</h2>
+        {closedCounts.length === 0 ? (
+          <p className="text-sm text-stone-400">No counts posted yet.</p>
+        ) : (
+          <div className="overflow-x-auto rounded-lg border border-stone-200">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-stone-50 border-b border-stone-200">
+                <tr>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Count</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Scope</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Posted</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Variances</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Net Value</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-stone-100 bg-white">
+                {closedCounts.map((count) => {
+                  const isExpanded = expandedCountId === count.id;
+                  const isPosted   = count.status === "posted";
+                  const summary    = count.summary ?? summarizeCount(count.lines ?? []);
+                  return (
+                    <Fragment key={count.id}>
+                      <tr className={isPosted ? "" : "opacity-60"}>
+                        <td className="px-4 py-3 font-medium text-stone-800">{count.countNumber}</td>
+                        <td className="px-4 py-3 text-stone-600">{describeScope(count)}</td>
+                        <td className="px-4 py-3 text-stone-600">
+                          {isPosted ? `${formatTimestamp(count.postedAt)} by ${count.postedBy || "—"}` : "Cancelled"}
+                        </td>
+                        <td className="px-4 py-3 text-right text-stone-600">
+                          {isPosted ? `${summary.withVariance} of ${summary.counted}` : "—"}
+                        </td>
+                        <td className={`px-4 py-3 text-right font-medium ${summary.netValue < 0 ? "text-rose-600" : "text-stone-700"}`}>
+                          {isPosted ? formatMoney(summary.netValue) : "—"}
+                        </td>
+                        <td className="px-4 py-3 text-right">
+                          {isPosted && (
+                            <button
+                              onClick={() => setExpandedCountId(isExpanded ? null : count.id)}
+                              className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                            >
+                              {isExpanded ? "Hide" : "Details"}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+
+                      {/* Variance lines for a posted count */}
+                      {isExpanded && (
+                        <tr>
+                          <td colSpan={6} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                            {count.notes && <p className="text-sm text-stone-600 mb-3">{count.notes}</p>}
+                            <table className="w-full text-sm">
+                              <thead>
+                                <tr className="border-b border-stone-200">
+                                  <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Ingredient</th>
+                                  <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">System</th>
+                                  <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Counted</th>
+                                  <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Variance</th>
+                                  <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Value</th>
+                                  <th className="pb-2 pl-4 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Reason</th>
+                                </tr>
+                              </thead>
+                              <tbody className="divide-y divide-stone-100">
+                                {count.lines
+                                  .filter((line) => getCountLineVariance(line)?.quantity)
+                                  .map((line) => {
+                                    const variance = getCountLineVariance(line);
+                                    return (
+                                      <tr key={line.itemId}>
+                                        <td className="py-2 text-stone-700">{line.itemName}</td>
+                                        <td className="py-2 text-right text-stone-500">{roundQuantity(line.systemQuantity)} {line.unit}</td>
+                                        <td className="py-2 text-right text-stone-700">{line.countedQuantity} {line.unit}</td>
+                                        <td className={`py-2 text-right font-medium ${variance.quantity < 0 ? "text-rose-600" : "text-green-700"}`}>
+                                          {variance.quantity > 0 ? "+" : ""}{variance.quantity}
+                                        </td>
+                                        <td className="py-2 text-right text-stone-600">{formatMoney(variance.value)}</td>
+                                        <td className="py-2 pl-4 text-stone-600">{getReasonLabel(line.reasonCode, reasonOptions)}</td>
+                                      </tr>
+                                    );
+                                  })}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@
 import { useState, useEffect } from "react";
 import { useRouter } from "next/navigation";
 import SearchableSelect from "@/components/SearchableSelect";
+import AllergenCheckboxes from "@/components/AllergenCheckboxes";
 import { useAuth } from "@/context/AuthContext";
 import {
   getIngredients,
@@ -14,17 +15,23 @@ import {
   cancelDemandPlan,
   createWorkOrderFromDemandPlan,
 } from "@/lib/firestore";
+import { flattenRecipeIngredients } from "@/lib/recipes";
+import { roundQuantity } from "@/lib/units";
+import { matchesSearch } from "@/lib/search";
+import { formatAllergens, getFinishedGoodAllergens, getAllergyConflicts } from "@/lib/allergens";
 
 // Returns the blank form state. Extracted into a function so we can call it
 // both for the initial state and when resetting after a successful submit.
 const emptyFormData = () => ({
-  customerName:    "",
-  customerContact: "",
-  pickupDateTime:  "",
-  paymentNotes:    "",
-  finishedGoodId:  "",
-  targetQuantity:  "",
-  notes:           "",
+  customerName:      "",
+  customerContact:   "",
+  // Allergen keys the customer has told us about — see lib/allergens.js.
+  customerAllergies: [],
+  pickupDateTime:    "",
+  paymentNotes:      "",
+  finishedGoodId:    "",
+  targetQuantity:    "",
+  notes:             "",
 });
 
 // The main Special Orders page.
@@ -43,11 +50,16 @@ export default function DemandPage() {
   // ─── UI state ────────────────────────────────────────────────────────────
   // showAll toggles between hiding cancelled plans and showing everything.
   const [showAll,                  setShowAll]                  = useState(false);
+  // Free-text search — SO number, customer, or product.
+  const [searchText,               setSearchText]               = useState("");
   const [submitting,               setSubmitting]               = useState(false);
   const [cancellingId,             setCancellingId]             = useState(null);
   // Tracks which plan is mid-flight for work order creation so we can show
   // a "Creating..." loading state on that row's button.
   const [creatingWorkOrderForId,   setCreatingWorkOrderForId]   = useState(null);
+  // The order whose ticket is being printed. Only the ticket is visible on
+  // paper; the rest of the page is print:hidden.
+  const [printingPlanId,           setPrintingPlanId]           = useState(null);
   const [error,                    setError]                    = useState(null);
 
   // ─── Form state ──────────────────────────────────────────────────────────
@@ -84,12 +96,16 @@ export default function DemandPage() {
   // ingredientCheck: per-ingredient sufficiency check for the calculated batch count.
   // Same derived-variable pattern used in the work-orders create form — recomputes
   // on every render whenever targetQty or finishedGoodId changes.
+  // Sub-recipes are flattened to raw ingredients — the work order created from
+  // this plan will generate a dependent order to make them. A sub-recipe
+  // that's no longer available can't be made, so it's never sufficient.
   // Empty array when no recipe is selected yet.
-  const ingredientCheck = !selectedRecipe ? [] : selectedRecipe.ingredients.map((ing) => {
+  const ingredientCheck = !selectedRecipe ? [] : flattenRecipeIngredients(selectedRecipe, batchesRequired ?? 0, recipes, ingredients).map((ing) => {
     const stockItem     = ingredients.find((i) => i.id === ing.ingredientId);
     const stock         = stockItem?.currentStock ?? 0;
-    const totalRequired = (batchesRequired ?? 0) * ing.quantity;
-    const sufficient    = stock >= totalRequired;
+    const totalRequired = ing.totalRequired; // already in the ingredient's stock unit
+    // A line whose unit can't be converted can't be checked — treat as short.
+    const sufficient    = !ing.missing && !ing.incompatible && stock >= totalRequired;
     return {
       ...ing,
       stock,
@@ -103,6 +119,11 @@ export default function DemandPage() {
   const allIngredientsSufficient =
     ingredientCheck.length > 0 && ingredientCheck.every((ic) => ic.sufficient);
 
+  // The product's allergens, rolled up from its recipes, and any the
+  // customer has declared that it contains or may contain.
+  const selectedAllergens = selectedGood ? getFinishedGoodAllergens(selectedGood.id, recipes, ingredients) : null;
+  const allergyConflicts  = selectedAllergens ? getAllergyConflicts(selectedAllergens, formData.customerAllergies) : null;
+
   // ─── Initial data fetch ──────────────────────────────────────────────────
   // Fetch all four collections in parallel. Promise.all means we fire all
   // requests at once instead of waiting for each one to finish — roughly 4×
@@ -182,21 +203,22 @@ export default function DemandPage() {
     // plan record remains accurate even if stock levels or the recipe change.
     // Customer fields and orderType are added here for MTO orders.
     const planData = {
-      orderType:        "MTO",
-      customerName:     formData.customerName.trim(),
-      customerContact:  formData.customerContact.trim(),
-      pickupDateTime:   formData.pickupDateTime,   // stored as "YYYY-MM-DDThh:mm" string
-      paymentNotes:     formData.paymentNotes.trim(),
-      finishedGoodId:   formData.finishedGoodId,
-      finishedGoodName: selectedGood.name,
-      targetQuantity:   parseFloat(formData.targetQuantity),
-      batchesRequired:  batchesRequired ?? 0,
-      recipeId:         selectedRecipe.id,
-      recipeName:       selectedRecipe.name,
-      recipeYield:      recipeYield,
-      status:           "open",
-      notes:            formData.notes.trim(),
-      createdBy:        user?.email ?? "",
+      orderType:         "MTO",
+      customerName:      formData.customerName.trim(),
+      customerContact:   formData.customerContact.trim(),
+      customerAllergies: formData.customerAllergies,
+      pickupDateTime:    formData.pickupDateTime,   // stored as "YYYY-MM-DDThh:mm" string
+      paymentNotes:      formData.paymentNotes.trim(),
+      finishedGoodId:    formData.finishedGoodId,
+      finishedGoodName:  selectedGood.name,
+      targetQuantity:    parseFloat(formData.targetQuantity),
+      batchesRequired:   batchesRequired ?? 0,
+      recipeId:          selectedRecipe.id,
+      recipeName:        selectedRecipe.name,
+      recipeYield:       recipeYield,
+      status:            "open",
+      notes:             formData.notes.trim(),
+      createdBy:         user?.email ?? "",
     };
 
     try {
@@ -255,13 +277,21 @@ export default function DemandPage() {
     }
   };
 
+  // Shows the order's ticket and opens the print dialog once it has rendered.
+  const handlePrint = (planId) => {
+    setPrintingPlanId(planId);
+    setTimeout(() => window.print(), 50);
+  };
+
   // ─── Table filtering ─────────────────────────────────────────────────────
   // When showAll is false, hide only cancelled plans.
   // Fulfilled plans stay visible so the baker can see which demand plans
   // have already been converted to work orders.
-  const visiblePlans = showAll
+  // The search box applies on top of that.
+  const visiblePlans = (showAll
     ? demandPlans
-    : demandPlans.filter((p) => p.status !== "cancelled");
+    : demandPlans.filter((p) => p.status !== "cancelled")
+  ).filter((p) => matchesSearch(searchText, [p.orderNumber, p.customerName, p.finishedGoodName]));
 
   // ─── Datetime formatting ──────────────────────────────────────────────────
   // Converts a "YYYY-MM-DDThh:mm" datetime-local string to a readable format:
@@ -277,6 +307,12 @@ export default function DemandPage() {
     });
   };
 
+  // The order being printed, with its product's allergens as the recipes
+  // stand now — they may have changed since the order was taken.
+  const printingPlan      = demandPlans.find((p) => p.id === printingPlanId) ?? null;
+  const printingAllergens = printingPlan ? getFinishedGoodAllergens(printingPlan.finishedGoodId, recipes, ingredients) : null;
+  const printingConflicts = printingPlan ? getAllergyConflicts(printingAllergens, printingPlan.customerAllergies ?? []) : null;
+
   // ─── Loading state ───────────────────────────────────────────────────────
   if (loading) {
     return (
@@ -291,7 +327,7 @@ export default function DemandPage() {
     <div className="max-w-4xl mx-auto px-4 py-8 space-y-10">
 
       {/* ── Page header ── */}
-      <div>
+      <div className="print:hidden">
         <h1 className="text-2xl font-semibold text-stone-800">Special Orders</h1>
         <p className="text-sm text-stone-500 mt-1">
           Make-to-order customer orders — record the customer, calculate batches, and create a work order.
@@ -299,7 +335,7 @@ export default function DemandPage() {
       </div>
 
       {/* ── New Special Order Form ── */}
-      <div className="border border-stone-200 rounded-lg p-6">
+      <div className="border border-stone-200 rounded-lg p-6 print:hidden">
         <h2 className="text-base font-semibold text-stone-800 mb-5">New Special Order</h2>
 
         <form onSubmit={handleSubmit} className="space-y-5">
@@ -343,6 +379,20 @@ export default function DemandPage() {
 
           </div>
 
+          {/* Declared allergies — checked against the product below and
+              printed on the order ticket */}
+          <div>
+            <p className="block text-sm font-medium text-stone-700 mb-2">
+              Customer Allergies{" "}
+              <span className="text-stone-400 font-normal">(optional)</span>
+            </p>
+            <AllergenCheckboxes
+              idPrefix="customerAllergy"
+              selected={formData.customerAllergies}
+              onChange={(keys) => setFormData((prev) => ({ ...prev, customerAllergies: keys }))}
+            />
+          </div>
+
           {/* ── Row 2: Pickup Date/Time + Payment Notes ── */}
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
 
@@ -417,6 +467,17 @@ export default function DemandPage() {
                   )}
                 </p>
               )}
+              {selectedAllergens?.hasRecipe && (
+                <p className="text-xs text-stone-500 mt-1">
+                  Allergens:{" "}
+                  <span className={selectedAllergens.contains.length > 0 ? "font-medium text-rose-600" : ""}>
+                    {formatAllergens(selectedAllergens.contains, "none declared")}
+                  </span>
+                  {selectedAllergens.mayContain.length > 0 && (
+                    <> · may contain {formatAllergens(selectedAllergens.mayContain)}</>
+                  )}
+                </p>
+              )}
             </div>
 
             {/* Target Quantity */}
@@ -469,6 +530,19 @@ export default function DemandPage() {
             </div>
           )}
 
+          {/* ── Allergy warning ── the product contains (or may contain)
+              something the customer has declared */}
+          {allergyConflicts && (allergyConflicts.contains.length > 0 || allergyConflicts.mayContain.length > 0) && (
+            <div className="rounded-md border border-rose-200 bg-rose-50 px-4 py-3 text-sm text-rose-700">
+              ⚠ {selectedGood.name}
+              {allergyConflicts.contains.length > 0 && <> contains <strong>{formatAllergens(allergyConflicts.contains)}</strong></>}
+              {allergyConflicts.contains.length > 0 && allergyConflicts.mayContain.length > 0 && " and"}
+              {allergyConflicts.mayContain.length > 0 && <> may contain <strong>{formatAllergens(allergyConflicts.mayContain)}</strong></>}
+              {" "}— the customer has declared {allergyConflicts.contains.length + allergyConflicts.mayContain.length > 1 ? "these allergies" : "this allergy"}.
+              Confirm with them before taking the order.
+            </div>
+          )}
+
           {/* ── Ingredient availability check ── */}
           {/* Shown when a recipe is selected and a target quantity is entered.
               Updates in real time as targetQuantity changes — no useEffect needed
@@ -497,22 +571,33 @@ export default function DemandPage() {
                     </span>
 
                     {/* Need / Have / Short */}
-                    <span className="text-stone-500 text-xs text-right">
-                      Need{" "}
-                      <span className="font-medium text-stone-700">
-                        {ic.totalRequired} {ic.unit}
-                      </span>
-                      {" "}·{" "}
-                      Have{" "}
-                      <span className={`font-medium ${ic.sufficient ? "text-stone-700" : "text-rose-600"}`}>
-                        {ic.stock} {ic.unit}
+                    {ic.missing ? (
+                      <span className="text-rose-600 text-xs font-medium text-right">
+                        Sub-recipe no longer available
                       </span>
-                      {!ic.sufficient && (
-                        <span className="text-rose-600 font-medium">
-                          {" "}· Short {ic.shortfall} {ic.unit}
+                    ) : (
+                      <span className="text-stone-500 text-xs text-right">
+                        Need{" "}
+                        <span className="font-medium text-stone-700">
+                          {roundQuantity(ic.totalRequired)} {ic.unit}
                         </span>
-                      )}
-                    </span>
+                        {" "}·{" "}
+                        Have{" "}
+                        <span className={`font-medium ${ic.sufficient ? "text-stone-700" : "text-rose-600"}`}>
+                          {ic.stock} {ic.unit}
+                        </span>
+                        {!ic.sufficient && !ic.incompatible && (
+                          <span className="text-rose-600 font-medium">
+                            {" "}· Short {roundQuantity(ic.shortfall)} {ic.unit}
+                          </span>
+                        )}
+                        {ic.incompatible && (
+                          <span className="text-rose-600 font-medium">
+                            {" "}· Recipe unit can&apos;t be converted to {ic.unit}
+                          </span>
+                        )}
+                      </span>
+                    )}
                   </div>
                 ))}
               </div>
@@ -565,7 +650,7 @@ export default function DemandPage() {
       </div>
 
       {/* ── Special Orders Table ── */}
-      <div>
+      <div className="print:hidden">
 
         {/* Table header + show-all toggle */}
         <div className="flex items-center justify-between mb-4">
@@ -577,22 +662,33 @@ export default function DemandPage() {
               </span>
             )}
           </h2>
-          <label className="flex items-center gap-2 text-sm text-stone-600 cursor-pointer select-none">
+          <div className="flex items-center gap-4">
             <input
-              type="checkbox"
-              checked={showAll}
-              onChange={(e) => setShowAll(e.target.checked)}
-              className="rounded border-stone-300 text-amber-500 focus:ring-amber-400"
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="Search SO number, customer…"
+              className="w-56 rounded-md border border-stone-300 px-3 py-1.5 text-sm text-stone-800 placeholder:text-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
             />
-            Show cancelled
-          </label>
+            <label className="flex items-center gap-2 text-sm text-stone-600 cursor-pointer select-none">
+              <input
+                type="checkbox"
+                checked={showAll}
+                onChange={(e) => setShowAll(e.target.checked)}
+                className="rounded border-stone-300 text-amber-500 focus:ring-amber-400"
+              />
+              Show cancelled
+            </label>
+          </div>
         </div>
 
         {visiblePlans.length === 0 ? (
           <p className="text-stone-500 text-sm">
-            {showAll
-              ? "No special orders yet. Create one above."
-              : "No open special orders. Create one above."}
+            {searchText.trim()
+              ? `No special orders matching "${searchText.trim()}".`
+              : showAll
+                ? "No special orders yet. Create one above."
+                : "No open special orders. Create one above."}
           </p>
         ) : (
           <div className="overflow-x-auto rounded-lg border border-stone-200">
@@ -600,6 +696,7 @@ export default function DemandPage() {
 
               <thead className="bg-stone-50 border-b border-stone-200">
                 <tr>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">SO #</th>
                   <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Customer</th>
                   <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Finished Good</th>
                   <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Qty</th>
@@ -620,9 +717,19 @@ export default function DemandPage() {
                       key={plan.id}
                       className={isCancelled ? "opacity-50" : ""}
                     >
+                      {/* Orders created before numbering show a dash */}
+                      <td className="px-4 py-3 font-mono text-xs text-stone-500 whitespace-nowrap">
+                        {plan.orderNumber || "—"}
+                      </td>
+
                       {/* Customer name — most prominent column, strikethrough when cancelled */}
                       <td className={`px-4 py-3 font-semibold ${isCancelled ? "text-stone-400 line-through" : "text-stone-800"}`}>
                         {plan.customerName || "—"}
+                        {plan.customerAllergies?.length > 0 && (
+                          <p className="text-xs font-medium text-rose-600">
+                            Allergies: {formatAllergens(plan.customerAllergies)}
+                          </p>
+                        )}
                       </td>
 
                       <td className="px-4 py-3 text-stone-600">{plan.finishedGoodName}</td>
@@ -662,6 +769,16 @@ export default function DemandPage() {
                             </button>
                           )}
 
+                          {/* Print — the order ticket, with the product's allergens */}
+                          {!isCancelled && (
+                            <button
+                              onClick={() => handlePrint(plan.id)}
+                              className="text-sm font-medium text-stone-500 hover:text-stone-800"
+                            >
+                              Print
+                            </button>
+                          )}
+
                           {/* Cancel — only shown on open plans */}
                           {!isCancelled && (
                             <button
@@ -686,6 +803,54 @@ export default function DemandPage() {
 
       </div>
 
+      {/* ── Order ticket ── only ever seen on paper */}
+      {printingPlan && (
+        <div className="hidden print:block space-y-4 text-stone-900">
+          <div>
+            <p className="text-xs font-mono text-stone-500">{printingPlan.orderNumber}</p>
+            <h1 className="text-2xl font-semibold">Special Order — {printingPlan.customerName}</h1>
+            {printingPlan.customerContact && <p className="text-sm">{printingPlan.customerContact}</p>}
+          </div>
+          <table className="text-sm">
+            <tbody>
+              <tr><td className="pr-6 py-0.5 text-stone-500">Product</td><td className="font-medium">{printingPlan.finishedGoodName}</td></tr>
+              <tr><td className="pr-6 py-0.5 text-stone-500">Quantity</td><td>{printingPlan.targetQuantity}</td></tr>
+              <tr><td className="pr-6 py-0.5 text-stone-500">Pickup</td><td>{formatPickup(printingPlan.pickupDateTime)}</td></tr>
+              {printingPlan.paymentNotes && (
+                <tr><td className="pr-6 py-0.5 text-stone-500">Payment</td><td>{printingPlan.paymentNotes}</td></tr>
+              )}
+              {printingPlan.notes && (
+                <tr><td className="pr-6 py-0.5 text-stone-500">Notes</td><td>{printingPlan.notes}</td></tr>
+              )}
+            </tbody>
+          </table>
+
+          <div className="border-2 border-stone-900 p-3 text-sm space-y-1">
+            <p className="font-semibold uppercase tracking-wider">Allergens</p>
+            {printingAllergens.hasRecipe ? (
+              <>
+                <p>Contains: <strong>{formatAllergens(printingAllergens.contains)}</strong></p>
+                {printingAllergens.mayContain.length > 0 && (
+                  <p>May contain: {formatAllergens(printingAllergens.mayContain)}</p>
+                )}
+              </>
+            ) : (
+              <p>Not known — this product has no recipe.</p>
+            )}
+            {printingPlan.customerAllergies?.length > 0 && (
+              <p>Customer allergies: <strong>{formatAllergens(printingPlan.customerAllergies)}</strong></p>
+            )}
+            {(printingConflicts.contains.length > 0 || printingConflicts.mayContain.length > 0) && (
+              <p className="font-semibold">
+                ⚠ WARNING:{" "}
+                {formatAllergens([...printingConflicts.contains, ...printingConflicts.mayContain])}
+                {" "}— the customer is allergic to something this product contains or may contain.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
     </div>
   );
 }
@@ -5,6 +5,7 @@ import { useState, useEffect } from "react";
 import { getFinishedGoods } from "@/lib/firestore";
 import { getEndOfDayRecords, addEndOfDayRecords } from "@/lib/firestore";
 import { useAuth } from "@/context/AuthContext";
+import { useSite } from "@/context/SiteContext";
 
 // Returns today's date as a "YYYY-MM-DD" string (local time, not UTC).
 const getTodayString = () => {
@@ -25,8 +26,10 @@ const formatDate = (dateStr) => {
   });
 };
 
+// End of day is per site — each shop reconciles its own case.
 export default function EndOfDayPage() {
-  const { user } = useAuth();
+  const { user }               = useAuth();
+  const { site, loadingSites } = useSite();
 
   // ─── Section 1: Reconciliation form ──────────────────────────────────────
   // Each entry in `rows` represents one fresh finished good to reconcile.
@@ -43,14 +46,19 @@ export default function EndOfDayPage() {
   const [historyLoading, setHistoryLoading] = useState(true);
 
   // Load history once on mount so past records are always visible.
+  // Switching site reloads it and drops any rows loaded for the old site.
   useEffect(() => {
+    if (loadingSites) return;
     const fetchHistory = async () => {
-      const data = await getEndOfDayRecords();
+      setRows([]);
+      setLoaded(false);
+      setHistoryLoading(true);
+      const data = await getEndOfDayRecords(site);
       setHistory(data);
       setHistoryLoading(false);
     };
     fetchHistory();
-  }, []);
+  }, [site, loadingSites]);
 
   // ─── Load today's inventory ───────────────────────────────────────────────
   // Fetches all finished goods, identifies which are "day-old" products
@@ -62,7 +70,7 @@ export default function EndOfDayPage() {
     setSubmitSuccess(false);
 
     try {
-      const allGoods = await getFinishedGoods();
+      const allGoods = await getFinishedGoods(site);
 
       // Build a Set of IDs that ARE someone else's day-old product.
       // We exclude these from the reconciliation — only fresh products
@@ -161,10 +169,10 @@ export default function EndOfDayPage() {
         notes: row.notes.trim(),
       }));
 
-      await addEndOfDayRecords(records, user?.email);
+      await addEndOfDayRecords(records, user?.email, site);
 
       // Refresh history to immediately include the records we just wrote.
-      const updatedHistory = await getEndOfDayRecords();
+      const updatedHistory = await getEndOfDayRecords(site);
       setHistory(updatedHistory);
 
       setRows([]);
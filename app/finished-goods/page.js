@@ -1,16 +1,23 @@
 // Client Component — required because we use React hooks (useState, useEffect).
 "use client";
 
-import { useState, useEffect } from "react";
-import { getFinishedGoods, addFinishedGood, updateFinishedGood, deleteFinishedGood } from "@/lib/firestore";
-
-// Full unit list from the project spec.
-// Defined outside the component so it's only created once.
-const UNIT_OPTIONS = ["g", "kg", "oz", "lbs", "ml", "L", "cups", "units", "dozen", "trays"];
+import { useState, useEffect, Fragment } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { useSite } from "@/context/SiteContext";
+import { getFinishedGoods, addFinishedGood, updateFinishedGood, deleteFinishedGood, getRecipes, getIngredients, getStorageLocations, getTransferOrders } from "@/lib/firestore";
+import { UNIT_OPTIONS, roundQuantity } from "@/lib/units";
+import { getFinishedGoodUnitCost } from "@/lib/recipes";
+import { describeLocationStock } from "@/lib/locations";
+import { getIncomingQuantities } from "@/lib/sites";
+import StockHistory from "@/components/StockHistory";
+import StockAdjustmentForm from "@/components/StockAdjustmentForm";
 
 // The main Finished Goods page.
 // Displays all finished goods in a table and includes a form to add new ones.
+// Stock is the current site's.
 export default function FinishedGoodsPage() {
+  const { user }               = useAuth();
+  const { site, loadingSites } = useSite();
 
   // ─── State ───────────────────────────────────────────────────────────────
   const [finishedGoods, setFinishedGoods] = useState([]);
@@ -23,6 +30,7 @@ export default function FinishedGoodsPage() {
     currentStock: "",
     lowStockThreshold: "",
     price: "",           // optional — selling price
+    defaultLocationId: "", // optional — where production output is put, e.g. the front case
   });
 
   const [submitting, setSubmitting] = useState(false);
@@ -34,16 +42,47 @@ export default function FinishedGoodsPage() {
   // Controls whether the Add Finished Good form is visible.
   const [showForm, setShowForm] = useState(false);
 
+  // Holds the ID of the finished good whose stock history panel is open, or null.
+  const [historyId, setHistoryId] = useState(null);
+
+  // Holds the ID of the finished good whose stock adjustment panel is open, or null.
+  const [adjustingId, setAdjustingId] = useState(null);
+
+  // Recipes and ingredients, only used to cost an adjustment at the rolled-up
+  // recipe cost (finished goods have no costPerUnit of their own).
+  const [recipes,     setRecipes]     = useState([]);
+  const [ingredients, setIngredients] = useState([]);
+
+  // Storage locations — the default location choice and the per-location
+  // breakdown under Current Stock.
+  const [locations, setLocations] = useState([]);
+
+  // Transfer orders to and from this site — what's in transit on its way here.
+  const [transferOrders, setTransferOrders] = useState([]);
+
   // ─── Initial data fetch ──────────────────────────────────────────────────
+  // Runs again when the site switcher changes site.
   useEffect(() => {
+    if (loadingSites) return;
     const fetchGoods = async () => {
-      const data = await getFinishedGoods();
+      setLoading(true);
+      const [data, recipeData, ingredientData, locationData, transferData] = await Promise.all([
+        getFinishedGoods(site),
+        getRecipes(),
+        getIngredients(),
+        getStorageLocations(site),
+        site ? getTransferOrders(site) : [],
+      ]);
       setFinishedGoods(data);
+      setRecipes(recipeData);
+      setIngredients(ingredientData);
+      setLocations(locationData);
+      setTransferOrders(transferData);
       setLoading(false);
     };
 
     fetchGoods();
-  }, []);
+  }, [site, loadingSites]);
 
   // ─── Edit handlers ───────────────────────────────────────────────────────
   // Enters edit mode for a row, seeding the edit form with the item's current values.
@@ -60,6 +99,7 @@ export default function FinishedGoodsPage() {
       price: item.price || "",
       // Pre-select the linked day-old product if one exists.
       dayOldFinishedGoodId: item.dayOldFinishedGoodId || "",
+      defaultLocationId: item.defaultLocationId || "",
     });
   };
 
@@ -77,6 +117,7 @@ export default function FinishedGoodsPage() {
 
   // Saves the edited row to Firestore and refreshes the list.
   const handleEditSave = async (id) => {
+    const item = finishedGoods.find((fg) => fg.id === id);
     try {
       // Look up the name of the linked day-old product so we can denormalize it.
       // Storing the name alongside the ID means the table can display it without
@@ -96,9 +137,14 @@ export default function FinishedGoodsPage() {
         // An empty string clears a previously linked product.
         dayOldFinishedGoodId:   editFormData.dayOldFinishedGoodId || "",
         dayOldFinishedGoodName: linkedDayOld?.name || "",
-      });
-
-      const updatedList = await getFinishedGoods();
+        // Left out when blank and unchanged, so a default location at
+        // another site isn't cleared by an edit made here.
+        ...(editFormData.defaultLocationId || item?.defaultLocationId
+          ? { defaultLocationId: editFormData.defaultLocationId }
+          : {}),
+      }, user?.email ?? "", site);
+
+      const updatedList = await getFinishedGoods(site);
       setFinishedGoods(updatedList);
 
     } catch (err) {
@@ -111,6 +157,13 @@ export default function FinishedGoodsPage() {
     }
   };
 
+  // ─── Adjustment handler ──────────────────────────────────────────────────
+  // Closes the adjustment panel and re-fetches so Current Stock shows the new balance.
+  const handleAdjusted = async () => {
+    setAdjustingId(null);
+    setFinishedGoods(await getFinishedGoods(site));
+  };
+
   // ─── Delete handler ──────────────────────────────────────────────────────
   const handleDelete = async (id, name) => {
     const confirmed = window.confirm(`Delete "${name}"? This cannot be undone.`);
@@ -120,7 +173,7 @@ export default function FinishedGoodsPage() {
 
     try {
       await deleteFinishedGood(id);
-      const updatedList = await getFinishedGoods();
+      const updatedList = await getFinishedGoods(site);
       setFinishedGoods(updatedList);
 
     } catch (err) {
@@ -147,7 +200,7 @@ export default function FinishedGoodsPage() {
   // Closes and resets the add form without saving.
   const handleCancelForm = () => {
     setShowForm(false);
-    setFormData({ name: "", sku: "", unit: "units", currentStock: "", lowStockThreshold: "", price: "" });
+    setFormData({ name: "", sku: "", unit: "units", currentStock: "", lowStockThreshold: "", price: "", defaultLocationId: "" });
     setError(null);
   };
 
@@ -195,12 +248,13 @@ export default function FinishedGoodsPage() {
         currentStock: parseFloat(formData.currentStock) || 0,
         lowStockThreshold: parseFloat(formData.lowStockThreshold) || 0,
         price: parseFloat(formData.price) || 0,
-      });
+        defaultLocationId: formData.defaultLocationId,
+      }, user?.email ?? "", site);
 
-      setFormData({ name: "", sku: "", unit: "units", currentStock: "", lowStockThreshold: "", price: "" });
+      setFormData({ name: "", sku: "", unit: "units", currentStock: "", lowStockThreshold: "", price: "", defaultLocationId: "" });
       setShowForm(false);
 
-      const updatedList = await getFinishedGoods();
+      const updatedList = await getFinishedGoods(site);
       setFinishedGoods(updatedList);
 
     } catch (err) {
@@ -221,6 +275,13 @@ export default function FinishedGoodsPage() {
     );
   }
 
+  // Archived locations aren't offered as a default, but an existing choice
+  // still shows in the breakdown.
+  const activeLocations = locations.filter((l) => l.status !== "archived");
+
+  // { [finishedGoodId]: quantity } shipped to this site and not yet received.
+  const incoming = getIncomingQuantities(transferOrders, site);
+
   // ─── Main render ─────────────────────────────────────────────────────────
   return (
     <div className="max-w-4xl mx-auto px-4 py-8 space-y-10">
@@ -348,7 +409,7 @@ export default function FinishedGoodsPage() {
               </div>
             </div>
 
-            {/* Price — optional, half-width */}
+            {/* Price and default location — both optional */}
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
               <div>
                 <label htmlFor="price" className="block text-sm font-medium text-stone-700 mb-1">
@@ -366,6 +427,21 @@ export default function FinishedGoodsPage() {
                   className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
                 />
               </div>
+              <div>
+                <label htmlFor="defaultLocationId" className="block text-sm font-medium text-stone-700 mb-1">
+                  Default Location <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <select
+                  id="defaultLocationId"
+                  name="defaultLocationId"
+                  value={formData.defaultLocationId}
+                  onChange={handleChange}
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                >
+                  <option value="">None</option>
+                  {activeLocations.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </select>
+              </div>
             </div>
 
             {error && (
@@ -406,6 +482,8 @@ export default function FinishedGoodsPage() {
               {finishedGoods.map((item) => {
                 const isLow = item.currentStock < item.lowStockThreshold;
                 const isEditing = item.id === editingId;
+                const isHistoryOpen = item.id === historyId;
+                const isAdjustOpen = item.id === adjustingId;
 
                 // ── Edit mode row ──────────────────────────────────────────
                 if (isEditing) {
@@ -457,6 +535,20 @@ export default function FinishedGoodsPage() {
                             If unsold stock is transferred to a day-old product at end of day, select it here.
                           </p>
                         </div>
+
+                        {/* Default location — where production output lands */}
+                        <div className="mt-2">
+                          <label className="block text-xs text-stone-500 mb-1">Default Location</label>
+                          <select
+                            name="defaultLocationId"
+                            value={editFormData.defaultLocationId ?? ""}
+                            onChange={handleEditChange}
+                            className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                          >
+                            <option value="">None</option>
+                            {activeLocations.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+                          </select>
+                        </div>
                       </td>
                       <td className="px-4 py-2">
                         <select
@@ -523,54 +615,115 @@ export default function FinishedGoodsPage() {
                 }
 
                 // ── Read mode row ──────────────────────────────────────────
+                // Plus the stock history panel underneath when it's open.
                 return (
-                  <tr key={item.id} className={isLow ? "bg-rose-50" : "hover:bg-stone-50"}>
-                    <td className="px-4 py-3">
-                      <div className="font-medium text-stone-800">{item.name}</div>
-                      {/* SKU — shown as a muted label under the name when set */}
-                      {item.sku && (
-                        <div className="text-xs text-stone-400 mt-0.5">SKU: {item.sku}</div>
-                      )}
-                      {/* Show the linked day-old product as a muted hint below the name */}
-                      {item.dayOldFinishedGoodName && (
-                        <div className="text-xs text-stone-400 mt-0.5">
-                          Day-old: {item.dayOldFinishedGoodName}
-                        </div>
-                      )}
-                    </td>
-                    <td className="px-4 py-3 text-stone-500">{item.unit}</td>
-                    <td className="px-4 py-3">
-                      <span className={isLow ? "text-rose-700 font-semibold" : "text-stone-700"}>
-                        {item.currentStock}
-                      </span>
-                      {isLow && (
-                        <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-rose-100 text-rose-700">
-                          Low
+                  <Fragment key={item.id}>
+                    <tr className={isLow ? "bg-rose-50" : "hover:bg-stone-50"}>
+                      <td className="px-4 py-3">
+                        <div className="font-medium text-stone-800">{item.name}</div>
+                        {/* SKU — shown as a muted label under the name when set */}
+                        {item.sku && (
+                          <div className="text-xs text-stone-400 mt-0.5">SKU: {item.sku}</div>
+                        )}
+                        {/* Show the linked day-old product as a muted hint below the name */}
+                        {item.dayOldFinishedGoodName && (
+                          <div className="text-xs text-stone-400 mt-0.5">
+                            Day-old: {item.dayOldFinishedGoodName}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-stone-500">{item.unit}</td>
+                      <td className="px-4 py-3">
+                        <span className={isLow ? "text-rose-700 font-semibold" : "text-stone-700"}>
+                          {item.currentStock}
                         </span>
-                      )}
-                    </td>
-                    <td className="px-4 py-3 text-stone-500">{item.lowStockThreshold}</td>
-                    <td className="px-4 py-3 text-stone-500">
-                      {/* Show formatted price, or a dash if no price was set */}
-                      {item.price ? `$${item.price.toFixed(2)}` : "—"}
-                    </td>
-                    <td className="px-4 py-3 flex gap-3">
-                      <button
-                        onClick={() => handleEditStart(item)}
-                        disabled={editingId !== null || deletingId === item.id}
-                        className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40 disabled:cursor-not-allowed"
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleDelete(item.id, item.name)}
-                        disabled={deletingId === item.id || editingId !== null}
-                        className="text-sm font-medium text-rose-600 hover:text-rose-800 disabled:opacity-40 disabled:cursor-not-allowed"
-                      >
-                        {deletingId === item.id ? "Deleting..." : "Delete"}
-                      </button>
-                    </td>
-                  </tr>
+                        {isLow && (
+                          <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-rose-100 text-rose-700">
+                            Low
+                          </span>
+                        )}
+                        {/* Where it is — once any stock has been put in a location */}
+                        {Object.keys(item.locationStock ?? {}).length > 0 && (
+                          <div className="text-xs text-stone-400 mt-0.5">
+                            {describeLocationStock(item, locations)
+                              .map((row) => `${row.name} ${row.quantity}`)
+                              .join(" · ")}
+                          </div>
+                        )}
+                        {/* On its way here from another site */}
+                        {incoming[item.id] > 0 && (
+                          <div className="text-xs text-amber-700 mt-0.5">
+                            +{incoming[item.id]} in transit
+                          </div>
+                        )}
+                        {/* The all-sites total, when other sites hold some too */}
+                        {item.totalStock !== undefined && roundQuantity(item.totalStock) !== item.currentStock && (
+                          <div className="text-xs text-stone-400 mt-0.5">
+                            {roundQuantity(item.totalStock)} across all sites
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-stone-500">{item.lowStockThreshold}</td>
+                      <td className="px-4 py-3 text-stone-500">
+                        {/* Show formatted price, or a dash if no price was set */}
+                        {item.price ? `$${item.price.toFixed(2)}` : "—"}
+                      </td>
+                      <td className="px-4 py-3 flex gap-3">
+                        <button
+                          onClick={() => setAdjustingId(isAdjustOpen ? null : item.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Adjust {isAdjustOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => setHistoryId(isHistoryOpen ? null : item.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          History {isHistoryOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleEditStart(item)}
+                          disabled={editingId !== null || deletingId === item.id}
+                          className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(item.id, item.name)}
+                          disabled={deletingId === item.id || editingId !== null}
+                          className="text-sm font-medium text-rose-600 hover:text-rose-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          {deletingId === item.id ? "Deleting..." : "Delete"}
+                        </button>
+                      </td>
+                    </tr>
+
+                    {/* ── Stock adjustment panel ── breakage, tastings and
+                        other losses, costed at the recipe's unit cost. */}
+                    {isAdjustOpen && (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          <StockAdjustmentForm
+                            itemType="finishedGood"
+                            item={item}
+                            unitCost={getFinishedGoodUnitCost(item.id, recipes, ingredients)}
+                            onAdjusted={handleAdjusted}
+                            onCancel={() => setAdjustingId(null)}
+                          />
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Stock history panel ── every movement in the
+                        inventory ledger, newest first. */}
+                    {isHistoryOpen && (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          <StockHistory itemType="finishedGood" itemId={item.id} unit={item.unit} />
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
                 );
               })}
             </tbody>
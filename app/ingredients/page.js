@@ -1,16 +1,83 @@
 // Client Component — required because we use React hooks (useState, useEffect).
 "use client";
 
-import { useState, useEffect } from "react";
-import { getIngredients, addIngredient, updateIngredient, deleteIngredient } from "@/lib/firestore";
+import { useState, useEffect, Fragment } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { useSite } from "@/context/SiteContext";
+import { getIngredients, getIngredientLots, addIngredient, updateIngredient, deleteIngredient, getSuppliers, getWorkOrders, getPurchaseOrders, getStorageLocations } from "@/lib/firestore";
+import { UNIT_OPTIONS, canConvert, incompatibleUnitMessage, roundQuantity } from "@/lib/units";
+import { getStockAvailability } from "@/lib/inventory";
+import { getCountScopeOptions } from "@/lib/stockCounts";
+import { describeLocationStock } from "@/lib/locations";
+import { formatAllergens } from "@/lib/allergens";
+import { NUTRIENTS, hasNutrition } from "@/lib/nutrition";
+import StockHistory from "@/components/StockHistory";
+import PriceHistory from "@/components/PriceHistory";
+import AllergenCheckboxes from "@/components/AllergenCheckboxes";
+import StockAdjustmentForm from "@/components/StockAdjustmentForm";
 
-// The fixed list of unit options for the dropdown.
-// Defined outside the component so it's created once, not on every render.
-const UNIT_OPTIONS = ["g", "kg", "oz", "lbs", "ml", "L", "cups", "units", "dozen", "trays"];
+
+// Default look-ahead window for the "expiring soon" flag, in days.
+const DEFAULT_EXPIRY_DAYS = 7;
+
+// Returns the number of whole days from today until a "YYYY-MM-DD" date.
+// Negative means the date has already passed; null means no date was set.
+// Both dates are parsed at local noon so a DST change can't shift the result.
+const daysUntil = (dateStr) => {
+  if (!dateStr) return null;
+  const today = new Date();
+  today.setHours(12, 0, 0, 0);
+  const target = new Date(`${dateStr}T12:00:00`);
+  return Math.round((target - today) / (1000 * 60 * 60 * 24));
+};
+
+// Converts a "YYYY-MM-DD" date string to "MM/DD/YYYY" for display.
+const formatDate = (dateStr) => {
+  if (!dateStr) return "—";
+  const [year, month, day] = dateStr.split("-");
+  return `${month}/${day}/${year}`;
+};
+
+// Returns the supplier panel's form values for one supplier slot
+// (preferredSupplier or alternateSupplier). Numbers become strings so the
+// inputs can be cleared; a missing slot gives blank fields.
+// packUnit defaults to the ingredient's stock unit, which is what terms saved
+// before pack units existed were measured in.
+const supplierTermsToForm = (terms, stockUnit) => ({
+  supplierId:       terms?.supplierId       ?? "",
+  supplierItemCode: terms?.supplierItemCode ?? "",
+  packSize:         terms?.packSize     ? String(terms.packSize)     : "",
+  packUnit:         terms?.packUnit     || stockUnit,
+  packName:         terms?.packName     ?? "",
+  minPacks:         terms?.minPacks     ? String(terms.minPacks)     : "",
+  packMultiple:     terms?.packMultiple ? String(terms.packMultiple) : "",
+  packPrice:        terms?.packPrice    ? String(terms.packPrice)    : "",
+});
+
+// The reverse of supplierTermsToForm: the object saved on the ingredient,
+// or null when no supplier is selected. supplierName is snapshotted so
+// purchasing can label POs without fetching suppliers again.
+const formToSupplierTerms = (form, suppliers) => {
+  if (!form.supplierId) return null;
+  return {
+    supplierId:       form.supplierId,
+    supplierName:     suppliers.find((s) => s.id === form.supplierId)?.name ?? "",
+    supplierItemCode: form.supplierItemCode.trim(),
+    packSize:         parseFloat(form.packSize)     || 0,
+    packUnit:         form.packUnit,
+    packName:         form.packName.trim(),
+    minPacks:         parseInt(form.minPacks)       || 0,
+    packMultiple:     parseInt(form.packMultiple)   || 0,
+    packPrice:        parseFloat(form.packPrice)    || 0,
+  };
+};
 
 // The main Ingredients page.
 // Displays all ingredients in a table and includes a form to add new ones.
 export default function IngredientsPage() {
+  const { user }               = useAuth();
+  // Stock, work orders and locations are the current site's.
+  const { site, loadingSites } = useSite();
 
   // ─── State ───────────────────────────────────────────────────────────────
   // Holds the array of ingredients fetched from Firestore.
@@ -24,10 +91,18 @@ export default function IngredientsPage() {
   const [formData, setFormData] = useState({
     name: "",
     supplierCode: "",    // optional — e.g. GFS-FLOUR-APF
+    category: "",        // optional — e.g. Dairy; groups stock counts and reports
+    storageArea: "",     // optional — e.g. Walk-in cooler; groups stock counts
+    defaultLocationId: "", // optional — the storage location new stock lands in
     unit: "lbs",         // default to the most common unit
     currentStock: "",
     lowStockThreshold: "",
+    parLevel: "",        // optional — the level reorder suggestions top stock back up to
     costPerUnit: "",     // optional — used for recipe costing
+    densityGPerMl: "",   // optional — lets recipes use volume units for a mass-stocked item
+    gramsPerEach: "",    // optional — lets recipes use count units for a mass-stocked item
+    allergens: [],       // allergen keys it contains — see lib/allergens.js
+    mayContain: [],      // allergen keys it may contain (cross-contact)
   });
 
   // True while the addIngredient() call is in flight. Used to disable the
@@ -54,18 +129,254 @@ export default function IngredientsPage() {
   // Controls whether the Add Ingredient form is visible.
   const [showForm, setShowForm] = useState(false);
 
+  // Every ingredient lot (see lib/firestore.js — INGREDIENT LOTS). Grouped by
+  // ingredient at render time rather than stored pre-grouped.
+  const [lots, setLots] = useState([]);
+
+  // Holds the ID of the ingredient whose lot panel is open, or null.
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Holds the ID of the ingredient whose stock history panel is open, or null.
+  const [historyId, setHistoryId] = useState(null);
+
+  // Holds the ID of the ingredient whose price history panel is open, or null.
+  const [pricesId, setPricesId] = useState(null);
+
+  // Holds the ID of the ingredient whose allergen panel is open, or null,
+  // and the allergens being edited there ({ allergens, mayContain }).
+  const [allergensId, setAllergensId] = useState(null);
+  const [allergenDraft, setAllergenDraft] = useState({ allergens: [], mayContain: [] });
+  const [savingAllergens, setSavingAllergens] = useState(false);
+
+  // Holds the ID of the ingredient whose nutrition panel is open, or null,
+  // and the values being edited there: { labelName, values: { [key]: "12.5" } }.
+  const [nutritionId, setNutritionId] = useState(null);
+  const [nutritionDraft, setNutritionDraft] = useState({ labelName: "", values: {} });
+  const [savingNutrition, setSavingNutrition] = useState(false);
+
+  // Holds the ID of the ingredient whose stock adjustment panel is open, or null.
+  const [adjustingId, setAdjustingId] = useState(null);
+
+  // Every supplier, including archived ones (so an ingredient still pointing at
+  // an archived supplier shows its name). Only active ones are offered.
+  const [suppliers, setSuppliers] = useState([]);
+
+  // Holds the ID of the ingredient whose supplier panel is open, or null,
+  // plus that panel's form values: { preferred: {...}, alternate: {...} }.
+  const [supplierPanelId, setSupplierPanelId] = useState(null);
+  const [supplierForm,    setSupplierForm]    = useState(null);
+  const [savingSuppliers, setSavingSuppliers] = useState(false);
+
+  // Work orders and purchase orders, only used to work out the Allocated,
+  // On Order and Available columns (see lib/inventory.js).
+  const [workOrders,     setWorkOrders]     = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+
+  // Storage locations — the default location choice and the per-location
+  // breakdown under Current Stock (see lib/locations.js).
+  const [locations, setLocations] = useState([]);
+
+  // How many days ahead a best-before date counts as "expiring soon".
+  // Kept as a string so the number input can be cleared while typing.
+  const [expiryDays, setExpiryDays] = useState(String(DEFAULT_EXPIRY_DAYS));
+
   // ─── Initial data fetch ──────────────────────────────────────────────────
-  // Runs once when the component first mounts. Fetches all ingredients and
-  // stores them in state, then hides the loading message.
+  // Runs once when the component first mounts. Fetches all ingredients,
+  // their lots, and the orders behind the availability columns in parallel,
+  // then hides the loading message. Runs again when the site is switched.
   useEffect(() => {
+    if (loadingSites) return;
     const fetchIngredients = async () => {
-      const data = await getIngredients();
-      setIngredients(data);
-      setLoading(false);
+      setLoading(true);
+      try {
+        const [data, lotData, supplierData, woData, poData, locationData] = await Promise.all([
+          getIngredients(site),
+          getIngredientLots(),
+          getSuppliers(),
+          getWorkOrders(site),
+          getPurchaseOrders(),
+          getStorageLocations(site),
+        ]);
+        setIngredients(data);
+        setLots(lotData);
+        setSuppliers(supplierData);
+        setWorkOrders(woData);
+        setPurchaseOrders(poData);
+        setLocations(locationData);
+      } catch (err) {
+        console.error("Failed to load ingredients:", err);
+      } finally {
+        setLoading(false);
+      }
     };
 
     fetchIngredients();
-  }, []);
+  }, [site, loadingSites]);
+
+  // ─── Lot panel toggle ────────────────────────────────────────────────────
+  // Clicking the same row's Lots button a second time collapses it.
+  const handleToggleLots = (id) => {
+    setExpandedId((prev) => (prev === id ? null : id));
+  };
+
+  // Same toggle for the stock history panel.
+  const handleToggleHistory = (id) => {
+    setHistoryId((prev) => (prev === id ? null : id));
+  };
+
+  // And for the price history panel.
+  const handleTogglePrices = (id) => {
+    setPricesId((prev) => (prev === id ? null : id));
+  };
+
+  // And for the allergen panel, which starts from the saved flags.
+  const handleToggleAllergens = (item) => {
+    if (allergensId === item.id) {
+      setAllergensId(null);
+      return;
+    }
+    setAllergenDraft({ allergens: item.allergens ?? [], mayContain: item.mayContain ?? [] });
+    setAllergensId(item.id);
+  };
+
+  // Saves the allergen panel. Recipes and the allergen report pick the
+  // change up the next time they load.
+  const handleSaveAllergens = async (id) => {
+    setSavingAllergens(true);
+    try {
+      await updateIngredient(id, {
+        allergens: allergenDraft.allergens,
+        mayContain: allergenDraft.mayContain,
+      }, user?.email ?? "", site);
+      const updatedList = await getIngredients(site);
+      setIngredients(updatedList);
+      setAllergensId(null);
+    } catch (err) {
+      console.error("Failed to save allergens:", err);
+      window.alert("Failed to save allergens. Please try again.");
+    } finally {
+      setSavingAllergens(false);
+    }
+  };
+
+  // And for the nutrition panel, seeded with the saved values as strings.
+  const handleToggleNutrition = (item) => {
+    if (nutritionId === item.id) {
+      setNutritionId(null);
+      return;
+    }
+    const saved = item.nutritionPer100g ?? {};
+    setNutritionDraft({
+      labelName: item.labelName || "",
+      values: Object.fromEntries(NUTRIENTS.map((n) => [n.key, String(saved[n.key] ?? "")])),
+    });
+    setNutritionId(item.id);
+  };
+
+  // Saves the nutrition panel. Blank boxes are left out of nutritionPer100g
+  // rather than saved as 0, so "not entered" stays visible.
+  const handleSaveNutrition = async (id) => {
+    const nutritionPer100g = {};
+    for (const n of NUTRIENTS) {
+      const raw = nutritionDraft.values[n.key]?.trim() ?? "";
+      if (raw === "") continue;
+      const value = parseFloat(raw);
+      if (Number.isNaN(value) || value < 0) {
+        window.alert(`${n.label} must be a number, 0 or more.`);
+        return;
+      }
+      nutritionPer100g[n.key] = value;
+    }
+    setSavingNutrition(true);
+    try {
+      await updateIngredient(id, {
+        nutritionPer100g,
+        labelName: nutritionDraft.labelName.trim(),
+      }, user?.email ?? "", site);
+      const updatedList = await getIngredients(site);
+      setIngredients(updatedList);
+      setNutritionId(null);
+    } catch (err) {
+      console.error("Failed to save nutrition:", err);
+      window.alert("Failed to save nutrition values. Please try again.");
+    } finally {
+      setSavingNutrition(false);
+    }
+  };
+
+  // And for the stock adjustment panel.
+  const handleToggleAdjust = (id) => {
+    setAdjustingId((prev) => (prev === id ? null : id));
+  };
+
+  // Closes the adjustment panel and re-fetches so Current Stock shows the new balance.
+  const handleAdjusted = async () => {
+    setAdjustingId(null);
+    setIngredients(await getIngredients(site));
+  };
+
+  // ─── Supplier panel ──────────────────────────────────────────────────────
+  // Opens the panel seeded from the ingredient's saved supplier terms.
+  // Clicking the same row's Suppliers button again closes it without saving.
+  const handleToggleSuppliers = (item) => {
+    if (supplierPanelId === item.id) {
+      setSupplierPanelId(null);
+      setSupplierForm(null);
+      return;
+    }
+    setSupplierPanelId(item.id);
+    setSupplierForm({
+      preferred: supplierTermsToForm(item.preferredSupplier, item.unit),
+      alternate: supplierTermsToForm(item.alternateSupplier, item.unit),
+    });
+  };
+
+  // Updates one field of one slot. `slot` is "preferred" or "alternate".
+  const handleSupplierFormChange = (slot, field, value) => {
+    setSupplierForm((prev) => ({
+      ...prev,
+      [slot]: { ...prev[slot], [field]: value },
+    }));
+  };
+
+  // Saves both supplier slots onto the ingredient.
+  const handleSaveSuppliers = async (item) => {
+    const { id } = item;
+    const { preferred, alternate } = supplierForm;
+    if (!preferred.supplierId && alternate.supplierId) {
+      window.alert("Set a preferred supplier before adding an alternate.");
+      return;
+    }
+    if (preferred.supplierId && preferred.supplierId === alternate.supplierId) {
+      window.alert("The alternate supplier must be different from the preferred supplier.");
+      return;
+    }
+    // A pack unit that can't convert to the stock unit would make purchasing
+    // unable to round to packs — same rule as recipe lines.
+    for (const form of [preferred, alternate]) {
+      if (form.supplierId && parseFloat(form.packSize) > 0 && !canConvert(form.packUnit, item.unit, item)) {
+        window.alert(incompatibleUnitMessage(item.name, form.packUnit, item.unit));
+        return;
+      }
+    }
+
+    setSavingSuppliers(true);
+    try {
+      await updateIngredient(id, {
+        preferredSupplier: formToSupplierTerms(preferred, suppliers),
+        alternateSupplier: formToSupplierTerms(alternate, suppliers),
+      });
+      const updatedList = await getIngredients(site);
+      setIngredients(updatedList);
+      setSupplierPanelId(null);
+      setSupplierForm(null);
+    } catch (err) {
+      console.error("Failed to save ingredient suppliers:", err);
+      window.alert("Failed to save suppliers. Please try again.");
+    } finally {
+      setSavingSuppliers(false);
+    }
+  };
 
   // ─── Edit handlers ───────────────────────────────────────────────────────
   // Enters edit mode for a specific row.
@@ -76,10 +387,16 @@ export default function IngredientsPage() {
     setEditFormData({
       name: item.name,
       supplierCode: item.supplierCode || "",
+      category: item.category || "",
+      storageArea: item.storageArea || "",
+      defaultLocationId: item.defaultLocationId || "",
       unit: item.unit,
       currentStock: item.currentStock,
       lowStockThreshold: item.lowStockThreshold,
+      parLevel: item.parLevel || "",
       costPerUnit: item.costPerUnit || "",
+      densityGPerMl: item.densityGPerMl || "",
+      gramsPerEach: item.gramsPerEach || "",
     });
   };
 
@@ -100,19 +417,30 @@ export default function IngredientsPage() {
 
   // Saves the edited row to Firestore, then refreshes the list and exits edit mode.
   const handleEditSave = async (id) => {
+    const item = ingredients.find((i) => i.id === id);
     try {
       await updateIngredient(id, {
         name: editFormData.name.trim(),
         supplierCode: editFormData.supplierCode?.trim() || "",
+        category: editFormData.category?.trim() || "",
+        storageArea: editFormData.storageArea?.trim() || "",
+        // Left out when blank and unchanged, so a default location at
+        // another site isn't cleared by an edit made here.
+        ...(editFormData.defaultLocationId || item?.defaultLocationId
+          ? { defaultLocationId: editFormData.defaultLocationId }
+          : {}),
         unit: editFormData.unit,
         // Convert string inputs back to numbers, fall back to 0 if empty
         currentStock: parseFloat(editFormData.currentStock) || 0,
         lowStockThreshold: parseFloat(editFormData.lowStockThreshold) || 0,
+        parLevel: parseFloat(editFormData.parLevel) || 0,
         costPerUnit: parseFloat(editFormData.costPerUnit) || 0,
-      });
+        densityGPerMl: parseFloat(editFormData.densityGPerMl) || 0,
+        gramsPerEach: parseFloat(editFormData.gramsPerEach) || 0,
+      }, user?.email ?? "", site);
 
       // Re-fetch so the table reflects the saved values
-      const updatedList = await getIngredients();
+      const updatedList = await getIngredients(site);
       setIngredients(updatedList);
 
     } catch (err) {
@@ -142,7 +470,7 @@ export default function IngredientsPage() {
       await deleteIngredient(id);
 
       // Re-fetch the list so the deleted row disappears without a page reload.
-      const updatedList = await getIngredients();
+      const updatedList = await getIngredients(site);
       setIngredients(updatedList);
 
     } catch (err) {
@@ -175,7 +503,7 @@ export default function IngredientsPage() {
   // Closes and resets the add form without saving.
   const handleCancelForm = () => {
     setShowForm(false);
-    setFormData({ name: "", supplierCode: "", unit: "lbs", currentStock: "", lowStockThreshold: "", costPerUnit: "" });
+    setFormData({ name: "", supplierCode: "", category: "", storageArea: "", defaultLocationId: "", unit: "lbs", currentStock: "", lowStockThreshold: "", parLevel: "", costPerUnit: "", densityGPerMl: "", gramsPerEach: "", allergens: [], mayContain: [] });
     setError(null);
   };
 
@@ -213,19 +541,29 @@ export default function IngredientsPage() {
       await addIngredient({
         name: formData.name.trim(),
         supplierCode: formData.supplierCode.trim(),
+        category: formData.category.trim(),
+        storageArea: formData.storageArea.trim(),
+        defaultLocationId: formData.defaultLocationId,
         unit: formData.unit,
         currentStock: parseFloat(formData.currentStock) || 0,
         lowStockThreshold: parseFloat(formData.lowStockThreshold) || 0,
+        // 0 means "no par set" — reorder suggestions then top up to the threshold.
+        parLevel: parseFloat(formData.parLevel) || 0,
         costPerUnit: parseFloat(formData.costPerUnit) || 0,
-      });
+        // 0 means "not set" — lib/units.js only uses a factor when it's > 0.
+        densityGPerMl: parseFloat(formData.densityGPerMl) || 0,
+        gramsPerEach: parseFloat(formData.gramsPerEach) || 0,
+        allergens: formData.allergens,
+        mayContain: formData.mayContain,
+      }, user?.email ?? "", site);
 
       // Reset the form back to its initial empty state and close it.
-      setFormData({ name: "", supplierCode: "", unit: "lbs", currentStock: "", lowStockThreshold: "", costPerUnit: "" });
+      setFormData({ name: "", supplierCode: "", category: "", storageArea: "", defaultLocationId: "", unit: "lbs", currentStock: "", lowStockThreshold: "", parLevel: "", costPerUnit: "", densityGPerMl: "", gramsPerEach: "", allergens: [], mayContain: [] });
       setShowForm(false);
 
       // Re-fetch the full list from Firestore so the new ingredient appears
       // in the table immediately without a full page reload.
-      const updatedList = await getIngredients();
+      const updatedList = await getIngredients(site);
       setIngredients(updatedList);
 
     } catch (err) {
@@ -251,11 +589,56 @@ export default function IngredientsPage() {
     );
   }
 
+  // ─── Derived lot data ────────────────────────────────────────────────────
+  // Only lots with stock left matter here — consumed lots are history.
+  // Each lot gets a `daysLeft` (null when no best-before date was entered)
+  // and an `expiring` flag when it falls inside the chosen window.
+  const windowDays = parseInt(expiryDays) >= 0 ? parseInt(expiryDays) : DEFAULT_EXPIRY_DAYS;
+
+  const openLotsByIngredient = {};
+  for (const lot of lots) {
+    if (!(lot.quantityRemaining > 0)) continue;
+    const daysLeft = daysUntil(lot.bestBefore);
+    const entry = { ...lot, daysLeft, expiring: daysLeft !== null && daysLeft <= windowDays };
+    if (openLotsByIngredient[lot.ingredientId]) {
+      openLotsByIngredient[lot.ingredientId].push(entry);
+    } else {
+      openLotsByIngredient[lot.ingredientId] = [entry];
+    }
+  }
+
+  // Allocated / on order / available-to-promise per ingredient, keyed by ID.
+  const availability = getStockAvailability(ingredients, workOrders, purchaseOrders);
+
+  // Categories and storage areas already in use — suggested in the forms.
+  const { categories, storageAreas } = getCountScopeOptions(ingredients);
+  // Archived locations aren't offered as a default, but an existing choice
+  // still shows in the breakdown.
+  const activeLocations = locations.filter((l) => l.status !== "archived");
+
+  const expiringLotCount = Object.values(openLotsByIngredient)
+    .flat()
+    .filter((lot) => lot.expiring).length;
+
+  // Suppliers offered in a supplier panel dropdown: the active ones, plus the
+  // one already selected even if it's since been archived, so it doesn't
+  // silently vanish from the select.
+  const supplierOptions = (selectedId) =>
+    suppliers.filter((s) => s.status === "active" || s.id === selectedId);
+
   // ─── Main render ─────────────────────────────────────────────────────────
   // Collapsible add form appears first; the table renders below it.
   return (
     <div className="max-w-4xl mx-auto px-4 py-8 space-y-10">
 
+      {/* Suggestions for the category and storage area inputs */}
+      <datalist id="category-options">
+        {categories.map((c) => <option key={c} value={c} />)}
+      </datalist>
+      <datalist id="storage-area-options">
+        {storageAreas.map((a) => <option key={a} value={a} />)}
+      </datalist>
+
       {/* ── Page header ── */}
       <div className="flex items-center justify-between">
         <div>
@@ -323,6 +706,58 @@ export default function IngredientsPage() {
               </div>
             </div>
 
+            {/* Category and Storage Area — both free text, with the values
+                already in use offered as suggestions. Stock counts are
+                started for one category or storage area. Default Location is
+                where deliveries and the opening stock are put away. */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="category" className="block text-sm font-medium text-stone-700 mb-1">
+                  Category <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="category"
+                  name="category"
+                  type="text"
+                  list="category-options"
+                  value={formData.category}
+                  onChange={handleChange}
+                  placeholder="e.g. Dairy"
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="storageArea" className="block text-sm font-medium text-stone-700 mb-1">
+                  Storage Area <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="storageArea"
+                  name="storageArea"
+                  type="text"
+                  list="storage-area-options"
+                  value={formData.storageArea}
+                  onChange={handleChange}
+                  placeholder="e.g. Walk-in cooler"
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="defaultLocationId" className="block text-sm font-medium text-stone-700 mb-1">
+                  Default Location <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <select
+                  id="defaultLocationId"
+                  name="defaultLocationId"
+                  value={formData.defaultLocationId}
+                  onChange={handleChange}
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                >
+                  <option value="">None</option>
+                  {activeLocations.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </select>
+              </div>
+            </div>
+
             {/* Unit and Cost per Unit on the same row */}
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
               <div>
@@ -360,7 +795,7 @@ export default function IngredientsPage() {
             </div>
 
             {/* Stock numbers on the same row */}
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
               <div>
                 <label htmlFor="currentStock" className="block text-sm font-medium text-stone-700 mb-1">
                   Current Stock
@@ -393,6 +828,84 @@ export default function IngredientsPage() {
                   className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
                 />
               </div>
+              {/* Par level — when stock falls below the alert level, the
+                  purchasing page suggests ordering back up to this. */}
+              <div>
+                <label htmlFor="parLevel" className="block text-sm font-medium text-stone-700 mb-1">
+                  Reorder Up To <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="parLevel"
+                  name="parLevel"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={formData.parLevel}
+                  onChange={handleChange}
+                  placeholder="Par level"
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            {/* Conversion factors — only needed when recipes measure this
+                ingredient in a different kind of unit than it's stocked in
+                (e.g. honey stocked in kg but measured in cups). */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="densityGPerMl" className="block text-sm font-medium text-stone-700 mb-1">
+                  Density (g per ml) <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="densityGPerMl"
+                  name="densityGPerMl"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={formData.densityGPerMl}
+                  onChange={handleChange}
+                  placeholder="e.g. 1.42 for honey"
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="gramsPerEach" className="block text-sm font-medium text-stone-700 mb-1">
+                  Each weighs (g) <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="gramsPerEach"
+                  name="gramsPerEach"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={formData.gramsPerEach}
+                  onChange={handleChange}
+                  placeholder="e.g. 50 for an egg"
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            {/* Allergens — roll up through recipes to the products they make */}
+            <div className="space-y-3">
+              <div>
+                <p className="block text-sm font-medium text-stone-700 mb-2">Contains</p>
+                <AllergenCheckboxes
+                  idPrefix="add-contains"
+                  selected={formData.allergens}
+                  onChange={(keys) => setFormData((prev) => ({ ...prev, allergens: keys }))}
+                />
+              </div>
+              <div>
+                <p className="block text-sm font-medium text-stone-700 mb-2">
+                  May contain <span className="text-stone-500 font-normal">(cross-contact)</span>
+                </p>
+                <AllergenCheckboxes
+                  idPrefix="add-may"
+                  selected={formData.mayContain}
+                  onChange={(keys) => setFormData((prev) => ({ ...prev, mayContain: keys }))}
+                />
+              </div>
             </div>
 
             {/* Error message — only rendered when error is not null */}
@@ -413,6 +926,31 @@ export default function IngredientsPage() {
         </div>
       )}
 
+      {/* ── Expiry window + expiring lots summary ── */}
+      {ingredients.length > 0 && (
+        <div className={`flex items-center justify-between gap-4 flex-wrap rounded-md border px-4 py-3 ${
+          expiringLotCount > 0 ? "border-amber-200 bg-amber-50" : "border-stone-200 bg-stone-50"
+        }`}>
+          <p className={`text-sm ${expiringLotCount > 0 ? "font-medium text-amber-800" : "text-stone-500"}`}>
+            {expiringLotCount > 0
+              ? `⚠ ${expiringLotCount} lot${expiringLotCount !== 1 ? "s" : ""} expired or expiring within ${windowDays} day${windowDays !== 1 ? "s" : ""}`
+              : `No lots expiring within ${windowDays} day${windowDays !== 1 ? "s" : ""}`}
+          </p>
+          <label className="flex items-center gap-2 text-xs text-stone-500">
+            Expiring within
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={expiryDays}
+              onChange={(e) => setExpiryDays(e.target.value)}
+              className="w-16 rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+            />
+            days
+          </label>
+        </div>
+      )}
+
       {/* ── Ingredients table (or empty message) ── */}
       {ingredients.length === 0 ? (
         <p className="text-stone-500 text-sm">No ingredients yet. Add one above.</p>
@@ -425,6 +963,9 @@ export default function IngredientsPage() {
                 <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Name</th>
                 <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Unit</th>
                 <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Current Stock</th>
+                <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider" title="Needed by planned and in-progress work orders">Allocated</th>
+                <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider" title="Ordered on open purchase orders, not yet received">On Order</th>
+                <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider" title="Available to promise: current stock − allocated + on order">Available</th>
                 <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Low Stock Alert</th>
                 <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Actions</th>
               </tr>
@@ -434,6 +975,20 @@ export default function IngredientsPage() {
               {ingredients.map((item) => {
                 const isLow = item.currentStock < item.lowStockThreshold;
                 const isEditing = item.id === editingId;
+                const isExpanded = item.id === expandedId;
+                const isSupplierPanelOpen = item.id === supplierPanelId;
+                const isHistoryOpen = item.id === historyId;
+                const isPricesOpen = item.id === pricesId;
+                const isAllergensOpen = item.id === allergensId;
+                const isNutritionOpen = item.id === nutritionId;
+                const isAdjustOpen = item.id === adjustingId;
+                const itemLots = openLotsByIngredient[item.id] ?? [];
+                const expiringCount = itemLots.filter((lot) => lot.expiring).length;
+                // Stock not covered by any lot — usually entered before lot
+                // tracking existed, or adjusted by hand on this page.
+                const lottedTotal = itemLots.reduce((sum, lot) => sum + lot.quantityRemaining, 0);
+                const unlotted = Math.max(0, item.currentStock - lottedTotal);
+                const stock = availability[item.id];
 
                 // ── Edit mode row ──────────────────────────────────────────
                 // Replaces plain text cells with input fields pre-filled with
@@ -449,6 +1004,44 @@ export default function IngredientsPage() {
                           onChange={handleEditChange}
                           className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
                         />
+                        {/* Category and storage area — optional, stacked below the name */}
+                        <div className="mt-2 grid grid-cols-2 gap-2">
+                          <div>
+                            <label className="block text-xs text-stone-500 mb-1">Category</label>
+                            <input
+                              name="category"
+                              type="text"
+                              list="category-options"
+                              value={editFormData.category ?? ""}
+                              onChange={handleEditChange}
+                              className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-xs text-stone-500 mb-1">Storage area</label>
+                            <input
+                              name="storageArea"
+                              type="text"
+                              list="storage-area-options"
+                              value={editFormData.storageArea ?? ""}
+                              onChange={handleEditChange}
+                              className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                            />
+                          </div>
+                        </div>
+                        {/* Default location — where new stock of this ingredient lands */}
+                        <div className="mt-2">
+                          <label className="block text-xs text-stone-500 mb-1">Default location</label>
+                          <select
+                            name="defaultLocationId"
+                            value={editFormData.defaultLocationId ?? ""}
+                            onChange={handleEditChange}
+                            className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                          >
+                            <option value="">None</option>
+                            {activeLocations.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+                          </select>
+                        </div>
                         {/* Supplier Code — optional, stacked below the name input in edit mode */}
                         <div className="mt-2">
                           <label className="block text-xs text-stone-500 mb-1">
@@ -479,6 +1072,33 @@ export default function IngredientsPage() {
                             className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
                           />
                         </div>
+                        {/* Conversion factors — optional, for recipes measured in other unit kinds */}
+                        <div className="mt-2 grid grid-cols-2 gap-2">
+                          <div>
+                            <label className="block text-xs text-stone-500 mb-1">g per ml</label>
+                            <input
+                              name="densityGPerMl"
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={editFormData.densityGPerMl ?? ""}
+                              onChange={handleEditChange}
+                              className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-xs text-stone-500 mb-1">Each weighs (g)</label>
+                            <input
+                              name="gramsPerEach"
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={editFormData.gramsPerEach ?? ""}
+                              onChange={handleEditChange}
+                              className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                            />
+                          </div>
+                        </div>
                       </td>
                       <td className="px-4 py-2">
                         <select
@@ -503,6 +1123,10 @@ export default function IngredientsPage() {
                           className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
                         />
                       </td>
+                      {/* Availability is computed, not edited */}
+                      <td className="px-4 py-2 text-stone-400">{roundQuantity(stock.allocated)}</td>
+                      <td className="px-4 py-2 text-stone-400">{roundQuantity(stock.onOrder)}</td>
+                      <td className="px-4 py-2 text-stone-400">{roundQuantity(stock.atp)}</td>
                       <td className="px-4 py-2">
                         <input
                           name="lowStockThreshold"
@@ -513,6 +1137,17 @@ export default function IngredientsPage() {
                           onChange={handleEditChange}
                           className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
                         />
+                        <input
+                          name="parLevel"
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={editFormData.parLevel}
+                          onChange={handleEditChange}
+                          placeholder="Par"
+                          title="Reorder up to (par level)"
+                          className="mt-1 w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                        />
                       </td>
                       <td className="px-4 py-2 flex gap-3">
                         <button
@@ -533,54 +1168,564 @@ export default function IngredientsPage() {
                 }
 
                 // ── Read mode row ──────────────────────────────────────────
-                // The normal display. Unchanged from the original, except we
-                // now also render an Edit button in the Actions column.
+                // The normal display, plus a lot panel underneath when this
+                // row's Lots button is toggled open.
                 return (
-                  <tr key={item.id} className={isLow ? "bg-rose-50" : "hover:bg-stone-50"}>
-                    <td className="px-4 py-3">
-                      <div className="font-medium text-stone-800">{item.name}</div>
-                      {/* Supplier code — shown as a muted label under the name when set */}
-                      {item.supplierCode && (
-                        <div className="text-xs text-stone-400 mt-0.5">Code: {item.supplierCode}</div>
-                      )}
-                      {/* Cost per unit — shown as a muted label when set and greater than 0 */}
-                      {item.costPerUnit > 0 && (
-                        <div className="text-xs text-stone-400 mt-0.5">
-                          ${item.costPerUnit.toFixed(2)}/{item.unit}
-                        </div>
-                      )}
-                    </td>
-                    <td className="px-4 py-3 text-stone-500">{item.unit}</td>
-                    <td className="px-4 py-3">
-                      <span className={isLow ? "text-rose-700 font-semibold" : "text-stone-700"}>
-                        {item.currentStock}
-                      </span>
-                      {isLow && (
-                        <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-rose-100 text-rose-700">
-                          Low
+                  <Fragment key={item.id}>
+                    <tr className={isLow ? "bg-rose-50" : "hover:bg-stone-50"}>
+                      <td className="px-4 py-3">
+                        <div className="font-medium text-stone-800">{item.name}</div>
+                        {/* Category · storage area — muted, when either is set */}
+                        {(item.category || item.storageArea) && (
+                          <div className="text-xs text-stone-400 mt-0.5">
+                            {[item.category, item.storageArea].filter(Boolean).join(" · ")}
+                          </div>
+                        )}
+                        {/* Allergens — "contains" in rose, "may contain" muted */}
+                        {item.allergens?.length > 0 && (
+                          <div className="text-xs text-rose-600 mt-0.5">Contains: {formatAllergens(item.allergens)}</div>
+                        )}
+                        {item.mayContain?.length > 0 && (
+                          <div className="text-xs text-stone-400 mt-0.5">May contain: {formatAllergens(item.mayContain)}</div>
+                        )}
+                        {/* Supplier code — shown as a muted label under the name when set */}
+                        {item.supplierCode && (
+                          <div className="text-xs text-stone-400 mt-0.5">Code: {item.supplierCode}</div>
+                        )}
+                        {/* Cost per unit — shown as a muted label when set and greater than 0 */}
+                        {item.costPerUnit > 0 && (
+                          <div className="text-xs text-stone-400 mt-0.5">
+                            ${item.costPerUnit.toFixed(2)}/{item.unit}
+                          </div>
+                        )}
+                        {/* Preferred supplier — where purchasing will order this from */}
+                        {item.preferredSupplier && (
+                          <div className="text-xs text-stone-400 mt-0.5">
+                            From {item.preferredSupplier.supplierName}
+                            {item.alternateSupplier && ` (alt. ${item.alternateSupplier.supplierName})`}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-stone-500">{item.unit}</td>
+                      <td className="px-4 py-3">
+                        <span className={isLow ? "text-rose-700 font-semibold" : "text-stone-700"}>
+                          {item.currentStock}
                         </span>
-                      )}
-                    </td>
-                    <td className="px-4 py-3 text-stone-500">{item.lowStockThreshold}</td>
-                    <td className="px-4 py-3 flex gap-3">
-                      <button
-                        onClick={() => handleEditStart(item)}
-                        // Disable Edit on all rows while any row is being edited,
-                        // or while this row is being deleted.
-                        disabled={editingId !== null || deletingId === item.id}
-                        className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40 disabled:cursor-not-allowed"
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleDelete(item.id, item.name)}
-                        disabled={deletingId === item.id || editingId !== null}
-                        className="text-sm font-medium text-rose-600 hover:text-rose-800 disabled:opacity-40 disabled:cursor-not-allowed"
-                      >
-                        {deletingId === item.id ? "Deleting..." : "Delete"}
-                      </button>
-                    </td>
-                  </tr>
+                        {isLow && (
+                          <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-rose-100 text-rose-700">
+                            Low
+                          </span>
+                        )}
+                        {expiringCount > 0 && (
+                          <span className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-800">
+                            {expiringCount} expiring
+                          </span>
+                        )}
+                        {/* Where it is — once any stock has been put in a location */}
+                        {Object.keys(item.locationStock ?? {}).length > 0 && (
+                          <div className="text-xs text-stone-400 mt-0.5">
+                            {describeLocationStock(item, locations)
+                              .map((row) => `${row.name} ${row.quantity}`)
+                              .join(" · ")}
+                          </div>
+                        )}
+                        {/* The all-sites total, when other sites hold some too */}
+                        {item.totalStock !== undefined && roundQuantity(item.totalStock) !== item.currentStock && (
+                          <div className="text-xs text-stone-400 mt-0.5">
+                            {roundQuantity(item.totalStock)} across all sites
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-stone-500">{stock.allocated > 0 ? roundQuantity(stock.allocated) : "—"}</td>
+                      <td className="px-4 py-3 text-stone-500">{stock.onOrder > 0 ? roundQuantity(stock.onOrder) : "—"}</td>
+                      {/* Available to promise — rose when work orders already
+                          claim more than we have plus what's coming. */}
+                      <td className={`px-4 py-3 ${stock.atp < 0 ? "text-rose-700 font-semibold" : "text-stone-700"}`}>
+                        {roundQuantity(stock.atp)}
+                        {stock.free < 0 && stock.atp >= 0 && (
+                          <div className="text-xs text-amber-700 mt-0.5" title="Allocated exceeds current stock until open orders arrive">
+                            short until received
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-stone-500">
+                        {item.lowStockThreshold}
+                        {item.parLevel > 0 && (
+                          <div className="text-xs text-stone-400 mt-0.5">par {item.parLevel}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 flex gap-3">
+                        <button
+                          onClick={() => handleToggleLots(item.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Lots ({itemLots.length}) {isExpanded ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleToggleSuppliers(item)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Suppliers {isSupplierPanelOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleToggleAdjust(item.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Adjust {isAdjustOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleToggleHistory(item.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          History {isHistoryOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleTogglePrices(item.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Prices {isPricesOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleToggleAllergens(item)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Allergens {isAllergensOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleToggleNutrition(item)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Nutrition {isNutritionOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleEditStart(item)}
+                          // Disable Edit on all rows while any row is being edited,
+                          // or while this row is being deleted.
+                          disabled={editingId !== null || deletingId === item.id}
+                          className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(item.id, item.name)}
+                          disabled={deletingId === item.id || editingId !== null}
+                          className="text-sm font-medium text-rose-600 hover:text-rose-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          {deletingId === item.id ? "Deleting..." : "Delete"}
+                        </button>
+                      </td>
+                    </tr>
+
+                    {/* ── Supplier panel ── preferred and alternate supplier,
+                        each with its own pack size and price. */}
+                    {isSupplierPanelOpen && supplierForm && (
+                      <tr>
+                        <td colSpan={8} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          {suppliers.length === 0 ? (
+                            <p className="text-xs text-stone-400">
+                              No suppliers yet. Add them on the Suppliers page first.
+                            </p>
+                          ) : (
+                            <div className="space-y-4">
+                              <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                              <div className="space-y-2">
+                                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider">Preferred supplier</p>
+                                <select
+                                  value={supplierForm.preferred.supplierId}
+                                  onChange={(e) => handleSupplierFormChange("preferred", "supplierId", e.target.value)}
+                                  className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                >
+                                  <option value="">None</option>
+                                  {supplierOptions(supplierForm.preferred.supplierId).map((s) => (
+                                    <option key={s.id} value={s.id}>{s.name}</option>
+                                  ))}
+                                </select>
+                                {supplierForm.preferred.supplierId && (
+                                  <div className="grid grid-cols-3 gap-2">
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Item code</label>
+                                      <input
+                                        type="text"
+                                        value={supplierForm.preferred.supplierItemCode}
+                                        onChange={(e) => handleSupplierFormChange("preferred", "supplierItemCode", e.target.value)}
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Pack name</label>
+                                      <input
+                                        type="text"
+                                        value={supplierForm.preferred.packName}
+                                        onChange={(e) => handleSupplierFormChange("preferred", "packName", e.target.value)}
+                                        placeholder="case"
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Pack size</label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        value={supplierForm.preferred.packSize}
+                                        onChange={(e) => handleSupplierFormChange("preferred", "packSize", e.target.value)}
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Pack unit</label>
+                                      <select
+                                        value={supplierForm.preferred.packUnit}
+                                        onChange={(e) => handleSupplierFormChange("preferred", "packUnit", e.target.value)}
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      >
+                                        {UNIT_OPTIONS.map((option) => (
+                                          <option key={option} value={option}>{option}</option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Min. packs (MOQ)</label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        value={supplierForm.preferred.minPacks}
+                                        onChange={(e) => handleSupplierFormChange("preferred", "minPacks", e.target.value)}
+                                        placeholder="0"
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">In multiples of</label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        value={supplierForm.preferred.packMultiple}
+                                        onChange={(e) => handleSupplierFormChange("preferred", "packMultiple", e.target.value)}
+                                        placeholder="1"
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Pack price ($)</label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={supplierForm.preferred.packPrice}
+                                        onChange={(e) => handleSupplierFormChange("preferred", "packPrice", e.target.value)}
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                  </div>
+                                )}
+                              </div>
+                              <div className="space-y-2">
+                                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider">Alternate supplier</p>
+                                <select
+                                  value={supplierForm.alternate.supplierId}
+                                  onChange={(e) => handleSupplierFormChange("alternate", "supplierId", e.target.value)}
+                                  className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                >
+                                  <option value="">None</option>
+                                  {supplierOptions(supplierForm.alternate.supplierId).map((s) => (
+                                    <option key={s.id} value={s.id}>{s.name}</option>
+                                  ))}
+                                </select>
+                                {supplierForm.alternate.supplierId && (
+                                  <div className="grid grid-cols-3 gap-2">
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Item code</label>
+                                      <input
+                                        type="text"
+                                        value={supplierForm.alternate.supplierItemCode}
+                                        onChange={(e) => handleSupplierFormChange("alternate", "supplierItemCode", e.target.value)}
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Pack name</label>
+                                      <input
+                                        type="text"
+                                        value={supplierForm.alternate.packName}
+                                        onChange={(e) => handleSupplierFormChange("alternate", "packName", e.target.value)}
+                                        placeholder="case"
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Pack size</label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        value={supplierForm.alternate.packSize}
+                                        onChange={(e) => handleSupplierFormChange("alternate", "packSize", e.target.value)}
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Pack unit</label>
+                                      <select
+                                        value={supplierForm.alternate.packUnit}
+                                        onChange={(e) => handleSupplierFormChange("alternate", "packUnit", e.target.value)}
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      >
+                                        {UNIT_OPTIONS.map((option) => (
+                                          <option key={option} value={option}>{option}</option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Min. packs (MOQ)</label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        value={supplierForm.alternate.minPacks}
+                                        onChange={(e) => handleSupplierFormChange("alternate", "minPacks", e.target.value)}
+                                        placeholder="0"
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">In multiples of</label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        value={supplierForm.alternate.packMultiple}
+                                        onChange={(e) => handleSupplierFormChange("alternate", "packMultiple", e.target.value)}
+                                        placeholder="1"
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                    <div>
+                                      <label className="block text-xs text-stone-500 mb-1">Pack price ($)</label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={supplierForm.alternate.packPrice}
+                                        onChange={(e) => handleSupplierFormChange("alternate", "packPrice", e.target.value)}
+                                        className="w-full rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                      />
+                                    </div>
+                                  </div>
+                                )}
+                              </div>
+                              </div>
+                              <p className="text-xs text-stone-400">
+                                Purchasing rounds this ingredient up to whole packs, then up to the minimum and multiple.
+                                The pack unit can differ from the stock unit ({item.unit}) — a 36 lbs case of butter stocked in kg is fine.
+                              </p>
+                              <div className="flex gap-3">
+                                <button
+                                  onClick={() => handleSaveSuppliers(item)}
+                                  disabled={savingSuppliers}
+                                  className="text-sm font-medium text-amber-700 hover:text-amber-900 disabled:opacity-40 disabled:cursor-not-allowed"
+                                >
+                                  {savingSuppliers ? "Saving..." : "Save Suppliers"}
+                                </button>
+                                <button
+                                  onClick={() => handleToggleSuppliers(item)}
+                                  className="text-sm font-medium text-stone-500 hover:text-stone-700"
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Lot panel ── oldest received first, the order
+                        production draws them down in. */}
+                    {isExpanded && (
+                      <tr>
+                        <td colSpan={8} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          {itemLots.length === 0 ? (
+                            <p className="text-xs text-stone-400">
+                              No open lots. Lots are created when goods are received on a purchase order.
+                            </p>
+                          ) : (
+                            <table className="w-full text-sm">
+                              <thead>
+                                <tr className="border-b border-stone-200">
+                                  <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Lot</th>
+                                  <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Received</th>
+                                  <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Best Before</th>
+                                  <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Remaining</th>
+                                </tr>
+                              </thead>
+                              <tbody className="divide-y divide-stone-100">
+                                {itemLots.map((lot) => (
+                                  <tr key={lot.id} className={lot.expiring ? "bg-amber-50" : ""}>
+                                    <td className="py-2 font-medium text-stone-700">{lot.lotCode}</td>
+                                    <td className="py-2 text-stone-600">{formatDate(lot.receivedDate)}</td>
+                                    <td className="py-2">
+                                      <span className={lot.expiring ? "text-amber-800 font-medium" : "text-stone-600"}>
+                                        {formatDate(lot.bestBefore)}
+                                      </span>
+                                      {lot.daysLeft !== null && lot.daysLeft < 0 && (
+                                        <span className="ml-2 text-xs font-medium text-rose-600">expired</span>
+                                      )}
+                                      {lot.expiring && lot.daysLeft >= 0 && (
+                                        <span className="ml-2 text-xs font-medium text-amber-700">
+                                          {lot.daysLeft === 0 ? "today" : `in ${lot.daysLeft} day${lot.daysLeft !== 1 ? "s" : ""}`}
+                                        </span>
+                                      )}
+                                    </td>
+                                    <td className="py-2 text-right text-stone-700">
+                                      {lot.quantityRemaining} / {lot.quantityReceived} {lot.unit || item.unit}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          {unlotted > 0 && (
+                            <p className="text-xs text-stone-400 mt-3">
+                              {unlotted} {item.unit} of current stock is not assigned to a lot.
+                            </p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Stock adjustment panel ── spills, breakage, tastings
+                        and other losses, each with a reason code. */}
+                    {isAdjustOpen && (
+                      <tr>
+                        <td colSpan={8} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          <StockAdjustmentForm
+                            itemType="ingredient"
+                            item={item}
+                            unitCost={item.costPerUnit ?? null}
+                            onAdjusted={handleAdjusted}
+                            onCancel={() => setAdjustingId(null)}
+                          />
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Stock history panel ── every movement in the
+                        inventory ledger, newest first. */}
+                    {isHistoryOpen && (
+                      <tr>
+                        <td colSpan={8} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          <StockHistory itemType="ingredient" itemId={item.id} unit={item.unit} />
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Price history panel ── costPerUnit over time, from
+                        cost edits and PO receipts. */}
+                    {isPricesOpen && (
+                      <tr>
+                        <td colSpan={8} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          <PriceHistory ingredientId={item.id} unit={item.unit} currentCost={item.costPerUnit ?? 0} />
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Allergen panel ── what this ingredient contains or
+                        may contain; recipes roll these up to their products. */}
+                    {isAllergensOpen && (
+                      <tr>
+                        <td colSpan={8} className="px-6 py-4 bg-stone-50 border-t border-stone-100 space-y-4">
+                          <div>
+                            <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-2">Contains</p>
+                            <AllergenCheckboxes
+                              idPrefix={`${item.id}-contains`}
+                              selected={allergenDraft.allergens}
+                              onChange={(keys) => setAllergenDraft((prev) => ({ ...prev, allergens: keys }))}
+                              disabled={savingAllergens}
+                            />
+                          </div>
+                          <div>
+                            <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-2">May contain</p>
+                            <AllergenCheckboxes
+                              idPrefix={`${item.id}-may`}
+                              selected={allergenDraft.mayContain}
+                              onChange={(keys) => setAllergenDraft((prev) => ({ ...prev, mayContain: keys }))}
+                              disabled={savingAllergens}
+                            />
+                          </div>
+                          <button
+                            onClick={() => handleSaveAllergens(item.id)}
+                            disabled={savingAllergens}
+                            className="rounded-md bg-amber-500 px-3 py-1.5 text-sm font-medium text-stone-900 hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                          >
+                            {savingAllergens ? "Saving..." : "Save Allergens"}
+                          </button>
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Nutrition panel ── per-100 g values from the spec
+                        sheet, for recipe nutrition labels. */}
+                    {isNutritionOpen && (
+                      <tr>
+                        <td colSpan={8} className="px-6 py-4 bg-stone-50 border-t border-stone-100 space-y-4">
+                          <div>
+                            <label htmlFor={`${item.id}-labelName`} className="block text-xs font-medium text-stone-500 uppercase tracking-wider mb-1">
+                              Name on labels <span className="normal-case font-normal">(blank uses &ldquo;{item.name}&rdquo;)</span>
+                            </label>
+                            <input
+                              id={`${item.id}-labelName`}
+                              type="text"
+                              value={nutritionDraft.labelName}
+                              onChange={(e) => setNutritionDraft((prev) => ({ ...prev, labelName: e.target.value }))}
+                              placeholder="e.g. Enriched wheat flour (wheat flour, niacin, iron)"
+                              disabled={savingNutrition}
+                              className="w-full rounded-md border border-stone-300 px-3 py-1.5 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                            />
+                          </div>
+                          <div>
+                            <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-2">Per 100 g</p>
+                            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                              {NUTRIENTS.map((n) => (
+                                <div key={n.key}>
+                                  <label htmlFor={`${item.id}-${n.key}`} className="block text-xs text-stone-500 mb-1">
+                                    {n.label} ({n.unit})
+                                  </label>
+                                  <input
+                                    id={`${item.id}-${n.key}`}
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    value={nutritionDraft.values[n.key] ?? ""}
+                                    onChange={(e) => setNutritionDraft((prev) => ({
+                                      ...prev,
+                                      values: { ...prev.values, [n.key]: e.target.value },
+                                    }))}
+                                    disabled={savingNutrition}
+                                    className="w-full rounded-md border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                                  />
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                          <div className="flex items-center gap-3">
+                            <button
+                              onClick={() => handleSaveNutrition(item.id)}
+                              disabled={savingNutrition}
+                              className="rounded-md bg-amber-500 px-3 py-1.5 text-sm font-medium text-stone-900 hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                            >
+                              {savingNutrition ? "Saving..." : "Save Nutrition"}
+                            </button>
+                            {!hasNutrition(item) && (
+                              <span className="text-xs text-stone-400">No values entered yet.</span>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
                 );
               })}
             </tbody>
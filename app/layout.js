@@ -3,6 +3,7 @@ import "./globals.css";
 import Navbar from "@/components/Navbar";
 import { AuthProvider } from "@/context/AuthContext";
 import { SettingsProvider } from "@/context/SettingsContext";
+import { SiteProvider } from "@/context/SiteContext";
 import ProtectedRoute from "@/components/ProtectedRoute";
 
 const geistSans = Geist({
@@ -36,13 +37,17 @@ export default function RootLayout({ children }) {
               current user if needed later, but outside ProtectedRoute so
               settings load in parallel with the auth check. */}
           <SettingsProvider>
-            <Navbar />
-            {/* ProtectedRoute checks auth on every navigation.
-                It renders children only when the user is logged in
-                (or when the current page is /login). */}
-            <ProtectedRoute>
-              {children}
-            </ProtectedRoute>
+            {/* SiteProvider loads the sites once the user is signed in; the
+                Navbar's site switcher and the pages both read it. */}
+            <SiteProvider>
+              <Navbar />
+              {/* ProtectedRoute checks auth on every navigation.
+                  It renders children only when the user is logged in
+                  (or when the current page is /login). */}
+              <ProtectedRoute>
+                {children}
+              </ProtectedRoute>
+            </SiteProvider>
           </SettingsProvider>
         </AuthProvider>
       </body>
@@ -0,0 +1,524 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { useSite } from "@/context/SiteContext";
+import SearchableSelect from "@/components/SearchableSelect";
+import {
+  getStorageLocations,
+  addStorageLocation,
+  updateStorageLocation,
+  getIngredients,
+  getFinishedGoods,
+  transferStock,
+} from "@/lib/firestore";
+import {
+  LOCATION_KINDS,
+  UNASSIGNED_LOCATION,
+  getLocationQuantity,
+  describeLocationStock,
+} from "@/lib/locations";
+import { roundQuantity } from "@/lib/units";
+
+// ─── Helper functions (outside component — no state dependency) ───────────────
+
+const emptyTransferForm = () => ({
+  itemKey:        "",   // "ingredient:<id>" or "finishedGood:<id>"
+  fromLocationId: "",
+  toLocationId:   "",
+  quantity:       "",
+  notes:          "",
+});
+
+// "Dry storage" for "dry".
+const getKindLabel = (kind) => LOCATION_KINDS.find((k) => k.value === kind)?.label ?? "—";
+
+const inputCls =
+  "w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent";
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+// The Storage Locations page: the list of locations, transfers between them,
+// and what's stocked in each one — all at the current site.
+export default function StorageLocationsPage() {
+  const { user }               = useAuth();
+  const { site, loadingSites } = useSite();
+
+  // ── Fetched data ─────────────────────────────────────────────────────────
+  const [locations,     setLocations]     = useState([]);
+  const [ingredients,   setIngredients]   = useState([]);
+  const [finishedGoods, setFinishedGoods] = useState([]);
+  const [loading,       setLoading]       = useState(true);
+
+  // ── Add location form ─────────────────────────────────────────────────────
+  const [newName,    setNewName]    = useState("");
+  const [newKind,    setNewKind]    = useState("cooler");
+  const [adding,     setAdding]     = useState(false);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  // ── Transfer form ─────────────────────────────────────────────────────────
+  const [transferForm,    setTransferForm]    = useState(emptyTransferForm());
+  const [transferring,    setTransferring]    = useState(false);
+  const [transferError,   setTransferError]   = useState(null);
+  const [transferMessage, setTransferMessage] = useState(null);
+
+  // ── Stock by location ─────────────────────────────────────────────────────
+  // The location whose contents are listed; "" shows unassigned stock.
+  const [viewLocationId, setViewLocationId] = useState(null);
+
+  // ── Initial data fetch ────────────────────────────────────────────────────
+  const fetchAll = async () => {
+    const [locationData, ingredientData, finishedGoodData] = await Promise.all([
+      getStorageLocations(site),
+      getIngredients(site),
+      getFinishedGoods(site),
+    ]);
+    setLocations(locationData);
+    setIngredients(ingredientData);
+    setFinishedGoods(finishedGoodData);
+  };
+
+  // Re-runs when the site switcher changes site.
+  useEffect(() => {
+    if (loadingSites) return;
+    const load = async () => {
+      setLoading(true);
+      try {
+        await fetchAll();
+      } catch (err) {
+        console.error("Failed to load storage locations:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [site, loadingSites]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ── Location handlers ─────────────────────────────────────────────────────
+
+  const handleAddLocation = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    if (locations.some((l) => l.name.toLowerCase() === name.toLowerCase())) {
+      window.alert(`There's already a location called "${name}".`);
+      return;
+    }
+    setAdding(true);
+    try {
+      await addStorageLocation({ name, kind: newKind, notes: "", siteId: site?.id ?? "" });
+      setNewName("");
+      setLocations(await getStorageLocations(site));
+    } catch (err) {
+      console.error("Failed to add storage location:", err);
+      window.alert("Failed to add the location. Please try again.");
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRename = async (location) => {
+    const name = window.prompt("Rename location", location.name)?.trim();
+    if (!name || name === location.name) return;
+    setUpdatingId(location.id);
+    try {
+      await updateStorageLocation(location.id, { name });
+      setLocations(await getStorageLocations(site));
+    } catch (err) {
+      console.error("Failed to rename storage location:", err);
+      window.alert("Failed to rename the location. Please try again.");
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Archiving hides a location from dropdowns. Any stock still in it keeps
+  // showing on this page so it can be transferred out.
+  const handleToggleArchived = async (location) => {
+    const archiving = location.status !== "archived";
+    if (archiving && !window.confirm(`Archive "${location.name}"? It won't be offered for new stock.`)) return;
+    setUpdatingId(location.id);
+    try {
+      await updateStorageLocation(location.id, { status: archiving ? "archived" : "active" });
+      setLocations(await getStorageLocations(site));
+    } catch (err) {
+      console.error("Failed to update storage location:", err);
+      window.alert("Failed to update the location. Please try again.");
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // ── Transfer handlers ─────────────────────────────────────────────────────
+
+  const handleTransferChange = (field, value) => {
+    setTransferForm((prev) => ({ ...prev, [field]: value }));
+    setTransferError(null);
+    setTransferMessage(null);
+  };
+
+  // A different item has different balances, so the source resets to the
+  // first place it's stocked.
+  const handleItemSelect = (itemKey) => {
+    const item    = allItems.find((i) => `${i.itemType}:${i.id}` === itemKey);
+    const sources = item ? describeLocationStock(item, locations).filter((row) => row.quantity > 0) : [];
+    setTransferForm((prev) => ({
+      ...prev,
+      itemKey,
+      fromLocationId: sources[0]?.locationId ?? UNASSIGNED_LOCATION,
+      quantity:       "",
+    }));
+    setTransferError(null);
+    setTransferMessage(null);
+  };
+
+  const handleTransfer = async (e) => {
+    e.preventDefault();
+    setTransferError(null);
+    setTransferMessage(null);
+
+    const [itemType, itemId] = transferForm.itemKey.split(":");
+    const quantity = parseFloat(transferForm.quantity) || 0;
+    const fromName = transferForm.fromLocationId === UNASSIGNED_LOCATION
+      ? "Unassigned"
+      : locations.find((l) => l.id === transferForm.fromLocationId)?.name ?? "";
+    const toName   = locations.find((l) => l.id === transferForm.toLocationId)?.name ?? "";
+
+    setTransferring(true);
+    try {
+      await transferStock({
+        itemType,
+        itemId,
+        fromLocationId: transferForm.fromLocationId,
+        toLocationId:   transferForm.toLocationId,
+        quantity,
+        fromName,
+        toName,
+        notes:          transferForm.notes.trim(),
+      }, user?.email ?? "", site);
+      setTransferMessage(`Moved ${quantity} ${selectedItem.unit} of ${selectedItem.name} to ${toName}.`);
+      setTransferForm(emptyTransferForm());
+      await fetchAll();
+    } catch (err) {
+      console.error("Failed to transfer stock:", err);
+      setTransferError(err.message || "Failed to transfer stock. Please try again.");
+    } finally {
+      setTransferring(false);
+    }
+  };
+
+  // ── Derived values ────────────────────────────────────────────────────────
+  const activeLocations = locations.filter((l) => l.status !== "archived");
+
+  // Ingredients and finished goods in one list, tagged with their itemType.
+  const allItems = [
+    ...ingredients.map((item) => ({ ...item, itemType: "ingredient" })),
+    ...finishedGoods.map((item) => ({ ...item, itemType: "finishedGood" })),
+  ];
+  const itemOptions = allItems.map((item) => ({
+    value: `${item.itemType}:${item.id}`,
+    label: `${item.name} (${item.itemType === "ingredient" ? "ingredient" : "finished good"})`,
+  }));
+
+  const selectedItem = allItems.find((item) => `${item.itemType}:${item.id}` === transferForm.itemKey) ?? null;
+  // Transfer sources: wherever the selected item has stock, including unassigned.
+  const sourceOptions = selectedItem ? describeLocationStock(selectedItem, locations).filter((row) => row.quantity > 0) : [];
+  const sourceAvailable = selectedItem ? getLocationQuantity(selectedItem, transferForm.fromLocationId) : 0;
+
+  // Items with a non-zero balance in the viewed location.
+  const viewedItems = viewLocationId === null ? [] : allItems
+    .map((item) => ({ item, quantity: roundQuantity(getLocationQuantity(item, viewLocationId)) }))
+    .filter(({ quantity }) => quantity !== 0)
+    .sort((a, b) => a.item.name.localeCompare(b.item.name));
+
+  // How many items have stock in each location, for the list.
+  const itemCountFor = (locationId) =>
+    allItems.filter((item) => roundQuantity(getLocationQuantity(item, locationId)) > 0).length;
+  const unassignedCount = itemCountFor(UNASSIGNED_LOCATION);
+
+  // ── Loading state ─────────────────────────────────────────────────────────
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-12">
+        <p className="text-stone-500 text-sm">Loading storage locations...</p>
+      </div>
+    );
+  }
+
+  // ── Main render ───────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-12">
+
+      {/* ── Page header ── */}
+      <div>
+        <h1 className="text-2xl font-semibold text-stone-800">
+          Storage Locations{site && <span className="text-stone-400 font-normal"> — {site.name}</span>}
+        </h1>
+        <p className="text-sm text-stone-500 mt-1">
+          Where stock lives, what&apos;s in each place, and moves between them.
+        </p>
+      </div>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          LOCATIONS
+          ══════════════════════════════════════════════════════════════════════ */}
+      <section>
+        <h2 className="text-base font-semibold text-stone-800 mb-4">Locations</h2>
+
+        <form onSubmit={handleAddLocation} className="flex items-end gap-3 flex-wrap mb-4">
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="locationName" className="block text-sm font-medium text-stone-700 mb-1">Name</label>
+            <input
+              id="locationName"
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="e.g. Walk-in cooler"
+              className={inputCls}
+            />
+          </div>
+          <div>
+            <label htmlFor="locationKind" className="block text-sm font-medium text-stone-700 mb-1">Kind</label>
+            <select id="locationKind" value={newKind} onChange={(e) => setNewKind(e.target.value)} className={inputCls}>
+              {LOCATION_KINDS.map((k) => <option key={k.value} value={k.value}>{k.label}</option>)}
+            </select>
+          </div>
+          <button
+            type="submit"
+            disabled={adding || !newName.trim()}
+            className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {adding ? "Adding..." : "Add Location"}
+          </button>
+        </form>
+
+        {locations.length === 0 ? (
+          <p className="text-sm text-stone-400">
+            No locations yet. Add one, then set it as the default location on ingredients and finished goods.
+          </p>
+        ) : (
+          <div className="overflow-x-auto rounded-lg border border-stone-200">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-stone-50 border-b border-stone-200">
+                <tr>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Location</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Kind</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Items Stocked</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-stone-100 bg-white">
+                {locations.map((location) => {
+                  const isArchived = location.status === "archived";
+                  return (
+                    <tr key={location.id} className={isArchived ? "opacity-60" : ""}>
+                      <td className="px-4 py-3 font-medium text-stone-800">
+                        {location.name}
+                        {isArchived && <span className="ml-2 text-xs font-normal text-stone-400">archived</span>}
+                      </td>
+                      <td className="px-4 py-3 text-stone-600">{getKindLabel(location.kind)}</td>
+                      <td className="px-4 py-3 text-right text-stone-600">{itemCountFor(location.id)}</td>
+                      <td className="px-4 py-3 flex gap-3">
+                        <button
+                          onClick={() => setViewLocationId(location.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          View Stock
+                        </button>
+                        <button
+                          onClick={() => handleRename(location)}
+                          disabled={updatingId === location.id}
+                          className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40"
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => handleToggleArchived(location)}
+                          disabled={updatingId === location.id}
+                          className="text-sm font-medium text-rose-600 hover:text-rose-800 disabled:opacity-40"
+                        >
+                          {isArchived ? "Restore" : "Archive"}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {unassignedCount > 0 && (
+                  <tr>
+                    <td className="px-4 py-3 italic text-stone-500">Unassigned</td>
+                    <td className="px-4 py-3 text-stone-400">—</td>
+                    <td className="px-4 py-3 text-right text-stone-600">{unassignedCount}</td>
+                    <td className="px-4 py-3">
+                      <button
+                        onClick={() => setViewLocationId(UNASSIGNED_LOCATION)}
+                        className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                      >
+                        View Stock
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          STOCK IN ONE LOCATION
+          ══════════════════════════════════════════════════════════════════════ */}
+      {viewLocationId !== null && (
+        <section>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-base font-semibold text-stone-800">
+              Stock in {viewLocationId === UNASSIGNED_LOCATION
+                ? "no location (unassigned)"
+                : locations.find((l) => l.id === viewLocationId)?.name}
+            </h2>
+            <button onClick={() => setViewLocationId(null)} className="text-sm text-stone-500 hover:text-stone-800">
+              Close
+            </button>
+          </div>
+          {viewedItems.length === 0 ? (
+            <p className="text-sm text-stone-400">Nothing is stocked here.</p>
+          ) : (
+            <div className="overflow-x-auto rounded-lg border border-stone-200">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-stone-50 border-b border-stone-200">
+                  <tr>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Item</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Type</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Quantity</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-stone-100 bg-white">
+                  {viewedItems.map(({ item, quantity }) => (
+                    <tr key={`${item.itemType}:${item.id}`}>
+                      <td className="px-4 py-3 text-stone-800">{item.name}</td>
+                      <td className="px-4 py-3 text-stone-500">{item.itemType === "ingredient" ? "Ingredient" : "Finished good"}</td>
+                      <td className={`px-4 py-3 text-right ${quantity < 0 ? "text-rose-600 font-medium" : "text-stone-700"}`}>
+                        {quantity} {item.unit}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          TRANSFER STOCK
+          ══════════════════════════════════════════════════════════════════════ */}
+      <section>
+        <h2 className="text-base font-semibold text-stone-800 mb-4">Transfer Stock</h2>
+
+        {transferMessage && (
+          <div className="rounded-md bg-green-50 border border-green-200 px-4 py-3 text-sm text-green-800 mb-4">
+            {transferMessage}
+          </div>
+        )}
+
+        {activeLocations.length === 0 ? (
+          <p className="text-sm text-stone-400">Add a location before transferring stock.</p>
+        ) : (
+          <form onSubmit={handleTransfer} className="border border-stone-200 rounded-lg p-5 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-stone-700 mb-1">Item</label>
+              <SearchableSelect
+                options={itemOptions}
+                value={transferForm.itemKey}
+                onChange={handleItemSelect}
+                placeholder="Select an ingredient or finished good"
+              />
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="fromLocation" className="block text-sm font-medium text-stone-700 mb-1">From</label>
+                <select
+                  id="fromLocation"
+                  value={transferForm.fromLocationId}
+                  onChange={(e) => handleTransferChange("fromLocationId", e.target.value)}
+                  disabled={!selectedItem}
+                  className={inputCls}
+                >
+                  {sourceOptions.length === 0 && <option value="">Nothing in stock</option>}
+                  {sourceOptions.map((row) => (
+                    <option key={row.locationId || "unassigned"} value={row.locationId}>
+                      {row.name} ({row.quantity} {selectedItem.unit})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="toLocation" className="block text-sm font-medium text-stone-700 mb-1">To</label>
+                <select
+                  id="toLocation"
+                  value={transferForm.toLocationId}
+                  onChange={(e) => handleTransferChange("toLocationId", e.target.value)}
+                  className={inputCls}
+                >
+                  <option value="">Choose a location…</option>
+                  {activeLocations
+                    .filter((l) => l.id !== transferForm.fromLocationId)
+                    .map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="transferQuantity" className="block text-sm font-medium text-stone-700 mb-1">
+                  Quantity{selectedItem ? ` (${selectedItem.unit})` : ""}
+                </label>
+                <input
+                  id="transferQuantity"
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step="any"
+                  value={transferForm.quantity}
+                  onChange={(e) => handleTransferChange("quantity", e.target.value)}
+                  className={inputCls}
+                />
+                {selectedItem && sourceOptions.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => handleTransferChange("quantity", String(sourceAvailable))}
+                    className="text-xs font-medium text-amber-700 hover:text-amber-900 mt-1"
+                  >
+                    Move all ({sourceAvailable})
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="transferNotes" className="block text-sm font-medium text-stone-700 mb-1">
+                Notes <span className="text-stone-500 font-normal">(optional)</span>
+              </label>
+              <input
+                id="transferNotes"
+                type="text"
+                value={transferForm.notes}
+                onChange={(e) => handleTransferChange("notes", e.target.value)}
+                placeholder="e.g. thawing for tomorrow"
+                className={inputCls}
+              />
+            </div>
+
+            {transferError && <p className="text-sm text-rose-600">{transferError}</p>}
+
+            <button
+              type="submit"
+              disabled={transferring || !selectedItem || sourceOptions.length === 0 || !transferForm.toLocationId}
+              className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {transferring ? "Transferring..." : "Transfer"}
+            </button>
+          </form>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect } from "react";
+import { useAuth } from "@/context/AuthContext";
+import SearchableSelect from "@/components/SearchableSelect";
+import { getIngredients, getRecipes, updateRecipe } from "@/lib/firestore";
+import {
+  NUTRIENTS,
+  getRecipeNutrition,
+  formatDeclaration,
+  roundForLabel,
+  getDailyValuePercent,
+} from "@/lib/nutrition";
+import { getRecipeAllergens, formatAllergens } from "@/lib/allergens";
+
+// ─── Helper functions (outside component — no state dependency) ───────────────
+
+// Settings form state for a recipe — strings while they're being typed.
+const settingsFor = (recipe) => ({
+  bakeLossPercent:  recipe?.bakeLossPercent  ? String(recipe.bakeLossPercent)  : "",
+  servingSizeGrams: recipe?.servingSizeGrams ? String(recipe.servingSizeGrams) : "",
+});
+
+// 2.5 → "2.5", 3 → "3".
+const formatNumber = (value) => String(Math.round(value * 10) / 10);
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+// The Nutrition Labels page: pick a recipe, set its bake loss and serving
+// size, and print a nutrition facts panel with the ingredient declaration
+// and allergen statement for wholesale customers. The per-100 g values come
+// from the Nutrition panel on the ingredients page.
+export default function NutritionPage() {
+  const { user } = useAuth();
+
+  const [recipes,     setRecipes]     = useState([]);
+  const [ingredients, setIngredients] = useState([]);
+  const [loading,     setLoading]     = useState(true);
+  const [error,       setError]       = useState(null);
+
+  const [recipeId, setRecipeId] = useState("");
+  const [settings, setSettings] = useState(settingsFor(null));
+  const [saving,   setSaving]   = useState(false);
+
+  // Recipes and ingredient values aren't site-specific.
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [recipeData, ingredientData] = await Promise.all([getRecipes(), getIngredients()]);
+        setRecipes(recipeData);
+        setIngredients(ingredientData);
+      } catch (err) {
+        console.error("Failed to load nutrition data:", err);
+        setError("Failed to load recipes. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  // ── Derived values ────────────────────────────────────────────────────────
+  const recipe = recipes.find((r) => r.id === recipeId) ?? null;
+
+  // The label is worked out from the settings as typed, so the preview
+  // follows the inputs before they're saved.
+  const labelled = recipe && {
+    ...recipe,
+    bakeLossPercent:  parseFloat(settings.bakeLossPercent)  || 0,
+    servingSizeGrams: parseFloat(settings.servingSizeGrams) || null,
+  };
+  const nutrition = labelled ? getRecipeNutrition(labelled, recipes, ingredients) : null;
+  const allergens = recipe ? getRecipeAllergens(recipe, recipes, ingredients) : null;
+  const isDirty   = recipe && (
+    settings.bakeLossPercent !== settingsFor(recipe).bakeLossPercent ||
+    settings.servingSizeGrams !== settingsFor(recipe).servingSizeGrams
+  );
+
+  // ── Handlers ──────────────────────────────────────────────────────────────
+
+  const handleRecipeSelect = (id) => {
+    setRecipeId(id);
+    setSettings(settingsFor(recipes.find((r) => r.id === id)));
+  };
+
+  const handleSettingChange = (e) => {
+    const { name, value } = e.target;
+    setSettings((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Saves the label settings on the recipe. They aren't versioned fields, so
+  // this doesn't create a new recipe version.
+  const handleSaveSettings = async () => {
+    const loss = settings.bakeLossPercent.trim() === "" ? 0 : parseFloat(settings.bakeLossPercent);
+    if (Number.isNaN(loss) || loss < 0 || loss >= 100) {
+      window.alert("Bake loss must be a percentage from 0 to 99.");
+      return;
+    }
+    const serving = settings.servingSizeGrams.trim() === "" ? null : parseFloat(settings.servingSizeGrams);
+    if (serving !== null && !(serving > 0)) {
+      window.alert("Serving size must be more than 0 g, or blank.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await updateRecipe(recipe.id, { bakeLossPercent: loss, servingSizeGrams: serving }, user?.email ?? "");
+      setRecipes(await getRecipes());
+    } catch (err) {
+      console.error("Failed to save label settings:", err);
+      window.alert("Failed to save the label settings. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ── Main render ───────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-8">
+
+      {/* ── Page header ── */}
+      <div className="print:hidden">
+        <h1 className="text-2xl font-semibold text-stone-800">Nutrition Labels</h1>
+        <p className="text-sm text-stone-500 mt-1">
+          Nutrition facts and ingredient declarations, worked out from each ingredient&apos;s per-100 g values.
+        </p>
+      </div>
+
+      {loading ? (
+        <p className="text-stone-500 text-sm">Loading...</p>
+      ) : error ? (
+        <p className="text-sm text-rose-600">{error}</p>
+      ) : (
+        <>
+          {/* ── Recipe and label settings ── */}
+          <section className="border border-stone-200 rounded-lg p-5 space-y-4 print:hidden">
+            <div>
+              <label className="block text-sm font-medium text-stone-700 mb-1">Recipe</label>
+              <SearchableSelect
+                options={recipes.map((r) => ({ value: r.id, label: `${r.name} — ${r.finishedGoodName}` }))}
+                value={recipeId}
+                onChange={handleRecipeSelect}
+                placeholder="Select a recipe"
+              />
+            </div>
+
+            {recipe && (
+              <div className="flex items-end gap-4 flex-wrap">
+                <div className="w-40">
+                  <label htmlFor="bakeLossPercent" className="block text-sm font-medium text-stone-700 mb-1">
+                    Bake loss (%)
+                  </label>
+                  <input
+                    id="bakeLossPercent" name="bakeLossPercent"
+                    type="number" min="0" max="99" step="any"
+                    value={settings.bakeLossPercent}
+                    onChange={handleSettingChange}
+                    placeholder="0"
+                    className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                  />
+                </div>
+                <div className="w-44">
+                  <label htmlFor="servingSizeGrams" className="block text-sm font-medium text-stone-700 mb-1">
+                    Serving size (g)
+                  </label>
+                  <input
+                    id="servingSizeGrams" name="servingSizeGrams"
+                    type="number" min="0" step="any"
+                    value={settings.servingSizeGrams}
+                    onChange={handleSettingChange}
+                    placeholder={nutrition?.pieceGrams ? "one piece" : "100"}
+                    className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                  />
+                </div>
+                <button
+                  onClick={handleSaveSettings}
+                  disabled={saving || !isDirty}
+                  className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {saving ? "Saving..." : "Save Settings"}
+                </button>
+                <button
+                  onClick={() => window.print()}
+                  disabled={!nutrition || nutrition.bakedGrams <= 0}
+                  className="rounded-md border border-stone-300 px-4 py-2 text-sm font-medium text-stone-700 hover:bg-stone-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Print Label
+                </button>
+              </div>
+            )}
+
+            {nutrition && (
+              <p className="text-xs text-stone-500">
+                Batch: {formatNumber(nutrition.rawGrams)} g raw → {formatNumber(nutrition.bakedGrams)} g baked
+                {nutrition.pieceGrams !== null && ` · ${formatNumber(nutrition.pieceGrams)} g per piece`}
+              </p>
+            )}
+
+            {/* Anything the figures leave out makes the label understate */}
+            {nutrition?.missingNutrition.length > 0 && (
+              <p className="rounded-md border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+                ⚠ No nutrition values for {nutrition.missingNutrition.join(", ")} — counted as zero. Add them
+                from the Nutrition panel on the ingredients page.
+              </p>
+            )}
+            {nutrition?.unweighed.length > 0 && (
+              <p className="rounded-md border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+                ⚠ Can&apos;t weigh {nutrition.unweighed.join(", ")} — set a density or &ldquo;each weighs&rdquo; on the
+                ingredient. Left out of the label.
+              </p>
+            )}
+          </section>
+
+          {!recipe ? (
+            <p className="text-stone-500 text-sm print:hidden">Select a recipe to see its label.</p>
+          ) : nutrition.bakedGrams <= 0 ? (
+            <p className="text-stone-500 text-sm">This recipe has no weighed ingredients.</p>
+          ) : (
+            // ── The label ── black on white, sized like a retail panel.
+            <div className="w-80 space-y-3 text-black">
+              <div className="border-2 border-black p-2 font-sans">
+                <p className="text-3xl font-extrabold leading-none">Nutrition Facts</p>
+                <p className="text-xs mt-1 text-stone-600">{recipe.finishedGoodName}</p>
+                <div className="border-b border-black mt-1" />
+                {nutrition.servingsPerPiece !== null && (
+                  <p className="text-sm">
+                    {formatNumber(nutrition.servingsPerPiece)} serving{nutrition.servingsPerPiece !== 1 ? "s" : ""} per piece
+                  </p>
+                )}
+                <p className="flex justify-between text-sm font-bold">
+                  <span>Serving size</span>
+                  <span>{Math.round(nutrition.servingGrams)}g</span>
+                </p>
+                <div className="border-b-8 border-black my-1" />
+
+                <p className="text-xs font-bold">Amount per serving</p>
+                <p className="flex justify-between items-end font-extrabold">
+                  <span className="text-2xl">Calories</span>
+                  <span className="text-3xl">{roundForLabel("energyKcal", nutrition.perServing.energyKcal)}</span>
+                </p>
+                <div className="border-b-4 border-black my-1" />
+
+                <p className="text-xs font-bold text-right">% Daily Value*</p>
+                {NUTRIENTS.filter((n) => n.key !== "energyKcal").map((n) => {
+                  const amount = nutrition.perServing[n.key];
+                  const pct    = getDailyValuePercent(n.key, amount);
+                  return (
+                    <p key={n.key} className={`flex justify-between text-sm border-t border-stone-400 py-0.5 ${n.indent ? "pl-4" : ""}`}>
+                      <span>
+                        <span className={n.indent ? "" : "font-bold"}>{n.label}</span>{" "}
+                        {roundForLabel(n.key, amount)}{n.unit}
+                      </span>
+                      <span className="font-bold">{pct === null ? "" : `${pct}%`}</span>
+                    </p>
+                  );
+                })}
+                <div className="border-b-8 border-black my-1" />
+                <p className="text-[10px] leading-tight">
+                  * The % Daily Value tells you how much a nutrient in a serving of food contributes to a
+                  daily diet. 2,000 calories a day is used for general nutrition advice.
+                </p>
+              </div>
+
+              {/* Ingredient declaration, heaviest first, and the allergen statement */}
+              <p className="text-xs leading-snug">{formatDeclaration(nutrition.declaration)}</p>
+              {allergens.contains.length > 0 && (
+                <p className="text-xs font-bold">Contains: {formatAllergens(allergens.contains)}.</p>
+              )}
+              {allergens.mayContain.length > 0 && (
+                <p className="text-xs">May contain: {formatAllergens(allergens.mayContain)}.</p>
+              )}
+
+              {/* Per 100 g — for the wholesale spec sheet, not the printed panel */}
+              <div className="print:hidden pt-4">
+                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-2">Per 100 g (baked)</p>
+                <table className="w-full text-sm">
+                  <tbody className="divide-y divide-stone-100">
+                    {NUTRIENTS.map((n) => (
+                      <tr key={n.key}>
+                        <td className="py-1 text-stone-600">{n.label}</td>
+                        <td className="py-1 text-right text-stone-800">
+                          {formatNumber(nutrition.per100g[n.key])} {n.unit}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -18,6 +18,8 @@ import {
   getPurchaseOrders,
 } from "@/lib/firestore";
 import { useSettings } from "@/context/SettingsContext";
+import { useSite } from "@/context/SiteContext";
+import { getPoNumber } from "@/lib/purchaseOrderDocument";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // DATE UTILITIES
@@ -247,7 +249,8 @@ function InventoryBar({ label, healthy, total, urgency }) {
 
 export default function DashboardPage() {
 
-  const { settings } = useSettings();
+  const { settings }           = useSettings();
+  const { site, loadingSites } = useSite();
 
   // ─── State ─────────────────────────────────────────────────────────────────
   const [data, setData] = useState({
@@ -270,7 +273,10 @@ export default function DashboardPage() {
   //   individually with a `status` field ("fulfilled" or "rejected"). Each card
   //   can independently show real data or a targeted fallback. One failed
   //   collection never blanks the rest of the page.
+  //
+  // Stock, work orders and sales are the current site's; the rest are shared.
   useEffect(() => {
+    if (loadingSites) return;
     const fetchAll = async () => {
       const KEYS = [
         "ingredients", "finishedGoods", "workOrders",
@@ -278,11 +284,11 @@ export default function DashboardPage() {
       ];
 
       const results = await Promise.allSettled([
-        getIngredients(),
-        getFinishedGoods(),
-        getWorkOrders(),
+        getIngredients(site),
+        getFinishedGoods(site),
+        getWorkOrders(site),
         getDemandPlans(),
-        getSalesRecords(),
+        getSalesRecords(site),
         getProductionRecords(),
         getPurchaseOrders(),
       ]);
@@ -306,7 +312,7 @@ export default function DashboardPage() {
     };
 
     fetchAll();
-  }, []);
+  }, [site, loadingSites]);
 
   // ─── Loading state ─────────────────────────────────────────────────────────
   if (loading) {
@@ -500,7 +506,10 @@ export default function DashboardPage() {
 
       {/* ── Page header ── */}
       <div className="mb-8">
-        <h1 className="text-2xl font-semibold text-stone-800">{settings.bakeryName}</h1>
+        <h1 className="text-2xl font-semibold text-stone-800">
+          {settings.bakeryName}
+          {site && <span className="text-stone-400 font-normal"> — {site.name}</span>}
+        </h1>
         <p className="text-sm text-stone-500 mt-1">
           {getGreeting()}, here&apos;s your overview for {formatTodayLabel()}
         </p>
@@ -729,6 +738,8 @@ export default function DashboardPage() {
               {latestPO ? (
                 <p className="text-xs text-stone-400">
                   Most recent PO:{" "}
+                  <span className="font-mono">{getPoNumber(latestPO)}</span>
+                  {" · "}
                   {latestPO.createdAt
                     ? latestPO.createdAt.toDate().toLocaleDateString("en-US", {
                         month: "short", day: "numeric", year: "numeric",
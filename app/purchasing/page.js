@@ -1,8 +1,15 @@
 // Client Component — uses hooks throughout.
+//
+// Purchasing is done for the main site (the production kitchen): suppliers
+// deliver there, so requirements, reorder checks, receipts and vendor returns
+// all use the main site's work orders and stock, whichever site the switcher
+// is on. Shops are stocked from the kitchen with transfer orders.
 "use client";
 
 import { useState, useEffect } from "react";
 import { useAuth } from "@/context/AuthContext";
+import { useSettings } from "@/context/SettingsContext";
+import { useSite } from "@/context/SiteContext";
 import {
   getIngredients,
   getWorkOrders,
@@ -11,7 +18,34 @@ import {
   updatePurchaseOrder,
   deletePurchaseOrder,
   receivePurchaseOrder,
+  getSuppliers,
+  setPurchaseOrderInvoiceStatus,
+  getPurchaseOrderReceipts,
+  closePurchaseOrderShort,
+  getVendorReturns,
+  addVendorReturn,
 } from "@/lib/firestore";
+import { toStockUnit, roundQuantity } from "@/lib/units";
+import {
+  getPackStockSize,
+  roundUpToPacks,
+  applyPackRules,
+  getUnitPrice,
+  describePack,
+  getLinePriceVariance,
+  hasPriceVariance,
+  getOpenDiscrepancies,
+  buildReorderSuggestions,
+} from "@/lib/purchasing";
+import {
+  getPoNumber,
+  getExpectedDeliveryDate,
+  buildPoDocumentData,
+  buildPoEmail,
+  buildPoPdf,
+  getPoPdfFilename,
+} from "@/lib/purchaseOrderDocument";
+import { matchesSearch } from "@/lib/search";
 
 // ─── Helper functions (outside component — no state dependency) ───────────────
 
@@ -26,10 +60,45 @@ const getStatusBadgeClass = (status) => {
     case "sent":     return "bg-blue-100 text-blue-700";
     case "partial":  return "bg-amber-100 text-amber-800";
     case "complete": return "bg-green-100 text-green-700";
+    case "closed":   return "bg-stone-200 text-stone-700";
     default:         return "bg-stone-100 text-stone-500";
   }
 };
 
+// Badge classes for a received PO's invoice check.
+const getInvoiceBadgeClass = (invoiceStatus) => {
+  switch (invoiceStatus) {
+    case "matched":  return "bg-green-100 text-green-700";
+    case "disputed": return "bg-rose-100 text-rose-700";
+    default:         return "bg-amber-100 text-amber-800";
+  }
+};
+
+// "+$0.12/lbs (+4.1%)" — a line's price variance per stock unit.
+// Overcharges get a plus sign so they read as money we'd be paying extra.
+const formatVariance = (variance, unit) => {
+  const sign = variance.perUnit > 0 ? "+" : variance.perUnit < 0 ? "−" : "";
+  const pct  = variance.percent !== null ? ` (${sign}${Math.abs(variance.percent).toFixed(1)}%)` : "";
+  return `${sign}$${Math.abs(variance.perUnit).toFixed(2)}/${unit}${pct}`;
+};
+
+// Lines bought in packs are invoiced per pack, so the receive form takes the
+// price the way it appears on the invoice. Everything else is per stock unit.
+const isPricedPerPack = (item) => item.orderedPacks > 0 && item.packStockSize > 0;
+
+// The receive form's starting price for a line — the price the PO was raised at.
+const getDefaultReceivePrice = (item) => {
+  if (isPricedPerPack(item) && item.packPrice > 0) return String(item.packPrice);
+  return item.unitPrice > 0 ? String(roundQuantity(item.unitPrice)) : "";
+};
+
+// Converts the price typed on the receive form to a price per stock unit.
+// Returns 0 when blank, which means "no invoiced price entered".
+const toActualUnitPrice = (item, value) => {
+  const price = parseFloat(value) || 0;
+  return isPricedPerPack(item) ? price / item.packStockSize : price;
+};
+
 // Converts a "YYYY-MM-DD" date string to "MM/DD/YYYY" for display.
 const formatDate = (dateStr) => {
   if (!dateStr) return "—";
@@ -56,6 +125,17 @@ const formatTimestamp = (ts) => {
 // for readability: we loop over work orders, loop over each order's ingredientsRequired,
 // and either create a new entry or add to the running total for that ingredientId.
 //
+// Multi-level recipes are already flattened by the time they reach here: a
+// work order's ingredientsRequired only holds raw ingredients, and each
+// sub-recipe it uses (subRecipesRequired) has its own dependent work order
+// carrying that sub-recipe's raw ingredients. So we deliberately skip
+// subRecipesRequired — counting it would double up on the intermediate.
+//
+// Totals are kept in each ingredient's stock unit — the unit currentStock and
+// POs are in. A work order's lines can be in any recipe unit, so each line uses
+// its stockQuantity snapshot, or is converted here for older work orders.
+// A line that can't be converted is left out and flags the row `incompatible`.
+//
 // Returns an array sorted alphabetically by ingredient name.
 const aggregateRequirements = (workOrders, ingredients) => {
   const totals = {};
@@ -66,14 +146,21 @@ const aggregateRequirements = (workOrders, ingredients) => {
     const batches = wo.batchesActual > 0 ? wo.batchesActual : wo.batchesOrdered;
 
     for (const ing of (wo.ingredientsRequired || [])) {
+      const stockItem     = ingredients.find((i) => i.id === ing.ingredientId);
+      const stockQuantity = ing.stockQuantity
+        ?? (stockItem ? toStockUnit(ing.quantity, ing.unit, stockItem) : ing.quantity);
+      const required      = (stockQuantity ?? 0) * batches;
+
       if (totals[ing.ingredientId]) {
-        totals[ing.ingredientId].totalRequired += ing.quantity * batches;
+        totals[ing.ingredientId].totalRequired += required;
+        totals[ing.ingredientId].incompatible ||= stockQuantity === null;
       } else {
         totals[ing.ingredientId] = {
           ingredientId:   ing.ingredientId,
           ingredientName: ing.ingredientName,
-          unit:           ing.unit,
-          totalRequired:  ing.quantity * batches,
+          unit:           ing.stockUnit ?? stockItem?.unit ?? ing.unit,
+          totalRequired:  required,
+          incompatible:   stockQuantity === null,
         };
       }
     }
@@ -89,16 +176,157 @@ const aggregateRequirements = (workOrders, ingredients) => {
       // Can be negative if stock is already below threshold — that means we're already short.
       const available   = currentStock - safetyStock;
       // netRequired = how much we need to order. Floored at 0 (can't order negative).
-      const netRequired = Math.max(0, item.totalRequired - available);
-      return { ...item, currentStock, safetyStock, available, netRequired };
+      const netRequired = roundQuantity(Math.max(0, item.totalRequired - available));
+      return {
+        ...item,
+        currentStock,
+        safetyStock,
+        available,
+        netRequired,
+        // Supplier terms, carried along so the table can offer a choice
+        // between the preferred and alternate supplier per line. `ingredient`
+        // is kept for pack-unit conversions (its unit, density, each-weight).
+        ingredient:        stockItem ?? { unit: item.unit },
+        costPerUnit:       stockItem?.costPerUnit       ?? 0,
+        preferredSupplier: stockItem?.preferredSupplier ?? null,
+        alternateSupplier: stockItem?.alternateSupplier ?? null,
+      };
     })
     .sort((a, b) => a.ingredientName.localeCompare(b.ingredientName));
 };
 
+// Returns the requirement row's terms for `supplierId` — its preferred or
+// alternate supplier entry — or null when no supplier is chosen.
+const getSupplierTerms = (row, supplierId) => {
+  if (!supplierId) return null;
+  if (row.preferredSupplier?.supplierId === supplierId) return row.preferredSupplier;
+  if (row.alternateSupplier?.supplierId === supplierId) return row.alternateSupplier;
+  return null;
+};
+
+// The supplier a requirement row is ordered from by default: the preferred
+// supplier, falling back to the alternate when the preferred one has been
+// archived. "" means the ingredient has no usable supplier.
+const getDefaultSupplierId = (row, suppliers) => {
+  const isActive = (terms) =>
+    terms && suppliers.some((s) => s.id === terms.supplierId && s.status === "active");
+  if (isActive(row.preferredSupplier)) return row.preferredSupplier.supplierId;
+  if (isActive(row.alternateSupplier)) return row.alternateSupplier.supplierId;
+  return "";
+};
+
+// The starting "Order" value for a line from a given supplier, as a string
+// for the input. When the supplier sells in packs it's a pack count — the
+// net requirement rounded up to whole packs, MOQ, and case multiple.
+// Otherwise it's the exact net requirement in the stock unit.
+const getDefaultOrderValue = (row, supplierId) => {
+  const rounded = roundUpToPacks(row.netRequired, getSupplierTerms(row, supplierId), row.ingredient);
+  return String(rounded ? rounded.packs : row.netRequired);
+};
+
+// Works out what a line will actually order from the value in its "Order"
+// input. Returns { terms, packStockSize, orderedPacks, orderedQuantity,
+// overBuy, ruleWarning }. orderedQuantity and overBuy are in the stock unit;
+// orderedPacks is 0 when the supplier doesn't sell this in packs.
+// A typed pack count that breaks the supplier's MOQ or case multiple is kept
+// as entered but flagged in ruleWarning — the baker may have agreed otherwise.
+const getOrderLine = (row, supplierId, value) => {
+  const terms         = getSupplierTerms(row, supplierId);
+  const packStockSize = getPackStockSize(terms, row.ingredient);
+  const entered       = parseFloat(value) || 0;
+
+  // Packs are whole — a typed 2.5 cases is ordered as 3.
+  const orderedPacks    = packStockSize ? Math.ceil(entered) : 0;
+  const orderedQuantity = packStockSize ? orderedPacks * packStockSize : entered;
+
+  let ruleWarning = null;
+  if (orderedPacks > 0 && applyPackRules(orderedPacks, terms) !== orderedPacks) {
+    ruleWarning = terms.minPacks > orderedPacks
+      ? `minimum ${terms.minPacks}`
+      : `multiples of ${terms.packMultiple}`;
+  }
+
+  return {
+    terms,
+    packStockSize,
+    orderedPacks,
+    orderedQuantity,
+    overBuy: orderedQuantity - row.netRequired,
+    ruleWarning,
+  };
+};
+
+// Groups the requirement rows into one draft PO per supplier.
+// `supplierChoice` and `editedQty` are the page's per-ingredient overrides.
+// Lines with a zero quantity are dropped, and so is any group left empty.
+// Returns [{ supplierId, supplierName, supplier, items, estimatedTotal }],
+// named suppliers first (alphabetically), "No supplier" last.
+const groupBySupplier = (requirements, supplierChoice, editedQty, suppliers) => {
+  const groups = {};
+
+  for (const row of requirements) {
+    const supplierId = supplierChoice[row.ingredientId] ?? "";
+    const line       = getOrderLine(row, supplierId, editedQty[row.ingredientId]);
+    if (line.orderedQuantity <= 0) continue;
+
+    const { terms, orderedQuantity } = line;
+    const unitPrice = getUnitPrice(terms, row.ingredient, row.costPerUnit);
+
+    if (!groups[supplierId]) {
+      const supplier = suppliers.find((s) => s.id === supplierId) ?? null;
+      groups[supplierId] = {
+        supplierId,
+        supplierName:   supplier?.name ?? terms?.supplierName ?? "",
+        supplier,
+        items:          [],
+        estimatedTotal: 0,
+      };
+    }
+
+    const lineTotal = orderedQuantity * unitPrice;
+    groups[supplierId].items.push({
+      ingredientId:     row.ingredientId,
+      ingredientName:   row.ingredientName,
+      unit:             row.unit,
+      currentStock:     row.currentStock,
+      safetyStock:      row.safetyStock,
+      totalRequired:    row.totalRequired,
+      netRequired:      row.netRequired,
+      // orderedQuantity is always in the stock unit — receiving adds it to
+      // currentStock. The pack fields record the same order as the supplier
+      // sees it (orderedPacks × packSize packUnit); 0 packs = not bought in packs.
+      orderedQuantity,
+      orderedPacks:     line.orderedPacks,
+      packSize:         line.packStockSize ? terms.packSize : 0,
+      packUnit:         line.packStockSize ? terms.packUnit || row.unit : "",
+      packName:         line.packStockSize ? terms.packName || "pack" : "",
+      packStockSize:    line.packStockSize ?? 0,
+      overBuy:          Math.max(0, line.overBuy),
+      receivedQuantity: 0,    // filled in during goods receipt
+      supplierItemCode: terms?.supplierItemCode ?? "",
+      packPrice:        terms?.packPrice ?? 0,
+      unitPrice,
+      lineTotal,
+    });
+    groups[supplierId].estimatedTotal += lineTotal;
+  }
+
+  return Object.values(groups).sort((a, b) => {
+    if (!a.supplierId) return 1;
+    if (!b.supplierId) return -1;
+    return a.supplierName.localeCompare(b.supplierName);
+  });
+};
+
 // ─── Main component ───────────────────────────────────────────────────────────
 
 export default function PurchasingPage() {
-  const { user } = useAuth();
+  const { user }     = useAuth();
+  const { settings } = useSettings();
+  const { sites }    = useSite();
+
+  // Purchasing always works at the main site — see the note at the top.
+  const mainSite = sites.find((s) => s.isMain) ?? null;
 
   // ── Page-level data ───────────────────────────────────────────────────────
   const [purchaseOrders, setPurchaseOrders] = useState([]);
@@ -112,33 +340,101 @@ export default function PurchasingPage() {
   const [workOrdersIncluded,  setWorkOrdersIncluded]  = useState([]);
   // editedQty: user overrides for the "Net to Order" column, keyed by ingredientId.
   const [editedQty,           setEditedQty]           = useState({});
+  // supplierChoice: which supplier each line is ordered from, keyed by
+  // ingredientId ("" = no supplier). Defaults to the preferred supplier.
+  const [supplierChoice,      setSupplierChoice]      = useState({});
+  // suppliers: fetched with the calculation, for names, minimums and lead times.
+  const [suppliers,           setSuppliers]           = useState([]);
   const [calculating,         setCalculating]         = useState(false);
   const [calcError,           setCalcError]           = useState(null);
   const [creatingPo,          setCreatingPo]          = useState(false);
 
+  // ── Reorder Suggestions ───────────────────────────────────────────────────
+  // reorderRows: null = not yet checked; array = ingredients below their
+  // reorder point (see buildReorderSuggestions). Each line is ordered from its
+  // default supplier, rounded up to whole packs — the drafts can be reviewed
+  // in the list below before they're sent.
+  const [reorderRows,           setReorderRows]           = useState(null);
+  const [reorderSupplierChoice, setReorderSupplierChoice] = useState({});
+  const [reorderQty,            setReorderQty]            = useState({});
+  const [reorderSuppliers,      setReorderSuppliers]      = useState([]);
+  const [checkingReorder,       setCheckingReorder]       = useState(false);
+  const [creatingReorderPos,    setCreatingReorderPos]    = useState(false);
+  const [reorderError,          setReorderError]          = useState(null);
+
   // ── Section 2: Purchase Orders ────────────────────────────────────────────
   // expandedPoId: which PO's line-item panel is open (null = all collapsed).
   const [expandedPoId,   setExpandedPoId]   = useState(null);
   const [markingSentId,  setMarkingSentId]  = useState(null);
   const [deletingId,     setDeletingId]     = useState(null);
+  const [invoiceUpdatingId, setInvoiceUpdatingId] = useState(null);
+  const [closingShortId,    setClosingShortId]    = useState(null);
+  // receiptsByPo: delivery receipts keyed by PO id, loaded when a PO is expanded.
+  const [receiptsByPo,      setReceiptsByPo]      = useState({});
+  // vendorReturns: every return-to-vendor, shown under the PO it came from.
+  const [vendorReturns,     setVendorReturns]     = useState([]);
+
+  // ── Return to vendor ──────────────────────────────────────────────────────
+  // returningPo: the PO goods are going back against, or null when closed.
+  // returnQty / returnCredit: quantity (stock unit) and credit per stock unit
+  // for each line, keyed by ingredientId.
+  const [returningPo,      setReturningPo]      = useState(null);
+  const [returnQty,        setReturnQty]        = useState({});
+  const [returnCredit,     setReturnCredit]     = useState({});
+  const [returnReason,     setReturnReason]     = useState("");
+  const [submittingReturn, setSubmittingReturn] = useState(false);
+  const [returnError,      setReturnError]      = useState(null);
+  // Free-text search — PO number, supplier, invoice number, or ingredient.
+  const [poSearch,       setPoSearch]       = useState("");
+
+  // ── Send panel ────────────────────────────────────────────────────────────
+  // sendingPo: the PO being sent or downloaded, or null when the panel is closed.
+  // sendForm: { to, deliveryDate, message } — prefilled from the PO's supplier.
+  const [sendingPo,    setSendingPo]    = useState(null);
+  const [sendForm,     setSendForm]     = useState({ to: "", deliveryDate: "", message: "" });
+  const [sendingEmail, setSendingEmail] = useState(false);
+  const [sendError,    setSendError]    = useState(null);
 
   // ── Section 3: Receive Goods ──────────────────────────────────────────────
   // receivingPo: the full PO object being received, or null when form is closed.
   const [receivingPo,       setReceivingPo]       = useState(null);
   // receivedQty: editable received quantities, keyed by ingredientId.
   const [receivedQty,       setReceivedQty]       = useState({});
+  // receivedLots: lot code + best-before date per line, keyed by ingredientId.
+  // Both are optional — a blank lot code is generated by firestore.js.
+  const [receivedLots,      setReceivedLots]      = useState({});
+  // receivedPrices / receivedInvoices: invoiced price (per pack for pack
+  // lines) and invoice number per line, keyed by ingredientId. A blank line
+  // invoice number falls back to receiveInvoiceNumber, the one at the top.
+  const [receivedPrices,       setReceivedPrices]       = useState({});
+  const [receivedInvoices,     setReceivedInvoices]     = useState({});
+  const [receiveInvoiceNumber, setReceiveInvoiceNumber] = useState("");
+  // costMethod: "none" | "last" | "average" — see receivePurchaseOrder.
+  const [costMethod,        setCostMethod]        = useState("none");
+  // receiptNotes / receiptTemperature: about the delivery as a whole. The
+  // temperature is the probe reading for chilled goods, left blank otherwise.
+  const [receiptNotes,       setReceiptNotes]       = useState("");
+  const [receiptTemperature, setReceiptTemperature] = useState("");
   const [submittingReceive, setSubmittingReceive] = useState(false);
   const [receiveError,      setReceiveError]      = useState(null);
 
   // ── Initial data fetch ────────────────────────────────────────────────────
-  // Only purchase orders are loaded on page mount. Work orders and ingredients
-  // are fetched on-demand when the user clicks "Calculate Requirements" so we
-  // don't slow down the initial page load with data the user may not need.
+  // Purchase orders, the vendor returns shown on them, and suppliers are
+  // loaded on page mount — suppliers so the send dialog can show a supplier's
+  // current ordering email. Work orders and ingredients are fetched on-demand
+  // when the user clicks "Calculate Requirements" so we don't slow down the
+  // initial page load with data the user may not need.
   useEffect(() => {
     const loadPOs = async () => {
       try {
-        const data = await getPurchaseOrders();
+        const [data, returns, allSuppliers] = await Promise.all([
+          getPurchaseOrders(),
+          getVendorReturns(),
+          getSuppliers(),
+        ]);
         setPurchaseOrders(data);
+        setVendorReturns(returns);
+        setSuppliers(allSuppliers);
       } catch (err) {
         console.error("Failed to load purchase orders:", err);
       } finally {
@@ -148,13 +444,23 @@ export default function PurchasingPage() {
     loadPOs();
   }, []);
 
-  // ── Derived value ─────────────────────────────────────────────────────────
-  // The "Create Purchase Order" button is only active when at least one edited
+  // ── Derived values ────────────────────────────────────────────────────────
+  // The "Create Purchase Orders" button is only active when at least one edited
   // quantity is greater than zero — i.e., there's something to actually order.
   const hasAnyOrderQty =
     requirements !== null &&
     Object.values(editedQty).some((v) => parseFloat(v) > 0);
 
+  // The draft POs that "Create Purchase Orders" will write — one per supplier.
+  const draftGroups = requirements === null
+    ? []
+    : groupBySupplier(requirements, supplierChoice, editedQty, suppliers);
+
+  // The draft POs "Create Reorder Drafts" will write — one per supplier.
+  const reorderGroups = reorderRows === null
+    ? []
+    : groupBySupplier(reorderRows, reorderSupplierChoice, reorderQty, reorderSuppliers);
+
   // ── Section 1 handlers ────────────────────────────────────────────────────
 
   // Updates startDate or endDate in the dateRange form object.
@@ -181,9 +487,10 @@ export default function PurchasingPage() {
 
     try {
       // Fetch work orders and ingredients in parallel.
-      const [allWorkOrders, allIngredients] = await Promise.all([
-        getWorkOrders(),
-        getIngredients(),
+      const [allWorkOrders, allIngredients, allSuppliers] = await Promise.all([
+        getWorkOrders(mainSite),
+        getIngredients(mainSite),
+        getSuppliers(),
       ]);
 
       // Filter to work orders within the date range whose scheduledStart falls
@@ -211,13 +518,17 @@ export default function PurchasingPage() {
 
       // Initialise editedQty to the calculated net requirement for each ingredient.
       // The user can then adjust individual values before creating the PO.
-      const initialEdits = {};
+      const initialEdits    = {};
+      const initialSupplier = {};
       reqs.forEach((r) => {
-        initialEdits[r.ingredientId] = String(r.netRequired);
+        initialSupplier[r.ingredientId] = getDefaultSupplierId(r, allSuppliers);
+        initialEdits[r.ingredientId]    = getDefaultOrderValue(r, initialSupplier[r.ingredientId]);
       });
 
       setRequirements(reqs);
       setEditedQty(initialEdits);
+      setSupplierChoice(initialSupplier);
+      setSuppliers(allSuppliers);
       setWorkOrdersIncluded(inRange.map((wo) => wo.id));
     } catch (err) {
       console.error("Failed to calculate requirements:", err);
@@ -232,63 +543,195 @@ export default function PurchasingPage() {
     setEditedQty((prev) => ({ ...prev, [ingredientId]: value }));
   };
 
-  // Builds the PO items array from the requirements, substituting the user's
-  // edited quantities for "orderedQuantity", then writes the PO to Firestore.
-  const handleCreatePo = async () => {
-    const items = requirements.map((r) => ({
-      ingredientId:     r.ingredientId,
-      ingredientName:   r.ingredientName,
-      unit:             r.unit,
-      currentStock:     r.currentStock,
-      safetyStock:      r.safetyStock,
-      totalRequired:    r.totalRequired,
-      netRequired:      r.netRequired,
-      orderedQuantity:  parseFloat(editedQty[r.ingredientId]) || 0,
-      receivedQuantity: 0,    // filled in during goods receipt
-    }));
-
-    // Only include line items the user actually wants to order.
-    const orderItems = items.filter((it) => it.orderedQuantity > 0);
+  // Switches the supplier a single line is ordered from. The order value is
+  // recalculated because the new supplier's packs (or lack of them) mean the
+  // old number no longer applies — 2 cases from one isn't 2 bags from another.
+  const handleSupplierChange = (ingredientId, supplierId) => {
+    const row = requirements.find((r) => r.ingredientId === ingredientId);
+    setSupplierChoice((prev) => ({ ...prev, [ingredientId]: supplierId }));
+    setEditedQty((prev) => ({ ...prev, [ingredientId]: getDefaultOrderValue(row, supplierId) }));
+  };
 
-    if (orderItems.length === 0) {
+  // Writes one draft PO per supplier from draftGroups. Each PO snapshots the
+  // supplier's contact and terms so it still reads correctly if the supplier
+  // record is edited later.
+  // POs are written one at a time; if one fails, the ones already written are
+  // kept and the list is refreshed so the user can see what was created.
+  const handleCreatePo = async () => {
+    if (draftGroups.length === 0) {
       setCalcError("Adjust quantities — all items are set to 0.");
       return;
     }
 
     setCreatingPo(true);
     try {
-      await addPurchaseOrder({
-        planningDateRange: {
-          startDate: dateRange.startDate,
-          endDate:   dateRange.endDate,
-        },
-        items:               orderItems,
-        workOrdersIncluded:  workOrdersIncluded,
-        notes:               "",
-        createdBy:           user?.email ?? "",
-      });
-
-      // Re-fetch the PO list so the new draft appears immediately.
-      const updated = await getPurchaseOrders();
-      setPurchaseOrders(updated);
+      for (const group of draftGroups) {
+        await addPurchaseOrder({
+          planningDateRange: {
+            startDate: dateRange.startDate,
+            endDate:   dateRange.endDate,
+          },
+          supplierId:           group.supplierId,
+          supplierName:         group.supplierName,
+          supplierEmail:        group.supplier?.orderEmail   ?? "",
+          supplierContactName:  group.supplier?.contactName  ?? "",
+          supplierPhone:        group.supplier?.phone        ?? "",
+          supplierLeadTimeDays: group.supplier?.leadTimeDays ?? 0,
+          supplierDeliveryDays: group.supplier?.deliveryDays ?? [],
+          supplierMinimumOrder: group.supplier?.minimumOrder ?? 0,
+          items:                group.items,
+          estimatedTotal:       group.estimatedTotal,
+          workOrdersIncluded:   workOrdersIncluded,
+          notes:                "",
+          createdBy:            user?.email ?? "",
+        });
+      }
 
       // Clear the calculator so the user starts fresh for the next run.
       setRequirements(null);
       setEditedQty({});
+      setSupplierChoice({});
       setWorkOrdersIncluded([]);
     } catch (err) {
-      console.error("Failed to create purchase order:", err);
-      setCalcError("Failed to create purchase order. Please try again.");
+      console.error("Failed to create purchase orders:", err);
+      setCalcError("Failed to create every purchase order. Check the list below before trying again.");
     } finally {
+      // Re-fetch the PO list so the new drafts appear immediately.
+      try {
+        const updated = await getPurchaseOrders();
+        setPurchaseOrders(updated);
+      } catch (err) {
+        console.error("Failed to reload purchase orders:", err);
+      }
       setCreatingPo(false);
     }
   };
 
+  // ── Reorder handlers ──────────────────────────────────────────────────────
+
+  // Loads live stock, suppliers and POs and lists every ingredient below its
+  // reorder point. POs are re-fetched too so "on order" can't be stale.
+  const handleCheckReorder = async () => {
+    setReorderError(null);
+    setCheckingReorder(true);
+    try {
+      const [allIngredients, allSuppliers, allPos] = await Promise.all([
+        getIngredients(mainSite),
+        getSuppliers(),
+        getPurchaseOrders(),
+      ]);
+
+      const rows = buildReorderSuggestions(allIngredients, allPos);
+      const initialSupplier = {};
+      const initialQty      = {};
+      rows.forEach((r) => {
+        initialSupplier[r.ingredientId] = getDefaultSupplierId(r, allSuppliers);
+        initialQty[r.ingredientId]      = getDefaultOrderValue(r, initialSupplier[r.ingredientId]);
+      });
+
+      setReorderRows(rows);
+      setReorderSupplierChoice(initialSupplier);
+      setReorderQty(initialQty);
+      setReorderSuppliers(allSuppliers);
+      setPurchaseOrders(allPos);
+    } catch (err) {
+      console.error("Failed to check reorder points:", err);
+      setReorderError("Failed to load stock levels. Please try again.");
+    } finally {
+      setCheckingReorder(false);
+    }
+  };
+
+  // Writes one draft PO per supplier from reorderGroups. Same shape as the
+  // calculator's POs, but with no planning dates or work orders behind it —
+  // `source: "reorder"` marks where it came from.
+  const handleCreateReorderPos = async () => {
+    if (reorderGroups.length === 0) return;
+
+    setCreatingReorderPos(true);
+    try {
+      for (const group of reorderGroups) {
+        await addPurchaseOrder({
+          planningDateRange:    { startDate: "", endDate: "" },
+          source:               "reorder",
+          supplierId:           group.supplierId,
+          supplierName:         group.supplierName,
+          supplierEmail:        group.supplier?.orderEmail   ?? "",
+          supplierContactName:  group.supplier?.contactName  ?? "",
+          supplierPhone:        group.supplier?.phone        ?? "",
+          supplierLeadTimeDays: group.supplier?.leadTimeDays ?? 0,
+          supplierDeliveryDays: group.supplier?.deliveryDays ?? [],
+          supplierMinimumOrder: group.supplier?.minimumOrder ?? 0,
+          items:                group.items,
+          estimatedTotal:       group.estimatedTotal,
+          workOrdersIncluded:   [],
+          notes:                "Reorder point replenishment",
+          createdBy:            user?.email ?? "",
+        });
+      }
+      setReorderRows(null);
+      setReorderSupplierChoice({});
+      setReorderQty({});
+    } catch (err) {
+      console.error("Failed to create reorder purchase orders:", err);
+      setReorderError("Failed to create every purchase order. Check the list below before trying again.");
+    } finally {
+      try {
+        const updated = await getPurchaseOrders();
+        setPurchaseOrders(updated);
+      } catch (err) {
+        console.error("Failed to reload purchase orders:", err);
+      }
+      setCreatingReorderPos(false);
+    }
+  };
+
   // ── Section 2 handlers ────────────────────────────────────────────────────
 
   // Toggles the expanded line-item panel for a PO row.
+  // Expanding a received PO also loads its delivery timeline, once.
   const handleToggleExpand = (id) => {
-    setExpandedPoId((prev) => (prev === id ? null : id));
+    const opening = expandedPoId !== id;
+    setExpandedPoId(opening ? id : null);
+    if (opening && !receiptsByPo[id]) {
+      loadReceipts(id);
+    }
+  };
+
+  // Fetches one PO's receipts into receiptsByPo.
+  const loadReceipts = async (poId) => {
+    try {
+      const receipts = await getPurchaseOrderReceipts(poId);
+      setReceiptsByPo((prev) => ({ ...prev, [poId]: receipts }));
+    } catch (err) {
+      console.error("Failed to load receipts:", err);
+      setReceiptsByPo((prev) => ({ ...prev, [poId]: [] }));
+    }
+  };
+
+  // Closes a partial PO short after asking why — the supplier is out of
+  // stock, the line was substituted, and so on.
+  const handleCloseShort = async (po) => {
+    const reason = window.prompt(
+      `Close ${getPoNumber(po)} without receiving the rest? Enter a reason:`
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      window.alert("Enter a reason for closing the order short.");
+      return;
+    }
+
+    setClosingShortId(po.id);
+    try {
+      await closePurchaseOrderShort(po.id, reason.trim(), user?.email ?? "");
+      const updated = await getPurchaseOrders();
+      setPurchaseOrders(updated);
+    } catch (err) {
+      console.error("Failed to close purchase order short:", err);
+      window.alert("Failed to close the purchase order. Please try again.");
+    } finally {
+      setClosingShortId(null);
+    }
   };
 
   // Marks a draft PO as sent (status: "sent"). sentAt is set by firestore.js.
@@ -306,11 +749,89 @@ export default function PurchasingPage() {
     }
   };
 
+  // ── Send panel handlers ───────────────────────────────────────────────────
+
+  // Opens the send panel for a PO. The delivery date defaults to the one
+  // already on the PO (a resend), or the supplier's lead time from today.
+  const handleOpenSend = (po) => {
+    setSendingPo(po);
+    setSendForm({
+      // Display only — the API route looks up the supplier's address itself
+      // and answers with an error if there isn't one.
+      to:           suppliers.find((s) => s.id === po.supplierId)?.orderEmail ?? po.supplierEmail ?? "",
+      deliveryDate: po.deliveryDate || getExpectedDeliveryDate(po.supplierLeadTimeDays, po.supplierDeliveryDays),
+      message:      "",
+    });
+    setSendError(null);
+    setTimeout(() => {
+      document.getElementById("send-form")?.scrollIntoView({ behavior: "smooth" });
+    }, 50);
+  };
+
+  const handleCloseSend = () => {
+    setSendingPo(null);
+    setSendError(null);
+  };
+
+  const handleSendFormChange = (e) => {
+    const { name, value } = e.target;
+    setSendForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Downloads the PO as a PDF — the same document the email attaches.
+  const handleDownloadPdf = () => {
+    const data = buildPoDocumentData(sendingPo, { bakeryName: settings.bakeryName, ...sendForm });
+    buildPoPdf(data).save(getPoPdfFilename(data));
+  };
+
+  // Emails the PO through the server's SMTP transport. The API route checks
+  // the signed-in user's ID token, loads the PO and its supplier's address
+  // from Firestore, and records the message on the PO — the page only says
+  // which PO, the delivery date and the note.
+  const handleSendEmail = async () => {
+    setSendingEmail(true);
+    setSendError(null);
+    try {
+      const token = await user.getIdToken();
+      const response = await fetch("/api/purchase-orders/send", {
+        method:  "POST",
+        headers: {
+          "Content-Type":  "application/json",
+          "Authorization": `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          poId:         sendingPo.id,
+          deliveryDate: sendForm.deliveryDate,
+          message:      sendForm.message,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to send email.");
+      }
+
+      const updated = await getPurchaseOrders();
+      setPurchaseOrders(updated);
+      handleCloseSend();
+    } catch (err) {
+      console.error("Failed to email purchase order:", err);
+      setSendError(err.message);
+    } finally {
+      setSendingEmail(false);
+    }
+  };
+
+  // For a PO phoned in or sent some other way — the old "Mark as Sent".
+  const handleMarkSentWithoutEmail = async () => {
+    await handleMarkSent(sendingPo.id);
+    handleCloseSend();
+  };
+
   // Deletes a draft PO after confirmation. The firestore function enforces
   // that only draft POs may be deleted.
   const handleDelete = async (po) => {
     const confirmed = window.confirm(
-      `Delete draft purchase order from ${formatDate(po.planningDateRange?.startDate)}? This cannot be undone.`
+      `Delete draft purchase order ${getPoNumber(po)}${po.supplierName ? ` for ${po.supplierName}` : ""}? This cannot be undone.`
     );
     if (!confirmed) return;
 
@@ -327,18 +848,54 @@ export default function PurchasingPage() {
     }
   };
 
-  // Opens the receive goods form pre-filled with the PO's ordered quantities.
+  // Marks a received PO's invoice as matched, or disputed with a reason.
+  // A dispute needs a note so whoever follows up knows what was raised.
+  const handleSetInvoiceStatus = async (po, status) => {
+    let notes = "";
+    if (status === "disputed") {
+      notes = window.prompt(`What's wrong with the invoice for ${getPoNumber(po)}?`, po.invoiceNotes ?? "");
+      if (notes === null) return;
+      if (!notes.trim()) {
+        window.alert("Enter a reason for the dispute.");
+        return;
+      }
+    }
+
+    setInvoiceUpdatingId(po.id);
+    try {
+      await setPurchaseOrderInvoiceStatus(po.id, status, notes.trim(), user?.email ?? "");
+      const updated = await getPurchaseOrders();
+      setPurchaseOrders(updated);
+    } catch (err) {
+      console.error("Failed to update invoice status:", err);
+      window.alert("Failed to update the invoice status. Please try again.");
+    } finally {
+      setInvoiceUpdatingId(null);
+    }
+  };
+
+  // Opens the receive goods form pre-filled with what's still outstanding on
+  // each line — the full order on the first delivery, the remainder after that.
   const handleOpenReceive = (po) => {
     const initial = {};
     po.items.forEach((item) => {
-      // Pre-fill with the already-received amount if re-opening a partial PO,
-      // otherwise default to the full ordered quantity.
       initial[item.ingredientId] = String(
-        item.receivedQuantity > 0 ? item.receivedQuantity : item.orderedQuantity
+        roundQuantity(Math.max(item.orderedQuantity - (item.receivedQuantity ?? 0), 0))
       );
     });
+    const prices = {};
+    po.items.forEach((item) => {
+      prices[item.ingredientId] = getDefaultReceivePrice(item);
+    });
     setReceivingPo(po);
     setReceivedQty(initial);
+    setReceivedLots({});
+    setReceivedPrices(prices);
+    setReceivedInvoices({});
+    setReceiveInvoiceNumber("");
+    setCostMethod("none");
+    setReceiptNotes("");
+    setReceiptTemperature("");
     setReceiveError(null);
     // Scroll to the form after the next paint so it's in view.
     setTimeout(() => {
@@ -349,6 +906,10 @@ export default function PurchasingPage() {
   const handleCloseReceive = () => {
     setReceivingPo(null);
     setReceivedQty({});
+    setReceivedLots({});
+    setReceivedPrices({});
+    setReceivedInvoices({});
+    setReceiveInvoiceNumber("");
     setReceiveError(null);
   };
 
@@ -359,33 +920,154 @@ export default function PurchasingPage() {
     setReceivedQty((prev) => ({ ...prev, [ingredientId]: value }));
   };
 
-  // Builds the full updated items array (with receivedQuantity filled in) and
-  // calls the atomic batch write in firestore.js.
+  // Updates the lot code or best-before date for one line.
+  // `field` is "lotCode" or "bestBefore".
+  const handleReceivedLotChange = (ingredientId, field, value) => {
+    setReceivedLots((prev) => ({
+      ...prev,
+      [ingredientId]: { ...prev[ingredientId], [field]: value },
+    }));
+  };
+
+  // Updates the invoiced price or invoice number for one line.
+  const handleReceivedPriceChange = (ingredientId, value) => {
+    setReceivedPrices((prev) => ({ ...prev, [ingredientId]: value }));
+  };
+
+  const handleReceivedInvoiceChange = (ingredientId, value) => {
+    setReceivedInvoices((prev) => ({ ...prev, [ingredientId]: value }));
+  };
+
+  // The receive form's lines with everything typed so far applied — used for
+  // both the live variance display and the submit. Each is the PO line as if
+  // this delivery were all there was (receivedQuantity and invoicedQuantity
+  // are this delivery's), so getLinePriceVariance reports this delivery's
+  // variance; previouslyReceived carries the earlier deliveries.
+  const buildReceivedItems = () =>
+    receivingPo.items.map((item) => {
+      const receivedQuantity = parseFloat(receivedQty[item.ingredientId]) || 0;
+      const actualUnitPrice  = toActualUnitPrice(item, receivedPrices[item.ingredientId]);
+      return {
+        ...item,
+        previouslyReceived: item.receivedQuantity ?? 0,
+        receivedQuantity,
+        invoicedQuantity:   receivedQuantity,
+        lotCode:            receivedLots[item.ingredientId]?.lotCode?.trim()  ?? "",
+        bestBefore:         receivedLots[item.ingredientId]?.bestBefore      ?? "",
+        actualUnitPrice,
+        invoiceNumber:      receivedQuantity > 0
+          ? (receivedInvoices[item.ingredientId]?.trim() || receiveInvoiceNumber.trim())
+          : "",
+      };
+    });
+
+  // Records this delivery (quantities, lot details and invoiced prices) as a
+  // receipt on the PO through the transaction in firestore.js.
   const handleSubmitReceive = async () => {
-    const updatedItems = receivingPo.items.map((item) => ({
-      ...item,
-      receivedQuantity: parseFloat(receivedQty[item.ingredientId]) || 0,
+    const lines = buildReceivedItems().map((item) => ({
+      ingredientId:    item.ingredientId,
+      ingredientName:  item.ingredientName,
+      quantity:        item.receivedQuantity,
+      lotCode:         item.lotCode,
+      bestBefore:      item.bestBefore,
+      actualUnitPrice: item.actualUnitPrice,
+      invoiceNumber:   item.invoiceNumber,
     }));
 
+    if (!lines.some((line) => line.quantity > 0)) {
+      setReceiveError("Enter a received quantity for at least one line.");
+      return;
+    }
+
+    const temperature = receiptTemperature.trim() === "" ? null : parseFloat(receiptTemperature);
+
     setSubmittingReceive(true);
     setReceiveError(null);
     try {
-      await receivePurchaseOrder(
-        receivingPo.id,
-        updatedItems,
-        user?.email ?? ""
-      );
+      await receivePurchaseOrder(receivingPo, lines, user?.email ?? "", {
+        notes:       receiptNotes,
+        temperature: Number.isNaN(temperature) ? null : temperature,
+        costMethod,
+      }, mainSite);
       const updated = await getPurchaseOrders();
       setPurchaseOrders(updated);
+      // Refresh the timeline if it's open; otherwise drop the stale copy.
+      if (expandedPoId === receivingPo.id) {
+        await loadReceipts(receivingPo.id);
+      } else {
+        setReceiptsByPo((prev) => {
+          const next = { ...prev };
+          delete next[receivingPo.id];
+          return next;
+        });
+      }
       handleCloseReceive();
     } catch (err) {
       console.error("Failed to receive goods:", err);
-      setReceiveError("Failed to record receipt. Please try again.");
+      setReceiveError(err.message || "Failed to record receipt. Please try again.");
     } finally {
       setSubmittingReceive(false);
     }
   };
 
+  // ── Return to vendor handlers ─────────────────────────────────────────────
+
+  // Opens the return form. Credit defaults to what we were invoiced per unit,
+  // or the PO price when no invoice price was recorded.
+  const handleOpenReturn = (po) => {
+    const credits = {};
+    po.items.forEach((item) => {
+      const price = item.actualUnitPrice > 0 ? item.actualUnitPrice : item.unitPrice ?? 0;
+      credits[item.ingredientId] = price > 0 ? String(roundQuantity(price)) : "";
+    });
+    setReturningPo(po);
+    setReturnQty({});
+    setReturnCredit(credits);
+    setReturnReason("");
+    setReturnError(null);
+    setTimeout(() => {
+      document.getElementById("return-form")?.scrollIntoView({ behavior: "smooth" });
+    }, 50);
+  };
+
+  const handleCloseReturn = () => {
+    setReturningPo(null);
+    setReturnQty({});
+    setReturnCredit({});
+    setReturnReason("");
+    setReturnError(null);
+  };
+
+  const handleSubmitReturn = async () => {
+    if (!returnReason.trim()) {
+      setReturnError("Enter a reason for the return.");
+      return;
+    }
+
+    const lines = returningPo.items.map((item) => ({
+      ingredientId:   item.ingredientId,
+      ingredientName: item.ingredientName,
+      quantity:       parseFloat(returnQty[item.ingredientId]) || 0,
+      unitCredit:     parseFloat(returnCredit[item.ingredientId]) || 0,
+    }));
+
+    setSubmittingReturn(true);
+    setReturnError(null);
+    try {
+      await addVendorReturn(returningPo, lines, returnReason, user?.email ?? "", mainSite);
+      const [updated, returns] = await Promise.all([getPurchaseOrders(), getVendorReturns()]);
+      setPurchaseOrders(updated);
+      setVendorReturns(returns);
+      handleCloseReturn();
+    } catch (err) {
+      console.error("Failed to record vendor return:", err);
+      // addVendorReturn's validation messages are written for the user.
+      setReturnError(err.message || "Failed to record the return. Please try again.");
+    } finally {
+      setSubmittingReturn(false);
+    }
+  };
+
   // ── Loading state ─────────────────────────────────────────────────────────
   if (loadingPage) {
     return (
@@ -395,6 +1077,24 @@ export default function PurchasingPage() {
     );
   }
 
+  // The email the send panel would send, rebuilt as the form is edited.
+  const sendPreview = sendingPo
+    ? buildPoEmail(buildPoDocumentData(sendingPo, { bakeryName: settings.bakeryName, ...sendForm }))
+    : null;
+
+  // POs shown in the list. getPoNumber covers POs created before numbering.
+  const visiblePurchaseOrders = purchaseOrders.filter((po) =>
+    matchesSearch(poSearch, [
+      getPoNumber(po),
+      po.supplierName,
+      ...(po.invoiceNumbers ?? []),
+      ...(po.items ?? []).map((item) => item.ingredientName),
+    ])
+  );
+
+  // Received lines invoiced at a different price, on POs not yet matched.
+  const openDiscrepancies = getOpenDiscrepancies(purchaseOrders);
+
   // ── Main render ───────────────────────────────────────────────────────────
   return (
     <div className="max-w-4xl mx-auto px-4 py-8 space-y-12">
@@ -403,7 +1103,7 @@ export default function PurchasingPage() {
       <div>
         <h1 className="text-2xl font-semibold text-stone-800">Purchasing</h1>
         <p className="text-sm text-stone-500 mt-1">
-          Calculate ingredient requirements from scheduled work orders and manage purchase orders.
+          Calculate ingredient requirements from scheduled work orders and create one purchase order per supplier.
         </p>
       </div>
 
@@ -471,7 +1171,7 @@ export default function PurchasingPage() {
               work order{workOrdersIncluded.length !== 1 ? "s" : ""} scheduled between{" "}
               <span className="font-medium text-stone-700">{formatDate(dateRange.startDate)}</span> and{" "}
               <span className="font-medium text-stone-700">{formatDate(dateRange.endDate)}</span>.
-              {" "}Adjust the <em>Net to Order</em> quantities before creating the purchase order.
+              {" "}Lines bought in packs are rounded up to whole packs — adjust the <em>Order</em> quantities before creating purchase orders.
             </p>
 
             <div className="overflow-x-auto rounded-lg border border-stone-200">
@@ -484,13 +1184,17 @@ export default function PurchasingPage() {
                     <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Currently Have</th>
                     <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Safety Stock</th>
                     <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Total Required</th>
-                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Net to Order</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Net Needed</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Order</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Supplier</th>
                   </tr>
                 </thead>
 
                 <tbody className="divide-y divide-stone-100 bg-white">
                   {requirements.map((row) => {
                     const needsOrder = row.netRequired > 0;
+                    const supplierId = supplierChoice[row.ingredientId] ?? "";
+                    const line       = getOrderLine(row, supplierId, editedQty[row.ingredientId]);
                     return (
                       <tr
                         key={row.ingredientId}
@@ -509,10 +1213,21 @@ export default function PurchasingPage() {
                           {row.safetyStock}
                         </td>
 
-                        <td className="px-4 py-3 text-stone-600">{row.totalRequired}</td>
+                        <td className="px-4 py-3 text-stone-600">
+                          {roundQuantity(row.totalRequired)}
+                          {row.incompatible && (
+                            <span className="ml-1 text-xs text-rose-600 font-medium" title="A work order line couldn't be converted to this unit and isn't counted">
+                              unit mismatch
+                            </span>
+                          )}
+                        </td>
+
+                        <td className="px-4 py-3 text-stone-600">{row.netRequired}</td>
 
-                        {/* Net to Order — editable number input.
-                            Initialized to the calculated netRequired; owner can adjust. */}
+                        {/* Order — editable number input. A pack count when the
+                            chosen supplier sells this in packs, otherwise a
+                            quantity in the stock unit. Initialized to the net
+                            requirement rounded up to packs; owner can adjust. */}
                         <td className="px-4 py-3">
                           <input
                             type="number"
@@ -526,6 +1241,42 @@ export default function PurchasingPage() {
                                 : "border-stone-200 bg-stone-50"
                             }`}
                           />
+                          {line.packStockSize && (
+                            <div className="text-xs text-stone-500 mt-1 whitespace-nowrap">
+                              × {describePack(line.terms, row.ingredient)}
+                              {line.orderedPacks > 0 && ` = ${roundQuantity(line.orderedQuantity)} ${row.unit}`}
+                            </div>
+                          )}
+                          {line.orderedQuantity > 0 && line.overBuy > 0.0005 && (
+                            <div className="text-xs text-amber-700 mt-0.5 whitespace-nowrap">
+                              +{roundQuantity(line.overBuy)} {row.unit} over
+                            </div>
+                          )}
+                          {line.ruleWarning && (
+                            <div className="text-xs text-rose-600 mt-0.5 whitespace-nowrap">
+                              supplier requires {line.ruleWarning}
+                            </div>
+                          )}
+                        </td>
+
+                        {/* Supplier — preferred by default, switchable to the
+                            alternate. Set up on the Ingredients page. */}
+                        <td className="px-4 py-3">
+                          {row.preferredSupplier ? (
+                            <select
+                              value={supplierChoice[row.ingredientId] ?? ""}
+                              onChange={(e) => handleSupplierChange(row.ingredientId, e.target.value)}
+                              className="w-40 rounded-md border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                            >
+                              <option value={row.preferredSupplier.supplierId}>{row.preferredSupplier.supplierName}</option>
+                              {row.alternateSupplier && (
+                                <option value={row.alternateSupplier.supplierId}>{row.alternateSupplier.supplierName} (alt.)</option>
+                              )}
+                              <option value="">No supplier</option>
+                            </select>
+                          ) : (
+                            <span className="text-xs text-stone-400">No supplier set</span>
+                          )}
                         </td>
                       </tr>
                     );
@@ -535,6 +1286,37 @@ export default function PurchasingPage() {
               </table>
             </div>
 
+            {/* Draft PO preview — one per supplier, with the supplier's
+                minimum order checked against the estimated total. */}
+            {draftGroups.length > 0 && (
+              <div className="rounded-lg border border-stone-200 divide-y divide-stone-100">
+                {draftGroups.map((group) => {
+                  const minimum      = group.supplier?.minimumOrder ?? 0;
+                  const belowMinimum = minimum > 0 && group.estimatedTotal < minimum;
+                  return (
+                    <div key={group.supplierId || "none"} className="flex items-center justify-between px-4 py-2.5 text-sm gap-4 flex-wrap">
+                      <div>
+                        <span className="font-medium text-stone-700">{group.supplierName || "No supplier"}</span>
+                        <span className="text-stone-500">
+                          {" · "}{group.items.length} line{group.items.length !== 1 ? "s" : ""}
+                          {group.supplier?.leadTimeDays > 0 && ` · ${group.supplier.leadTimeDays} day lead time`}
+                          {group.supplier?.deliveryDays?.length > 0 && ` · delivers ${group.supplier.deliveryDays.join(", ")}`}
+                        </span>
+                      </div>
+                      <div className="text-right">
+                        <span className="text-stone-700">est. ${group.estimatedTotal.toFixed(2)}</span>
+                        {belowMinimum && (
+                          <span className="ml-2 text-xs font-medium text-amber-700">
+                            below ${minimum.toFixed(2)} minimum
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
             {/* Create PO button */}
             <div className="flex items-center gap-4">
               <button
@@ -542,7 +1324,11 @@ export default function PurchasingPage() {
                 disabled={!hasAnyOrderQty || creatingPo}
                 className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
               >
-                {creatingPo ? "Creating..." : "Create Purchase Order"}
+                {creatingPo
+                  ? "Creating..."
+                  : draftGroups.length > 1
+                    ? `Create ${draftGroups.length} Purchase Orders`
+                    : "Create Purchase Order"}
               </button>
               {!hasAnyOrderQty && (
                 <p className="text-xs text-stone-400">
@@ -555,19 +1341,118 @@ export default function PurchasingPage() {
         )}
       </section>
 
+      {/* ══════════════════════════════════════════════════════════════════════
+          REORDER SUGGESTIONS — stock below reorder point, independent of
+          scheduled work orders
+          ══════════════════════════════════════════════════════════════════════ */}
+      <section>
+        <div className="flex items-center justify-between gap-4 mb-1">
+          <h2 className="text-base font-semibold text-stone-800">Reorder Suggestions</h2>
+          <button
+            onClick={handleCheckReorder}
+            disabled={checkingReorder}
+            className="rounded-md border border-stone-300 px-3 py-1.5 text-sm font-medium text-stone-700 hover:bg-stone-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {checkingReorder ? "Checking..." : reorderRows === null ? "Check Stock Levels" : "Refresh"}
+          </button>
+        </div>
+        <p className="text-sm text-stone-500 mb-4">
+          Ingredients whose stock plus open orders is below their low-stock alert, ordered back up to their par level.
+        </p>
+
+        {reorderError && (
+          <p className="text-sm text-rose-600 mb-4">{reorderError}</p>
+        )}
+
+        {reorderRows !== null && reorderRows.length === 0 && (
+          <p className="text-sm text-stone-500">Nothing is below its reorder point.</p>
+        )}
+
+        {reorderRows !== null && reorderRows.length > 0 && (
+          <div className="space-y-4">
+            <div className="overflow-x-auto rounded-lg border border-stone-200">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-stone-50 border-b border-stone-200">
+                  <tr>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Ingredient</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Have</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">On Order</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Reorder At / Par</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Order</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Supplier</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-stone-100 bg-white">
+                  {reorderRows.map((row) => {
+                    const supplierId = reorderSupplierChoice[row.ingredientId] ?? "";
+                    const line       = getOrderLine(row, supplierId, reorderQty[row.ingredientId]);
+                    return (
+                      <tr key={row.ingredientId}>
+                        <td className="px-4 py-3 font-medium text-stone-800">{row.ingredientName}</td>
+                        <td className="px-4 py-3 text-rose-600">{roundQuantity(row.currentStock)} {row.unit}</td>
+                        <td className="px-4 py-3 text-stone-600">{row.onOrder > 0 ? `${roundQuantity(row.onOrder)} ${row.unit}` : "—"}</td>
+                        <td className="px-4 py-3 text-stone-600">{row.reorderPoint} / {row.parLevel}</td>
+                        <td className="px-4 py-3 text-stone-700 whitespace-nowrap">
+                          {line.orderedPacks > 0
+                            ? `${line.orderedPacks} × ${describePack(line.terms, row.ingredient)}`
+                            : `${roundQuantity(line.orderedQuantity)} ${row.unit}`}
+                        </td>
+                        <td className="px-4 py-3 text-stone-600">
+                          {supplierId
+                            ? line.terms?.supplierName ?? ""
+                            : <span className="text-xs text-stone-400">No supplier set</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex items-center gap-4">
+              <button
+                onClick={handleCreateReorderPos}
+                disabled={creatingReorderPos || reorderGroups.length === 0}
+                className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {creatingReorderPos
+                  ? "Creating..."
+                  : `Create ${reorderGroups.length} Draft PO${reorderGroups.length !== 1 ? "s" : ""}`}
+              </button>
+              <p className="text-xs text-stone-400">
+                {reorderGroups.map((g) => `${g.supplierName || "No supplier"} est. $${g.estimatedTotal.toFixed(2)}`).join(" · ")}
+              </p>
+            </div>
+          </div>
+        )}
+      </section>
+
       {/* ══════════════════════════════════════════════════════════════════════
           SECTION 2 — PURCHASE ORDERS LIST
           ══════════════════════════════════════════════════════════════════════ */}
       <section>
-        <h2 className="text-base font-semibold text-stone-800 mb-4">Purchase Orders</h2>
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <h2 className="text-base font-semibold text-stone-800">Purchase Orders</h2>
+          <input
+            type="search"
+            value={poSearch}
+            onChange={(e) => setPoSearch(e.target.value)}
+            placeholder="Search PO / invoice number, supplier…"
+            className="w-64 rounded-md border border-stone-300 px-3 py-1.5 text-sm text-stone-800 placeholder:text-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+          />
+        </div>
 
         {purchaseOrders.length === 0 ? (
           <p className="text-stone-500 text-sm">
             No purchase orders yet. Use the calculator above to create one.
           </p>
+        ) : visiblePurchaseOrders.length === 0 ? (
+          <p className="text-stone-500 text-sm">
+            No purchase orders matching &quot;{poSearch.trim()}&quot;.
+          </p>
         ) : (
           <div className="space-y-3">
-            {purchaseOrders.map((po) => {
+            {visiblePurchaseOrders.map((po) => {
               const isExpanded    = expandedPoId === po.id;
               const isMarkingSent = markingSentId === po.id;
               const isDeleting    = deletingId === po.id;
@@ -584,37 +1469,61 @@ export default function PurchasingPage() {
                     <div className="space-y-0.5 min-w-0">
                       <div className="flex items-center gap-2 flex-wrap">
                         <span className="text-sm font-medium text-stone-800">
+                          {getPoNumber(po)} · {po.supplierName || "No supplier"}
+                        </span>
+                        <span className="text-sm text-stone-500">
                           Created {formatTimestamp(po.createdAt)}
                         </span>
                         <span className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${getStatusBadgeClass(po.status)}`}>
                           {po.status}
                         </span>
+                        {/* Invoice check — set once goods have been received */}
+                        {po.invoiceStatus && (
+                          <span className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${getInvoiceBadgeClass(po.invoiceStatus)}`}>
+                            invoice {po.invoiceStatus}
+                          </span>
+                        )}
                       </div>
                       <p className="text-xs text-stone-500">
-                        Covers{" "}
-                        {formatDate(po.planningDateRange?.startDate)}
-                        {" – "}
-                        {formatDate(po.planningDateRange?.endDate)}
+                        {/* Reorder POs have no planning window or work orders behind them */}
+                        {po.source === "reorder" ? "Reorder point replenishment" : (
+                          <>
+                            Covers{" "}
+                            {formatDate(po.planningDateRange?.startDate)}
+                            {" – "}
+                            {formatDate(po.planningDateRange?.endDate)}
+                          </>
+                        )}
                         {" · "}
                         {po.items?.length ?? 0} line item{(po.items?.length ?? 0) !== 1 ? "s" : ""}
-                        {" · "}
-                        {po.workOrdersIncluded?.length ?? 0} work order{(po.workOrdersIncluded?.length ?? 0) !== 1 ? "s" : ""}
+                        {po.source !== "reorder" && (
+                          <>
+                            {" · "}
+                            {po.workOrdersIncluded?.length ?? 0} work order{(po.workOrdersIncluded?.length ?? 0) !== 1 ? "s" : ""}
+                          </>
+                        )}
+                        {/* estimatedTotal is missing on POs created before suppliers existed */}
+                        {po.estimatedTotal > 0 && ` · est. $${po.estimatedTotal.toFixed(2)}`}
+                        {po.deliveryDate && ` · deliver by ${formatDate(po.deliveryDate)}`}
                       </p>
                     </div>
 
                     {/* Right: actions + expand toggle */}
                     <div className="flex items-center gap-3 flex-wrap shrink-0">
 
+                      {/* Send / PDF — drafts are sent from here; sent POs can be
+                          re-downloaded or re-emailed. */}
+                      <button
+                        onClick={() => handleOpenSend(po)}
+                        disabled={isMarkingSent || isDeleting}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                      >
+                        {isMarkingSent ? "Updating..." : po.status === "draft" ? "Send…" : "PDF / Email"}
+                      </button>
+
                       {/* Draft actions */}
                       {po.status === "draft" && (
                         <>
-                          <button
-                            onClick={() => handleMarkSent(po.id)}
-                            disabled={isMarkingSent || isDeleting}
-                            className="text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-40 disabled:cursor-not-allowed"
-                          >
-                            {isMarkingSent ? "Updating..." : "Mark as Sent"}
-                          </button>
                           <button
                             onClick={() => handleDelete(po)}
                             disabled={isMarkingSent || isDeleting}
@@ -625,13 +1534,30 @@ export default function PurchasingPage() {
                         </>
                       )}
 
-                      {/* Sent action */}
-                      {po.status === "sent" && (
+                      {/* Receiving — a partial PO can take further deliveries */}
+                      {(po.status === "sent" || po.status === "partial") && (
                         <button
                           onClick={() => handleOpenReceive(po)}
                           className="text-sm font-medium text-green-600 hover:text-green-800"
                         >
-                          Receive Goods
+                          {po.status === "partial" ? "Receive More" : "Receive Goods"}
+                        </button>
+                      )}
+                      {po.status === "partial" && (
+                        <button
+                          onClick={() => handleCloseShort(po)}
+                          disabled={closingShortId === po.id}
+                          className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          {closingShortId === po.id ? "Closing..." : "Close Short…"}
+                        </button>
+                      )}
+                      {(po.status === "partial" || po.status === "complete" || po.status === "closed") && (
+                        <button
+                          onClick={() => handleOpenReturn(po)}
+                          className="text-sm font-medium text-rose-500 hover:text-rose-700"
+                        >
+                          Return to Vendor…
                         </button>
                       )}
 
@@ -657,6 +1583,7 @@ export default function PurchasingPage() {
                             <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Ordered</th>
                             <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Received</th>
                             <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Unit</th>
+                            <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Invoiced</th>
                             <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Status</th>
                           </tr>
                         </thead>
@@ -667,15 +1594,59 @@ export default function PurchasingPage() {
                             const isReceived = !isPending && item.receivedQuantity >= item.orderedQuantity;
                             const isShort    = !isPending && !isReceived && item.receivedQuantity > 0;
                             const isMissing  = !isPending && item.receivedQuantity === 0;
+                            const variance   = getLinePriceVariance(item);
 
                             return (
                               <tr key={item.ingredientId}>
-                                <td className="px-4 py-2.5 font-medium text-stone-700">{item.ingredientName}</td>
-                                <td className="px-4 py-2.5 text-stone-600">{item.orderedQuantity}</td>
+                                <td className="px-4 py-2.5">
+                                  <div className="font-medium text-stone-700">{item.ingredientName}</div>
+                                  {/* Supplier item code and price — set on POs created since suppliers existed */}
+                                  {(item.supplierItemCode || item.unitPrice > 0) && (
+                                    <div className="text-xs text-stone-400 mt-0.5">
+                                      {item.supplierItemCode && `Code ${item.supplierItemCode}`}
+                                      {item.supplierItemCode && item.unitPrice > 0 && " · "}
+                                      {item.unitPrice > 0 && `$${item.unitPrice.toFixed(2)}/${item.unit}`}
+                                    </div>
+                                  )}
+                                  {/* Lot code — set once the line has been received */}
+                                  {item.lotCode && (
+                                    <div className="text-xs text-stone-400 mt-0.5">Lot {item.lotCode}</div>
+                                  )}
+                                </td>
                                 <td className="px-4 py-2.5 text-stone-600">
-                                  {isPending ? "—" : item.receivedQuantity}
+                                  {roundQuantity(item.orderedQuantity)}
+                                  {/* Pack breakdown — only on lines bought in packs */}
+                                  {item.orderedPacks > 0 && (
+                                    <div className="text-xs text-stone-400 mt-0.5">
+                                      {item.orderedPacks} × {item.packName} of {item.packSize} {item.packUnit}
+                                    </div>
+                                  )}
+                                </td>
+                                <td className="px-4 py-2.5 text-stone-600">
+                                  {isPending ? "—" : roundQuantity(item.receivedQuantity)}
+                                  {item.returnedQuantity > 0 && (
+                                    <div className="text-xs text-rose-600 mt-0.5">
+                                      {roundQuantity(item.returnedQuantity)} returned
+                                    </div>
+                                  )}
                                 </td>
                                 <td className="px-4 py-2.5 text-stone-600">{item.unit}</td>
+                                {/* Invoiced price + variance against the PO price */}
+                                <td className="px-4 py-2.5 text-stone-600">
+                                  {variance ? (
+                                    <>
+                                      ${item.actualUnitPrice.toFixed(2)}/{item.unit}
+                                      {hasPriceVariance(item) && (
+                                        <div className={`text-xs mt-0.5 ${variance.perUnit > 0 ? "text-rose-600" : "text-green-700"}`}>
+                                          {formatVariance(variance, item.unit)}
+                                        </div>
+                                      )}
+                                      {item.invoiceNumber && (
+                                        <div className="text-xs text-stone-400 mt-0.5">Inv. {item.invoiceNumber}</div>
+                                      )}
+                                    </>
+                                  ) : "—"}
+                                </td>
                                 <td className="px-4 py-2.5">
                                   {isPending  && <span className="text-xs text-stone-400">Pending</span>}
                                   {isReceived && <span className="text-xs font-medium text-green-700">Received</span>}
@@ -687,6 +1658,117 @@ export default function PurchasingPage() {
                           })}
                         </tbody>
                       </table>
+
+                      {/* Delivery timeline — one entry per receipt, then the close-short note */}
+                      {po.status !== "draft" && po.status !== "sent" && (
+                        <div className="border-t border-stone-100 px-4 py-3">
+                          <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-2">Deliveries</p>
+                          {!receiptsByPo[po.id] ? (
+                            <p className="text-xs text-stone-400">Loading deliveries...</p>
+                          ) : receiptsByPo[po.id].length === 0 ? (
+                            // Received before receipts were recorded separately.
+                            <p className="text-xs text-stone-500">
+                              Received{po.receivedBy && ` by ${po.receivedBy}`} — no delivery details recorded.
+                            </p>
+                          ) : (
+                            <ol className="space-y-3 border-l-2 border-stone-200 pl-4">
+                              {receiptsByPo[po.id].map((receipt) => (
+                                <li key={receipt.id} className="text-xs text-stone-600">
+                                  <p className="font-medium text-stone-800">
+                                    {receipt.receivedAt
+                                      ? receipt.receivedAt.toDate().toLocaleString("en-US", {
+                                          month: "short", day: "numeric", hour: "numeric", minute: "2-digit",
+                                        })
+                                      : "Just now"}
+                                    {receipt.receivedBy && <span className="font-normal text-stone-500"> · {receipt.receivedBy}</span>}
+                                    {receipt.temperature !== null && receipt.temperature !== undefined && (
+                                      <span className="font-normal text-stone-500"> · {receipt.temperature}°</span>
+                                    )}
+                                  </p>
+                                  <p className="mt-0.5">
+                                    {receipt.lines.map((line) =>
+                                      `${roundQuantity(line.quantity)} ${line.unit} ${line.ingredientName} (lot ${line.lotCode})`
+                                    ).join(" · ")}
+                                  </p>
+                                  {receipt.notes && <p className="mt-0.5 text-stone-500">{receipt.notes}</p>}
+                                </li>
+                              ))}
+                            </ol>
+                          )}
+                          {po.status === "closed" && (
+                            <p className="text-xs text-stone-700 mt-3">
+                              Closed short{po.closedBy && ` by ${po.closedBy}`}
+                              {po.closedAt && ` on ${formatTimestamp(po.closedAt)}`}: {po.closedShortReason}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Vendor returns against this PO */}
+                      {vendorReturns.some((ret) => ret.poId === po.id) && (
+                        <div className="border-t border-stone-100 px-4 py-3">
+                          <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-2">Returns</p>
+                          <ul className="space-y-1.5">
+                            {vendorReturns.filter((ret) => ret.poId === po.id).map((ret) => (
+                              <li key={ret.id} className="text-xs text-stone-600">
+                                <span className="font-medium text-stone-800">{formatTimestamp(ret.createdAt)}</span>
+                                {" · "}
+                                {ret.lines.map((line) => `${roundQuantity(line.quantity)} ${line.unit} ${line.ingredientName}`).join(", ")}
+                                {" · "}{ret.reason}
+                                {" · "}
+                                <span className={ret.creditStatus === "received" ? "text-green-700" : "text-rose-600"}>
+                                  ${ret.creditTotal.toFixed(2)} credit {ret.creditStatus}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {/* Invoice check — shown once goods have been received */}
+                      {po.invoiceStatus && (
+                        <div className="border-t border-stone-100 px-4 py-3 flex items-center justify-between gap-4 flex-wrap">
+                          <p className="text-xs text-stone-500">
+                            {po.invoiceNumbers?.length > 0
+                              ? `Invoice ${po.invoiceNumbers.join(", ")}`
+                              : "No invoice number recorded"}
+                            {po.invoiceStatus !== "pending" && po.invoiceCheckedBy && ` · ${po.invoiceStatus} by ${po.invoiceCheckedBy}`}
+                            {po.invoiceNotes && ` · ${po.invoiceNotes}`}
+                          </p>
+                          <div className="flex items-center gap-3">
+                            {po.invoiceStatus !== "matched" && (
+                              <button
+                                onClick={() => handleSetInvoiceStatus(po, "matched")}
+                                disabled={invoiceUpdatingId === po.id}
+                                className="text-sm font-medium text-green-600 hover:text-green-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                              >
+                                Mark Invoice Matched
+                              </button>
+                            )}
+                            {po.invoiceStatus !== "disputed" && (
+                              <button
+                                onClick={() => handleSetInvoiceStatus(po, "disputed")}
+                                disabled={invoiceUpdatingId === po.id}
+                                className="text-sm font-medium text-rose-500 hover:text-rose-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                              >
+                                Dispute…
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Email history — every send recorded by recordPurchaseOrderEmail */}
+                      {po.emails?.length > 0 && (
+                        <div className="border-t border-stone-100 px-4 py-3 space-y-1">
+                          {po.emails.map((email) => (
+                            <p key={email.messageId} className="text-xs text-stone-500">
+                              Emailed to {email.to} on {new Date(email.sentAt).toLocaleString("en-US")}
+                              {email.sentBy && ` by ${email.sentBy}`}
+                            </p>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   )}
 
@@ -697,9 +1779,169 @@ export default function PurchasingPage() {
         )}
       </section>
 
+      {/* ══════════════════════════════════════════════════════════════════════
+          INVOICE DISCREPANCIES — price variances awaiting a match or dispute
+          ══════════════════════════════════════════════════════════════════════ */}
+      {openDiscrepancies.length > 0 && (
+        <section>
+          <h2 className="text-base font-semibold text-stone-800 mb-1">Open Invoice Discrepancies</h2>
+          <p className="text-sm text-stone-500 mb-4">
+            Lines invoiced at a different price from the PO. They drop off once the PO is marked invoice-matched.
+          </p>
+          <div className="overflow-x-auto rounded-lg border border-stone-200">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-stone-50 border-b border-stone-200">
+                <tr>
+                  <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">PO</th>
+                  <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Invoice</th>
+                  <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Ingredient</th>
+                  <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">PO Price</th>
+                  <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Invoiced</th>
+                  <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Variance</th>
+                  <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-stone-100 bg-white">
+                {openDiscrepancies.map(({ po, item, variance }) => (
+                  <tr key={`${po.id}-${item.ingredientId}`}>
+                    <td className="px-4 py-2.5">
+                      <div className="font-mono text-xs text-stone-700">{getPoNumber(po)}</div>
+                      <div className="text-xs text-stone-400">{po.supplierName || "No supplier"}</div>
+                    </td>
+                    <td className="px-4 py-2.5 text-stone-600">{item.invoiceNumber || "—"}</td>
+                    <td className="px-4 py-2.5 font-medium text-stone-800">{item.ingredientName}</td>
+                    <td className="px-4 py-2.5 text-stone-600">
+                      {item.unitPrice > 0 ? `$${item.unitPrice.toFixed(2)}/${item.unit}` : "—"}
+                    </td>
+                    <td className="px-4 py-2.5 text-stone-600">${item.actualUnitPrice.toFixed(2)}/{item.unit}</td>
+                    <td className={`px-4 py-2.5 font-medium ${variance.total > 0 ? "text-rose-600" : "text-green-700"}`}>
+                      {variance.total > 0 ? "+" : "−"}${Math.abs(variance.total).toFixed(2)}
+                      <div className="text-xs font-normal">{formatVariance(variance, item.unit)}</div>
+                    </td>
+                    <td className="px-4 py-2.5">
+                      <span className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${getInvoiceBadgeClass(po.invoiceStatus)}`}>
+                        {po.invoiceStatus ?? "pending"}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          SEND PANEL — PDF download and supplier email
+          Only rendered when the user clicks "Send…" or "PDF / Email" on a PO.
+          ══════════════════════════════════════════════════════════════════════ */}
+      {sendingPo && (
+        <section id="send-form" className="border-t border-stone-200 pt-8">
+
+          <div className="flex items-center justify-between mb-5">
+            <div>
+              <h2 className="text-base font-semibold text-stone-800">
+                Send {getPoNumber(sendingPo)}
+              </h2>
+              <p className="text-sm text-stone-500 mt-0.5">
+                The email goes to the supplier with the PO attached as a PDF, and is recorded on the order.
+              </p>
+            </div>
+            <button
+              onClick={handleCloseSend}
+              className="text-sm text-stone-500 hover:text-stone-800 shrink-0"
+            >
+              Cancel
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="sendTo" className="block text-sm font-medium text-stone-700 mb-1">
+                Supplier Email
+              </label>
+              <input
+                id="sendTo"
+                name="to"
+                type="email"
+                value={sendForm.to}
+                readOnly
+                placeholder="None on file"
+                className={`${inputCls} bg-stone-50`}
+              />
+              <p className="text-xs text-stone-500 mt-1">Set on the Suppliers page.</p>
+            </div>
+            <div>
+              <label htmlFor="deliveryDate" className="block text-sm font-medium text-stone-700 mb-1">
+                Deliver By
+              </label>
+              <input
+                id="deliveryDate"
+                name="deliveryDate"
+                type="date"
+                value={sendForm.deliveryDate}
+                onChange={handleSendFormChange}
+                className={inputCls}
+              />
+            </div>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="sendMessage" className="block text-sm font-medium text-stone-700 mb-1">
+              Message <span className="text-stone-500 font-normal">(optional)</span>
+            </label>
+            <textarea
+              id="sendMessage"
+              name="message"
+              rows={2}
+              value={sendForm.message}
+              onChange={handleSendFormChange}
+              placeholder="e.g. Please use the back door for deliveries"
+              className={inputCls}
+            />
+          </div>
+
+          {/* Email preview — the plain-text body, built the same way the server builds it */}
+          <div className="rounded-md bg-stone-50 border border-stone-200 px-4 py-3 mb-5">
+            <p className="text-xs font-medium text-stone-500 mb-2">Subject: {sendPreview.subject}</p>
+            <pre className="text-xs text-stone-700 whitespace-pre-wrap font-sans">{sendPreview.text}</pre>
+          </div>
+
+          {sendError && (
+            <p className="text-sm text-rose-600 mb-4">{sendError}</p>
+          )}
+
+          <div className="flex items-center gap-4 flex-wrap">
+            <button
+              onClick={handleSendEmail}
+              disabled={sendingEmail}
+              className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {sendingEmail ? "Sending..." : sendingPo.emails?.length > 0 ? "Resend Email" : "Send Email"}
+            </button>
+            <button
+              onClick={handleDownloadPdf}
+              className="text-sm font-medium text-stone-600 hover:text-stone-900"
+            >
+              Download PDF
+            </button>
+            {sendingPo.status === "draft" && (
+              <button
+                onClick={handleMarkSentWithoutEmail}
+                disabled={sendingEmail || markingSentId === sendingPo.id}
+                className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Mark as Sent Without Emailing
+              </button>
+            )}
+          </div>
+
+        </section>
+      )}
+
       {/* ══════════════════════════════════════════════════════════════════════
           SECTION 3 — RECEIVE GOODS FORM
-          Only rendered when the user clicks "Receive Goods" on a sent PO.
+          Only rendered when the user clicks "Receive Goods" on a sent PO, or
+          "Receive More" on a partial one. Each submit is one delivery.
           ══════════════════════════════════════════════════════════════════════ */}
       {receivingPo && (
         <section id="receive-form" className="border-t border-stone-200 pt-8">
@@ -709,9 +1951,11 @@ export default function PurchasingPage() {
             <div>
               <h2 className="text-base font-semibold text-stone-800">Receive Goods</h2>
               <p className="text-sm text-stone-500 mt-0.5">
-                Enter the quantity received for each line item.
-                Items received in full are marked complete; any short delivery marks
-                the order as partial.
+                Enter what arrived in this delivery, and the price from the supplier&apos;s
+                invoice. Once every line is received in full the order is complete;
+                until then it stays partial and can take more deliveries. Each received
+                line becomes a new ingredient lot — leave the lot code blank to have one
+                generated.
               </p>
             </div>
             <button
@@ -724,19 +1968,56 @@ export default function PurchasingPage() {
 
           {/* PO context */}
           <div className="rounded-md bg-stone-50 border border-stone-200 px-4 py-3 text-sm text-stone-600 mb-5">
-            Purchase order from{" "}
+            Purchase order{receivingPo.supplierName && <> to <span className="font-medium text-stone-800">{receivingPo.supplierName}</span></>} from{" "}
             <span className="font-medium text-stone-800">{formatTimestamp(receivingPo.createdAt)}</span>
-            {" · "}Covers{" "}
-            {formatDate(receivingPo.planningDateRange?.startDate)}
-            {" – "}
-            {formatDate(receivingPo.planningDateRange?.endDate)}
+            {receivingPo.source === "reorder" ? " · reorder point replenishment" : (
+              <>
+                {" · "}Covers{" "}
+                {formatDate(receivingPo.planningDateRange?.startDate)}
+                {" – "}
+                {formatDate(receivingPo.planningDateRange?.endDate)}
+              </>
+            )}
+          </div>
+
+          {/* Invoice number + cost update */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-5">
+            <div>
+              <label htmlFor="receiveInvoiceNumber" className="block text-sm font-medium text-stone-700 mb-1">
+                Invoice Number
+              </label>
+              <input
+                id="receiveInvoiceNumber"
+                type="text"
+                value={receiveInvoiceNumber}
+                onChange={(e) => setReceiveInvoiceNumber(e.target.value)}
+                placeholder="Applies to every line without its own"
+                className={inputCls}
+              />
+            </div>
+            <div>
+              <label htmlFor="costMethod" className="block text-sm font-medium text-stone-700 mb-1">
+                Ingredient Cost
+              </label>
+              <select
+                id="costMethod"
+                value={costMethod}
+                onChange={(e) => setCostMethod(e.target.value)}
+                className={inputCls}
+              >
+                <option value="none">Leave cost per unit unchanged</option>
+                <option value="last">Update to the invoiced price</option>
+                <option value="average">Update to the weighted average</option>
+              </select>
+            </div>
           </div>
 
           {/* Line items */}
           <div className="rounded-lg border border-stone-200 divide-y divide-stone-100 overflow-hidden mb-5">
-            {receivingPo.items.map((item) => {
-              const received    = parseFloat(receivedQty[item.ingredientId]) || 0;
-              const isShortLine = received < item.orderedQuantity;
+            {buildReceivedItems().map((item) => {
+              const received    = item.receivedQuantity;
+              const isShortLine = item.previouslyReceived + received < item.orderedQuantity;
+              const variance    = getLinePriceVariance(item);
 
               return (
                 <div
@@ -749,12 +2030,61 @@ export default function PurchasingPage() {
                   <div className="min-w-0">
                     <p className="text-sm font-medium text-stone-800">{item.ingredientName}</p>
                     <p className="text-xs text-stone-400 mt-0.5">
-                      Ordered: {item.orderedQuantity} {item.unit}
+                      Ordered: {roundQuantity(item.orderedQuantity)} {item.unit}
+                      {item.orderedPacks > 0 && ` (${item.orderedPacks} × ${item.packName} of ${item.packSize} ${item.packUnit})`}
+                      {item.previouslyReceived > 0 && ` · already received ${roundQuantity(item.previouslyReceived)}`}
                     </p>
+                    {variance && hasPriceVariance(item) && (
+                      <p className={`text-xs font-medium mt-0.5 ${variance.perUnit > 0 ? "text-rose-600" : "text-green-700"}`}>
+                        Price variance {formatVariance(variance, item.unit)}
+                        {" · "}{variance.total > 0 ? "+" : "−"}${Math.abs(variance.total).toFixed(2)} on this delivery
+                      </p>
+                    )}
                   </div>
 
-                  {/* Received qty input + partial label */}
-                  <div className="flex items-center gap-2 shrink-0">
+                  {/* Lot code + best-before date + received qty input + partial label */}
+                  <div className="flex items-center gap-2 shrink-0 flex-wrap">
+                    <input
+                      type="text"
+                      placeholder="Lot code"
+                      value={receivedLots[item.ingredientId]?.lotCode ?? ""}
+                      onChange={(e) =>
+                        handleReceivedLotChange(item.ingredientId, "lotCode", e.target.value)
+                      }
+                      className="w-28 rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                    />
+                    <input
+                      type="date"
+                      aria-label="Best before"
+                      title="Best before"
+                      value={receivedLots[item.ingredientId]?.bestBefore ?? ""}
+                      onChange={(e) =>
+                        handleReceivedLotChange(item.ingredientId, "bestBefore", e.target.value)
+                      }
+                      className="rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                    />
+                    <input
+                      type="text"
+                      placeholder={receiveInvoiceNumber || "Invoice #"}
+                      aria-label="Invoice number"
+                      value={receivedInvoices[item.ingredientId] ?? ""}
+                      onChange={(e) => handleReceivedInvoiceChange(item.ingredientId, e.target.value)}
+                      className="w-24 rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                    />
+                    {/* Invoiced price — per pack for lines bought in packs */}
+                    <div className="flex items-center gap-1.5">
+                      <span className="text-xs text-stone-500">$</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        aria-label="Invoiced price"
+                        value={receivedPrices[item.ingredientId] ?? ""}
+                        onChange={(e) => handleReceivedPriceChange(item.ingredientId, e.target.value)}
+                        className="w-20 rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                      />
+                      <span className="text-xs text-stone-500">/{isPricedPerPack(item) ? item.packName : item.unit}</span>
+                    </div>
                     {isShortLine && received >= 0 && (
                       <span className="text-xs font-medium text-amber-700">partial</span>
                     )}
@@ -777,6 +2107,37 @@ export default function PurchasingPage() {
             })}
           </div>
 
+          {/* Delivery details */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-5">
+            <div className="sm:col-span-2">
+              <label htmlFor="receiptNotes" className="block text-sm font-medium text-stone-700 mb-1">
+                Delivery Notes <span className="text-stone-500 font-normal">(optional)</span>
+              </label>
+              <input
+                id="receiptNotes"
+                type="text"
+                value={receiptNotes}
+                onChange={(e) => setReceiptNotes(e.target.value)}
+                placeholder="e.g. Driver Sam, one bag torn and refused"
+                className={inputCls}
+              />
+            </div>
+            <div>
+              <label htmlFor="receiptTemperature" className="block text-sm font-medium text-stone-700 mb-1">
+                Temperature <span className="text-stone-500 font-normal">(chilled goods)</span>
+              </label>
+              <input
+                id="receiptTemperature"
+                type="number"
+                step="any"
+                value={receiptTemperature}
+                onChange={(e) => setReceiptTemperature(e.target.value)}
+                placeholder="Probe reading"
+                className={inputCls}
+              />
+            </div>
+          </div>
+
           {receiveError && (
             <p className="text-sm text-rose-600 mb-4">{receiveError}</p>
           )}
@@ -792,6 +2153,119 @@ export default function PurchasingPage() {
         </section>
       )}
 
+      {/* ══════════════════════════════════════════════════════════════════════
+          RETURN TO VENDOR FORM
+          Only rendered when the user clicks "Return to Vendor…" on a received PO.
+          ══════════════════════════════════════════════════════════════════════ */}
+      {returningPo && (
+        <section id="return-form" className="border-t border-stone-200 pt-8">
+
+          <div className="flex items-center justify-between mb-5">
+            <div>
+              <h2 className="text-base font-semibold text-stone-800">
+                Return to Vendor — {getPoNumber(returningPo)}
+              </h2>
+              <p className="text-sm text-stone-500 mt-0.5">
+                Enter what&apos;s going back to {returningPo.supplierName || "the supplier"}. The
+                quantities come off stock now, and the credit is tracked until the supplier
+                issues it.
+              </p>
+            </div>
+            <button
+              onClick={handleCloseReturn}
+              className="text-sm text-stone-500 hover:text-stone-800 shrink-0"
+            >
+              Cancel
+            </button>
+          </div>
+
+          <div className="rounded-lg border border-stone-200 divide-y divide-stone-100 overflow-hidden mb-5">
+            {returningPo.items
+              .filter((item) => item.receivedQuantity > 0)
+              .map((item) => {
+                const available = item.receivedQuantity - (item.returnedQuantity ?? 0);
+                const quantity  = parseFloat(returnQty[item.ingredientId]) || 0;
+                const credit    = quantity * (parseFloat(returnCredit[item.ingredientId]) || 0);
+
+                return (
+                  <div
+                    key={item.ingredientId}
+                    className={`flex items-center justify-between px-4 py-3 gap-4 flex-wrap ${
+                      quantity > available ? "bg-rose-50" : "bg-white"
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-stone-800">{item.ingredientName}</p>
+                      <p className="text-xs text-stone-400 mt-0.5">
+                        Received {roundQuantity(item.receivedQuantity)} {item.unit}
+                        {item.returnedQuantity > 0 && ` · already returned ${roundQuantity(item.returnedQuantity)}`}
+                        {" · "}up to {roundQuantity(available)} can go back
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2 shrink-0 flex-wrap">
+                      <div className="flex items-center gap-1.5">
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          aria-label="Quantity to return"
+                          value={returnQty[item.ingredientId] ?? ""}
+                          onChange={(e) => setReturnQty((prev) => ({ ...prev, [item.ingredientId]: e.target.value }))}
+                          className="w-24 rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                        />
+                        <span className="text-xs text-stone-500">{item.unit}</span>
+                      </div>
+                      <div className="flex items-center gap-1.5">
+                        <span className="text-xs text-stone-500">credit $</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          aria-label="Credit per unit"
+                          value={returnCredit[item.ingredientId] ?? ""}
+                          onChange={(e) => setReturnCredit((prev) => ({ ...prev, [item.ingredientId]: e.target.value }))}
+                          className="w-20 rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                        />
+                        <span className="text-xs text-stone-500">/{item.unit}</span>
+                      </div>
+                      {credit > 0 && (
+                        <span className="text-xs font-medium text-stone-700 w-16 text-right">${credit.toFixed(2)}</span>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+          </div>
+
+          <div className="mb-5">
+            <label htmlFor="returnReason" className="block text-sm font-medium text-stone-700 mb-1">
+              Reason
+            </label>
+            <input
+              id="returnReason"
+              type="text"
+              value={returnReason}
+              onChange={(e) => setReturnReason(e.target.value)}
+              placeholder="e.g. Two bags arrived split, wrong grind of almonds"
+              className={inputCls}
+            />
+          </div>
+
+          {returnError && (
+            <p className="text-sm text-rose-600 mb-4">{returnError}</p>
+          )}
+
+          <button
+            onClick={handleSubmitReturn}
+            disabled={submittingReturn}
+            className="rounded-md bg-rose-500 px-4 py-2 text-sm font-medium text-white hover:bg-rose-600 focus:outline-none focus:ring-2 focus:ring-rose-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {submittingReturn ? "Recording..." : "Record Return"}
+          </button>
+
+        </section>
+      )}
+
     </div>
   );
 }
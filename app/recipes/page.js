@@ -2,30 +2,64 @@
 "use client";
 
 import { useState, useEffect, Fragment } from "react";
+import { useAuth } from "@/context/AuthContext";
 import {
   getRecipes,
   addRecipe,
   updateRecipe,
   archiveRecipe,
+  restoreRecipeVersion,
   addFinishedGood,
   addIngredient,
 } from "@/lib/firestore";
 import { getIngredients, getFinishedGoods } from "@/lib/firestore";
 import SearchableSelect from "@/components/SearchableSelect";
+import RecipeHistory from "@/components/RecipeHistory";
+import BakersPercentPanel from "@/components/BakersPercentPanel";
+import {
+  formatAllergens,
+  getRecipeAllergens,
+  getAllergenChanges,
+  describeAllergenDiff,
+} from "@/lib/allergens";
+import {
+  isSubRecipeLine,
+  recipeUsesRecipe,
+  getRecipeBatchCost,
+  STEP_STAGES,
+  getStageLabel,
+  getMethodMinutes,
+  formatMinutes,
+} from "@/lib/recipes";
+import { UNIT_OPTIONS, canConvert, incompatibleUnitMessage } from "@/lib/units";
+
+// Prefix that marks a sub-recipe option in the ingredient dropdown.
+// Ingredients and recipes share one dropdown, so recipe IDs are prefixed to
+// keep the two ID spaces from colliding: "recipe:abc123".
+const SUB_RECIPE_PREFIX = "recipe:";
 
-// Full unit list — used for yield unit and ingredient unit dropdowns.
-const UNIT_OPTIONS = ["g", "kg", "oz", "lbs", "ml", "L", "cups", "units", "dozen", "trays"];
 
 // Returns a blank ingredient row object.
 // Pulled into a named function so it's easy to reuse when adding rows
 // and when resetting the form — both need the same empty shape.
+// subRecipeId is set instead of ingredientId when the row uses another recipe.
 const emptyIngredientRow = () => ({
   ingredientId:   "",
   ingredientName: "",
+  subRecipeId:    "",
   quantity:       "",
   unit:           "g",
 });
 
+// Returns a blank method step row. Numbers stay strings while they're being
+// typed and are converted on submit, like ingredient quantities.
+const emptyStepRow = () => ({
+  stage:           "mix",
+  durationMinutes: "",
+  temperature:     "",
+  notes:           "",
+});
+
 // Returns the blank state for the recipe's scalar fields (everything except
 // the ingredients array, which is managed separately in ingredientRows).
 const emptyFormData = () => ({
@@ -40,6 +74,7 @@ const emptyFormData = () => ({
 // Shows a table of active recipes with expand-to-see-ingredients rows.
 // A toggleable form at the bottom handles both adding and editing.
 export default function RecipesPage() {
+  const { user } = useAuth();
 
   // ─── Recipe list state ───────────────────────────────────────────────────
   const [recipes,       setRecipes]       = useState([]);
@@ -53,6 +88,17 @@ export default function RecipesPage() {
   // Holds the Firestore ID of the currently expanded row, or null.
   const [expandedId, setExpandedId] = useState(null);
 
+  // ─── Version history panel ───────────────────────────────────────────────
+  // historyId is the recipe whose versions are listed, or null. historyKey
+  // is bumped after a restore so the panel reloads.
+  const [historyId,  setHistoryId]  = useState(null);
+  const [historyKey, setHistoryKey] = useState(0);
+  const [restoring,  setRestoring]  = useState(false);
+
+  // ─── Baker's percentage panel ────────────────────────────────────────────
+  // The recipe shown in baker's percentages with the scaling tool, or null.
+  const [bakersId, setBakersId] = useState(null);
+
   // ─── Form visibility and mode ────────────────────────────────────────────
   // showForm controls whether the add/edit form is rendered at all.
   // editingId is null when adding, or a recipe ID when editing.
@@ -64,6 +110,10 @@ export default function RecipesPage() {
   // They're kept separate because they're updated by different handlers.
   const [formData,       setFormData]       = useState(emptyFormData());
   const [ingredientRows, setIngredientRows] = useState([emptyIngredientRow()]);
+  // The method steps, in order. Optional — a recipe can have none.
+  const [stepRows,       setStepRows]       = useState([]);
+  // Why the recipe was edited — saved on the new version, not the recipe.
+  const [changeNote,     setChangeNote]     = useState("");
 
   const [submitting,  setSubmitting]  = useState(false);
   const [error,       setError]       = useState(null);
@@ -114,12 +164,50 @@ export default function RecipesPage() {
     setExpandedId((prev) => (prev === id ? null : id));
   };
 
+  // Same toggle for the version history panel.
+  const handleToggleHistory = (id) => {
+    setHistoryId((prev) => (prev === id ? null : id));
+  };
+
+  // And for the baker's percentage panel.
+  const handleToggleBakers = (id) => {
+    setBakersId((prev) => (prev === id ? null : id));
+  };
+
+  // After the panel saves percentages (a new version) or a scaled copy.
+  const handleBakersSaved = async () => {
+    setRecipes(await getRecipes());
+    setHistoryKey((prev) => prev + 1);
+  };
+
+  // ─── Restore handler ─────────────────────────────────────────────────────
+  // Restoring saves the old version as a new one, so nothing is lost.
+  const handleRestore = async (recipe, version) => {
+    const confirmed = window.confirm(
+      `Restore version ${version.version} of "${recipe.name}"? It will be saved as version ${(recipe.version ?? 1) + 1}.`
+    );
+    if (!confirmed) return;
+
+    setRestoring(true);
+    try {
+      await restoreRecipeVersion(recipe.id, version.version, user?.email ?? "");
+      setRecipes(await getRecipes());
+      setHistoryKey((prev) => prev + 1);
+    } catch (err) {
+      console.error("Failed to restore recipe version:", err);
+      window.alert(err.message || "Failed to restore the version. Please try again.");
+    } finally {
+      setRestoring(false);
+    }
+  };
+
   // ─── Form open / close ───────────────────────────────────────────────────
   // Opens the add form with blank fields.
   const handleNewRecipe = () => {
     setEditingId(null);
     setFormData(emptyFormData());
     setIngredientRows([emptyIngredientRow()]);
+    setStepRows([]);
     setError(null);
     setShowForm(true);
   };
@@ -130,6 +218,8 @@ export default function RecipesPage() {
     setEditingId(null);
     setFormData(emptyFormData());
     setIngredientRows([emptyIngredientRow()]);
+    setStepRows([]);
+    setChangeNote("");
     setError(null);
   };
 
@@ -146,15 +236,37 @@ export default function RecipesPage() {
       yieldQuantity:    recipe.yieldQuantity,
       yieldUnit:        recipe.yieldUnit,
     });
-    // Seed ingredient rows from the saved array. Each row already has the
-    // right shape, so we can use them directly.
-    setIngredientRows(recipe.ingredients.map((ing) => ({ ...ing })));
+    // Seed ingredient rows from the saved array. Ingredient lines saved
+    // before sub-recipes existed have no subRecipeId, so default it.
+    setIngredientRows(recipe.ingredients.map((ing) => ({ subRecipeId: "", ...ing })));
+    // Recipes from before method steps have none.
+    setStepRows((recipe.steps ?? []).map((step) => ({
+      stage:           step.stage,
+      durationMinutes: String(step.durationMinutes ?? ""),
+      temperature:     step.temperature === null || step.temperature === undefined ? "" : String(step.temperature),
+      notes:           step.notes ?? "",
+    })));
+    setChangeNote("");
     setError(null);
     setShowForm(true);
   };
 
   // ─── Archive handler ─────────────────────────────────────────────────────
   const handleArchive = async (id, name) => {
+    // Block archiving a recipe another active recipe still uses as a
+    // sub-recipe — work orders for the parent couldn't be exploded without it.
+    const usedBy = recipes.filter((r) =>
+      r.id !== id && r.ingredients.some((line) => line.subRecipeId === id)
+    );
+    if (usedBy.length > 0) {
+      window.alert(
+        `"${name}" is used as a sub-recipe by:\n\n` +
+        usedBy.map((r) => `  • ${r.name}`).join("\n") +
+        `\n\nRemove it from those recipes before archiving.`
+      );
+      return;
+    }
+
     const confirmed = window.confirm(
       `Archive "${name}"? It will no longer appear in the active list. This cannot be undone.`
     );
@@ -240,7 +352,9 @@ export default function RecipesPage() {
   // ─── Dynamic ingredient row handlers ────────────────────────────────────
   //
   // The ingredientRows array is the core of this form's complexity.
-  // Each entry is: { ingredientId, ingredientName, quantity, unit }
+  // Each entry is: { ingredientId, ingredientName, subRecipeId, quantity, unit }
+  // A row uses either an ingredient (ingredientId) or another recipe
+  // (subRecipeId) — never both.
   //
   // All three handlers below follow the same immutable update pattern:
   // never mutate the array directly — always return a new array via
@@ -258,6 +372,35 @@ export default function RecipesPage() {
     setIngredientRows((prev) => prev.filter((_, i) => i !== index));
   };
 
+  // ─── Method step handlers ────────────────────────────────────────────────
+  // Same immutable-update pattern as the ingredient rows. Steps can be
+  // removed down to none, and moved up or down since their order matters.
+
+  const handleAddStepRow = () => {
+    setStepRows((prev) => [...prev, emptyStepRow()]);
+  };
+
+  const handleRemoveStepRow = (index) => {
+    setStepRows((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // Swaps the step at `index` with its neighbour; `offset` is -1 or 1.
+  const handleMoveStepRow = (index, offset) => {
+    setStepRows((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const handleStepFieldChange = (index, field, value) => {
+    setStepRows((prev) =>
+      prev.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    );
+  };
+
   // Updates a single field (quantity or unit) within the row at `index`.
   // `field` is "quantity" or "unit" — passed in from the input's onChange.
   const handleIngredientFieldChange = (index, field, value) => {
@@ -270,7 +413,31 @@ export default function RecipesPage() {
   // ingredient must update THREE fields at once: ingredientId, ingredientName,
   // and unit (auto-filled from the ingredient's own stored unit to reduce errors).
   // The sentinel "add new" path is handled by SearchableSelect's onCreateNew.
+  //
+  // Sub-recipe options arrive prefixed with SUB_RECIPE_PREFIX. Their unit is
+  // fixed to the sub-recipe's yield unit, because the quantity is a share of
+  // that recipe's yield ("300 g of levain" from a recipe that yields 1000 g).
   const handleIngredientSelect = (index, selectedId) => {
+    if (selectedId.startsWith(SUB_RECIPE_PREFIX)) {
+      const subRecipeId = selectedId.slice(SUB_RECIPE_PREFIX.length);
+      const subRecipe   = recipes.find((r) => r.id === subRecipeId);
+      setIngredientRows((prev) =>
+        prev.map((row, i) => {
+          if (i !== index) return row;
+          return {
+            ...row,
+            ingredientId:   "",
+            ingredientName: subRecipe ? subRecipe.name : "",
+            subRecipeId,
+            unit:           subRecipe ? subRecipe.yieldUnit : row.unit,
+            // A different line — the baker's % flour flag no longer applies.
+            isFlour:        undefined,
+          };
+        })
+      );
+      return;
+    }
+
     const selectedItem = ingredients.find((ing) => ing.id === selectedId);
     setIngredientRows((prev) =>
       prev.map((row, i) => {
@@ -279,6 +446,8 @@ export default function RecipesPage() {
           ...row,
           ingredientId:   selectedId,
           ingredientName: selectedItem ? selectedItem.name : "",
+          subRecipeId:    "",
+          isFlour:        undefined,
           // Auto-fill unit from the ingredient's own unit — saves clicks
           // and reduces the chance of logging "2 lbs of flour" as "2 g".
           // The user can still change it if the recipe calls for a different unit.
@@ -311,7 +480,7 @@ export default function RecipesPage() {
         unit:              quickAddIngredientForm.unit,
         currentStock:      parseFloat(quickAddIngredientForm.currentStock) || 0,
         lowStockThreshold: 0,
-      });
+      }, user?.email ?? "");
       // Re-fetch so the new item appears in all ingredient dropdowns.
       const updatedIngredients = await getIngredients();
       setIngredients(updatedIngredients);
@@ -323,6 +492,7 @@ export default function RecipesPage() {
             ...row,
             ingredientId:   docRef.id,
             ingredientName: quickAddIngredientForm.name.trim(),
+            subRecipeId:    "",
             unit:           quickAddIngredientForm.unit,
           };
         })
@@ -355,14 +525,35 @@ export default function RecipesPage() {
       setError("Yield quantity must be greater than 0.");
       return;
     }
-    // Every ingredient row must have an ingredient selected and a quantity > 0.
+    // Every ingredient row must have an ingredient or sub-recipe selected and a quantity > 0.
     const hasIncompleteRow = ingredientRows.some(
-      (row) => !row.ingredientId || !row.quantity || parseFloat(row.quantity) <= 0
+      (row) => (!row.ingredientId && !row.subRecipeId) || !row.quantity || parseFloat(row.quantity) <= 0
     );
     if (hasIncompleteRow) {
       setError("Each ingredient row must have an ingredient selected and a quantity greater than 0.");
       return;
     }
+    // A row's unit must convert to the ingredient's stock unit, otherwise stock
+    // deduction and costing have nothing to work with. Sub-recipe rows are
+    // locked to the sub-recipe's yield unit, so only ingredient rows are checked.
+    for (const row of ingredientRows) {
+      if (row.subRecipeId) continue;
+      const ingData = ingredients.find((ing) => ing.id === row.ingredientId);
+      if (ingData && !canConvert(row.unit, ingData.unit, ingData)) {
+        setError(incompatibleUnitMessage(ingData.name, row.unit, ingData.unit));
+        return;
+      }
+    }
+
+    // Steps need a duration (0 is fine for an untimed step like "divide");
+    // the total sets the work order's due time.
+    const hasBadStep = stepRows.some(
+      (row) => row.durationMinutes === "" || !(parseFloat(row.durationMinutes) >= 0)
+    );
+    if (hasBadStep) {
+      setError("Each method step needs a duration in minutes (0 or more).");
+      return;
+    }
 
     setError(null);
     setSubmitting(true);
@@ -375,20 +566,53 @@ export default function RecipesPage() {
       yieldQuantity:    parseFloat(formData.yieldQuantity),
       yieldUnit:        formData.yieldUnit,
       // Convert quantity strings to numbers before saving.
+      // subRecipeId is only written on sub-recipe lines so plain ingredient
+      // lines keep the same shape they've always had. isFlour is likewise
+      // only kept once it's been set from the baker's % panel.
       ingredients: ingredientRows.map((row) => ({
         ingredientId:   row.ingredientId,
         ingredientName: row.ingredientName,
+        ...(row.subRecipeId ? { subRecipeId: row.subRecipeId } : {}),
+        ...(typeof row.isFlour === "boolean" ? { isFlour: row.isFlour } : {}),
         quantity:       parseFloat(row.quantity),
         unit:           row.unit,
       })),
+      // A blank temperature is stored as null — not every step has one.
+      steps: stepRows.map((row) => ({
+        stage:           row.stage,
+        durationMinutes: parseFloat(row.durationMinutes),
+        temperature:     row.temperature.trim() === "" ? null : parseFloat(row.temperature),
+        notes:           row.notes.trim(),
+      })),
     };
 
+    // A change to what a product contains has to reach its labels and the
+    // front counter, so it's confirmed before saving. Parent recipes count —
+    // a sub-recipe's allergens end up in every product that uses it.
+    const recipesAfter = editingId
+      ? recipes.map((r) => (r.id === editingId ? { ...r, ...recipeData } : r))
+      : [...recipes, { id: "", ...recipeData }];
+    const allergenChanges = getAllergenChanges(recipes, recipesAfter, ingredients);
+    if (allergenChanges.length > 0) {
+      const confirmed = window.confirm(
+        "This changes the allergens of:\n" +
+        allergenChanges.map((c) => `• ${c.finishedGoodName}: ${describeAllergenDiff(c.diff)}`).join("\n") +
+        "\n\nCheck the product labels and let the front counter know. Save anyway?"
+      );
+      if (!confirmed) {
+        setSubmitting(false);
+        return;
+      }
+    }
+
     try {
+      // Each save becomes a new recipe version (see updateRecipe).
       if (editingId) {
-        await updateRecipe(editingId, recipeData);
+        await updateRecipe(editingId, recipeData, user?.email ?? "", { note: changeNote.trim() });
       } else {
-        await addRecipe(recipeData);
+        await addRecipe(recipeData, user?.email ?? "");
       }
+      setHistoryKey((prev) => prev + 1);
 
       // Refresh the list and close the form.
       const updatedList = await getRecipes();
@@ -403,6 +627,14 @@ export default function RecipesPage() {
     }
   };
 
+  // ─── Sub-recipe options ──────────────────────────────────────────────────
+  // Recipes offered alongside ingredients in each row's dropdown. Excludes the
+  // recipe being edited and any recipe that already uses it (at any level) —
+  // either would make the recipe contain itself.
+  const subRecipeOptions = recipes
+    .filter((r) => !editingId || (r.id !== editingId && !recipeUsesRecipe(r, editingId, recipes)))
+    .map((r) => ({ value: `${SUB_RECIPE_PREFIX}${r.id}`, label: `${r.name} (recipe)` }));
+
   // ─── Loading state ───────────────────────────────────────────────────────
   if (loading) {
     return (
@@ -541,10 +773,13 @@ export default function RecipesPage() {
                     key={index}
                     className="grid grid-cols-[1fr_100px_100px_auto] gap-2 items-center"
                   >
-                    {/* Ingredient dropdown */}
+                    {/* Ingredient / sub-recipe dropdown */}
                     <SearchableSelect
-                      options={ingredients.map((ing) => ({ value: ing.id, label: ing.name }))}
-                      value={row.ingredientId}
+                      options={[
+                        ...ingredients.map((ing) => ({ value: ing.id, label: ing.name })),
+                        ...subRecipeOptions,
+                      ]}
+                      value={row.subRecipeId ? `${SUB_RECIPE_PREFIX}${row.subRecipeId}` : row.ingredientId}
                       onChange={(val) => handleIngredientSelect(index, val)}
                       placeholder="Select ingredient"
                       allowCreate
@@ -567,11 +802,12 @@ export default function RecipesPage() {
                       className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
                     />
 
-                    {/* Unit */}
+                    {/* Unit — locked to the yield unit on sub-recipe rows */}
                     <select
                       value={row.unit}
                       onChange={(e) => handleIngredientFieldChange(index, "unit", e.target.value)}
-                      className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                      disabled={Boolean(row.subRecipeId)}
+                      className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent disabled:bg-stone-50 disabled:text-stone-500"
                     >
                       {UNIT_OPTIONS.map((u) => (
                         <option key={u} value={u}>{u}</option>
@@ -597,6 +833,134 @@ export default function RecipesPage() {
               </div>
             </div>
 
+            {/* ── Method steps ── */}
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <label className="block text-sm font-medium text-stone-700">
+                  Method <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <button
+                  type="button"
+                  onClick={handleAddStepRow}
+                  className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                >
+                  + Add step
+                </button>
+              </div>
+
+              {stepRows.length === 0 ? (
+                <p className="text-sm text-stone-400">
+                  No steps. Work orders for this recipe use the default due time from Settings.
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  {/* Column headings */}
+                  <div className="grid grid-cols-[24px_140px_90px_80px_1fr_auto] gap-2 text-xs text-stone-500">
+                    <span />
+                    <span>Stage</span>
+                    <span>Minutes</span>
+                    <span>Temp (°)</span>
+                    <span>Notes</span>
+                    <span className="w-14" />
+                  </div>
+                  {stepRows.map((row, index) => (
+                    <div
+                      key={index}
+                      className="grid grid-cols-[24px_140px_90px_80px_1fr_auto] gap-2 items-center"
+                    >
+                      <span className="text-sm text-stone-400 text-right">{index + 1}.</span>
+
+                      <select
+                        value={row.stage}
+                        onChange={(e) => handleStepFieldChange(index, "stage", e.target.value)}
+                        className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                      >
+                        {STEP_STAGES.map((s) => (
+                          <option key={s.value} value={s.value}>{s.label}</option>
+                        ))}
+                      </select>
+
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        placeholder="Min"
+                        value={row.durationMinutes}
+                        onChange={(e) => handleStepFieldChange(index, "durationMinutes", e.target.value)}
+                        className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                      />
+
+                      <input
+                        type="number"
+                        step="any"
+                        placeholder="—"
+                        value={row.temperature}
+                        onChange={(e) => handleStepFieldChange(index, "temperature", e.target.value)}
+                        className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                      />
+
+                      <input
+                        type="text"
+                        placeholder="e.g. fold every 30 min"
+                        value={row.notes}
+                        onChange={(e) => handleStepFieldChange(index, "notes", e.target.value)}
+                        className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                      />
+
+                      {/* Reorder and remove */}
+                      <div className="flex items-center gap-1 w-14">
+                        <button
+                          type="button"
+                          onClick={() => handleMoveStepRow(index, -1)}
+                          disabled={index === 0}
+                          className="text-sm text-stone-400 hover:text-stone-700 disabled:opacity-30"
+                          aria-label="Move step up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleMoveStepRow(index, 1)}
+                          disabled={index === stepRows.length - 1}
+                          className="text-sm text-stone-400 hover:text-stone-700 disabled:opacity-30"
+                          aria-label="Move step down"
+                        >
+                          ↓
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveStepRow(index)}
+                          className="text-sm font-medium text-rose-500 hover:text-rose-700 px-1"
+                          aria-label="Remove step"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  <p className="text-xs text-stone-500 pt-1">
+                    Total time: {formatMinutes(getMethodMinutes(stepRows))} — work orders are due this long after they start.
+                  </p>
+                </div>
+              )}
+            </div>
+
+            {/* Change note — edits only; stored on the version this save creates */}
+            {editingId && (
+              <div>
+                <label htmlFor="changeNote" className="block text-sm font-medium text-stone-700 mb-1">
+                  What changed? <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="changeNote" type="text"
+                  value={changeNote}
+                  onChange={(e) => setChangeNote(e.target.value)}
+                  placeholder="e.g. less salt after customer feedback"
+                  className="w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+                />
+              </div>
+            )}
+
             {/* Error message */}
             {error && (
               <p className="text-sm text-rose-600">{error}</p>
@@ -639,20 +1003,17 @@ export default function RecipesPage() {
             <tbody className="divide-y divide-stone-100 bg-white">
               {recipes.map((recipe) => {
                 const isExpanded = recipe.id === expandedId;
+                const isHistoryOpen = recipe.id === historyId;
+                const isBakersOpen  = recipe.id === bakersId;
 
                 // ── Derived cost data (used in expanded view) ──────────────────────
-                // .find() looks up each recipe ingredient in the fetched ingredients
-                // array by matching ingredientId → ingredient.id.
-                // ?. and ?? 0 guard against ingredients added before costPerUnit existed.
-                const hasCosts = recipe.ingredients.some((ing) => {
-                  const ingData = ingredients.find((i) => i.id === ing.ingredientId);
-                  return (ingData?.costPerUnit ?? 0) > 0;
-                });
-                const batchCost = recipe.ingredients.reduce((sum, ing) => {
-                  const ingData = ingredients.find((i) => i.id === ing.ingredientId);
-                  return sum + (ingData?.costPerUnit ?? 0) * ing.quantity;
-                }, 0);
-                const unitCost = batchCost / recipe.yieldQuantity;
+                // getRecipeBatchCost looks up each ingredient's costPerUnit and
+                // rolls sub-recipe costs up from their own lines.
+                // Missing costPerUnit counts as 0, so a zero total means no costs set.
+                const batchCost = getRecipeBatchCost(recipe, recipes, ingredients);
+                const hasCosts  = batchCost > 0;
+                const unitCost  = batchCost / recipe.yieldQuantity;
+                const allergens = getRecipeAllergens(recipe, recipes, ingredients);
 
                 return (
                   // React.Fragment with a key lets us return two <tr>s per recipe
@@ -675,7 +1036,10 @@ export default function RecipesPage() {
                           <path strokeLinecap="round" strokeLinejoin="round" d="M9 5l7 7-7 7" />
                         </svg>
                       </td>
-                      <td className="px-4 py-3 font-medium text-stone-800">{recipe.name}</td>
+                      <td className="px-4 py-3 font-medium text-stone-800">
+                        {recipe.name}
+                        {recipe.version && <span className="ml-1 text-xs font-normal text-stone-400">v{recipe.version}</span>}
+                      </td>
                       <td className="px-4 py-3 text-stone-500">{recipe.finishedGoodName}</td>
                       <td className="px-4 py-3 text-stone-500">
                         {recipe.yieldQuantity} {recipe.yieldUnit}
@@ -696,6 +1060,18 @@ export default function RecipesPage() {
                         >
                           Edit
                         </button>
+                        <button
+                          onClick={() => handleToggleHistory(recipe.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          History {isHistoryOpen ? "▲" : "▼"}
+                        </button>
+                        <button
+                          onClick={() => handleToggleBakers(recipe.id)}
+                          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                        >
+                          Baker&apos;s % {isBakersOpen ? "▲" : "▼"}
+                        </button>
                         <button
                           onClick={() => handleArchive(recipe.id, recipe.name)}
                           disabled={archivingId === recipe.id}
@@ -722,10 +1098,47 @@ export default function RecipesPage() {
                                 <span className="w-1.5 h-1.5 rounded-full bg-amber-400 shrink-0" />
                                 <span className="font-medium">{ing.ingredientName}</span>
                                 <span className="text-stone-500">— {ing.quantity} {ing.unit}</span>
+                                {isSubRecipeLine(ing) && (
+                                  <span className="text-xs text-stone-400">sub-recipe</span>
+                                )}
                               </li>
                             ))}
                           </ul>
 
+                          {/* ── Allergens ── rolled up from every ingredient,
+                              sub-recipes included */}
+                          <p className="text-xs text-stone-500 mt-3 pt-3 border-t border-stone-200">
+                            Allergens:{" "}
+                            <span className={allergens.contains.length > 0 ? "font-medium text-rose-600" : "text-stone-400"}>
+                              {formatAllergens(allergens.contains, "none declared")}
+                            </span>
+                            {allergens.mayContain.length > 0 && (
+                              <span> · may contain {formatAllergens(allergens.mayContain)}</span>
+                            )}
+                          </p>
+
+                          {/* ── Method ── */}
+                          {recipe.steps?.length > 0 && (
+                            <div className="mt-3 pt-3 border-t border-stone-200">
+                              <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-2">
+                                Method — {formatMinutes(getMethodMinutes(recipe.steps))}
+                              </p>
+                              <ol className="space-y-1">
+                                {recipe.steps.map((step, i) => (
+                                  <li key={i} className="text-sm text-stone-700">
+                                    <span className="text-stone-400">{i + 1}.</span>{" "}
+                                    <span className="font-medium">{getStageLabel(step.stage)}</span>
+                                    <span className="text-stone-500">
+                                      {" "}— {formatMinutes(step.durationMinutes)}
+                                      {step.temperature !== null && step.temperature !== undefined && ` at ${step.temperature}°`}
+                                    </span>
+                                    {step.notes && <span className="text-stone-500 italic"> · {step.notes}</span>}
+                                  </li>
+                                ))}
+                              </ol>
+                            </div>
+                          )}
+
                           {/* ── Cost summary ── */}
                           {hasCosts ? (
                             <p className="text-xs text-stone-500 mt-3 pt-3 border-t border-stone-200">
@@ -742,6 +1155,36 @@ export default function RecipesPage() {
                         </td>
                       </tr>
                     )}
+
+                    {/* ── Version history row ── every saved version, with
+                        what changed, view and restore. */}
+                    {isHistoryOpen && (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          <RecipeHistory
+                            recipe={recipe}
+                            onRestore={(version) => handleRestore(recipe, version)}
+                            restoring={restoring}
+                            refreshKey={historyKey}
+                          />
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Baker's percentage row ── percentages, editing
+                        and scaling. Keyed on the version so a save resets it. */}
+                    {isBakersOpen && (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          <BakersPercentPanel
+                            key={recipe.version ?? 1}
+                            recipe={recipe}
+                            ingredients={ingredients}
+                            onSaved={handleBakersSaved}
+                          />
+                        </td>
+                      </tr>
+                    )}
                   </Fragment>
                 );
               })}
@@ -3,6 +3,7 @@
 
 import { useState, useEffect } from "react";
 import { useAuth } from "@/context/AuthContext";
+import { useSite } from "@/context/SiteContext";
 import { getFinishedGoods, getSalesRecords, addSaleRecord } from "@/lib/firestore";
 import SearchableSelect from "@/components/SearchableSelect";
 
@@ -14,10 +15,12 @@ import SearchableSelect from "@/components/SearchableSelect";
 //      see live stock-remaining and revenue previews, block if oversold.
 //   2. Sales History table — filterable by finished good, with a summary
 //      row at the bottom showing totals for the currently visible records.
+// Both are for the site chosen in the site switcher: its stock, its sales.
 // ─────────────────────────────────────────────────────────────────────────────
 
 export default function SalesPage() {
-  const { user } = useAuth();
+  const { user }               = useAuth();
+  const { site, loadingSites } = useSite();
 
   // ── Server data ────────────────────────────────────────────────────────────
   const [finishedGoods, setFinishedGoods] = useState([]);
@@ -39,9 +42,11 @@ export default function SalesPage() {
   const [filterGoodId, setFilterGoodId] = useState("");
 
   // ── Load data on mount ─────────────────────────────────────────────────────
+  // Waits for the sites to load, and reloads when the site is switched.
   useEffect(() => {
+    if (loadingSites) return;
     loadData();
-  }, []);
+  }, [site, loadingSites]); // eslint-disable-line react-hooks/exhaustive-deps
 
   // Fetches finished goods (for dropdowns) and sales records (for history)
   // in parallel. Called on mount and after each successful sale submission.
@@ -49,8 +54,8 @@ export default function SalesPage() {
     setLoading(true);
     try {
       const [goods, records] = await Promise.all([
-        getFinishedGoods(),
-        getSalesRecords(),
+        getFinishedGoods(site),
+        getSalesRecords(site),
       ]);
       setFinishedGoods(goods);
       setSalesRecords(records);
@@ -130,7 +135,8 @@ export default function SalesPage() {
         totalRevenue:     revenuePreview,
         notes:            formData.notes.trim(),
         soldBy:           user?.email ?? "",
-      });
+        siteId:           site?.id ?? "",
+      }, site);
 
       // Keep the finished good selected so the baker can quickly log
       // another sale of the same item. Clear qty and notes.
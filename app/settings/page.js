@@ -4,10 +4,12 @@
 import { useState, useEffect } from "react";
 import { useAuth } from "@/context/AuthContext";
 import { useSettings } from "@/context/SettingsContext";
+import { makeReasonCode } from "@/lib/adjustments";
 
 // ─── Settings Page ────────────────────────────────────────────────────────────
 // Lets the bakery owner configure app-wide defaults: bakery name,
-// scheduled work order times, and which email addresses have admin access.
+// scheduled work order times, stock adjustment reasons, and which email
+// addresses have admin access.
 //
 // Access control:
 //   - If adminEmails is empty (first-time setup), anyone logged in can edit.
@@ -20,12 +22,16 @@ export default function SettingsPage() {
   // ── Local form state ─────────────────────────────────────────────────────
   // We keep a local copy so edits don't affect the rest of the app until saved.
   const [formData, setFormData] = useState({
-    bakeryName:       "",
-    defaultStartTime: "",
-    defaultDueTime:   "",
-    adminEmails:      "",   // stored as array, edited as newline-separated text
+    bakeryName:        "",
+    defaultStartTime:  "",
+    defaultDueTime:    "",
+    adminEmails:       "",   // stored as array, edited as newline-separated text
+    adjustmentReasons: [],   // [{ value, label }] — only the labels are editable
   });
 
+  // The label typed into the "add a reason" input.
+  const [newReason, setNewReason] = useState("");
+
   const [saving,   setSaving]   = useState(false);
   const [saveMsg,  setSaveMsg]  = useState("");   // "" | "saved" | "error"
 
@@ -35,11 +41,12 @@ export default function SettingsPage() {
   useEffect(() => {
     if (!loadingSettings) {
       setFormData({
-        bakeryName:       settings.bakeryName,
-        defaultStartTime: settings.defaultStartTime,
-        defaultDueTime:   settings.defaultDueTime,
+        bakeryName:        settings.bakeryName,
+        defaultStartTime:  settings.defaultStartTime,
+        defaultDueTime:    settings.defaultDueTime,
         // Convert the stored array back into a newline-separated string for the textarea.
-        adminEmails:      (settings.adminEmails ?? []).join("\n"),
+        adminEmails:       (settings.adminEmails ?? []).join("\n"),
+        adjustmentReasons: settings.adjustmentReasons ?? [],
       });
     }
   }, [loadingSettings]); // Re-runs only when the load completes (once).
@@ -78,6 +85,36 @@ export default function SettingsPage() {
     setSaveMsg("");  // Clear any previous save confirmation on new change.
   };
 
+  // ── Adjustment reason handlers ───────────────────────────────────────────
+  // A reason's code is fixed when it's added; renaming only changes its label,
+  // so past adjustments pick up the new name. See lib/adjustments.js.
+  const handleReasonLabelChange = (value, label) => {
+    setFormData((prev) => ({
+      ...prev,
+      adjustmentReasons: prev.adjustmentReasons.map((r) => (r.value === value ? { ...r, label } : r)),
+    }));
+    setSaveMsg("");
+  };
+
+  const handleAddReason = () => {
+    const label = newReason.trim();
+    if (!label) return;
+    setFormData((prev) => ({
+      ...prev,
+      adjustmentReasons: [...prev.adjustmentReasons, { value: makeReasonCode(label, prev.adjustmentReasons), label }],
+    }));
+    setNewReason("");
+    setSaveMsg("");
+  };
+
+  const handleRemoveReason = (value) => {
+    setFormData((prev) => ({
+      ...prev,
+      adjustmentReasons: prev.adjustmentReasons.filter((r) => r.value !== value),
+    }));
+    setSaveMsg("");
+  };
+
   // ── Save handler ─────────────────────────────────────────────────────────
   // Converts the adminEmails textarea back into an array, then calls
   // updateSettings() which writes to Firestore and updates context state.
@@ -95,6 +132,11 @@ export default function SettingsPage() {
           .split("\n")
           .map((email) => email.trim())
           .filter(Boolean),
+        // A reason whose label was cleared falls back to its code.
+        adjustmentReasons: formData.adjustmentReasons.map((r) => ({
+          value: r.value,
+          label: r.label.trim() || r.value,
+        })),
       });
       setSaveMsg("saved");
     } catch (err) {
@@ -149,7 +191,8 @@ export default function SettingsPage() {
             Work order defaults
           </h2>
           <p className="text-xs text-stone-400 -mt-2">
-            Applied when work orders are generated from the weekly plan
+            Applied when work orders are generated from the weekly plan. A recipe
+            with method steps is due when its method ends instead.
           </p>
 
           <div className="grid grid-cols-2 gap-4">
@@ -180,6 +223,61 @@ export default function SettingsPage() {
           </div>
         </section>
 
+        {/* ── Section: Stock adjustment reasons ─────────────────────────── */}
+        <section className="rounded-lg border border-stone-200 p-6 space-y-5">
+          <h2 className="text-sm font-semibold text-stone-700 uppercase tracking-wider">
+            Stock adjustment reasons
+          </h2>
+          <p className="text-xs text-stone-400 -mt-2">
+            Offered when adjusting stock on the inventory pages and when posting a stock count
+          </p>
+
+          <div className="space-y-2">
+            {formData.adjustmentReasons.map((reason) => (
+              <div key={reason.value} className="flex items-center gap-3">
+                <input
+                  type="text"
+                  value={reason.label}
+                  onChange={(e) => handleReasonLabelChange(reason.value, e.target.value)}
+                  className="flex-1 rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400"
+                />
+                <button
+                  type="button"
+                  onClick={() => handleRemoveReason(reason.value)}
+                  className="text-sm font-medium text-rose-600 hover:text-rose-800"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <input
+              type="text"
+              value={newReason}
+              onChange={(e) => setNewReason(e.target.value)}
+              onKeyDown={(e) => {
+                // Enter adds the reason instead of submitting the whole form.
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  handleAddReason();
+                }
+              }}
+              className="flex-1 rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400"
+              placeholder="e.g. Staff meal"
+            />
+            <button
+              type="button"
+              onClick={handleAddReason}
+              disabled={!newReason.trim()}
+              className="text-sm font-medium text-amber-700 hover:text-amber-900 disabled:opacity-40"
+            >
+              + Add reason
+            </button>
+          </div>
+        </section>
+
         {/* ── Section: Admin access ─────────────────────────────────────── */}
         <section className="rounded-lg border border-stone-200 p-6 space-y-5">
           <h2 className="text-sm font-semibold text-stone-700 uppercase tracking-wider">
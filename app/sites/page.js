@@ -0,0 +1,195 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState } from "react";
+import { useSite } from "@/context/SiteContext";
+import { addSite, updateSite } from "@/lib/firestore";
+import { SITE_KINDS } from "@/lib/sites";
+
+// ─── Helper functions (outside component — no state dependency) ───────────────
+
+// "Retail shop" for "retail".
+const getKindLabel = (kind) => SITE_KINDS.find((k) => k.value === kind)?.label ?? "—";
+
+const inputCls =
+  "w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent";
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+// The Sites page: the bakery's production kitchen and retail shops. The site
+// list itself lives in SiteContext, so the switcher in the Navbar picks up
+// every change here.
+export default function SitesPage() {
+  const { sites, site, loadingSites, refreshSites } = useSite();
+
+  // ── Add site form ─────────────────────────────────────────────────────────
+  const [newName,    setNewName]    = useState("");
+  const [newKind,    setNewKind]    = useState("production");
+  const [adding,     setAdding]     = useState(false);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  // ── Handlers ──────────────────────────────────────────────────────────────
+
+  const handleAddSite = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    if (sites.some((s) => s.name.toLowerCase() === name.toLowerCase())) {
+      window.alert(`There's already a site called "${name}".`);
+      return;
+    }
+    setAdding(true);
+    try {
+      await addSite({ name, kind: newKind, notes: "" });
+      setNewName("");
+      await refreshSites();
+    } catch (err) {
+      console.error("Failed to add site:", err);
+      window.alert("Failed to add the site. Please try again.");
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRename = async (target) => {
+    const name = window.prompt("Rename site", target.name)?.trim();
+    if (!name || name === target.name) return;
+    setUpdatingId(target.id);
+    try {
+      await updateSite(target.id, { name });
+      await refreshSites();
+    } catch (err) {
+      console.error("Failed to rename site:", err);
+      window.alert("Failed to rename the site. Please try again.");
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Archiving hides a site from the switcher. Its stock and records are kept,
+  // and restoring it brings them back. The main site holds all unassigned
+  // stock, so it can't be archived.
+  const handleToggleArchived = async (target) => {
+    const archiving = target.status !== "archived";
+    if (archiving && !window.confirm(`Archive "${target.name}"? It won't be offered in the site switcher.`)) return;
+    setUpdatingId(target.id);
+    try {
+      await updateSite(target.id, { status: archiving ? "archived" : "active" });
+      await refreshSites();
+    } catch (err) {
+      console.error("Failed to update site:", err);
+      window.alert("Failed to update the site. Please try again.");
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // ── Loading state ─────────────────────────────────────────────────────────
+  if (loadingSites) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-12">
+        <p className="text-stone-500 text-sm">Loading sites...</p>
+      </div>
+    );
+  }
+
+  // ── Main render ───────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-12">
+
+      {/* ── Page header ── */}
+      <div>
+        <h1 className="text-2xl font-semibold text-stone-800">Sites</h1>
+        <p className="text-sm text-stone-500 mt-1">
+          The production kitchen and the shops it supplies. Each site keeps its own stock, work orders,
+          sales and end-of-day. The first kitchen added is the main site and holds all existing stock.
+        </p>
+      </div>
+
+      <section>
+        <form onSubmit={handleAddSite} className="flex items-end gap-3 flex-wrap mb-4">
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="siteName" className="block text-sm font-medium text-stone-700 mb-1">Name</label>
+            <input
+              id="siteName"
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="e.g. High Street shop"
+              className={inputCls}
+            />
+          </div>
+          <div>
+            <label htmlFor="siteKind" className="block text-sm font-medium text-stone-700 mb-1">Kind</label>
+            <select id="siteKind" value={newKind} onChange={(e) => setNewKind(e.target.value)} className={inputCls}>
+              {SITE_KINDS.map((k) => <option key={k.value} value={k.value}>{k.label}</option>)}
+            </select>
+          </div>
+          <button
+            type="submit"
+            disabled={adding || !newName.trim()}
+            className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {adding ? "Adding..." : "Add Site"}
+          </button>
+        </form>
+
+        {sites.length === 0 ? (
+          <p className="text-sm text-stone-400">
+            No sites yet — the app is running as a single bakery. Add the production kitchen first, then each shop.
+          </p>
+        ) : (
+          <div className="overflow-x-auto rounded-lg border border-stone-200">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-stone-50 border-b border-stone-200">
+                <tr>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Site</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Kind</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-stone-100 bg-white">
+                {sites.map((s) => {
+                  const isArchived = s.status === "archived";
+                  return (
+                    <tr key={s.id} className={isArchived ? "opacity-60" : ""}>
+                      <td className="px-4 py-3 font-medium text-stone-800">
+                        {s.name}
+                        {s.isMain && (
+                          <span className="ml-2 text-xs font-medium text-amber-700 bg-amber-50 border border-amber-200 px-2 py-0.5 rounded-full">
+                            Main
+                          </span>
+                        )}
+                        {s.id === site?.id && <span className="ml-2 text-xs font-normal text-stone-400">current</span>}
+                        {isArchived && <span className="ml-2 text-xs font-normal text-stone-400">archived</span>}
+                      </td>
+                      <td className="px-4 py-3 text-stone-600">{getKindLabel(s.kind)}</td>
+                      <td className="px-4 py-3 flex gap-3">
+                        <button
+                          onClick={() => handleRename(s)}
+                          disabled={updatingId === s.id}
+                          className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40"
+                        >
+                          Rename
+                        </button>
+                        {!s.isMain && (
+                          <button
+                            onClick={() => handleToggleArchived(s)}
+                            disabled={updatingId === s.id}
+                            className="text-sm font-medium text-rose-600 hover:text-rose-800 disabled:opacity-40"
+                          >
+                            {isArchived ? "Restore" : "Archive"}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,533 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect } from "react";
+import { useAuth } from "@/context/AuthContext";
+import {
+  getSuppliers,
+  addSupplier,
+  updateSupplier,
+  archiveSupplier,
+  getIngredients,
+  getVendorReturns,
+  markVendorCreditReceived,
+} from "@/lib/firestore";
+import { summarizeSupplierCredits } from "@/lib/purchasing";
+
+// Shared Tailwind classes for all text inputs on this page.
+const inputCls =
+  "w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 placeholder-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent";
+
+// Delivery day choices, in week order. Stored as these short labels so they
+// read naturally wherever they're shown ("Mon, Thu").
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Returns the blank state for the supplier form.
+const emptyFormData = () => ({
+  name:         "",
+  contactName:  "",
+  phone:        "",
+  orderEmail:   "",
+  leadTimeDays: "",
+  minimumOrder: "",
+  deliveryDays: [],
+  notes:        "",
+});
+
+// The Suppliers page.
+// Lists active suppliers with the ingredients they supply, plus a toggleable
+// form for adding and editing. Which supplier an ingredient is bought from —
+// and at what pack size and price — is set on the Ingredients page.
+// Below the list, the credits summary totals what each supplier owes us for
+// goods returned from the Purchasing page.
+export default function SuppliersPage() {
+  const { user } = useAuth();
+
+  // ─── State ───────────────────────────────────────────────────────────────
+  const [suppliers,   setSuppliers]   = useState([]);
+  const [ingredients, setIngredients] = useState([]);
+  const [loading,     setLoading]     = useState(true);
+
+  // showForm controls whether the add/edit form is rendered at all.
+  // editingId is null when adding, or a supplier ID when editing.
+  const [showForm,    setShowForm]    = useState(false);
+  const [editingId,   setEditingId]   = useState(null);
+  const [formData,    setFormData]    = useState(emptyFormData());
+  const [submitting,  setSubmitting]  = useState(false);
+  const [error,       setError]       = useState(null);
+  const [archivingId, setArchivingId] = useState(null);
+
+  // Vendor returns feed the credits summary — money suppliers owe us for
+  // goods sent back from the purchasing page.
+  const [vendorReturns,    setVendorReturns]    = useState([]);
+  const [creditUpdatingId, setCreditUpdatingId] = useState(null);
+
+  // ─── Initial data fetch ──────────────────────────────────────────────────
+  // Ingredients are only used to show which items each supplier carries.
+  useEffect(() => {
+    const fetchAll = async () => {
+      try {
+        const [supplierData, ingredientData, returnData] = await Promise.all([
+          getSuppliers(),
+          getIngredients(),
+          getVendorReturns(),
+        ]);
+        setSuppliers(supplierData);
+        setIngredients(ingredientData);
+        setVendorReturns(returnData);
+      } catch (err) {
+        console.error("Failed to load suppliers:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAll();
+  }, []);
+
+  // ─── Form open / close ───────────────────────────────────────────────────
+  const handleNewSupplier = () => {
+    setEditingId(null);
+    setFormData(emptyFormData());
+    setError(null);
+    setShowForm(true);
+  };
+
+  const handleCancelForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(emptyFormData());
+    setError(null);
+  };
+
+  // Seeds the form with the supplier's saved values.
+  // Numbers are turned back into strings so the inputs can be cleared.
+  const handleEditStart = (supplier) => {
+    setEditingId(supplier.id);
+    setFormData({
+      name:         supplier.name,
+      contactName:  supplier.contactName  ?? "",
+      phone:        supplier.phone        ?? "",
+      orderEmail:   supplier.orderEmail   ?? "",
+      leadTimeDays: supplier.leadTimeDays ? String(supplier.leadTimeDays) : "",
+      minimumOrder: supplier.minimumOrder ? String(supplier.minimumOrder) : "",
+      deliveryDays: supplier.deliveryDays ?? [],
+      notes:        supplier.notes        ?? "",
+    });
+    setError(null);
+    setShowForm(true);
+  };
+
+  // ─── Archive handler ─────────────────────────────────────────────────────
+  // Ingredients that still point at the supplier keep working — purchasing
+  // falls back to their alternate supplier, or "No supplier".
+  const handleArchive = async (supplier) => {
+    const confirmed = window.confirm(
+      `Archive "${supplier.name}"? It will no longer be offered when setting up ingredients.`
+    );
+    if (!confirmed) return;
+
+    setArchivingId(supplier.id);
+    try {
+      await archiveSupplier(supplier.id);
+      const updated = await getSuppliers();
+      setSuppliers(updated);
+    } catch (err) {
+      console.error("Failed to archive supplier:", err);
+      window.alert("Failed to archive supplier. Please try again.");
+    } finally {
+      setArchivingId(null);
+    }
+  };
+
+  // ─── Form change handlers ────────────────────────────────────────────────
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Adds or removes one weekday from deliveryDays, keeping week order.
+  const handleToggleDay = (day) => {
+    setFormData((prev) => {
+      const selected = prev.deliveryDays.includes(day)
+        ? prev.deliveryDays.filter((d) => d !== day)
+        : [...prev.deliveryDays, day];
+      return { ...prev, deliveryDays: WEEKDAYS.filter((d) => selected.includes(d)) };
+    });
+  };
+
+  // ─── Form submit handler ─────────────────────────────────────────────────
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const trimmedName = formData.name.trim();
+    if (!trimmedName) {
+      setError("Supplier name is required.");
+      return;
+    }
+    const nameTaken = suppliers.some(
+      (s) => s.id !== editingId && s.status === "active" && s.name.trim().toLowerCase() === trimmedName.toLowerCase()
+    );
+    if (nameTaken) {
+      setError(`A supplier named "${trimmedName}" already exists.`);
+      return;
+    }
+
+    setError(null);
+    setSubmitting(true);
+
+    const supplierData = {
+      name:         trimmedName,
+      contactName:  formData.contactName.trim(),
+      phone:        formData.phone.trim(),
+      orderEmail:   formData.orderEmail.trim(),
+      leadTimeDays: parseInt(formData.leadTimeDays) || 0,
+      minimumOrder: parseFloat(formData.minimumOrder) || 0,
+      deliveryDays: formData.deliveryDays,
+      notes:        formData.notes.trim(),
+    };
+
+    try {
+      if (editingId) {
+        await updateSupplier(editingId, supplierData);
+      } else {
+        await addSupplier(supplierData);
+      }
+      const updated = await getSuppliers();
+      setSuppliers(updated);
+      handleCancelForm();
+    } catch (err) {
+      console.error("Failed to save supplier:", err);
+      setError("Failed to save supplier. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // ─── Credits ─────────────────────────────────────────────────────────────
+  // Marks a return's credit as received, asking for the credit note number
+  // so it can be matched against the supplier's statement later.
+  const handleCreditReceived = async (ret) => {
+    const reference = window.prompt(
+      `Credit of $${ret.creditTotal.toFixed(2)} from ${ret.supplierName || "the supplier"} received. Credit note or reference number (optional):`,
+      ""
+    );
+    if (reference === null) return;
+
+    setCreditUpdatingId(ret.id);
+    try {
+      await markVendorCreditReceived(ret.id, reference.trim(), user?.email ?? "");
+      const updated = await getVendorReturns();
+      setVendorReturns(updated);
+    } catch (err) {
+      console.error("Failed to mark credit received:", err);
+      window.alert("Failed to update the credit. Please try again.");
+    } finally {
+      setCreditUpdatingId(null);
+    }
+  };
+
+  // ─── Loading state ───────────────────────────────────────────────────────
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-12">
+        <p className="text-stone-500 text-sm">Loading suppliers...</p>
+      </div>
+    );
+  }
+
+  const activeSuppliers = suppliers.filter((s) => s.status === "active");
+  const credits         = summarizeSupplierCredits(vendorReturns);
+  const totalOwed       = credits.reduce((sum, c) => sum + c.owed, 0);
+
+  // ─── Main render ─────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-10">
+
+      {/* ── Page header ── */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-stone-800">Suppliers</h1>
+          <p className="text-sm text-stone-500 mt-1">
+            {activeSuppliers.length} active supplier{activeSuppliers.length !== 1 ? "s" : ""}
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={handleNewSupplier}
+            className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 transition-colors"
+          >
+            New Supplier
+          </button>
+        )}
+      </div>
+
+      {/* ── Add / Edit Supplier form ── */}
+      {showForm && (
+        <div className="rounded-lg border border-stone-200 p-6">
+
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-lg font-semibold text-stone-800">
+              {editingId ? "Edit Supplier" : "New Supplier"}
+            </h2>
+            <button
+              onClick={handleCancelForm}
+              className="text-sm text-stone-500 hover:text-stone-800"
+            >
+              Cancel
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-stone-700 mb-1">
+                  Supplier Name <span className="text-rose-500">*</span>
+                </label>
+                <input
+                  id="name" name="name" type="text"
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="e.g. Gordon Food Service"
+                  className={inputCls}
+                />
+              </div>
+              <div>
+                <label htmlFor="contactName" className="block text-sm font-medium text-stone-700 mb-1">
+                  Contact <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="contactName" name="contactName" type="text"
+                  value={formData.contactName}
+                  onChange={handleChange}
+                  placeholder="e.g. Dana, sales rep"
+                  className={inputCls}
+                />
+              </div>
+              <div>
+                <label htmlFor="orderEmail" className="block text-sm font-medium text-stone-700 mb-1">
+                  Ordering Email <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="orderEmail" name="orderEmail" type="email"
+                  value={formData.orderEmail}
+                  onChange={handleChange}
+                  placeholder="orders@supplier.com"
+                  className={inputCls}
+                />
+              </div>
+              <div>
+                <label htmlFor="phone" className="block text-sm font-medium text-stone-700 mb-1">
+                  Phone <span className="text-stone-500 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="phone" name="phone" type="tel"
+                  value={formData.phone}
+                  onChange={handleChange}
+                  className={inputCls}
+                />
+              </div>
+              <div>
+                <label htmlFor="leadTimeDays" className="block text-sm font-medium text-stone-700 mb-1">
+                  Lead Time (days)
+                </label>
+                <input
+                  id="leadTimeDays" name="leadTimeDays" type="number" min="0" step="1"
+                  value={formData.leadTimeDays}
+                  onChange={handleChange}
+                  placeholder="0"
+                  className={inputCls}
+                />
+              </div>
+              <div>
+                <label htmlFor="minimumOrder" className="block text-sm font-medium text-stone-700 mb-1">
+                  Minimum Order ($)
+                </label>
+                <input
+                  id="minimumOrder" name="minimumOrder" type="number" min="0" step="0.01"
+                  value={formData.minimumOrder}
+                  onChange={handleChange}
+                  placeholder="0.00"
+                  className={inputCls}
+                />
+              </div>
+            </div>
+
+            {/* Delivery days — toggle buttons rather than checkboxes so the
+                whole week fits on one line on a tablet. */}
+            <div>
+              <p className="block text-sm font-medium text-stone-700 mb-1">Delivery Days</p>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAYS.map((day) => {
+                  const selected = formData.deliveryDays.includes(day);
+                  return (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => handleToggleDay(day)}
+                      className={`rounded-md border px-3 py-1.5 text-sm font-medium transition-colors ${
+                        selected
+                          ? "border-amber-400 bg-amber-100 text-amber-900"
+                          : "border-stone-300 bg-white text-stone-500 hover:bg-stone-50"
+                      }`}
+                    >
+                      {day}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="notes" className="block text-sm font-medium text-stone-700 mb-1">
+                Notes <span className="text-stone-500 font-normal">(optional)</span>
+              </label>
+              <textarea
+                id="notes" name="notes" rows={2}
+                value={formData.notes}
+                onChange={handleChange}
+                placeholder="e.g. Order by 2pm for next-day delivery"
+                className={inputCls}
+              />
+            </div>
+
+            {error && (
+              <p className="text-sm text-rose-600">{error}</p>
+            )}
+
+            <button
+              type="submit"
+              disabled={submitting}
+              className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {submitting ? "Saving..." : editingId ? "Save Changes" : "Add Supplier"}
+            </button>
+
+          </form>
+        </div>
+      )}
+
+      {/* ── Supplier list ── */}
+      {activeSuppliers.length === 0 ? (
+        <p className="text-stone-500 text-sm">No suppliers yet. Add one to start splitting purchase orders by vendor.</p>
+      ) : (
+        <div className="space-y-3">
+          {activeSuppliers.map((supplier) => {
+            // Ingredients this supplier is set up for, preferred first.
+            const preferredFor = ingredients.filter((ing) => ing.preferredSupplier?.supplierId === supplier.id);
+            const alternateFor = ingredients.filter((ing) => ing.alternateSupplier?.supplierId === supplier.id);
+
+            return (
+              <div key={supplier.id} className="rounded-lg border border-stone-200 bg-white px-4 py-3">
+                <div className="flex items-start justify-between gap-4 flex-wrap">
+                  <div className="min-w-0 space-y-0.5">
+                    <p className="text-sm font-medium text-stone-800">{supplier.name}</p>
+                    <p className="text-xs text-stone-500">
+                      {[supplier.contactName, supplier.orderEmail, supplier.phone].filter(Boolean).join(" · ") || "No contact details"}
+                    </p>
+                    <p className="text-xs text-stone-500">
+                      Lead time {supplier.leadTimeDays || 0} day{supplier.leadTimeDays === 1 ? "" : "s"}
+                      {" · "}
+                      {supplier.minimumOrder > 0 ? `Minimum order $${supplier.minimumOrder.toFixed(2)}` : "No minimum order"}
+                      {" · "}
+                      {supplier.deliveryDays?.length > 0 ? `Delivers ${supplier.deliveryDays.join(", ")}` : "No set delivery days"}
+                    </p>
+                    {supplier.notes && (
+                      <p className="text-xs text-stone-400">{supplier.notes}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3 shrink-0">
+                    <button
+                      onClick={() => handleEditStart(supplier)}
+                      disabled={archivingId === supplier.id}
+                      className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleArchive(supplier)}
+                      disabled={archivingId === supplier.id}
+                      className="text-sm font-medium text-amber-700 hover:text-amber-900 disabled:opacity-40 disabled:cursor-not-allowed"
+                    >
+                      {archivingId === supplier.id ? "Archiving..." : "Archive"}
+                    </button>
+                  </div>
+                </div>
+
+                {(preferredFor.length > 0 || alternateFor.length > 0) && (
+                  <div className="mt-2 pt-2 border-t border-stone-100 text-xs text-stone-500 space-y-0.5">
+                    {preferredFor.length > 0 && (
+                      <p>
+                        <span className="font-medium text-stone-600">Preferred for:</span>{" "}
+                        {preferredFor.map((ing) => ing.name).join(", ")}
+                      </p>
+                    )}
+                    {alternateFor.length > 0 && (
+                      <p>
+                        <span className="font-medium text-stone-600">Alternate for:</span>{" "}
+                        {alternateFor.map((ing) => ing.name).join(", ")}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* ── Supplier credits — returns the supplier still owes us for ── */}
+      {credits.length > 0 && (
+        <section>
+          <div className="flex items-baseline justify-between mb-4">
+            <h2 className="text-base font-semibold text-stone-800">Supplier Credits</h2>
+            <p className="text-sm text-stone-500">
+              {totalOwed > 0 ? <>Owed to us: <span className="font-medium text-rose-600">${totalOwed.toFixed(2)}</span></> : "Nothing owed"}
+            </p>
+          </div>
+          <div className="space-y-3">
+            {credits.map((credit) => (
+              <div key={credit.supplierId || credit.supplierName} className="rounded-lg border border-stone-200 bg-white px-4 py-3">
+                <div className="flex items-center justify-between gap-4">
+                  <p className="text-sm font-medium text-stone-800">{credit.supplierName}</p>
+                  <p className="text-xs text-stone-500">
+                    <span className={credit.owed > 0 ? "font-medium text-rose-600" : ""}>${credit.owed.toFixed(2)} owed</span>
+                    {" · "}${credit.received.toFixed(2)} received
+                  </p>
+                </div>
+                {credit.openReturns.length > 0 && (
+                  <ul className="mt-2 pt-2 border-t border-stone-100 space-y-1.5">
+                    {credit.openReturns.map((ret) => (
+                      <li key={ret.id} className="flex items-center justify-between gap-4 text-xs text-stone-600">
+                        <span className="min-w-0">
+                          <span className="font-mono">{ret.poNumber || "PO"}</span>
+                          {" · "}
+                          {ret.createdAt?.toDate().toLocaleDateString("en-US", { month: "short", day: "numeric" })}
+                          {" · "}
+                          {ret.lines.map((line) => line.ingredientName).join(", ")}
+                          {" · "}{ret.reason}
+                        </span>
+                        <span className="flex items-center gap-3 shrink-0">
+                          <span className="font-medium text-stone-800">${ret.creditTotal.toFixed(2)}</span>
+                          <button
+                            onClick={() => handleCreditReceived(ret)}
+                            disabled={creditUpdatingId === ret.id}
+                            className="font-medium text-green-600 hover:text-green-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                          >
+                            {creditUpdatingId === ret.id ? "Saving..." : "Mark Received"}
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+    </div>
+  );
+}
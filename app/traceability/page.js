@@ -0,0 +1,696 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect } from "react";
+import SearchableSelect from "@/components/SearchableSelect";
+import { useSettings } from "@/context/SettingsContext";
+import {
+  getIngredientLots,
+  getPurchaseOrders,
+  getProductionRecords,
+  getWorkOrders,
+  getSalesRecords,
+  getDemandPlans,
+} from "@/lib/firestore";
+import { getPoNumber } from "@/lib/purchaseOrderDocument";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Traceability page
+// ─────────────────────────────────────────────────────────────────────────────
+// Answers "where did this lot go?" (forward) and "where did this batch come
+// from?" (backward) for a recall. The trace can start from:
+//   - an ingredient lot
+//   - a purchase order line (one ingredient on one PO)
+//   - a production record (one executed work order)
+//
+// The chain it walks:
+//   purchaseOrders → ingredientLots → productionRecords.ingredientsConsumed
+//   → finished good batches → demandPlans (special orders, with customer
+//   contact details) and salesRecords (shelf sales of the same product).
+//
+// Shelf sales aren't linked to a specific batch, so for MTS production we list
+// every sale of the product from the production date up to `salesWindowDays`
+// later — the baker picks a window that matches the product's shelf life.
+// The same window is used to follow intermediates (sub-recipes) into the
+// batches that consumed them.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The three kinds of starting point. `key` is stored in state.
+const START_TYPES = [
+  { key: "lot",        label: "Ingredient Lot" },
+  { key: "poLine",     label: "Purchase Order Line" },
+  { key: "production", label: "Production Record" },
+];
+
+// Default number of days after production to include shelf sales.
+const DEFAULT_SALES_WINDOW_DAYS = 3;
+
+// Converts a "YYYY-MM-DD" date string to "MM/DD/YYYY" for display.
+const formatDate = (dateStr) => {
+  if (!dateStr) return "—";
+  const [year, month, day] = dateStr.split("-");
+  return `${month}/${day}/${year}`;
+};
+
+// Converts a Firestore Timestamp to a short readable date: "Feb 26, 2026".
+const formatTimestamp = (ts) => {
+  if (!ts || typeof ts.toDate !== "function") return "—";
+  return ts.toDate().toLocaleDateString("en-US", {
+    month: "short",
+    day:   "numeric",
+    year:  "numeric",
+  });
+};
+
+// Formats a datetime-local string to a readable short form: "Feb 25, 9:00 AM"
+const formatDateTime = (dtStr) => {
+  if (!dtStr) return "—";
+  return new Date(dtStr).toLocaleString("en-US", {
+    month:  "short",
+    day:    "numeric",
+    hour:   "numeric",
+    minute: "2-digit",
+  });
+};
+
+// Wraps a value for a CSV cell: quotes it and doubles any embedded quotes so
+// commas and quotes inside names don't break the columns.
+const csvCell = (value) => `"${String(value ?? "").replaceAll('"', '""')}"`;
+
+// The recall report's CSV columns, in file order.
+const CSV_COLUMNS = ["Section", "Date", "Reference", "Item", "Quantity", "Unit", "Supplier", "Customer", "Contact", "Notes"];
+
+// Walks the data from the chosen starting point and returns the full trace:
+// { lots, purchaseOrders, productionRecords, specialOrders, sales }.
+// Pure function — all data is passed in, nothing is fetched here.
+const buildTrace = (start, data, salesWindowDays) => {
+  const { lots, purchaseOrders, productionRecords, workOrders, salesRecords, demandPlans } = data;
+
+  // ── 1. Resolve the starting point to a set of lots + production records ──
+  let lotIds    = [];
+  let startRecs = null; // production records to trace forward from; null = derive from lots
+
+  if (start.type === "lot") {
+    lotIds = [start.lotId];
+  }
+
+  if (start.type === "poLine") {
+    const po   = purchaseOrders.find((p) => p.id === start.poId);
+    const line = po?.items?.find((it) => it.ingredientId === start.ingredientId);
+    // Lots created by this PO for this ingredient. item.lotId covers the
+    // common case; the sourceId match also catches any extra receipts.
+    lotIds = lots
+      .filter((lot) =>
+        (lot.source === "purchaseOrder" && lot.sourceId === start.poId && lot.ingredientId === start.ingredientId) ||
+        lot.id === line?.lotId
+      )
+      .map((lot) => lot.id);
+  }
+
+  if (start.type === "production") {
+    const rec = productionRecords.find((r) => r.id === start.productionRecordId);
+    startRecs = rec ? [rec] : [];
+    // Backward: every lot this batch drew from.
+    lotIds = startRecs.flatMap((r) =>
+      (r.ingredientsConsumed ?? []).flatMap((ic) => (ic.lotsConsumed ?? []).map((lc) => lc.lotId))
+    );
+  }
+
+  const lotIdSet   = new Set(lotIds);
+  const tracedLots = lots.filter((lot) => lotIdSet.has(lot.id));
+
+  // ── 2. Backward: purchase orders that delivered those lots ───────────────
+  const poIds = new Set(
+    tracedLots.filter((lot) => lot.source === "purchaseOrder").map((lot) => lot.sourceId)
+  );
+  const tracedPOs = purchaseOrders.filter((po) => poIds.has(po.id));
+
+  // ── 3. Forward: production records that consumed any traced lot ──────────
+  // For a production start we trace forward from that record only — the
+  // other batches that used the same lots aren't part of its recall.
+  const tracedRecs = startRecs ?? productionRecords.filter((rec) =>
+    (rec.ingredientsConsumed ?? []).some((ic) =>
+      (ic.lotsConsumed ?? []).some((lc) => lotIdSet.has(lc.lotId))
+    )
+  );
+
+  const windowMs = salesWindowDays * 24 * 60 * 60 * 1000;
+
+  // Follow intermediates (sub-recipes like levain) up to the products made
+  // from them. Intermediates aren't lot-tracked, so — like shelf sales — any
+  // batch that consumed the intermediate inside the window is included.
+  // tracedRecs grows while we loop, so multi-level recipes are followed too.
+  for (let i = 0; i < tracedRecs.length; i++) {
+    const rec        = tracedRecs[i];
+    const producedAt = rec.createdAt?.toMillis?.();
+    if (!producedAt) continue;
+    for (const parent of productionRecords) {
+      const usedAt = parent.createdAt?.toMillis?.();
+      if (
+        (parent.subRecipesConsumed ?? []).some((sub) => sub.finishedGoodId === rec.finishedGoodId) &&
+        usedAt >= producedAt &&
+        usedAt <= producedAt + windowMs &&
+        !tracedRecs.some((r) => r.id === parent.id)
+      ) {
+        tracedRecs.push(parent);
+      }
+    }
+  }
+
+  // ── 4. Forward: special orders and shelf sales for each batch ────────────
+  const specialOrders = [];
+  const sales         = [];
+
+  for (const rec of tracedRecs) {
+    const wo = workOrders.find((w) => w.id === rec.workOrderId);
+
+    // MTO batches went straight to one customer — find the special order.
+    if (wo?.orderType === "MTO" && wo.specialOrderId) {
+      const plan = demandPlans.find((p) => p.id === wo.specialOrderId);
+      if (plan && !specialOrders.some((so) => so.id === plan.id)) {
+        specialOrders.push({ ...plan, productionRecordId: rec.id });
+      }
+      continue;
+    }
+
+    // MTS batches went onto the shelf — list sales of the same product
+    // inside the window after production.
+    const producedAt = rec.createdAt?.toMillis?.();
+    if (!producedAt) continue;
+    for (const sale of salesRecords) {
+      const soldAt = sale.createdAt?.toMillis?.();
+      if (
+        sale.finishedGoodId === rec.finishedGoodId &&
+        soldAt >= producedAt &&
+        soldAt <= producedAt + windowMs &&
+        !sales.some((s) => s.id === sale.id)
+      ) {
+        sales.push(sale);
+      }
+    }
+  }
+
+  return {
+    lots:              tracedLots,
+    purchaseOrders:    tracedPOs,
+    productionRecords: tracedRecs,
+    specialOrders,
+    sales,
+  };
+};
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+export default function TraceabilityPage() {
+  const { settings } = useSettings();
+
+  // ── Fetched data ───────────────────────────────────────────────────────────
+  // Everything the trace walks through, loaded once on mount.
+  const [data,    setData]    = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // ── Starting point ─────────────────────────────────────────────────────────
+  const [startType,          setStartType]          = useState("lot");
+  const [lotId,              setLotId]              = useState("");
+  const [poId,               setPoId]               = useState("");
+  const [poIngredientId,     setPoIngredientId]     = useState("");
+  const [productionRecordId, setProductionRecordId] = useState("");
+  const [salesWindowDays,    setSalesWindowDays]    = useState(String(DEFAULT_SALES_WINDOW_DAYS));
+
+  // ── Initial data fetch ─────────────────────────────────────────────────────
+  useEffect(() => {
+    const fetchAll = async () => {
+      try {
+        const [lots, purchaseOrders, productionRecords, workOrders, salesRecords, demandPlans] =
+          await Promise.all([
+            getIngredientLots(),
+            getPurchaseOrders(),
+            getProductionRecords(),
+            getWorkOrders(),
+            getSalesRecords(),
+            getDemandPlans(),
+          ]);
+        setData({ lots, purchaseOrders, productionRecords, workOrders, salesRecords, demandPlans });
+      } catch (err) {
+        console.error("Failed to load traceability data:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAll();
+  }, []);
+
+  // ── Loading state ──────────────────────────────────────────────────────────
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-12">
+        <p className="text-stone-500 text-sm">Loading traceability data...</p>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-12">
+        <p className="text-rose-600 text-sm">Failed to load traceability data. Try refreshing.</p>
+      </div>
+    );
+  }
+
+  // ── Derived: starting point + trace ────────────────────────────────────────
+  // Recomputed every render — changing the selection updates the report
+  // immediately with no extra state or fetches.
+  const selectedPo = data.purchaseOrders.find((po) => po.id === poId) ?? null;
+
+  const start =
+    startType === "lot"        && lotId                       ? { type: "lot", lotId } :
+    startType === "poLine"     && poId && poIngredientId      ? { type: "poLine", poId, ingredientId: poIngredientId } :
+    startType === "production" && productionRecordId          ? { type: "production", productionRecordId } :
+    null;
+
+  const windowDays = parseInt(salesWindowDays) >= 0 ? parseInt(salesWindowDays) : DEFAULT_SALES_WINDOW_DAYS;
+  const trace      = start ? buildTrace(start, data, windowDays) : null;
+
+  // Human-readable description of the starting point for the report header.
+  const startLabel = (() => {
+    if (!start) return "";
+    if (start.type === "lot") {
+      const lot = data.lots.find((l) => l.id === start.lotId);
+      return `Lot ${lot?.lotCode ?? ""} — ${lot?.ingredientName ?? ""}`;
+    }
+    if (start.type === "poLine") {
+      const line = selectedPo?.items?.find((it) => it.ingredientId === start.ingredientId);
+      return `${selectedPo ? getPoNumber(selectedPo) : "PO"} from ${formatTimestamp(selectedPo?.createdAt)} — ${line?.ingredientName ?? ""}`;
+    }
+    const rec = data.productionRecords.find((r) => r.id === start.productionRecordId);
+    return `${rec?.workOrderNumber ? `${rec.workOrderNumber} — ` : ""}Production of ${rec?.totalYield ?? ""} ${rec?.finishedGoodName ?? ""} on ${formatTimestamp(rec?.createdAt)}`;
+  })();
+
+  // ── Handlers ───────────────────────────────────────────────────────────────
+
+  // Switching the start type clears the other selections so a stale choice
+  // from a different mode can't leak into the trace.
+  const handleStartTypeChange = (type) => {
+    setStartType(type);
+    setLotId("");
+    setPoId("");
+    setPoIngredientId("");
+    setProductionRecordId("");
+  };
+
+  // Picking a different PO resets the line selection.
+  const handlePoSelect = (val) => {
+    setPoId(val);
+    setPoIngredientId("");
+  };
+
+  // Builds a CSV of every row in the report and downloads it.
+  // One row per traced record, with a Section column so the file can be
+  // filtered in a spreadsheet. Rows are keyed by column name and laid out in
+  // CSV_COLUMNS order, so a row can't shift its cells into the wrong column;
+  // anything a row leaves out is blank.
+  const handleExportCsv = () => {
+    const rows = [
+      ...trace.purchaseOrders.map((po) => ({
+        Section:   "Purchase order",
+        Date:      formatTimestamp(po.createdAt),
+        Reference: getPoNumber(po),
+        Item:      (po.items ?? []).map((it) => it.ingredientName).join("; "),
+        Supplier:  po.supplierName,
+        Notes:     po.status,
+      })),
+      ...trace.lots.map((lot) => ({
+        Section:   "Ingredient lot",
+        Date:      formatDate(lot.receivedDate),
+        Reference: lot.lotCode,
+        Item:      lot.ingredientName,
+        Quantity:  lot.quantityReceived,
+        Unit:      lot.unit,
+        Notes:     `Best before ${formatDate(lot.bestBefore)}`,
+      })),
+      ...trace.productionRecords.map((rec) => ({
+        Section:   "Production",
+        Date:      formatTimestamp(rec.createdAt),
+        Reference: rec.workOrderNumber || rec.workOrderId,
+        Item:      rec.finishedGoodName,
+        Quantity:  rec.totalYield,
+        Notes:     rec.producedBy,
+      })),
+      ...trace.specialOrders.map((so) => ({
+        Section:   "Special order",
+        Date:      formatDateTime(so.pickupDateTime),
+        Reference: so.orderNumber || so.id,
+        Item:      so.finishedGoodName,
+        Quantity:  so.targetQuantity,
+        Customer:  so.customerName,
+        Contact:   so.customerContact,
+        Notes:     so.notes,
+      })),
+      ...trace.sales.map((sale) => ({
+        Section:   "Sale",
+        Date:      formatTimestamp(sale.createdAt),
+        Reference: sale.id,
+        Item:      sale.finishedGoodName,
+        Quantity:  sale.quantitySold,
+        Notes:     sale.notes,
+      })),
+    ].map((row) => CSV_COLUMNS.map((column) => row[column]));
+
+    const csv  = [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href     = url;
+    link.download = "recall-report.csv";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // ── Main render ────────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-10">
+
+      {/* ── Page header ── */}
+      <div>
+        <h1 className="text-2xl font-semibold text-stone-800">Traceability</h1>
+        <p className="text-sm text-stone-500 mt-1">
+          Trace an ingredient lot, purchase order line, or production batch forward to
+          customers and back to suppliers.
+        </p>
+      </div>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          STARTING POINT — hidden when printing so the report stands alone
+          ══════════════════════════════════════════════════════════════════════ */}
+      <section className="border border-stone-200 rounded-lg p-5 space-y-4 print:hidden">
+
+        {/* Start type tabs */}
+        <div className="flex gap-1 flex-wrap">
+          {START_TYPES.map((t) => (
+            <button
+              key={t.key}
+              onClick={() => handleStartTypeChange(t.key)}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                startType === t.key
+                  ? "bg-amber-100 text-amber-800"
+                  : "text-stone-500 hover:text-stone-800 hover:bg-stone-100"
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Lot picker */}
+        {startType === "lot" && (
+          <SearchableSelect
+            options={data.lots.map((lot) => ({
+              value: lot.id,
+              label: `${lot.lotCode} — ${lot.ingredientName} (received ${formatDate(lot.receivedDate)})`,
+            }))}
+            value={lotId}
+            onChange={setLotId}
+            placeholder="Select an ingredient lot"
+          />
+        )}
+
+        {/* PO + line pickers */}
+        {startType === "poLine" && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <SearchableSelect
+              options={data.purchaseOrders
+                .filter((po) => po.status !== "draft")
+                .map((po) => ({
+                  value: po.id,
+                  label: `${getPoNumber(po)} from ${formatTimestamp(po.createdAt)}${po.supplierName ? ` — ${po.supplierName}` : ""} (${po.status})`,
+                }))}
+              value={poId}
+              onChange={handlePoSelect}
+              placeholder="Select a purchase order"
+            />
+            <SearchableSelect
+              options={(selectedPo?.items ?? []).map((it) => ({
+                value: it.ingredientId,
+                label: `${it.ingredientName}${it.lotCode ? ` — lot ${it.lotCode}` : ""}`,
+              }))}
+              value={poIngredientId}
+              onChange={setPoIngredientId}
+              placeholder="Select a line"
+              disabled={!selectedPo}
+            />
+          </div>
+        )}
+
+        {/* Production record picker */}
+        {startType === "production" && (
+          <SearchableSelect
+            options={data.productionRecords.map((rec) => ({
+              value: rec.id,
+              label: `${rec.workOrderNumber ? `${rec.workOrderNumber} · ` : ""}${formatTimestamp(rec.createdAt)} — ${rec.totalYield} ${rec.finishedGoodName}`,
+            }))}
+            value={productionRecordId}
+            onChange={setProductionRecordId}
+            placeholder="Select a production record"
+          />
+        )}
+
+        {/* Sales window */}
+        <label className="flex items-center gap-2 text-xs text-stone-500">
+          Include shelf sales up to
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={salesWindowDays}
+            onChange={(e) => setSalesWindowDays(e.target.value)}
+            className="w-16 rounded border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+          />
+          days after production
+        </label>
+      </section>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          RECALL REPORT
+          ══════════════════════════════════════════════════════════════════════ */}
+      {!trace ? (
+        <p className="text-stone-500 text-sm">Choose a starting point to build the recall report.</p>
+      ) : (
+        <section className="space-y-8">
+
+          {/* Report header + actions */}
+          <div className="flex items-start justify-between gap-4 flex-wrap">
+            <div>
+              <p className="text-xs font-medium text-stone-400 uppercase tracking-wider">
+                {settings.bakeryName} — Recall Report
+              </p>
+              <h2 className="text-lg font-semibold text-stone-800 mt-1">{startLabel}</h2>
+              <p className="text-xs text-stone-500 mt-1">
+                Generated {new Date().toLocaleString("en-US")} · Shelf sales window: {windowDays} day{windowDays !== 1 ? "s" : ""}
+              </p>
+            </div>
+            <div className="flex gap-3 print:hidden">
+              <button
+                onClick={() => window.print()}
+                className="rounded-md border border-stone-300 px-3 py-1.5 text-sm font-medium text-stone-700 hover:bg-stone-100 transition-colors"
+              >
+                Print
+              </button>
+              <button
+                onClick={handleExportCsv}
+                className="rounded-md bg-amber-500 px-3 py-1.5 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 transition-colors"
+              >
+                Export CSV
+              </button>
+            </div>
+          </div>
+
+          {/* Summary counts */}
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+            {[
+              { label: "Purchase orders", count: trace.purchaseOrders.length },
+              { label: "Lots",            count: trace.lots.length },
+              { label: "Batches",         count: trace.productionRecords.length },
+              { label: "Special orders",  count: trace.specialOrders.length },
+              { label: "Sales",           count: trace.sales.length },
+            ].map((s) => (
+              <div key={s.label} className="rounded-md border border-stone-200 px-3 py-2">
+                <p className="text-xs text-stone-500">{s.label}</p>
+                <p className="text-lg font-semibold text-stone-800">{s.count}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* ── Customers to contact (special orders) ── */}
+          <div>
+            <h3 className="text-sm font-semibold text-stone-800 mb-2">Customers to Contact</h3>
+            {trace.specialOrders.length === 0 ? (
+              <p className="text-sm text-stone-500">No special orders affected.</p>
+            ) : (
+              <div className="overflow-x-auto rounded-lg border border-stone-200">
+                <table className="w-full text-sm text-left">
+                  <thead className="bg-stone-50 border-b border-stone-200">
+                    <tr>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Customer</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Contact</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Product</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Qty</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Pickup</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-stone-100 bg-white">
+                    {trace.specialOrders.map((so) => (
+                      <tr key={so.id} className="bg-rose-50">
+                        <td className="px-4 py-2.5 font-medium text-stone-800">
+                          {so.customerName}
+                          {so.orderNumber && <p className="text-xs font-mono font-normal text-stone-500">{so.orderNumber}</p>}
+                        </td>
+                        <td className="px-4 py-2.5 text-stone-700">{so.customerContact || "—"}</td>
+                        <td className="px-4 py-2.5 text-stone-600">{so.finishedGoodName}</td>
+                        <td className="px-4 py-2.5 text-stone-600">{so.targetQuantity}</td>
+                        <td className="px-4 py-2.5 text-stone-600">{formatDateTime(so.pickupDateTime)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* ── Production batches ── */}
+          <div>
+            <h3 className="text-sm font-semibold text-stone-800 mb-2">Production Batches</h3>
+            {trace.productionRecords.length === 0 ? (
+              <p className="text-sm text-stone-500">No production has used this material yet.</p>
+            ) : (
+              <div className="overflow-x-auto rounded-lg border border-stone-200">
+                <table className="w-full text-sm text-left">
+                  <thead className="bg-stone-50 border-b border-stone-200">
+                    <tr>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Produced</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Product</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Yield</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Traced Lots Used</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">By</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-stone-100 bg-white">
+                    {trace.productionRecords.map((rec) => {
+                      const tracedLotIds = new Set(trace.lots.map((l) => l.id));
+                      const usedLots = (rec.ingredientsConsumed ?? []).flatMap((ic) =>
+                        (ic.lotsConsumed ?? [])
+                          .filter((lc) => tracedLotIds.has(lc.lotId))
+                          .map((lc) => `${lc.lotCode} (${lc.quantity} ${ic.stockUnit ?? ic.unit})`)
+                      );
+                      return (
+                        <tr key={rec.id}>
+                          <td className="px-4 py-2.5 text-stone-600">
+                            {formatTimestamp(rec.createdAt)}
+                            {rec.workOrderNumber && <p className="text-xs font-mono text-stone-500">{rec.workOrderNumber}</p>}
+                          </td>
+                          <td className="px-4 py-2.5 font-medium text-stone-800">{rec.finishedGoodName}</td>
+                          <td className="px-4 py-2.5 text-stone-600">{rec.totalYield}</td>
+                          <td className="px-4 py-2.5 text-stone-600">{usedLots.join(", ") || "—"}</td>
+                          <td className="px-4 py-2.5 text-stone-500">{rec.producedBy || "—"}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* ── Shelf sales ── */}
+          <div>
+            <h3 className="text-sm font-semibold text-stone-800 mb-2">Shelf Sales (possibly affected)</h3>
+            {trace.sales.length === 0 ? (
+              <p className="text-sm text-stone-500">No shelf sales in the window.</p>
+            ) : (
+              <div className="overflow-x-auto rounded-lg border border-stone-200">
+                <table className="w-full text-sm text-left">
+                  <thead className="bg-stone-50 border-b border-stone-200">
+                    <tr>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Date</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Product</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Qty</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Notes</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-stone-100 bg-white">
+                    {trace.sales.map((sale) => (
+                      <tr key={sale.id}>
+                        <td className="px-4 py-2.5 text-stone-600">{formatTimestamp(sale.createdAt)}</td>
+                        <td className="px-4 py-2.5 font-medium text-stone-800">{sale.finishedGoodName}</td>
+                        <td className="px-4 py-2.5 text-stone-600">{sale.quantitySold}</td>
+                        <td className="px-4 py-2.5 text-stone-500">{sale.notes || "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* ── Ingredient lots ── */}
+          <div>
+            <h3 className="text-sm font-semibold text-stone-800 mb-2">Ingredient Lots</h3>
+            {trace.lots.length === 0 ? (
+              <p className="text-sm text-stone-500">No lots found for this starting point.</p>
+            ) : (
+              <div className="overflow-x-auto rounded-lg border border-stone-200">
+                <table className="w-full text-sm text-left">
+                  <thead className="bg-stone-50 border-b border-stone-200">
+                    <tr>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Lot</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Ingredient</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Received</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Best Before</th>
+                      <th className="px-4 py-2 text-xs font-medium text-stone-500 uppercase tracking-wider">Remaining</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-stone-100 bg-white">
+                    {trace.lots.map((lot) => (
+                      <tr key={lot.id}>
+                        <td className="px-4 py-2.5 font-medium text-stone-800">{lot.lotCode}</td>
+                        <td className="px-4 py-2.5 text-stone-600">{lot.ingredientName}</td>
+                        <td className="px-4 py-2.5 text-stone-600">{formatDate(lot.receivedDate)}</td>
+                        <td className="px-4 py-2.5 text-stone-600">{formatDate(lot.bestBefore)}</td>
+                        <td className="px-4 py-2.5 text-stone-600">
+                          {lot.quantityRemaining} / {lot.quantityReceived} {lot.unit}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* ── Purchase orders ── */}
+          <div>
+            <h3 className="text-sm font-semibold text-stone-800 mb-2">Purchase Orders</h3>
+            {trace.purchaseOrders.length === 0 ? (
+              <p className="text-sm text-stone-500">No purchase orders linked — the lots were restocked manually.</p>
+            ) : (
+              <ul className="space-y-1">
+                {trace.purchaseOrders.map((po) => (
+                  <li key={po.id} className="text-sm text-stone-700">
+                    <span className="font-mono text-xs">{getPoNumber(po)}</span>{" "}
+                    from <span className="font-medium">{formatTimestamp(po.createdAt)}</span>
+                    {po.supplierName && <> to <span className="font-medium">{po.supplierName}</span></>}
+                    {" · "}sent {formatTimestamp(po.sentAt)}
+                    {" · "}{po.status}
+                    {po.receivedBy && <span className="text-stone-500"> · received by {po.receivedBy}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+        </section>
+      )}
+
+    </div>
+  );
+}
@@ -0,0 +1,457 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { useAuth } from "@/context/AuthContext";
+import { useSite } from "@/context/SiteContext";
+import {
+  getFinishedGoods,
+  getTransferOrders,
+  shipTransferOrder,
+  receiveTransferOrder,
+} from "@/lib/firestore";
+import { roundQuantity } from "@/lib/units";
+
+// ─── Helper functions (outside component — no state dependency) ───────────────
+
+// Converts a Firestore Timestamp to "Oct 3, 2:05 PM".
+const formatTimestamp = (ts) => {
+  if (!ts) return "—";
+  return ts.toDate().toLocaleString("en-US", {
+    month:  "short",
+    day:    "numeric",
+    hour:   "numeric",
+    minute: "2-digit",
+  });
+};
+
+// How long an order has been on the road — "45 min" or "3 h 10 min".
+const formatTimeInTransit = (ts) => {
+  if (!ts) return "";
+  const minutes = Math.max(0, Math.floor((Date.now() - ts.toDate().getTime()) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Lines received short of what was shipped.
+const getShortLines = (order) =>
+  order.lines.filter((line) => line.quantityReceived !== null && line.quantityReceived < line.quantity);
+
+const inputCls =
+  "w-full rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent";
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+// The Site Transfers page: ship finished goods from the current site to
+// another, check in what's arriving here, and look back over past transfers.
+export default function TransfersPage() {
+  const { user }                            = useAuth();
+  const { site, activeSites, loadingSites } = useSite();
+
+  // ── Fetched data ─────────────────────────────────────────────────────────
+  const [finishedGoods, setFinishedGoods] = useState([]);
+  const [orders,        setOrders]        = useState([]);
+  const [loading,       setLoading]       = useState(true);
+
+  // ── Ship form ─────────────────────────────────────────────────────────────
+  const [toSiteId,    setToSiteId]    = useState("");
+  const [quantities,  setQuantities]  = useState({});   // { [finishedGoodId]: "12" }
+  const [shipNotes,   setShipNotes]   = useState("");
+  const [shipping,    setShipping]    = useState(false);
+  const [shipError,   setShipError]   = useState(null);
+  const [shipMessage, setShipMessage] = useState(null);
+
+  // ── Receive panel ─────────────────────────────────────────────────────────
+  const [receivingId,        setReceivingId]        = useState(null);
+  const [receivedQuantities, setReceivedQuantities] = useState([]);   // lines up with order.lines
+  const [receivingNotes,     setReceivingNotes]     = useState("");
+  const [receiving,          setReceiving]          = useState(false);
+
+  // ── Initial data fetch ────────────────────────────────────────────────────
+  const fetchAll = async () => {
+    const [finishedGoodData, orderData] = await Promise.all([
+      getFinishedGoods(site),
+      getTransferOrders(site),
+    ]);
+    setFinishedGoods(finishedGoodData);
+    setOrders(orderData);
+  };
+
+  // Re-runs when the site switcher changes site.
+  useEffect(() => {
+    if (loadingSites) return;
+    if (!site) {
+      setLoading(false);
+      return;
+    }
+    const load = async () => {
+      setLoading(true);
+      setReceivingId(null);
+      setToSiteId("");
+      setQuantities({});
+      try {
+        await fetchAll();
+      } catch (err) {
+        console.error("Failed to load transfer orders:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [site, loadingSites]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ── Ship handlers ─────────────────────────────────────────────────────────
+
+  const handleQuantityChange = (finishedGoodId, value) => {
+    setQuantities((prev) => ({ ...prev, [finishedGoodId]: value }));
+    setShipError(null);
+    setShipMessage(null);
+  };
+
+  const handleShip = async (e) => {
+    e.preventDefault();
+    setShipError(null);
+    setShipMessage(null);
+
+    const toSite = activeSites.find((s) => s.id === toSiteId);
+    const lines  = stockedGoods
+      .map((fg) => ({
+        finishedGoodId:   fg.id,
+        finishedGoodName: fg.name,
+        unit:             fg.unit,
+        quantity:         parseFloat(quantities[fg.id]) || 0,
+      }))
+      .filter((line) => line.quantity > 0);
+
+    setShipping(true);
+    try {
+      await shipTransferOrder({ fromSite: site, toSite, lines, notes: shipNotes.trim() }, user?.email ?? "");
+      setShipMessage(`Shipped ${lines.length} product${lines.length === 1 ? "" : "s"} to ${toSite.name}.`);
+      setQuantities({});
+      setShipNotes("");
+      await fetchAll();
+    } catch (err) {
+      console.error("Failed to ship transfer order:", err);
+      setShipError(err.message || "Failed to ship the transfer. Please try again.");
+    } finally {
+      setShipping(false);
+    }
+  };
+
+  // ── Receive handlers ──────────────────────────────────────────────────────
+
+  // Opens the receive panel with every line defaulting to what was shipped.
+  const handleStartReceive = (order) => {
+    setReceivingId(order.id);
+    setReceivedQuantities(order.lines.map((line) => String(line.quantity)));
+    setReceivingNotes("");
+  };
+
+  const handleReceive = async (order) => {
+    const received = receivedQuantities.map((value) => parseFloat(value) || 0);
+    const short    = order.lines.filter((line, i) => received[i] < line.quantity);
+    if (short.length > 0 && !window.confirm(
+      `${short.map((l) => l.finishedGoodName).join(", ")} arrived short. Receive the quantities entered?`
+    )) return;
+
+    setReceiving(true);
+    try {
+      await receiveTransferOrder(order.id, received, receivingNotes.trim(), user?.email ?? "", site);
+      setReceivingId(null);
+      await fetchAll();
+    } catch (err) {
+      console.error("Failed to receive transfer order:", err);
+      window.alert(err.message || "Failed to receive the transfer. Please try again.");
+    } finally {
+      setReceiving(false);
+    }
+  };
+
+  // ── Derived values ────────────────────────────────────────────────────────
+  const destinations  = activeSites.filter((s) => s.id !== site?.id);
+  // Only products with stock here can be sent.
+  const stockedGoods  = finishedGoods
+    .filter((fg) => (fg.currentStock ?? 0) > 0)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const hasQuantities = stockedGoods.some((fg) => (parseFloat(quantities[fg.id]) || 0) > 0);
+
+  const inTransit = orders.filter((o) => o.status === "inTransit");
+  const history   = orders.filter((o) => o.status === "received");
+
+  // ── Loading state ─────────────────────────────────────────────────────────
+  if (loading || loadingSites) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-12">
+        <p className="text-stone-500 text-sm">Loading transfers...</p>
+      </div>
+    );
+  }
+
+  if (!site) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 py-12">
+        <h1 className="text-2xl font-semibold text-stone-800">Site Transfers</h1>
+        <p className="text-sm text-stone-500 mt-2">
+          Transfers move finished goods between sites.{" "}
+          <Link href="/sites" className="font-medium text-amber-700 hover:text-amber-900">Add your sites</Link>{" "}
+          to get started.
+        </p>
+      </div>
+    );
+  }
+
+  // ── Main render ───────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-12">
+
+      {/* ── Page header ── */}
+      <div>
+        <h1 className="text-2xl font-semibold text-stone-800">
+          Site Transfers<span className="text-stone-400 font-normal"> — {site.name}</span>
+        </h1>
+        <p className="text-sm text-stone-500 mt-1">
+          Finished goods leave this site&apos;s stock when shipped and join the other site&apos;s when it checks them in.
+        </p>
+      </div>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          IN TRANSIT
+          ══════════════════════════════════════════════════════════════════════ */}
+      <section>
+        <h2 className="text-base font-semibold text-stone-800 mb-4">In Transit</h2>
+
+        {inTransit.length === 0 ? (
+          <p className="text-sm text-stone-400">Nothing is on its way to or from {site.name}.</p>
+        ) : (
+          <div className="space-y-3">
+            {inTransit.map((order) => {
+              const isIncoming = order.toSiteId === site.id;
+              const isOpen     = receivingId === order.id;
+              return (
+                <div key={order.id} className="border border-stone-200 rounded-lg p-4">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <p className="text-sm font-medium text-stone-800">
+                        {order.transferNumber}
+                        <span className="ml-2 text-xs font-medium text-amber-700 bg-amber-50 border border-amber-200 px-2 py-0.5 rounded-full">
+                          In transit
+                        </span>
+                      </p>
+                      <p className="text-xs text-stone-500 mt-1">
+                        {isIncoming ? `From ${order.fromSiteName}` : `To ${order.toSiteName}`} · shipped{" "}
+                        {formatTimestamp(order.shippedAt)} by {order.shippedBy || "—"} ·{" "}
+                        {formatTimeInTransit(order.shippedAt)} ago
+                      </p>
+                      {order.notes && <p className="text-xs text-stone-500 mt-1 italic">{order.notes}</p>}
+                    </div>
+                    {isIncoming && !isOpen && (
+                      <button
+                        onClick={() => handleStartReceive(order)}
+                        className="rounded-md bg-amber-500 px-3 py-1.5 text-sm font-medium text-stone-900 hover:bg-amber-600 transition-colors shrink-0"
+                      >
+                        Receive
+                      </button>
+                    )}
+                  </div>
+
+                  {!isOpen ? (
+                    <ul className="mt-3 text-sm text-stone-600 space-y-0.5">
+                      {order.lines.map((line) => (
+                        <li key={line.finishedGoodId}>
+                          {line.quantity} {line.unit} {line.finishedGoodName}
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <div className="mt-4 space-y-3">
+                      {order.lines.map((line, i) => (
+                        <div key={line.finishedGoodId} className="flex items-center gap-3">
+                          <span className="flex-1 text-sm text-stone-700">
+                            {line.finishedGoodName}
+                            <span className="text-stone-400"> ({line.quantity} {line.unit} shipped)</span>
+                          </span>
+                          <input
+                            type="number"
+                            inputMode="decimal"
+                            min="0"
+                            step="any"
+                            aria-label={`${line.finishedGoodName} received`}
+                            value={receivedQuantities[i] ?? ""}
+                            onChange={(e) => setReceivedQuantities((prev) =>
+                              prev.map((value, j) => (j === i ? e.target.value : value))
+                            )}
+                            className={`${inputCls} max-w-[8rem]`}
+                          />
+                        </div>
+                      ))}
+                      <input
+                        type="text"
+                        value={receivingNotes}
+                        onChange={(e) => setReceivingNotes(e.target.value)}
+                        placeholder="Notes (optional) — e.g. two trays crushed"
+                        className={inputCls}
+                      />
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => handleReceive(order)}
+                          disabled={receiving}
+                          className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          {receiving ? "Receiving..." : "Confirm Receipt"}
+                        </button>
+                        <button
+                          onClick={() => setReceivingId(null)}
+                          disabled={receiving}
+                          className="text-sm text-stone-500 hover:text-stone-800"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </section>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          SHIP
+          ══════════════════════════════════════════════════════════════════════ */}
+      <section>
+        <h2 className="text-base font-semibold text-stone-800 mb-4">Ship from {site.name}</h2>
+
+        {shipMessage && (
+          <div className="rounded-md bg-green-50 border border-green-200 px-4 py-3 text-sm text-green-800 mb-4">
+            {shipMessage}
+          </div>
+        )}
+
+        {destinations.length === 0 ? (
+          <p className="text-sm text-stone-400">
+            Add another site on the <Link href="/sites" className="text-amber-700 hover:text-amber-900">Sites</Link> page to ship to it.
+          </p>
+        ) : stockedGoods.length === 0 ? (
+          <p className="text-sm text-stone-400">{site.name} has no finished goods in stock to send.</p>
+        ) : (
+          <form onSubmit={handleShip} className="border border-stone-200 rounded-lg p-5 space-y-4">
+            <div>
+              <label htmlFor="toSite" className="block text-sm font-medium text-stone-700 mb-1">Send to</label>
+              <select
+                id="toSite"
+                value={toSiteId}
+                onChange={(e) => { setToSiteId(e.target.value); setShipError(null); setShipMessage(null); }}
+                className={inputCls}
+              >
+                <option value="">Choose a site…</option>
+                {destinations.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            </div>
+
+            <div className="divide-y divide-stone-100">
+              {stockedGoods.map((fg) => (
+                <div key={fg.id} className="flex items-center gap-3 py-2">
+                  <span className="flex-1 text-sm text-stone-700">
+                    {fg.name}
+                    <span className="text-stone-400"> ({roundQuantity(fg.currentStock)} {fg.unit} here)</span>
+                  </span>
+                  <input
+                    type="number"
+                    inputMode="decimal"
+                    min="0"
+                    step="any"
+                    aria-label={`${fg.name} to send`}
+                    value={quantities[fg.id] ?? ""}
+                    onChange={(e) => handleQuantityChange(fg.id, e.target.value)}
+                    className={`${inputCls} max-w-[8rem]`}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <label htmlFor="shipNotes" className="block text-sm font-medium text-stone-700 mb-1">
+                Notes <span className="text-stone-500 font-normal">(optional)</span>
+              </label>
+              <input
+                id="shipNotes"
+                type="text"
+                value={shipNotes}
+                onChange={(e) => setShipNotes(e.target.value)}
+                placeholder="e.g. morning van run"
+                className={inputCls}
+              />
+            </div>
+
+            {shipError && <p className="text-sm text-rose-600">{shipError}</p>}
+
+            <button
+              type="submit"
+              disabled={shipping || !toSiteId || !hasQuantities}
+              className="rounded-md bg-amber-500 px-4 py-2 text-sm font-medium text-stone-900 hover:bg-amber-600 focus:outline-none focus:ring-2 focus:ring-amber-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {shipping ? "Shipping..." : "Ship Transfer"}
+            </button>
+          </form>
+        )}
+      </section>
+
+      {/* ══════════════════════════════════════════════════════════════════════
+          HISTORY
+          ══════════════════════════════════════════════════════════════════════ */}
+      <section>
+        <h2 className="text-base font-semibold text-stone-800 mb-4">Received Transfers</h2>
+
+        {history.length === 0 ? (
+          <p className="text-sm text-stone-400">No transfers have been received yet.</p>
+        ) : (
+          <div className="overflow-x-auto rounded-lg border border-stone-200">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-stone-50 border-b border-stone-200">
+                <tr>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Transfer</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Route</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Received</th>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Lines</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-stone-100 bg-white">
+                {history.map((order) => {
+                  const isShort = getShortLines(order).length > 0;
+                  return (
+                    <tr key={order.id} className="align-top">
+                      <td className="px-4 py-3 font-medium text-stone-800">
+                        {order.transferNumber}
+                        {isShort && <span className="ml-2 text-xs font-normal text-rose-600">short</span>}
+                      </td>
+                      <td className="px-4 py-3 text-stone-600">{order.fromSiteName} → {order.toSiteName}</td>
+                      <td className="px-4 py-3 text-stone-600">
+                        {formatTimestamp(order.receivedAt)}
+                        <span className="block text-xs text-stone-400">{order.receivedBy}</span>
+                      </td>
+                      <td className="px-4 py-3 text-stone-600">
+                        {order.lines.map((line) => (
+                          <span key={line.finishedGoodId} className="block">
+                            {line.quantityReceived} {line.unit} {line.finishedGoodName}
+                            {line.quantityReceived < line.quantity && (
+                              <span className="text-rose-600 font-medium"> (of {line.quantity} shipped)</span>
+                            )}
+                          </span>
+                        ))}
+                        {order.receivingNotes && (
+                          <span className="block text-xs text-stone-400 italic mt-1">{order.receivingNotes}</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+// Client Component — uses hooks throughout.
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSite } from "@/context/SiteContext";
+import {
+  getIngredients,
+  getFinishedGoods,
+  getRecipes,
+  getInventoryTransactionsSince,
+} from "@/lib/firestore";
+import {
+  getTodayStr,
+  getEndOfDate,
+  buildValuationRows,
+  summarizeValuation,
+} from "@/lib/valuation";
+
+// ─── Helper functions (outside component — no state dependency) ───────────────
+
+// Dollar amount with a real minus sign for negative stock: "−$4.20".
+const formatMoney = (amount) =>
+  `${amount < 0 ? "−" : ""}$${Math.abs(amount ?? 0).toFixed(2)}`;
+
+// Formats "YYYY-MM-DD" to "Oct 3, 2026".
+const formatDate = (dateStr) =>
+  new Date(`${dateStr}T12:00:00`).toLocaleDateString("en-US", {
+    month: "short",
+    day:   "numeric",
+    year:  "numeric",
+  });
+
+// Wraps a value for a CSV cell: quotes it and doubles any embedded quotes so
+// commas and quotes inside names don't break the columns.
+const csvCell = (value) => `"${String(value ?? "").replaceAll('"', '""')}"`;
+
+// ─── Main component ───────────────────────────────────────────────────────────
+
+// The Inventory Valuation page: what the current site's stock is worth, by
+// category, today or at the end of a past day — for the accountant.
+export default function ValuationPage() {
+  const { site, loadingSites } = useSite();
+
+  // asOf: "YYYY-MM-DD", as produced by <input type="date">.
+  const [asOf,          setAsOf]          = useState(getTodayStr());
+  const [ingredients,   setIngredients]   = useState([]);
+  const [finishedGoods, setFinishedGoods] = useState([]);
+  const [recipes,       setRecipes]       = useState([]);
+  // Ledger entries written after the end of asOf — empty when asOf is today.
+  const [laterEntries,  setLaterEntries]  = useState([]);
+  const [loading,       setLoading]       = useState(true);
+  const [error,         setError]         = useState(null);
+
+  // ── Fetch the stock and replay the ledger back to asOf ────────────────────
+  useEffect(() => {
+    if (!asOf || loadingSites) return;
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const isToday = asOf >= getTodayStr();
+        const [ingredientData, finishedGoodData, recipeData, entryData] = await Promise.all([
+          getIngredients(site),
+          getFinishedGoods(site),
+          getRecipes(),
+          isToday ? [] : getInventoryTransactionsSince(getEndOfDate(asOf), site),
+        ]);
+        setIngredients(ingredientData);
+        setFinishedGoods(finishedGoodData);
+        setRecipes(recipeData);
+        setLaterEntries(entryData);
+      } catch (err) {
+        console.error("Failed to load valuation:", err);
+        setError("Failed to load the valuation. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [asOf, site, loadingSites]);
+
+  // ── Derived values ────────────────────────────────────────────────────────
+  const rows                   = buildValuationRows({ ingredients, finishedGoods, recipes, laterEntries });
+  const { categories, totals } = summarizeValuation(rows);
+  const isPastDate             = asOf < getTodayStr();
+
+  // Builds a CSV of every item row plus the category totals and downloads it.
+  const handleExportCsv = () => {
+    const header = ["Category", "Type", "Item", "Quantity", "Unit", "Unit Cost", "Value"];
+    const itemRows = rows.map((row) => [
+      row.category,
+      row.itemType === "finishedGood" ? "Finished good" : "Ingredient",
+      row.name,
+      row.quantity,
+      row.unit,
+      row.unitCost === null ? "" : row.unitCost.toFixed(4),
+      row.value.toFixed(2),
+    ]);
+    const categoryRows = categories.map((c) => [c.category, "Category total", "", "", "", "", c.value.toFixed(2)]);
+    const totalRow     = ["All categories", "Total", "", "", "", "", totals.value.toFixed(2)];
+
+    const csv  = [header, ...itemRows, [], ...categoryRows, totalRow]
+      .map((row) => row.map(csvCell).join(","))
+      .join("\n");
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href     = url;
+    link.download = `inventory-valuation-${site ? `${site.name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-` : ""}${asOf}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // ── Main render ───────────────────────────────────────────────────────────
+  return (
+    <div className="max-w-4xl mx-auto px-4 py-8 space-y-12">
+
+      {/* ── Page header ── */}
+      <div className="flex items-end justify-between gap-4 flex-wrap">
+        <div>
+          <h1 className="text-2xl font-semibold text-stone-800">
+            Inventory Valuation{site && <span className="text-stone-400 font-normal"> — {site.name}</span>}
+          </h1>
+          <p className="text-sm text-stone-500 mt-1">
+            Stock on hand at the end of {formatDate(asOf)}, at current cost.
+          </p>
+        </div>
+        <div className="flex items-end gap-3">
+          <div>
+            <label htmlFor="asOfDate" className="block text-sm font-medium text-stone-700 mb-1">As of</label>
+            <input
+              id="asOfDate"
+              type="date"
+              value={asOf}
+              max={getTodayStr()}
+              onChange={(e) => setAsOf(e.target.value)}
+              className="rounded-md border border-stone-300 px-3 py-2 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+            />
+          </div>
+          <button
+            onClick={handleExportCsv}
+            disabled={loading || rows.length === 0}
+            className="rounded-md border border-stone-300 px-4 py-2 text-sm font-medium text-stone-700 hover:bg-stone-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-stone-500">Loading...</p>
+      ) : rows.length === 0 ? (
+        <p className="text-sm text-stone-400">Nothing was in stock on this date.</p>
+      ) : (
+        <>
+          {/* ══════════════════════════════════════════════════════════════════
+              TOTALS BY CATEGORY
+              ══════════════════════════════════════════════════════════════════ */}
+          <section>
+            <h2 className="text-base font-semibold text-stone-800 mb-4">Value by Category</h2>
+
+            <div className="grid grid-cols-3 gap-4 mb-6">
+              <div className="rounded-lg border border-stone-200 p-4">
+                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider">Ingredients</p>
+                <p className="text-xl font-semibold text-stone-800 mt-1">{formatMoney(totals.ingredientValue)}</p>
+              </div>
+              <div className="rounded-lg border border-stone-200 p-4">
+                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider">Finished Goods</p>
+                <p className="text-xl font-semibold text-stone-800 mt-1">{formatMoney(totals.finishedGoodValue)}</p>
+              </div>
+              <div className="rounded-lg border border-stone-200 p-4">
+                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider">Total</p>
+                <p className="text-xl font-semibold text-amber-700 mt-1">{formatMoney(totals.value)}</p>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto rounded-lg border border-stone-200">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-stone-50 border-b border-stone-200">
+                  <tr>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Category</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Items</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Value</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-stone-100 bg-white">
+                  {categories.map((c) => (
+                    <tr key={c.category}>
+                      <td className="px-4 py-3 text-stone-800">{c.category}</td>
+                      <td className="px-4 py-3 text-right text-stone-600">{c.items}</td>
+                      <td className="px-4 py-3 text-right font-medium text-stone-800">{formatMoney(c.value)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          {/* ══════════════════════════════════════════════════════════════════
+              EVERY ITEM
+              ══════════════════════════════════════════════════════════════════ */}
+          <section>
+            <h2 className="text-base font-semibold text-stone-800 mb-4">All Items ({totals.items})</h2>
+            <div className="overflow-x-auto rounded-lg border border-stone-200">
+              <table className="w-full text-sm text-left">
+                <thead className="bg-stone-50 border-b border-stone-200">
+                  <tr>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Item</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Category</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Quantity</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Unit Cost</th>
+                    <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider text-right">Value</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-stone-100 bg-white">
+                  {rows.map((row) => (
+                    <tr key={`${row.itemType}:${row.id}`}>
+                      <td className="px-4 py-3 text-stone-800">{row.name}</td>
+                      <td className="px-4 py-3 text-stone-500">{row.category}</td>
+                      <td className={`px-4 py-3 text-right ${row.quantity < 0 ? "text-rose-600 font-medium" : "text-stone-600"}`}>
+                        {row.quantity} {row.unit}
+                      </td>
+                      <td className="px-4 py-3 text-right text-stone-600">
+                        {row.unitCost === null ? <span className="text-stone-400">no recipe</span> : `$${row.unitCost.toFixed(2)}/${row.unit}`}
+                      </td>
+                      <td className={`px-4 py-3 text-right font-medium ${row.value < 0 ? "text-rose-600" : "text-stone-800"}`}>
+                        {formatMoney(row.value)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-xs text-stone-400 mt-2 space-y-1">
+              {totals.uncosted > 0 && (
+                <p>{totals.uncosted} finished good{totals.uncosted === 1 ? " has" : "s have"} no recipe cost and count as $0.</p>
+              )}
+              {isPastDate && (
+                <p>
+                  Past quantities are replayed from the stock ledger ({laterEntries.length} movement
+                  {laterEntries.length === 1 ? "" : "s"} since). Changes made before the ledger started
+                  aren&apos;t included, and items deleted since aren&apos;t listed.
+                </p>
+              )}
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ import {
   getWeeklyPlans,
   generateWorkOrdersForWeek,
 } from "@/lib/firestore";
+import { flattenRecipeIngredients } from "@/lib/recipes";
 import { useAuth } from "@/context/AuthContext";
 import { useSettings } from "@/context/SettingsContext";
 
@@ -172,9 +173,12 @@ export default function WeeklyPlanPage() {
 
   // ── Ingredient sufficiency check ──────────────────────────────────────────
   // Aggregate total ingredient needs across the whole plan week.
+  // Sub-recipes are flattened to their raw ingredients, batched the same way
+  // the dependent work orders will be.
   // This runs on every render — O(rows × days × ingredients per recipe).
   // For a bakery with a handful of products this is negligible.
-  const weeklyNeeds = {}; // { [ingredientId]: { name, unit, totalNeeded } }
+  // Amounts are in each ingredient's stock unit (converted in flattenRecipeIngredients).
+  const weeklyNeeds = {}; // { [ingredientId]: { name, unit, totalNeeded, incompatible, missing } }
   for (const row of rows) {
     const recipe = recipes.find((r) => r.id === row.recipeId);
     if (!recipe) continue;
@@ -184,15 +188,18 @@ export default function WeeklyPlanPage() {
       if (qty === 0) continue;
       const batches = Math.ceil(qty / row.recipeYield);
 
-      for (const ing of recipe.ingredients ?? []) {
+      for (const ing of flattenRecipeIngredients(recipe, batches, recipes, ingredients)) {
         if (!weeklyNeeds[ing.ingredientId]) {
           weeklyNeeds[ing.ingredientId] = {
-            name:        ing.ingredientName,
-            unit:        ing.unit,
-            totalNeeded: 0,
+            name:         ing.ingredientName,
+            unit:         ing.unit,
+            totalNeeded:  0,
+            incompatible: false,
+            missing:      Boolean(ing.missing),
           };
         }
-        weeklyNeeds[ing.ingredientId].totalNeeded += ing.quantity * batches;
+        weeklyNeeds[ing.ingredientId].totalNeeded  += ing.totalRequired;
+        weeklyNeeds[ing.ingredientId].incompatible ||= ing.incompatible;
       }
     }
   }
@@ -206,7 +213,11 @@ export default function WeeklyPlanPage() {
       unit:         req.unit,
       totalNeeded:  req.totalNeeded,
       have,
-      short:        req.totalNeeded > have,
+      // A recipe line in a unit that can't be converted leaves the total
+      // understated, so it's treated as short until the recipe is fixed.
+      incompatible: req.incompatible,
+      missing:      req.missing,
+      short:        req.missing || req.incompatible || req.totalNeeded > have,
       shortage:     Math.max(0, req.totalNeeded - have),
     };
   }).sort((a, b) => a.name.localeCompare(b.name));
@@ -216,10 +227,13 @@ export default function WeeklyPlanPage() {
     ingredientSummary.filter((s) => s.short).map((s) => s.ingredientId)
   );
 
-  // Returns true if any ingredient used by this row's recipe is short.
+  // Returns true if any ingredient used by this row's recipe is short —
+  // including ingredients that only appear inside its sub-recipes.
   const rowIsShort = (row) => {
     const recipe = recipes.find((r) => r.id === row.recipeId);
-    return recipe?.ingredients.some((ing) => shortIngredientIds.has(ing.ingredientId)) ?? false;
+    if (!recipe) return false;
+    return flattenRecipeIngredients(recipe, 1, recipes, ingredients)
+      .some((ing) => shortIngredientIds.has(ing.ingredientId));
   };
 
   // Is at least one plan cell > 0? Gates the "Generate Work Orders" button.
@@ -615,13 +629,24 @@ export default function WeeklyPlanPage() {
                     {s.name}
                   </span>
                   <span className={s.short ? "text-rose-700" : "text-stone-500"}>
-                    Need {s.totalNeeded.toFixed(1)} {s.unit}
-                    {" · "}
-                    Have {s.have.toFixed(1)} {s.unit}
-                    {s.short && (
-                      <span className="ml-2 font-semibold text-rose-700">
-                        — SHORT {s.shortage.toFixed(1)} {s.unit}
-                      </span>
+                    {s.missing ? (
+                      <span className="font-semibold text-rose-700">— SUB-RECIPE MISSING</span>
+                    ) : (
+                      <>
+                        Need {s.totalNeeded.toFixed(1)} {s.unit}
+                        {" · "}
+                        Have {s.have.toFixed(1)} {s.unit}
+                        {s.short && !s.incompatible && (
+                          <span className="ml-2 font-semibold text-rose-700">
+                            — SHORT {s.shortage.toFixed(1)} {s.unit}
+                          </span>
+                        )}
+                        {s.incompatible && (
+                          <span className="ml-2 font-semibold text-rose-700">
+                            — UNIT MISMATCH in a recipe
+                          </span>
+                        )}
+                      </>
                     )}
                   </span>
                 </li>
@@ -1,19 +1,34 @@
 // Client Component — uses hooks throughout.
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, Fragment } from "react";
 import { useAuth } from "@/context/AuthContext";
 import { useSettings } from "@/context/SettingsContext";
+import { useSite } from "@/context/SiteContext";
 import SearchableSelect from "@/components/SearchableSelect";
 import {
   getRecipes,
   getIngredients,
+  getFinishedGoods,
   getWorkOrders,
   addWorkOrder,
   updateWorkOrder,
   cancelWorkOrder,
   executeWorkOrder,
+  getStorageLocations,
 } from "@/lib/firestore";
+import {
+  isSubRecipeLine,
+  getStageLabel,
+  getMethodMinutes,
+  getMethodDueBy,
+  getStepSchedule,
+  formatMinutes,
+} from "@/lib/recipes";
+import { toStockUnit, incompatibleUnitMessage, roundQuantity } from "@/lib/units";
+import { matchesSearch } from "@/lib/search";
+import { buildPickList } from "@/lib/locations";
+import { formatAllergens } from "@/lib/allergens";
 
 // ─── Helper functions (outside component — no state dependency) ───────────────
 
@@ -88,6 +103,55 @@ const getStatusInfo = (wo) => {
 
 
 
+// Checks recipe ingredient lines against current stock for `batches` batches.
+// Lines can be in any unit (500 g of flour stocked in kg), so each is converted
+// to the ingredient's stock unit first. Work orders created since unit
+// conversion was added carry a stockQuantity snapshot; older ones fall back to
+// converting the line now.
+// totalRequired / currentStock / shortfall are all in stockUnit.
+// `incompatible` lines can't be converted and always count as insufficient.
+const checkIngredientStock = (lines, batches, ingredients) =>
+  lines.map((ing) => {
+    const stockItem     = ingredients.find((i) => i.id === ing.ingredientId);
+    const stockUnit     = ing.stockUnit ?? stockItem?.unit ?? ing.unit;
+    const stockQuantity = ing.stockQuantity
+      ?? (stockItem ? toStockUnit(ing.quantity, ing.unit, stockItem) : ing.quantity);
+    const incompatible  = stockQuantity === null;
+    const currentStock  = stockItem?.currentStock ?? 0;
+    const totalRequired = incompatible ? 0 : batches * stockQuantity;
+    const sufficient    = !incompatible && currentStock >= totalRequired;
+    return {
+      ...ing,
+      stockQuantity,
+      stockUnit,
+      incompatible,
+      currentStock,
+      totalRequired,
+      sufficient,
+      shortfall: sufficient ? 0 : totalRequired - currentStock,
+    };
+  });
+
+// Checks each sub-recipe a work order uses against its finished good stock.
+// Sub-recipes are intermediates (levain, pastry cream) that live on the shelf
+// as finished goods until the parent order consumes them. Kept separate from
+// the ingredient check because ingredientsSufficient only ever covers raw
+// ingredients — an exploded order's intermediates won't exist until their
+// dependent work order is completed.
+const checkSubRecipeStock = (subRecipesRequired, batches, finishedGoods) =>
+  subRecipesRequired.map((sub) => {
+    const currentStock  = finishedGoods.find((fg) => fg.id === sub.finishedGoodId)?.currentStock ?? 0;
+    const totalRequired = batches * sub.quantity;
+    const sufficient    = currentStock >= totalRequired;
+    return {
+      ...sub,
+      currentStock,
+      totalRequired,
+      sufficient,
+      shortfall: sufficient ? 0 : totalRequired - currentStock,
+    };
+  });
+
 // Tab definitions for the All Work Orders section.
 // "All" tab removed — "All Time" date preset serves the same purpose.
 const TABS = [
@@ -104,21 +168,29 @@ const inputCls =
 
 // ─── Main component ───────────────────────────────────────────────────────────
 
+// Work orders, and the stock they use, are the current site's.
 export default function WorkOrdersPage() {
-  const { user } = useAuth();
+  const { user }               = useAuth();
+  const { site, loadingSites } = useSite();
   const { settings } = useSettings();
 
   // ── Fetched data ─────────────────────────────────────────────────────────
-  const [workOrders,  setWorkOrders]  = useState([]);
-  const [recipes,     setRecipes]     = useState([]);
-  const [ingredients, setIngredients] = useState([]);
-  const [loading,     setLoading]     = useState(true);
+  const [workOrders,    setWorkOrders]    = useState([]);
+  const [recipes,       setRecipes]       = useState([]);
+  const [ingredients,   setIngredients]   = useState([]);
+  // Finished goods are needed for sub-recipe stock (intermediates live there).
+  const [finishedGoods, setFinishedGoods] = useState([]);
+  // Storage locations, for the pick lists.
+  const [locations,     setLocations]     = useState([]);
+  const [loading,       setLoading]       = useState(true);
 
   // ── UI state ─────────────────────────────────────────────────────────────
   const [activeTab,        setActiveTab]        = useState("planned");
   // Date range filter. Empty string = no filter on that bound.
   const [startDate,        setStartDate]        = useState("");
   const [endDate,          setEndDate]          = useState("");
+  // Free-text search — WO number, SO number, recipe, or customer.
+  const [searchText,       setSearchText]       = useState("");
   const [showForm,         setShowForm]         = useState(false);
   // "create" | "edit" — controls which form is rendered in the form section
   const [formMode,         setFormMode]         = useState("create");
@@ -129,6 +201,10 @@ export default function WorkOrdersPage() {
   const [startingId,       setStartingId]       = useState(null);
   const [cancellingId,     setCancellingId]     = useState(null);
   const [completingId,     setCompletingId]     = useState(null);
+  // The work order whose pick list is open, or null.
+  const [pickListId,       setPickListId]       = useState(null);
+  // The work order whose method steps are open, or null.
+  const [methodId,         setMethodId]         = useState(null);
   const [error,            setError]            = useState(null);
   // Shown as a green banner after a successful production execution.
   // Auto-dismissed after 6 seconds.
@@ -147,23 +223,32 @@ export default function WorkOrdersPage() {
 
   // For each ingredient in the recipe, calculate how much is needed in total
   // (batchCount × quantity per batch) and check against current stock.
-  const ingredientCheck = !selectedRecipe ? [] : selectedRecipe.ingredients.map((ing) => {
-    const stockItem     = ingredients.find((i) => i.id === ing.ingredientId);
-    const currentStock  = stockItem?.currentStock ?? 0;
-    const totalRequired = batchCount * ing.quantity;
-    const sufficient    = currentStock >= totalRequired;
-    return {
-      ...ing,
-      currentStock,
-      totalRequired,
-      sufficient,
-      shortfall: sufficient ? 0 : totalRequired - currentStock,
-    };
-  });
+  // Sub-recipe lines are handled separately in subRecipeCheck below.
+  const ingredientLines = (selectedRecipe?.ingredients ?? []).filter((ing) => !isSubRecipeLine(ing));
+  const ingredientCheck = checkIngredientStock(ingredientLines, batchCount, ingredients);
 
   const allIngredientsSufficient =
     ingredientCheck.length > 0 && ingredientCheck.every((ic) => ic.sufficient);
 
+  // Sub-recipes the selected recipe uses, in the same shape the work order
+  // stores (subRecipesRequired). A manually created order doesn't generate
+  // dependent orders, so these are drawn from whatever is already on the shelf.
+  const subRecipesRequired = !selectedRecipe ? [] : selectedRecipe.ingredients
+    .filter(isSubRecipeLine)
+    .map((line) => {
+      const sub = recipes.find((r) => r.id === line.subRecipeId);
+      return {
+        recipeId:         line.subRecipeId,
+        recipeName:       line.ingredientName,
+        recipeVersion:    sub?.version ?? 1,
+        finishedGoodId:   sub?.finishedGoodId   ?? "",
+        finishedGoodName: sub?.finishedGoodName ?? "",
+        quantity:         line.quantity,
+        unit:             line.unit,
+      };
+    });
+  const subRecipeCheck = checkSubRecipeStock(subRecipesRequired, batchCount, finishedGoods);
+
   const totalYield = batchCount * (selectedRecipe?.yieldQuantity ?? 0);
 
   // ── Derived values from edit form ────────────────────────────────────────
@@ -173,35 +258,43 @@ export default function WorkOrdersPage() {
   // We cross-reference the freshly fetched `ingredients` state for current stock.
   const editBatchCount = parseInt(editData.batchesActual) || 0;
 
-  const editIngredientCheck = !editingWorkOrder ? [] : editingWorkOrder.ingredientsRequired.map((ing) => {
-    const stockItem     = ingredients.find((i) => i.id === ing.ingredientId);
-    const currentStock  = stockItem?.currentStock ?? 0;
-    const totalRequired = editBatchCount * ing.quantity;
-    const sufficient    = currentStock >= totalRequired;
-    return {
-      ...ing,
-      currentStock,
-      totalRequired,
-      sufficient,
-      shortfall: sufficient ? 0 : totalRequired - currentStock,
-    };
-  });
+  const editIngredientCheck = !editingWorkOrder
+    ? []
+    : checkIngredientStock(editingWorkOrder.ingredientsRequired, editBatchCount, ingredients);
 
   const editAllSufficient =
     editIngredientCheck.length > 0 && editIngredientCheck.every((ic) => ic.sufficient);
 
+  // ?? [] covers work orders created before multi-level recipes existed.
+  const editSubRecipeCheck = !editingWorkOrder
+    ? []
+    : checkSubRecipeStock(editingWorkOrder.subRecipesRequired ?? [], editBatchCount, finishedGoods);
+
+  // The version the order's recipe is at now, to flag an order made from an
+  // older one. null when the recipe has been archived.
+  const editingRecipeVersion = !editingWorkOrder
+    ? null
+    : recipes.find((r) => r.id === editingWorkOrder.recipeId)?.version ?? null;
+
   // ── Initial data fetch ───────────────────────────────────────────────────
+  // Runs again when the site switcher changes site.
   useEffect(() => {
+    if (loadingSites) return;
     const fetchAll = async () => {
+      setLoading(true);
       try {
-        const [ordersData, recipesData, ingredientsData] = await Promise.all([
-          getWorkOrders(),
+        const [ordersData, recipesData, ingredientsData, finishedGoodsData, locationsData] = await Promise.all([
+          getWorkOrders(site),
           getRecipes(),
-          getIngredients(),
+          getIngredients(site),
+          getFinishedGoods(site),
+          getStorageLocations(site),
         ]);
         setWorkOrders(ordersData);
         setRecipes(recipesData);
         setIngredients(ingredientsData);
+        setFinishedGoods(finishedGoodsData);
+        setLocations(locationsData);
       } catch (err) {
         console.error("Failed to load work orders data:", err);
       } finally {
@@ -210,7 +303,7 @@ export default function WorkOrdersPage() {
     };
 
     fetchAll();
-  }, []);
+  }, [site, loadingSites]);
 
   // Auto-dismiss the success banner after 6 seconds.
   // The cleanup function (return) cancels the timer if the component unmounts
@@ -258,16 +351,30 @@ export default function WorkOrdersPage() {
 
   // Generic handler for batchesOrdered, scheduledStart, dueBy, notes.
   // Uses the input's `name` attribute to know which formData field to update.
+  // Moving the start moves the due time with it when the recipe has a timed
+  // method; the baker can still change dueBy afterwards.
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+    setFormData((prev) => {
+      const next = { ...prev, [name]: value };
+      if (name === "scheduledStart") {
+        next.dueBy = getMethodDueBy(value, selectedRecipe?.steps) ?? prev.dueBy;
+      }
+      return next;
+    });
   };
 
   // Recipe dropdown gets its own handler because selecting a recipe implicitly
   // drives which ingredient check list is shown — we store only the ID and
   // derive everything else.
+  // The recipe's method (if it has one) also sets dueBy from scheduledStart.
   const handleRecipeSelect = (val) => {
-    setFormData((prev) => ({ ...prev, recipeId: val }));
+    const recipe = recipes.find((r) => r.id === val);
+    setFormData((prev) => ({
+      ...prev,
+      recipeId: val,
+      dueBy:    getMethodDueBy(prev.scheduledStart, recipe?.steps) ?? prev.dueBy,
+    }));
   };
 
   // ── Edit handlers ────────────────────────────────────────────────────────
@@ -285,12 +392,16 @@ export default function WorkOrdersPage() {
     setError(null);
     setShowForm(true);
 
-    // Refresh ingredient stock so the sufficiency check uses current numbers,
-    // not the potentially stale data from the initial page load.
+    // Refresh ingredient (and intermediate) stock so the sufficiency check uses
+    // current numbers, not the potentially stale data from the initial page load.
     // This is non-fatal — if it fails, the check still runs with cached data.
     try {
-      const freshIngredients = await getIngredients();
+      const [freshIngredients, freshFinishedGoods] = await Promise.all([
+        getIngredients(site),
+        getFinishedGoods(site),
+      ]);
       setIngredients(freshIngredients);
+      setFinishedGoods(freshFinishedGoods);
     } catch (err) {
       console.error("Failed to refresh ingredient stock for edit form:", err);
     }
@@ -300,9 +411,16 @@ export default function WorkOrdersPage() {
     }, 50);
   };
 
+  // Same as handleChange, using the method copied onto the work order.
   const handleEditChange = (e) => {
     const { name, value } = e.target;
-    setEditData((prev) => ({ ...prev, [name]: value }));
+    setEditData((prev) => {
+      const next = { ...prev, [name]: value };
+      if (name === "scheduledStart") {
+        next.dueBy = getMethodDueBy(value, editingWorkOrder?.steps) ?? prev.dueBy;
+      }
+      return next;
+    });
   };
 
   // ── Status action handlers ───────────────────────────────────────────────
@@ -312,7 +430,7 @@ export default function WorkOrdersPage() {
     setStartingId(id);
     try {
       await updateWorkOrder(id, { status: "inProgress" });
-      const updated = await getWorkOrders();
+      const updated = await getWorkOrders(site);
       setWorkOrders(updated);
     } catch (err) {
       console.error("Failed to start work order:", err);
@@ -331,7 +449,7 @@ export default function WorkOrdersPage() {
     setCancellingId(id);
     try {
       await cancelWorkOrder(id);
-      const updated = await getWorkOrders();
+      const updated = await getWorkOrders(site);
       setWorkOrders(updated);
     } catch (err) {
       console.error("Failed to cancel work order:", err);
@@ -359,9 +477,13 @@ export default function WorkOrdersPage() {
       // The `ingredients` state may be hours old — another completed work order
       // or a restock could have changed stock levels since the page loaded.
       // We need fresh numbers before we can safely decide whether to proceed.
-      let freshIngredients;
+      // Finished goods are fetched too — sub-recipes are consumed from there.
+      let freshIngredients, freshFinishedGoods;
       try {
-        freshIngredients = await getIngredients();
+        [freshIngredients, freshFinishedGoods] = await Promise.all([
+          getIngredients(site),
+          getFinishedGoods(site),
+        ]);
       } catch (fetchErr) {
         console.error("Failed to fetch ingredient stock:", fetchErr);
         window.alert("Failed to verify ingredient stock. Please try again.");
@@ -369,15 +491,19 @@ export default function WorkOrdersPage() {
       }
 
       // ── Step 2: Verify stock for each ingredient ───────────────────────────
-      // Use ing.quantity * wo.batchesActual — the correct amount for the actual
+      // Use the per-batch quantity × wo.batchesActual — the correct amount for the actual
       // batch count, not the snapshotted ing.totalRequired which was calculated
       // from batchesOrdered at creation time.
-      const stockCheck = wo.ingredientsRequired.map((ing) => {
-        const currentStock   = freshIngredients.find((i) => i.id === ing.ingredientId)?.currentStock ?? 0;
-        const actualRequired = ing.quantity * wo.batchesActual;
-        const sufficient     = currentStock >= actualRequired;
-        return { ...ing, currentStock, actualRequired, sufficient };
-      });
+      // Amounts are in each ingredient's stock unit — the unit that's deducted.
+      const stockCheck = checkIngredientStock(wo.ingredientsRequired, wo.batchesActual, freshIngredients)
+        .map((ic) => ({ ...ic, unit: ic.stockUnit, actualRequired: roundQuantity(ic.totalRequired) }));
+
+      // Sub-recipes are checked against their finished good stock. If this is
+      // short, the dependent work order probably hasn't been completed yet.
+      // Mapped to the same shape so the alert and confirm lines below work as-is.
+      const subRecipeStockCheck = checkSubRecipeStock(wo.subRecipesRequired ?? [], wo.batchesActual, freshFinishedGoods)
+        .map((sc) => ({ ...sc, ingredientName: sc.recipeName, actualRequired: sc.totalRequired }));
+      stockCheck.push(...subRecipeStockCheck);
 
       // ── Step 3: Block if any ingredient is short ───────────────────────────
       const shortIngredients = stockCheck.filter((ic) => !ic.sufficient);
@@ -406,13 +532,13 @@ export default function WorkOrdersPage() {
 
       // ── Step 5: Atomic batch write ─────────────────────────────────────────
       // If this throws, none of the 4 operations ran — safe to retry.
-      await executeWorkOrder(wo, user?.email ?? "");
+      await executeWorkOrder(wo, user?.email ?? "", site);
 
       // ── Step 6: Refresh the work order list ───────────────────────────────
       // Batch succeeded — all changes are in Firestore. Refresh is best-effort:
       // if it fails, the data is correct but the UI is stale.
       try {
-        const updated = await getWorkOrders();
+        const updated = await getWorkOrders(site);
         setWorkOrders(updated);
       } catch (refreshErr) {
         console.error("Refresh failed after successful execution:", refreshErr);
@@ -463,6 +589,14 @@ export default function WorkOrdersPage() {
       return;
     }
 
+    // A line whose unit can't be converted to the stock unit would deduct
+    // nothing on completion — block it until the recipe or ingredient is fixed.
+    const incompatibleLine = ingredientCheck.find((ic) => ic.incompatible);
+    if (incompatibleLine) {
+      setError(incompatibleUnitMessage(incompatibleLine.ingredientName, incompatibleLine.unit, incompatibleLine.stockUnit));
+      return;
+    }
+
     setError(null);
     setSubmitting(true);
 
@@ -474,6 +608,7 @@ export default function WorkOrdersPage() {
       demandPlanId:     null,
       recipeId:         selectedRecipe.id,
       recipeName:       selectedRecipe.name,
+      recipeVersion:    selectedRecipe.version ?? 1,
       finishedGoodId:   selectedRecipe.finishedGoodId,
       finishedGoodName: selectedRecipe.finishedGoodName,
       batchesOrdered:   batches,
@@ -485,23 +620,33 @@ export default function WorkOrdersPage() {
       status:           "planned",
       // Snapshot each ingredient's totalRequired so we don't need to recalculate
       // from the recipe if it's later edited.
-      ingredientsRequired: ingredientCheck.map(({ ingredientId, ingredientName, quantity, unit, totalRequired }) => ({
-        ingredientId, ingredientName, quantity, unit, totalRequired,
+      // stockQuantity / stockUnit record the per-batch amount in the ingredient's
+      // stock unit — that's what executeWorkOrder deducts.
+      ingredientsRequired: ingredientCheck.map(({ ingredientId, ingredientName, quantity, unit, stockQuantity, stockUnit, totalRequired }) => ({
+        ingredientId, ingredientName, quantity, unit, stockQuantity, stockUnit, totalRequired,
+      })),
+      // Sub-recipes are consumed from finished good stock on completion.
+      subRecipesRequired: subRecipesRequired.map((sub) => ({
+        ...sub,
+        totalRequired: batches * sub.quantity,
       })),
       ingredientsSufficient:   allIngredientsSufficient,
       // Store the list of short ingredients for quick reference on the card.
       insufficientIngredients: ingredientCheck
         .filter((ic) => !ic.sufficient)
-        .map(({ ingredientName, shortfall, unit }) => ({ ingredientName, shortfall, unit })),
+        .map(({ ingredientName, shortfall, stockUnit }) => ({ ingredientName, shortfall, unit: stockUnit })),
+      // The method as it is in this recipe version, for the production floor.
+      steps:       selectedRecipe.steps ?? [],
       notes:       formData.notes.trim(),
       createdBy:   user?.email ?? "",
+      siteId:      site?.id ?? "",
       startedAt:   null,
       completedAt: null,
     };
 
     try {
       await addWorkOrder(workOrderData);
-      const updated = await getWorkOrders();
+      const updated = await getWorkOrders(site);
       setWorkOrders(updated);
       handleCancelForm();
     } catch (err) {
@@ -552,7 +697,7 @@ export default function WorkOrdersPage() {
           .filter((ic) => !ic.sufficient)
           .map(({ ingredientName, shortfall, unit }) => ({ ingredientName, shortfall, unit })),
       });
-      const updated = await getWorkOrders();
+      const updated = await getWorkOrders(site);
       setWorkOrders(updated);
       handleCancelForm();
     } catch (err) {
@@ -575,7 +720,11 @@ export default function WorkOrdersPage() {
   // Both are "YYYY-MM-DD" strings from date inputs — same format as
   // scheduledStart.slice(0,10), so plain string comparison works correctly.
   // Empty string means that bound is unconstrained.
+  // The search box narrows the same list, so the tab counts follow it too.
   const dateFilteredWOs = workOrders.filter((wo) => {
+    if (!matchesSearch(searchText, [
+      wo.workOrderNumber, wo.specialOrderNumber, wo.recipeName, wo.finishedGoodName, wo.customerName,
+    ])) return false;
     const d = wo.scheduledStart ? wo.scheduledStart.slice(0, 10) : null;
     if (!d) return !startDate && !endDate; // no scheduledStart: only show when no filter active
     if (startDate && d < startDate) return false;
@@ -630,6 +779,24 @@ export default function WorkOrdersPage() {
           </button>
         )}
 
+        {/* Pick List — where to pull each ingredient from */}
+        <button
+          onClick={() => setPickListId(pickListId === wo.id ? null : wo.id)}
+          className="text-sm font-medium text-amber-700 hover:text-amber-900"
+        >
+          Pick List {pickListId === wo.id ? "▲" : "▼"}
+        </button>
+
+        {/* Method — the recipe's steps with planned times */}
+        {wo.steps?.length > 0 && (
+          <button
+            onClick={() => setMethodId(methodId === wo.id ? null : wo.id)}
+            className="text-sm font-medium text-amber-700 hover:text-amber-900"
+          >
+            Method {methodId === wo.id ? "▲" : "▼"}
+          </button>
+        )}
+
         {/* Edit — available on planned and inProgress */}
         <button
           onClick={() => handleEditStart(wo)}
@@ -654,6 +821,79 @@ export default function WorkOrdersPage() {
     );
   };
 
+  // ── Method panel ─────────────────────────────────────────────────────────
+  // The steps copied from the recipe when the order was made, each with the
+  // time it starts if the order starts on schedule.
+  const renderMethod = (wo) => {
+    const steps = getStepSchedule(wo.steps, wo.scheduledStart);
+    return (
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-stone-200">
+            <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Step</th>
+            <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Starts</th>
+            <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Time</th>
+            <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Temp</th>
+            <th className="pb-2 pl-6 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Notes</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-stone-100">
+          {steps.map((step, i) => (
+            <tr key={i}>
+              <td className="py-2 text-stone-700">
+                <span className="text-stone-400">{i + 1}.</span> {getStageLabel(step.stage)}
+              </td>
+              <td className="py-2 text-stone-600 whitespace-nowrap">{formatDateTime(step.startsAt)}</td>
+              <td className="py-2 text-right text-stone-600 whitespace-nowrap">{formatMinutes(step.durationMinutes)}</td>
+              <td className="py-2 text-right text-stone-600">
+                {step.temperature !== null && step.temperature !== undefined ? `${step.temperature}°` : "—"}
+              </td>
+              <td className="py-2 pl-6 text-stone-500">{step.notes || "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  // ── Pick list panel ──────────────────────────────────────────────────────
+  // Built from live stock, so it changes as stock is received or moved.
+  const renderPickList = (wo) => {
+    const lines = buildPickList(wo, wo.batchesActual, ingredients, finishedGoods, locations);
+    if (lines.length === 0) {
+      return <p className="text-sm text-stone-400">Nothing to pick for this work order.</p>;
+    }
+    return (
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-stone-200">
+            <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Item</th>
+            <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Needed</th>
+            <th className="pb-2 pl-6 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Pull From</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-stone-100">
+          {lines.map((line) => (
+            <tr key={`${line.itemType}:${line.itemId}`}>
+              <td className="py-2 text-stone-700">{line.itemName}</td>
+              <td className="py-2 text-right text-stone-700 whitespace-nowrap">{line.quantity} {line.unit}</td>
+              <td className="py-2 pl-6 text-stone-600">
+                {line.picks.map((pick) => (
+                  <div key={pick.locationId || "unassigned"}>
+                    {pick.quantity} {line.unit} — {pick.locationName}
+                  </div>
+                ))}
+                {line.short > 0 && (
+                  <div className="text-xs font-medium text-rose-600">Short {line.short} {line.unit}</div>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
   // ── Loading state ────────────────────────────────────────────────────────
   if (loading) {
     return (
@@ -732,8 +972,18 @@ export default function WorkOrdersPage() {
                   {/* Card header: recipe name + status badge */}
                   <div className="flex items-start justify-between gap-2">
                     <div>
-                      <p className="font-semibold text-stone-800">{wo.recipeName}</p>
+                      {wo.workOrderNumber && (
+                        <p className="text-xs font-mono text-stone-400">{wo.workOrderNumber}</p>
+                      )}
+                      <p className="font-semibold text-stone-800">
+                        {wo.recipeName}
+                        {wo.recipeVersion && <span className="ml-1 text-xs font-normal text-stone-400">v{wo.recipeVersion}</span>}
+                      </p>
                       <p className="text-xs text-stone-500 mt-0.5">{wo.finishedGoodName}</p>
+                      {/* Dependent order — makes an intermediate for another work order */}
+                      {wo.parentWorkOrderId && (
+                        <p className="text-xs text-stone-400 mt-0.5">Sub-recipe for {wo.parentRecipeName}</p>
+                      )}
                       {/* MTO customer line — shown only when the work order
                           was created from a special (make-to-order) customer order */}
                       {wo.customerName && (
@@ -742,8 +992,16 @@ export default function WorkOrdersPage() {
                           <span className="inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-amber-100 text-amber-800">
                             MTO
                           </span>
+                          {wo.specialOrderNumber && (
+                            <span className="text-xs font-mono text-stone-400">{wo.specialOrderNumber}</span>
+                          )}
                         </div>
                       )}
+                      {wo.customerAllergies?.length > 0 && (
+                        <p className="text-xs font-medium text-rose-600 mt-1">
+                          ⚠ Customer allergies: {formatAllergens(wo.customerAllergies)}
+                        </p>
+                      )}
                     </div>
                     <span className={`shrink-0 inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${badgeClass}`}>
                       {statusLabel}
@@ -785,6 +1043,10 @@ export default function WorkOrdersPage() {
 
                   {/* Action buttons */}
                   {renderActions(wo)}
+
+                  {methodId === wo.id && (
+                    <div className="pt-3 border-t border-stone-200">{renderMethod(wo)}</div>
+                  )}
                 </div>
               );
             })}
@@ -796,8 +1058,15 @@ export default function WorkOrdersPage() {
       <section>
         <h2 className="text-base font-semibold text-stone-800 mb-4">All Work Orders</h2>
 
-        {/* Date range filter */}
+        {/* Search + date range filter */}
         <div className="flex items-center gap-2 mb-3 flex-wrap">
+          <input
+            type="search"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Search WO / SO number, recipe, customer…"
+            className="w-64 rounded-md border border-stone-300 px-3 py-1.5 text-sm text-stone-800 placeholder:text-stone-400 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+          />
           <span className="text-xs font-medium text-stone-500 shrink-0">Scheduled date</span>
           <input
             type="date"
@@ -842,7 +1111,8 @@ export default function WorkOrdersPage() {
         {filteredWorkOrders.length === 0 ? (
           <p className="text-stone-500 text-sm">
             No {TABS.find((t) => t.key === activeTab)?.label.toLowerCase()} work orders
-            {(startDate || endDate) ? " in this date range" : ""}.
+            {(startDate || endDate) ? " in this date range" : ""}
+            {searchText.trim() ? ` matching "${searchText.trim()}"` : ""}.
           </p>
         ) : (
           <div className="overflow-x-auto rounded-lg border border-stone-200">
@@ -850,6 +1120,7 @@ export default function WorkOrdersPage() {
 
               <thead className="bg-stone-50 border-b border-stone-200">
                 <tr>
+                  <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">WO #</th>
                   <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Customer</th>
                   <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Recipe</th>
                   <th className="px-4 py-3 text-xs font-medium text-stone-500 uppercase tracking-wider">Finished Good</th>
@@ -867,9 +1138,18 @@ export default function WorkOrdersPage() {
                 {filteredWorkOrders.map((wo) => {
                   const { label: statusLabel, badgeClass } = getStatusInfo(wo);
                   const isCancelled = wo.status === "cancelled";
+                  // Closed orders have nothing left to pick.
+                  const isPickListOpen = pickListId === wo.id && !isCancelled && wo.status !== "complete";
+                  const isMethodOpen   = methodId === wo.id && wo.steps?.length > 0;
 
                   return (
-                    <tr key={wo.id} className={isCancelled ? "opacity-50" : ""}>
+                    <Fragment key={wo.id}>
+                    <tr className={isCancelled ? "opacity-50" : ""}>
+
+                      {/* Work orders created before numbering show a dash */}
+                      <td className="px-4 py-3 font-mono text-xs text-stone-500 whitespace-nowrap">
+                        {wo.workOrderNumber || "—"}
+                      </td>
 
                       {/* Customer — shows name + MTO badge for special orders, dash for standard */}
                       <td className="px-4 py-3">
@@ -881,14 +1161,24 @@ export default function WorkOrdersPage() {
                             <span className="inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-amber-100 text-amber-800">
                               MTO
                             </span>
+                            {wo.specialOrderNumber && (
+                              <span className="text-xs font-mono text-stone-400">{wo.specialOrderNumber}</span>
+                            )}
                           </div>
                         ) : (
                           <span className="text-stone-400">—</span>
                         )}
+                        {wo.customerAllergies?.length > 0 && (
+                          <p className="text-xs font-medium text-rose-600">Allergies: {formatAllergens(wo.customerAllergies)}</p>
+                        )}
                       </td>
 
                       <td className={`px-4 py-3 font-medium ${isCancelled ? "text-stone-400 line-through" : "text-stone-800"}`}>
                         {wo.recipeName}
+                        {wo.recipeVersion && <span className="ml-1 text-xs font-normal text-stone-400">v{wo.recipeVersion}</span>}
+                        {wo.parentWorkOrderId && (
+                          <p className="text-xs font-normal text-stone-400">for {wo.parentRecipeName}</p>
+                        )}
                       </td>
 
                       <td className="px-4 py-3 text-stone-600">{wo.finishedGoodName}</td>
@@ -924,6 +1214,28 @@ export default function WorkOrdersPage() {
 
                       <td className="px-4 py-3">{renderActions(wo)}</td>
                     </tr>
+
+                    {/* ── Pick list ── where to pull each ingredient and
+                        sub-recipe from, for batchesActual batches. Completing
+                        the order draws stock down from the same locations. */}
+                    {isPickListOpen && (
+                      <tr>
+                        <td colSpan={11} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          {renderPickList(wo)}
+                        </td>
+                      </tr>
+                    )}
+
+                    {/* ── Method ── the recipe's steps, timed from the
+                        scheduled start. */}
+                    {isMethodOpen && (
+                      <tr>
+                        <td colSpan={11} className="px-6 py-4 bg-stone-50 border-t border-stone-100">
+                          {renderMethod(wo)}
+                        </td>
+                      </tr>
+                    )}
+                    </Fragment>
                   );
                 })}
               </tbody>
@@ -1035,16 +1347,22 @@ export default function WorkOrdersPage() {
                         <span className={`font-medium ${ic.sufficient ? "text-stone-700" : "text-rose-700"}`}>
                           {ic.sufficient ? "✓" : "✗"} {ic.ingredientName}
                         </span>
-                        <div className="text-right text-stone-500">
-                          <span>need {ic.totalRequired} {ic.unit}</span>
-                          <span className="text-stone-300 mx-2">·</span>
-                          <span>have {ic.currentStock} {ic.unit}</span>
-                          {!ic.sufficient && (
-                            <span className="ml-2 text-rose-600 font-medium">
-                              short {ic.shortfall} {ic.unit}
-                            </span>
-                          )}
-                        </div>
+                        {ic.incompatible ? (
+                          <div className="text-right text-rose-600 font-medium">
+                            can&apos;t convert {ic.unit} to {ic.stockUnit}
+                          </div>
+                        ) : (
+                          <div className="text-right text-stone-500">
+                            <span>need {roundQuantity(ic.totalRequired)} {ic.stockUnit}</span>
+                            <span className="text-stone-300 mx-2">·</span>
+                            <span>have {ic.currentStock} {ic.stockUnit}</span>
+                            {!ic.sufficient && (
+                              <span className="ml-2 text-rose-600 font-medium">
+                                short {roundQuantity(ic.shortfall)} {ic.stockUnit}
+                              </span>
+                            )}
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -1061,6 +1379,37 @@ export default function WorkOrdersPage() {
                 </div>
               )}
 
+              {/* ── Sub-recipe stock check ── */}
+              {/* Manual work orders don't create dependent orders, so intermediates must already be made. */}
+              {batchCount > 0 && subRecipeCheck.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-stone-700 mb-2">
+                    Sub-recipes Required
+                    <span className="ml-2 font-normal text-stone-400">(from finished goods stock)</span>
+                  </p>
+
+                  <div className="rounded-md border border-stone-200 divide-y divide-stone-100 overflow-hidden">
+                    {subRecipeCheck.map((sc) => (
+                      <div
+                        key={sc.recipeId}
+                        className={`flex items-center justify-between px-4 py-2.5 text-sm ${
+                          sc.sufficient ? "bg-white" : "bg-amber-50"
+                        }`}
+                      >
+                        <span className={`font-medium ${sc.sufficient ? "text-stone-700" : "text-amber-800"}`}>
+                          {sc.sufficient ? "✓" : "…"} {sc.recipeName}
+                        </span>
+                        <div className="text-right text-stone-500">
+                          <span>need {sc.totalRequired} {sc.unit}</span>
+                          <span className="text-stone-300 mx-2">·</span>
+                          <span>have {sc.currentStock} {sc.unit}</span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Scheduled Start + Due By */}
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                 <div>
@@ -1088,6 +1437,11 @@ export default function WorkOrdersPage() {
                     onChange={handleChange}
                     className={inputCls}
                   />
+                  {getMethodMinutes(selectedRecipe?.steps) > 0 && (
+                    <p className="text-xs text-stone-500 mt-1">
+                      Set from the recipe&apos;s method — {formatMinutes(getMethodMinutes(selectedRecipe.steps))} after the start.
+                    </p>
+                  )}
                 </div>
               </div>
 
@@ -1132,9 +1486,23 @@ export default function WorkOrdersPage() {
                 <p className="text-xs font-medium text-stone-400 uppercase tracking-wider mb-2">
                   Locked — set at creation
                 </p>
+                {editingWorkOrder.workOrderNumber && (
+                  <p className="text-sm">
+                    <span className="text-stone-500 w-36 inline-block">Work Order #</span>
+                    <span className="font-mono font-medium text-stone-700">{editingWorkOrder.workOrderNumber}</span>
+                  </p>
+                )}
                 <p className="text-sm">
                   <span className="text-stone-500 w-36 inline-block">Recipe</span>
                   <span className="font-medium text-stone-700">{editingWorkOrder.recipeName}</span>
+                  {editingWorkOrder.recipeVersion && (
+                    <span className="ml-1 text-stone-500">v{editingWorkOrder.recipeVersion}</span>
+                  )}
+                  {/* The order was made from an older recipe — its snapshot
+                      still uses that version's quantities. */}
+                  {editingRecipeVersion && editingWorkOrder.recipeVersion && editingRecipeVersion !== editingWorkOrder.recipeVersion && (
+                    <span className="ml-2 text-xs text-amber-700">recipe is now v{editingRecipeVersion}</span>
+                  )}
                 </p>
                 <p className="text-sm">
                   <span className="text-stone-500 w-36 inline-block">Finished Good</span>
@@ -1198,16 +1566,22 @@ export default function WorkOrdersPage() {
                         <span className={`font-medium ${ic.sufficient ? "text-stone-700" : "text-rose-700"}`}>
                           {ic.sufficient ? "✓" : "✗"} {ic.ingredientName}
                         </span>
-                        <div className="text-right text-stone-500">
-                          <span>need {ic.totalRequired} {ic.unit}</span>
-                          <span className="text-stone-300 mx-2">·</span>
-                          <span>have {ic.currentStock} {ic.unit}</span>
-                          {!ic.sufficient && (
-                            <span className="ml-2 text-rose-600 font-medium">
-                              short {ic.shortfall} {ic.unit}
-                            </span>
-                          )}
-                        </div>
+                        {ic.incompatible ? (
+                          <div className="text-right text-rose-600 font-medium">
+                            can&apos;t convert {ic.unit} to {ic.stockUnit}
+                          </div>
+                        ) : (
+                          <div className="text-right text-stone-500">
+                            <span>need {roundQuantity(ic.totalRequired)} {ic.stockUnit}</span>
+                            <span className="text-stone-300 mx-2">·</span>
+                            <span>have {ic.currentStock} {ic.stockUnit}</span>
+                            {!ic.sufficient && (
+                              <span className="ml-2 text-rose-600 font-medium">
+                                short {roundQuantity(ic.shortfall)} {ic.stockUnit}
+                              </span>
+                            )}
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -1223,6 +1597,37 @@ export default function WorkOrdersPage() {
                 </div>
               )}
 
+              {/* ── Sub-recipe stock check ── */}
+              {/* Must be in stock before this order can be completed. */}
+              {editBatchCount > 0 && editSubRecipeCheck.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-stone-700 mb-2">
+                    Sub-recipes Required
+                    <span className="ml-2 font-normal text-stone-400">(from finished goods stock)</span>
+                  </p>
+
+                  <div className="rounded-md border border-stone-200 divide-y divide-stone-100 overflow-hidden">
+                    {editSubRecipeCheck.map((sc) => (
+                      <div
+                        key={sc.recipeId}
+                        className={`flex items-center justify-between px-4 py-2.5 text-sm ${
+                          sc.sufficient ? "bg-white" : "bg-amber-50"
+                        }`}
+                      >
+                        <span className={`font-medium ${sc.sufficient ? "text-stone-700" : "text-amber-800"}`}>
+                          {sc.sufficient ? "✓" : "…"} {sc.recipeName}
+                        </span>
+                        <div className="text-right text-stone-500">
+                          <span>need {sc.totalRequired} {sc.unit}</span>
+                          <span className="text-stone-300 mx-2">·</span>
+                          <span>have {sc.currentStock} {sc.unit}</span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Scheduled Start + Due By */}
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
 
@@ -1252,6 +1657,11 @@ export default function WorkOrdersPage() {
                     onChange={handleEditChange}
                     className={inputCls}
                   />
+                  {getMethodMinutes(editingWorkOrder?.steps) > 0 && (
+                    <p className="text-xs text-stone-500 mt-1">
+                      Moves with the start — the method takes {formatMinutes(getMethodMinutes(editingWorkOrder.steps))}.
+                    </p>
+                  )}
                 </div>
 
               </div>
@@ -0,0 +1,49 @@
+// Client Component — controlled checkboxes.
+"use client";
+
+import { ALLERGENS } from "@/lib/allergens";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// AllergenCheckboxes
+//
+// One checkbox per major allergen. Used for an ingredient's "contains" and
+// "may contain" lists on the ingredients page and for a customer's declared
+// allergies on special orders.
+//
+// Props:
+//   selected — the ticked allergen keys
+//   onChange — called with the new list of keys, in ALLERGENS order
+//   idPrefix — keeps input IDs unique when several sets are on one page
+//   disabled — optional; true while saving
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function AllergenCheckboxes({ selected, onChange, idPrefix, disabled = false }) {
+  const handleToggle = (key, checked) => {
+    const next = new Set(selected);
+    if (checked) next.add(key);
+    else next.delete(key);
+    onChange(ALLERGENS.map((a) => a.key).filter((k) => next.has(k)));
+  };
+
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-2">
+      {ALLERGENS.map((allergen) => (
+        <label
+          key={allergen.key}
+          htmlFor={`${idPrefix}-${allergen.key}`}
+          className="flex items-center gap-1.5 text-sm text-stone-700"
+        >
+          <input
+            id={`${idPrefix}-${allergen.key}`}
+            type="checkbox"
+            checked={selected.includes(allergen.key)}
+            onChange={(e) => handleToggle(allergen.key, e.target.checked)}
+            disabled={disabled}
+            className="h-4 w-4 rounded border-stone-300 text-amber-500 focus:ring-amber-400"
+          />
+          {allergen.label}
+        </label>
+      ))}
+    </div>
+  );
+}
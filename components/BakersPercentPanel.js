@@ -0,0 +1,322 @@
+// Client Component — uses hooks for its edit and scaling state.
+"use client";
+
+import { useState } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { addRecipe, updateRecipe } from "@/lib/firestore";
+import { getRecipeSnapshot } from "@/lib/recipes";
+import {
+  getBakersPercentages,
+  applyBakersPercentages,
+  getFlourPercentTotal,
+  getScaleTarget,
+  scaleRecipe,
+} from "@/lib/bakersPercent";
+import { roundQuantity } from "@/lib/units";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BakersPercentPanel
+//
+// One recipe in baker's percentages (every line as a percentage of the flour
+// weight), with the percentages editable, and a scaling tool that resizes
+// the recipe to a dough weight or a number of pieces and can save the result
+// as a new recipe. Rendered inside the expandable row panel on the recipes
+// page. See lib/bakersPercent.js for the maths.
+//
+// Props:
+//   recipe      — the recipe to show
+//   ingredients — every ingredient, for unit conversion and flour detection
+//   onSaved     — called after either kind of save, to reload the recipes
+// ─────────────────────────────────────────────────────────────────────────────
+
+const inputCls =
+  "w-full rounded-md border border-stone-300 px-2 py-1 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:border-transparent";
+
+// "1,250 g".
+const formatGrams = (grams) => `${Math.round(grams).toLocaleString("en-US")} g`;
+
+export default function BakersPercentPanel({ recipe, ingredients, onSaved }) {
+  const { user } = useAuth();
+
+  // ── Percentage editing ────────────────────────────────────────────────────
+  // flourFlags: { [lineIndex]: bool } — overrides which lines count as flour.
+  // percentEdits: { [lineIndex]: "72.5" } — percentages typed but not saved.
+  const [flourFlags,   setFlourFlags]   = useState({});
+  const [percentEdits, setPercentEdits] = useState({});
+  const [saving,       setSaving]       = useState(false);
+  const [error,        setError]        = useState(null);
+
+  // ── Scaling ───────────────────────────────────────────────────────────────
+  const [scaleMode,   setScaleMode]   = useState("doughWeight");   // or "pieces"
+  const [targetGrams, setTargetGrams] = useState("");
+  const [pieces,      setPieces]      = useState("");
+  const [pieceGrams,  setPieceGrams]  = useState("");
+  const [savingCopy,  setSavingCopy]  = useState(false);
+
+  // ── Derived values ────────────────────────────────────────────────────────
+  // The recipe as currently flagged, in percentages.
+  const flagged = {
+    ...recipe,
+    ingredients: recipe.ingredients.map((line, i) =>
+      flourFlags[i] === undefined ? line : { ...line, isFlour: flourFlags[i] }
+    ),
+  };
+  const base = getBakersPercentages(flagged, ingredients);
+
+  // Each row with any typed percentage applied.
+  const rows = base.rows.map((row, i) => ({
+    ...row,
+    percent: percentEdits[i] === undefined ? row.percent : parseFloat(percentEdits[i]) || 0,
+  }));
+  const flourTotal = getFlourPercentTotal(rows);
+  const isDirty    = Object.keys(flourFlags).length > 0 || Object.keys(percentEdits).length > 0;
+  // The lines the save would write, for the preview column.
+  const newLines   = applyBakersPercentages(rows, base.flourGrams, ingredients);
+
+  const target = scaleMode === "doughWeight"
+    ? { mode: "doughWeight", grams: parseFloat(targetGrams) }
+    : { mode: "pieces", pieces: parseFloat(pieces), pieceGrams: parseFloat(pieceGrams) };
+  const scale  = getScaleTarget(recipe, ingredients, target);
+  const scaled = scale ? scaleRecipe(recipe, scale.factor, scale.yieldQuantity) : null;
+
+  // ── Handlers ──────────────────────────────────────────────────────────────
+
+  // A different flour base changes every percentage, so typed ones are dropped.
+  const handleFlourToggle = (index, checked) => {
+    setFlourFlags((prev) => ({ ...prev, [index]: checked }));
+    setPercentEdits({});
+    setError(null);
+  };
+
+  const handlePercentChange = (index, value) => {
+    setPercentEdits((prev) => ({ ...prev, [index]: value }));
+    setError(null);
+  };
+
+  const handleReset = () => {
+    setFlourFlags({});
+    setPercentEdits({});
+    setError(null);
+  };
+
+  // Saves the percentages as quantities at the current flour weight — a new
+  // recipe version.
+  const handleSavePercentages = async () => {
+    if (base.flourGrams <= 0) {
+      setError("Mark at least one weighed line as flour.");
+      return;
+    }
+    if (Math.abs(flourTotal - 100) > 0.05) {
+      setError(`The flour lines add up to ${flourTotal.toFixed(1)}% — they need to total 100%.`);
+      return;
+    }
+    setSaving(true);
+    try {
+      await updateRecipe(recipe.id, { ingredients: newLines }, user?.email ?? "", {
+        note: "Edited in baker's percentages",
+      });
+      handleReset();
+      await onSaved();
+    } catch (err) {
+      console.error("Failed to save baker's percentages:", err);
+      setError("Failed to save the recipe. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveScaled = async () => {
+    const name = window.prompt(
+      "Name for the scaled recipe",
+      `${recipe.name} (×${roundQuantity(scale.factor)})`
+    )?.trim();
+    if (!name) return;
+    setSavingCopy(true);
+    try {
+      await addRecipe({ ...getRecipeSnapshot(scaled), name }, user?.email ?? "");
+      await onSaved();
+      window.alert(`Saved "${name}".`);
+    } catch (err) {
+      console.error("Failed to save scaled recipe:", err);
+      window.alert("Failed to save the scaled recipe. Please try again.");
+    } finally {
+      setSavingCopy(false);
+    }
+  };
+
+  // ── Render ────────────────────────────────────────────────────────────────
+  return (
+    <div className="space-y-6">
+
+      {/* ── Baker's percentages ── */}
+      <div>
+        <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-3">
+          Baker&apos;s percentages — flour {formatGrams(base.flourGrams)}, dough {formatGrams(base.totalGrams)}
+        </p>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-stone-200">
+              <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider w-14">Flour</th>
+              <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Ingredient</th>
+              <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Quantity</th>
+              <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider w-28">Baker&apos;s %</th>
+              {isDirty && (
+                <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">New Quantity</th>
+              )}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-stone-100">
+            {rows.map((row, i) => (
+              <tr key={i}>
+                <td className="py-1.5">
+                  <input
+                    type="checkbox"
+                    checked={row.isFlour}
+                    disabled={row.grams === null}
+                    onChange={(e) => handleFlourToggle(i, e.target.checked)}
+                    aria-label={`${row.line.ingredientName} is flour`}
+                    className="h-4 w-4 rounded border-stone-300 text-amber-500 focus:ring-amber-400"
+                  />
+                </td>
+                <td className="py-1.5 text-stone-700">{row.line.ingredientName}</td>
+                <td className="py-1.5 text-right text-stone-600">{row.line.quantity} {row.line.unit}</td>
+                <td className="py-1.5 pl-4">
+                  {row.percent === null ? (
+                    <span className="block text-right text-xs text-stone-400">
+                      {row.grams === null ? "no weight" : "—"}
+                    </span>
+                  ) : (
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      min="0"
+                      step="any"
+                      value={percentEdits[i] ?? row.percent.toFixed(1)}
+                      onChange={(e) => handlePercentChange(i, e.target.value)}
+                      className={`${inputCls} text-right`}
+                    />
+                  )}
+                </td>
+                {isDirty && (
+                  <td className={`py-1.5 text-right ${newLines[i].quantity !== row.line.quantity ? "font-medium text-amber-700" : "text-stone-400"}`}>
+                    {newLines[i].quantity} {newLines[i].unit}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {base.unweighed > 0 && (
+          <p className="text-xs text-stone-400 mt-2">
+            Lines with no weight need a density or grams-per-each on the ingredient to show a percentage.
+          </p>
+        )}
+        {base.flourGrams <= 0 && (
+          <p className="text-xs text-amber-700 mt-2">Tick the flour lines to see percentages.</p>
+        )}
+        {error && <p className="text-sm text-rose-600 mt-2">{error}</p>}
+
+        {isDirty && (
+          <div className="flex items-center gap-3 mt-3">
+            <button
+              onClick={handleSavePercentages}
+              disabled={saving}
+              className="rounded-md bg-amber-500 px-3 py-1.5 text-sm font-medium text-stone-900 hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {saving ? "Saving..." : "Save Percentages"}
+            </button>
+            <button onClick={handleReset} disabled={saving} className="text-sm text-stone-500 hover:text-stone-800">
+              Reset
+            </button>
+            <span className={`text-xs ${Math.abs(flourTotal - 100) > 0.05 ? "text-rose-600" : "text-stone-400"}`}>
+              Flour total {flourTotal.toFixed(1)}%
+            </span>
+          </div>
+        )}
+      </div>
+
+      {/* ── Scaling ── */}
+      <div className="pt-4 border-t border-stone-200">
+        <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-3">Scale recipe</p>
+
+        <div className="flex items-end gap-3 flex-wrap">
+          <div>
+            <label htmlFor={`scaleMode-${recipe.id}`} className="block text-xs text-stone-500 mb-1">Scale to</label>
+            <select
+              id={`scaleMode-${recipe.id}`}
+              value={scaleMode}
+              onChange={(e) => setScaleMode(e.target.value)}
+              className={inputCls}
+            >
+              <option value="doughWeight">Dough weight</option>
+              <option value="pieces">Pieces × weight</option>
+            </select>
+          </div>
+          {scaleMode === "doughWeight" ? (
+            <div className="w-36">
+              <label htmlFor={`targetGrams-${recipe.id}`} className="block text-xs text-stone-500 mb-1">Total dough (g)</label>
+              <input
+                id={`targetGrams-${recipe.id}`}
+                type="number" inputMode="decimal" min="0" step="any"
+                value={targetGrams}
+                onChange={(e) => setTargetGrams(e.target.value)}
+                className={inputCls}
+              />
+            </div>
+          ) : (
+            <>
+              <div className="w-28">
+                <label htmlFor={`pieces-${recipe.id}`} className="block text-xs text-stone-500 mb-1">Pieces</label>
+                <input
+                  id={`pieces-${recipe.id}`}
+                  type="number" inputMode="numeric" min="0" step="1"
+                  value={pieces}
+                  onChange={(e) => setPieces(e.target.value)}
+                  className={inputCls}
+                />
+              </div>
+              <div className="w-32">
+                <label htmlFor={`pieceGrams-${recipe.id}`} className="block text-xs text-stone-500 mb-1">Each (g)</label>
+                <input
+                  id={`pieceGrams-${recipe.id}`}
+                  type="number" inputMode="decimal" min="0" step="any"
+                  value={pieceGrams}
+                  onChange={(e) => setPieceGrams(e.target.value)}
+                  className={inputCls}
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        {base.totalGrams <= 0 ? (
+          <p className="text-xs text-stone-400 mt-3">This recipe has no weighed lines to scale from.</p>
+        ) : scaled && (
+          <div className="mt-4">
+            <p className="text-sm text-stone-600 mb-2">
+              ×{roundQuantity(scale.factor)} — yields {scaled.yieldQuantity} {scaled.yieldUnit}
+            </p>
+            <ul className="space-y-1">
+              {scaled.ingredients.map((line, i) => (
+                <li key={i} className="flex items-center gap-2 text-sm text-stone-700">
+                  <span className="w-1.5 h-1.5 rounded-full bg-amber-400 shrink-0" />
+                  <span className="font-medium">{line.ingredientName}</span>
+                  <span className="text-stone-500">— {line.quantity} {line.unit}</span>
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={handleSaveScaled}
+              disabled={savingCopy}
+              className="mt-3 rounded-md border border-stone-300 px-3 py-1.5 text-sm font-medium text-stone-700 hover:bg-stone-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {savingCopy ? "Saving..." : "Save as New Recipe"}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
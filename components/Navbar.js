@@ -5,6 +5,7 @@ import Link from "next/link";
 import { usePathname } from "next/navigation";
 import { useState, useRef } from "react";
 import { useAuth } from "@/context/AuthContext";
+import { useSite } from "@/context/SiteContext";
 
 // ─────────────────────────────────────────────────────────────────────────────
 // NAV STRUCTURE
@@ -28,7 +29,14 @@ const NAV_GROUPS = [
     links: [
       { label: "Ingredients",    href: "/ingredients"    },
       { label: "Finished Goods", href: "/finished-goods" },
+      { label: "Stock Counts",   href: "/counts"         },
+      { label: "Adjustments",    href: "/adjustments"    },
+      { label: "Locations",      href: "/locations"      },
+      { label: "Site Transfers", href: "/transfers"      },
       { label: "Recipes",        href: "/recipes"        },
+      { label: "Allergens",      href: "/allergens"      },
+      { label: "Nutrition",      href: "/nutrition"      },
+      { label: "Traceability",   href: "/traceability"   },
     ],
   },
   {
@@ -37,8 +45,11 @@ const NAV_GROUPS = [
     links: [
       { label: "Sales",      href: "/sales"       },
       { label: "Costing",    href: "/costing"     },
+      { label: "Valuation",  href: "/valuation"   },
       { label: "Purchasing", href: "/purchasing"  },
+      { label: "Suppliers",  href: "/suppliers"   },
       { label: "End of Day", href: "/end-of-day"  },
+      { label: "Sites",      href: "/sites"       },
     ],
   },
 ];
@@ -55,6 +66,26 @@ const isLinkActive = (href, pathname) => {
   return pathname.startsWith(href);
 };
 
+// The site switcher — which site this browser is working at. Only shown once
+// a site has been set up; switching reloads each page's data for that site.
+function SiteSwitcher({ className = "" }) {
+  const { activeSites, site, setSiteId } = useSite();
+  if (!site) return null;
+
+  return (
+    <select
+      value={site.id}
+      onChange={(e) => setSiteId(e.target.value)}
+      aria-label="Site"
+      className={`rounded-md border border-stone-300 px-2 py-1 text-sm text-stone-700 focus:outline-none focus:ring-2 focus:ring-amber-400 ${className}`}
+    >
+      {activeSites.map((s) => (
+        <option key={s.id} value={s.id}>{s.name}</option>
+      ))}
+    </select>
+  );
+}
+
 // Small chevron icon used in group triggers and mobile accordion headers.
 function ChevronIcon({ open }) {
   return (
@@ -111,7 +142,8 @@ export default function Navbar() {
     setOpenMobileGroup(prev => (prev === key ? null : key));
 
   return (
-    <nav className="border-b border-stone-200 bg-white">
+    // print:hidden keeps the nav off printed reports (e.g. the recall report).
+    <nav className="border-b border-stone-200 bg-white print:hidden">
       <div className="max-w-4xl mx-auto px-4">
 
         {/* ── Top bar (always visible) ─────────────────────────────────────── */}
@@ -129,6 +161,9 @@ export default function Navbar() {
             Bakery MRP
           </Link>
 
+          {/* Site switcher — beside the brand on every screen size */}
+          <SiteSwitcher className="ml-3 mr-auto max-w-[10rem]" />
+
           {/* ── Desktop navigation ─────────────────────────────────────────── */}
           {/* Hidden on mobile (sm:flex shows it on small screens and up). */}
           <div className="hidden sm:flex items-center gap-1">
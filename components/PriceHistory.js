@@ -0,0 +1,137 @@
+// Client Component — fetches on mount with useEffect and draws with Recharts.
+"use client";
+
+import { useState, useEffect } from "react";
+import {
+  LineChart, Line, XAxis, YAxis,
+  ResponsiveContainer, Tooltip,
+} from "recharts";
+import { getIngredientPriceHistory } from "@/lib/firestore";
+import { PRICE_SOURCE_LABELS, buildPriceChartData } from "@/lib/priceHistory";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PriceHistory
+//
+// One ingredient's costPerUnit over time: a step chart of every recorded
+// price, then the list of changes newest first. Rendered inside the
+// expandable row panel on the ingredients page; it loads its own data each
+// time it's opened.
+//
+// Props:
+//   ingredientId — the ingredient's Firestore document ID
+//   unit         — the ingredient's stock unit, which costPerUnit is per
+//   currentCost  — its costPerUnit now, so the line runs up to today
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Milliseconds to "Mar 4" for the chart axis.
+const formatAxisDate = (time) =>
+  new Date(time).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+// Converts a Firestore Timestamp to "Feb 26, 2026".
+// A just-written point's serverTimestamp can still be null locally.
+const formatTimestamp = (ts) => {
+  if (!ts) return "—";
+  return ts.toDate().toLocaleDateString("en-US", {
+    month: "short",
+    day:   "numeric",
+    year:  "numeric",
+  });
+};
+
+export default function PriceHistory({ ingredientId, unit, currentCost }) {
+  const [points, setPoints] = useState(null);
+  const [error,  setError]  = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setPoints(await getIngredientPriceHistory(ingredientId));
+      } catch (err) {
+        console.error("Failed to load price history:", err);
+        setError("Failed to load price history.");
+      }
+    };
+    load();
+  }, [ingredientId]);
+
+  if (error) {
+    return <p className="text-sm text-rose-600">{error}</p>;
+  }
+  if (points === null) {
+    return <p className="text-sm text-stone-400">Loading prices...</p>;
+  }
+  if (points.length === 0) {
+    return (
+      <p className="text-sm text-stone-400">
+        No price changes recorded yet. Prices are logged from the next cost edit or PO receipt.
+      </p>
+    );
+  }
+
+  const data = buildPriceChartData(points, currentCost);
+
+  return (
+    <div className="space-y-4">
+      <ResponsiveContainer width="100%" height={160}>
+        <LineChart data={data} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
+          <XAxis
+            dataKey="time"
+            type="number"
+            scale="time"
+            domain={["dataMin", "dataMax"]}
+            tickFormatter={formatAxisDate}
+            tick={{ fontSize: 10, fill: "#78716c" }}
+            axisLine={false}
+            tickLine={false}
+          />
+          <YAxis
+            width={48}
+            tickFormatter={(v) => `$${Number(v).toFixed(2)}`}
+            tick={{ fontSize: 10, fill: "#78716c" }}
+            axisLine={false}
+            tickLine={false}
+          />
+          <Line type="stepAfter" dataKey="cost" stroke="#f59e0b" strokeWidth={2} dot={{ r: 2 }} />
+          <Tooltip
+            labelFormatter={(t) => formatAxisDate(t)}
+            formatter={(v) => [`$${Number(v).toFixed(2)}/${unit}`, "Cost"]}
+            contentStyle={{ fontSize: "12px" }}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-stone-200">
+            <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">When</th>
+            <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Source</th>
+            <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Cost ({unit})</th>
+            <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Change</th>
+            <th className="pb-2 pl-4 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">By</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-stone-100">
+          {[...points].reverse().map((point) => {
+            const pct = point.previousCost > 0
+              ? ((point.costPerUnit - point.previousCost) / point.previousCost) * 100
+              : null;
+            return (
+              <tr key={point.id}>
+                <td className="py-2 text-stone-500 whitespace-nowrap">{formatTimestamp(point.createdAt)}</td>
+                <td className="py-2 text-stone-700">
+                  {PRICE_SOURCE_LABELS[point.source] ?? point.source}
+                  {point.sourceNumber && <span className="text-stone-500"> — {point.sourceNumber}</span>}
+                </td>
+                <td className="py-2 text-right text-stone-700">${point.costPerUnit.toFixed(2)}</td>
+                <td className={`py-2 text-right font-medium ${pct > 0 ? "text-rose-600" : pct < 0 ? "text-green-700" : "text-stone-400"}`}>
+                  {pct === null ? "—" : `${pct > 0 ? "+" : ""}${pct.toFixed(1)}%`}
+                </td>
+                <td className="py-2 pl-4 text-xs text-stone-400">{point.createdBy || "—"}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+// Client Component — fetches on mount with useEffect.
+"use client";
+
+import { useState, useEffect } from "react";
+import { getRecipeVersions } from "@/lib/firestore";
+import { isSubRecipeLine, getStageLabel, formatMinutes } from "@/lib/recipes";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RecipeHistory
+//
+// Every saved version of one recipe, newest first: who saved it, when, and
+// what changed from the version before. Any version can be expanded to see
+// the whole recipe as it was, and an older one restored.
+// Rendered inside the expandable row panel on the recipes page; it loads its
+// own data each time it's opened (or `refreshKey` changes).
+//
+// Props:
+//   recipe     — the recipe, for its current version number
+//   onRestore  — called with a version object when Restore is clicked
+//   restoring  — true while a restore is saving, to disable the buttons
+//   refreshKey — change it to reload, e.g. after a restore
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Converts a Firestore Timestamp to "Feb 26, 2026, 2:05 PM".
+// A just-written version's serverTimestamp can still be null locally.
+const formatTimestamp = (ts) => {
+  if (!ts) return "—";
+  return ts.toDate().toLocaleString("en-US", {
+    month:  "short",
+    day:    "numeric",
+    year:   "numeric",
+    hour:   "numeric",
+    minute: "2-digit",
+  });
+};
+
+// Text colour and marker for each kind of change.
+const CHANGE_STYLES = {
+  added:   { cls: "text-green-700", mark: "+" },
+  removed: { cls: "text-rose-600",  mark: "−" },
+  changed: { cls: "text-amber-700", mark: "~" },
+};
+
+export default function RecipeHistory({ recipe, onRestore, restoring, refreshKey }) {
+  const [versions,   setVersions]   = useState(null);
+  const [error,      setError]      = useState(null);
+  // The version whose full recipe is shown, or null.
+  const [viewingVer, setViewingVer] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setVersions(await getRecipeVersions(recipe.id));
+      } catch (err) {
+        console.error("Failed to load recipe history:", err);
+        setError("Failed to load recipe history.");
+      }
+    };
+    load();
+  }, [recipe.id, refreshKey]);
+
+  if (error) {
+    return <p className="text-sm text-rose-600">{error}</p>;
+  }
+  if (versions === null) {
+    return <p className="text-sm text-stone-400">Loading history...</p>;
+  }
+  if (versions.length === 0) {
+    return (
+      <p className="text-sm text-stone-400">
+        No versions recorded yet. The next edit saves this recipe as version 1 and the edit as version 2.
+      </p>
+    );
+  }
+
+  const currentVersion = recipe.version ?? 1;
+
+  return (
+    <ul className="space-y-3">
+      {versions.map((v) => {
+        const isCurrent = v.version === currentVersion;
+        const isViewing = v.version === viewingVer;
+        return (
+          <li key={v.id} className="rounded-md border border-stone-200 bg-white px-4 py-3">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <p className="text-sm font-medium text-stone-800">
+                  Version {v.version}
+                  {isCurrent && <span className="ml-2 text-xs font-normal text-green-700">current</span>}
+                </p>
+                <p className="text-xs text-stone-500 mt-0.5">
+                  {formatTimestamp(v.createdAt)}{v.createdBy && ` · ${v.createdBy}`}
+                </p>
+                {v.note && <p className="text-xs text-stone-500 italic mt-0.5">{v.note}</p>}
+              </div>
+              <div className="flex gap-3 shrink-0">
+                <button
+                  onClick={() => setViewingVer(isViewing ? null : v.version)}
+                  className="text-sm font-medium text-amber-700 hover:text-amber-900"
+                >
+                  {isViewing ? "Hide" : "View"}
+                </button>
+                {!isCurrent && (
+                  <button
+                    onClick={() => onRestore(v)}
+                    disabled={restoring}
+                    className="text-sm font-medium text-stone-500 hover:text-stone-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    Restore
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {/* What changed from the version before */}
+            {v.changes?.length > 0 && (
+              <ul className="mt-2 space-y-0.5 text-sm">
+                {v.changes.map((change, i) => {
+                  const style = CHANGE_STYLES[change.kind] ?? CHANGE_STYLES.changed;
+                  return (
+                    <li key={i} className={style.cls}>
+                      <span className="inline-block w-4 font-mono">{style.mark}</span>
+                      <span className="font-medium">{change.subject}</span>
+                      {change.kind === "changed" && <span>: {change.before} → {change.after}</span>}
+                      {change.kind === "added"   && <span>: {change.after}</span>}
+                      {change.kind === "removed" && <span className="line-through">: {change.before}</span>}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {/* The whole recipe as it was at this version */}
+            {isViewing && (
+              <div className="mt-3 pt-3 border-t border-stone-100">
+                <p className="text-xs font-medium text-stone-500 uppercase tracking-wider mb-2">
+                  {v.name} — {v.finishedGoodName} · per batch of {v.yieldQuantity} {v.yieldUnit}
+                </p>
+                <ul className="space-y-1">
+                  {(v.ingredients ?? []).map((ing, i) => (
+                    <li key={i} className="flex items-center gap-2 text-sm text-stone-700">
+                      <span className="w-1.5 h-1.5 rounded-full bg-stone-300 shrink-0" />
+                      <span className="font-medium">{ing.ingredientName}</span>
+                      <span className="text-stone-500">— {ing.quantity} {ing.unit}</span>
+                      {isSubRecipeLine(ing) && <span className="text-xs text-stone-400">sub-recipe</span>}
+                    </li>
+                  ))}
+                </ul>
+                {v.steps?.length > 0 && (
+                  <ol className="mt-2 space-y-0.5">
+                    {v.steps.map((step, i) => (
+                      <li key={i} className="text-sm text-stone-600">
+                        {i + 1}. {getStageLabel(step.stage)} — {formatMinutes(step.durationMinutes)}
+                        {step.temperature !== null && step.temperature !== undefined && ` at ${step.temperature}°`}
+                        {step.notes && ` · ${step.notes}`}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
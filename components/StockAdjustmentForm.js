@@ -0,0 +1,173 @@
+// Client Component — form state and a Firestore write.
+"use client";
+
+import { useState } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { useSettings } from "@/context/SettingsContext";
+import { useSite } from "@/context/SiteContext";
+import { adjustStock } from "@/lib/firestore";
+import { roundQuantity } from "@/lib/units";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// StockAdjustmentForm
+//
+// Removes stock from (or adds it back to) one ingredient or finished good for
+// a reason — spilled, dropped, sampled, stolen, or miscounted — and logs it as
+// an "adjustment" inventory transaction. Rendered inside the expandable row
+// panels on the ingredients and finished goods pages. The stock adjusted is
+// the current site's.
+//
+// Props:
+//   itemType   — "ingredient" | "finishedGood"
+//   item       — the ingredient or finished good ({ id, name, unit, currentStock })
+//   unitCost   — cost of one stock unit, for the cost impact; null if unknown
+//   onAdjusted — called after a successful save (the page re-fetches)
+//   onCancel   — closes the panel
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function StockAdjustmentForm({ itemType, item, unitCost, onAdjusted, onCancel }) {
+  const { user }     = useAuth();
+  const { settings } = useSettings();
+  const { site }     = useSite();
+  const reasons      = settings.adjustmentReasons ?? [];
+
+  // direction: "remove" for losses (the usual case) or "add" for a correction upwards.
+  const [direction,  setDirection]  = useState("remove");
+  const [quantity,   setQuantity]   = useState("");
+  const [reasonCode, setReasonCode] = useState("");
+  const [notes,      setNotes]      = useState("");
+  const [saving,     setSaving]     = useState(false);
+  const [error,      setError]      = useState(null);
+
+  const amount   = parseFloat(quantity) || 0;
+  const delta    = direction === "remove" ? -amount : amount;
+  const newStock = roundQuantity((item.currentStock ?? 0) + delta);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (amount <= 0) {
+      setError("Enter a quantity greater than zero.");
+      return;
+    }
+    if (!reasonCode) {
+      setError("Choose a reason.");
+      return;
+    }
+    if (newStock < 0 && !window.confirm(
+      `This takes ${item.name} below zero (${newStock} ${item.unit}). Adjust anyway?`
+    )) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await adjustStock({
+        itemType,
+        itemId:   item.id,
+        delta,
+        reasonCode,
+        unitCost,
+        notes:    notes.trim(),
+      }, user?.email ?? "", site);
+      await onAdjusted();
+    } catch (err) {
+      console.error("Failed to adjust stock:", err);
+      setError(err.message || "Failed to adjust stock. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <p className="text-sm font-medium text-stone-700">
+        Adjust stock — {item.name}
+        <span className="font-normal text-stone-500"> (on hand {roundQuantity(item.currentStock ?? 0)} {item.unit})</span>
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs font-medium text-stone-600 mb-1">Direction</label>
+          <select
+            value={direction}
+            onChange={(e) => setDirection(e.target.value)}
+            className="rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400"
+          >
+            <option value="remove">Remove</option>
+            <option value="add">Add</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-stone-600 mb-1">Quantity ({item.unit})</label>
+          <input
+            type="number"
+            inputMode="decimal"
+            min="0"
+            step="any"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            className="w-28 rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-stone-600 mb-1">Reason</label>
+          <select
+            value={reasonCode}
+            onChange={(e) => setReasonCode(e.target.value)}
+            className="w-48 rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400"
+          >
+            <option value="">Choose a reason…</option>
+            {reasons.map((r) => (
+              <option key={r.value} value={r.value}>{r.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-1 min-w-[10rem]">
+          <label className="block text-xs font-medium text-stone-600 mb-1">Notes (optional)</label>
+          <input
+            type="text"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="e.g. dropped tray during unload"
+            className="w-full rounded-md border border-stone-300 px-2 py-1.5 text-sm text-stone-800 focus:outline-none focus:ring-2 focus:ring-amber-400"
+          />
+        </div>
+      </div>
+
+      {/* Preview — new balance and what the adjustment costs */}
+      {amount > 0 && (
+        <p className="text-xs text-stone-500">
+          New balance {newStock} {item.unit}
+          {unitCost > 0 && (
+            <> · cost impact{" "}
+              <span className={delta < 0 ? "text-rose-600 font-medium" : "text-green-700 font-medium"}>
+                {delta < 0 ? "−" : "+"}${Math.abs(delta * unitCost).toFixed(2)}
+              </span>
+            </>
+          )}
+        </p>
+      )}
+
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="rounded-md bg-amber-500 px-3 py-1.5 text-sm font-medium text-stone-900 hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {saving ? "Saving..." : "Save Adjustment"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-sm text-stone-500 hover:text-stone-800"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,102 @@
+// Client Component — fetches on mount with useEffect.
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSettings } from "@/context/SettingsContext";
+import { getInventoryTransactions, INVENTORY_TRANSACTION_TYPES } from "@/lib/firestore";
+import { getReasonLabel } from "@/lib/adjustments";
+import { roundQuantity } from "@/lib/units";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// StockHistory
+//
+// The movement history of one ingredient or finished good, newest first —
+// every entry in the inventoryTransactions ledger for that item.
+// Rendered inside the expandable row panels on the ingredients and finished
+// goods pages; it loads its own data each time it's opened.
+//
+// Props:
+//   itemType — "ingredient" | "finishedGood"
+//   itemId   — the item's Firestore document ID
+//   unit     — the item's stock unit, for the column headings
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Converts a Firestore Timestamp to "Feb 26, 2026, 2:05 PM".
+// A just-written entry's serverTimestamp can still be null locally.
+const formatTimestamp = (ts) => {
+  if (!ts) return "—";
+  return ts.toDate().toLocaleString("en-US", {
+    month:  "short",
+    day:    "numeric",
+    year:   "numeric",
+    hour:   "numeric",
+    minute: "2-digit",
+  });
+};
+
+export default function StockHistory({ itemType, itemId, unit }) {
+  const { settings } = useSettings();
+  const [entries, setEntries] = useState(null);
+  const [error,   setError]   = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setEntries(await getInventoryTransactions(itemType, itemId));
+      } catch (err) {
+        console.error("Failed to load stock history:", err);
+        setError("Failed to load stock history.");
+      }
+    };
+    load();
+  }, [itemType, itemId]);
+
+  if (error) {
+    return <p className="text-sm text-rose-600">{error}</p>;
+  }
+  if (entries === null) {
+    return <p className="text-sm text-stone-400">Loading history...</p>;
+  }
+  if (entries.length === 0) {
+    return (
+      <p className="text-sm text-stone-400">
+        No stock movements recorded yet. Movements are logged from the next receipt, sale, or production run.
+      </p>
+    );
+  }
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="border-b border-stone-200">
+          <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">When</th>
+          <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Movement</th>
+          <th className="pb-2 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">Source</th>
+          <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Change ({unit})</th>
+          <th className="pb-2 text-right text-xs font-medium text-stone-500 uppercase tracking-wider">Balance</th>
+          <th className="pb-2 pl-4 text-left text-xs font-medium text-stone-500 uppercase tracking-wider">By</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-stone-100">
+        {entries.map((entry) => (
+          <tr key={entry.id}>
+            <td className="py-2 text-stone-500 whitespace-nowrap">{formatTimestamp(entry.createdAt)}</td>
+            <td className="py-2 text-stone-700">
+              {INVENTORY_TRANSACTION_TYPES[entry.type] ?? entry.type}
+              {entry.reasonCode && (
+                <span className="text-stone-500"> — {getReasonLabel(entry.reasonCode, settings.adjustmentReasons)}</span>
+              )}
+              {entry.notes && <div className="text-xs text-stone-400">{entry.notes}</div>}
+            </td>
+            <td className="py-2 text-stone-500">{entry.sourceNumber || "—"}</td>
+            <td className={`py-2 text-right font-medium ${entry.delta < 0 ? "text-rose-600" : "text-green-700"}`}>
+              {entry.delta > 0 ? "+" : ""}{roundQuantity(entry.delta)}
+            </td>
+            <td className="py-2 text-right text-stone-700">{roundQuantity(entry.balanceAfter)}</td>
+            <td className="py-2 pl-4 text-xs text-stone-400">{entry.createdBy || "—"}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,80 @@
+// Client Component — uses hooks, localStorage and calls Firestore on mount.
+"use client";
+
+import { createContext, useContext, useEffect, useState } from "react";
+import { useAuth } from "@/context/AuthContext";
+import { getSites } from "@/lib/firestore";
+
+// ─── 1. Create the context "channel" ─────────────────────────────────────────
+const SiteContext = createContext(null);
+
+// The browser remembers which site it was last switched to, so a tablet in
+// the shop opens on the shop.
+const STORAGE_KEY = "bakery-mrp:siteId";
+
+// ─── 2. The provider component ───────────────────────────────────────────────
+// SiteProvider loads the bakery's sites once the user is signed in and keeps
+// track of which one this browser is working at. Pages pass `site` to the
+// site-scoped functions in lib/firestore.js.
+//
+// `site` is null until a site has been set up — every page then behaves as
+// it did for a single bakery. Otherwise it's the chosen active site, falling
+// back to the main site (see lib/sites.js).
+export function SiteProvider({ children }) {
+  const { user } = useAuth();
+
+  const [sites,        setSites]        = useState([]);
+  const [chosenId,     setChosenId]     = useState("");
+  // true until the first fetch completes, so pages don't load every site's
+  // data and then reload for the chosen one.
+  const [loadingSites, setLoadingSites] = useState(true);
+
+  // Re-fetches the site list — the sites page calls this after a change.
+  const refreshSites = async () => {
+    try {
+      setSites(await getSites());
+    } catch (err) {
+      console.error("Failed to load sites:", err);
+    }
+  };
+
+  useEffect(() => {
+    if (!user) return;
+    const fetchSites = async () => {
+      try {
+        setSites(await getSites());
+        setChosenId(window.localStorage.getItem(STORAGE_KEY) ?? "");
+      } catch (err) {
+        console.error("Failed to load sites:", err);
+        // No sites — the app still works as a single bakery.
+      } finally {
+        setLoadingSites(false);
+      }
+    };
+    fetchSites();
+  }, [user]);
+
+  const setSiteId = (siteId) => {
+    window.localStorage.setItem(STORAGE_KEY, siteId);
+    setChosenId(siteId);
+  };
+
+  const activeSites = sites.filter((s) => s.status !== "archived");
+  const site =
+    activeSites.find((s) => s.id === chosenId) ??
+    activeSites.find((s) => s.isMain) ??
+    activeSites[0] ??
+    null;
+
+  const value = { sites, activeSites, site, setSiteId, loadingSites, refreshSites };
+
+  return (
+    <SiteContext.Provider value={value}>
+      {children}
+    </SiteContext.Provider>
+  );
+}
+
+// ─── 3. The custom hook ───────────────────────────────────────────────────────
+// Any component can call useSite() for the current site and the site list.
+export const useSite = () => useContext(SiteContext);
@@ -0,0 +1,101 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Reason codes for stock adjustments, and the monthly adjustment report.
+// No Firestore code lives here; the reason list itself is stored in settings
+// (settings.adjustmentReasons) so the bakery can add its own.
+//
+// A reason is { value, label }:
+//   value — the code stored on the inventory transaction ("spoilage"). It
+//           never changes once created, so renaming a reason relabels its
+//           history instead of orphaning it.
+//   label — what screens show ("Spoilage")
+//
+// Adjustments and stock count variances both carry a reason code, so the
+// report covers both. Each ledger entry records the item's unitCost at the
+// time it was written; cost impact is delta × unitCost.
+// ────────────────────────────────────────────────────────────────────────────
+
+// The reasons a new bakery starts with (copied into DEFAULT_SETTINGS).
+export const DEFAULT_ADJUSTMENT_REASONS = [
+  { value: "spoilage",   label: "Spoilage" },
+  { value: "breakage",   label: "Breakage" },
+  { value: "tasting",    label: "Tasting / samples" },
+  { value: "theft",      label: "Theft / loss" },
+  { value: "correction", label: "Correction / miscount" },
+];
+
+// Ledger entry types the monthly report includes.
+export const ADJUSTMENT_REPORT_TYPES = ["adjustment", "count"];
+
+// "Spoilage" for "spoilage". A code no longer in `reasons` (deleted in
+// settings) is shown as stored; a blank code is an edit made on the
+// ingredients or finished goods page, which doesn't ask for a reason.
+export const getReasonLabel = (reasonCode, reasons = DEFAULT_ADJUSTMENT_REASONS) => {
+  if (!reasonCode) return "No reason (stock edited)";
+  return reasons.find((r) => r.value === reasonCode)?.label ?? reasonCode;
+};
+
+// A code for a new reason from its label: "Staff meal" → "staff-meal".
+// A suffix is added if the code is already taken.
+export const makeReasonCode = (label, reasons) => {
+  const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "reason";
+  let code = base;
+  for (let n = 2; reasons.some((r) => r.value === code); n++) code = `${base}-${n}`;
+  return code;
+};
+
+// "2026-10" → { start, end } as Dates spanning that calendar month, local time.
+export const getMonthRange = (month) => {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return {
+    start: new Date(year, monthIndex - 1, 1),
+    end:   new Date(year, monthIndex, 1),
+  };
+};
+
+// "2026-10" for the current month — the report's starting value.
+export const getCurrentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+};
+
+// Dollar value of one ledger entry. Negative = stock lost.
+export const getEntryValue = (entry) => entry.delta * (entry.unitCost ?? 0);
+
+// Groups a month's adjustment entries by reason code.
+// Returns { rows, totals }:
+//   rows   — [{ reasonCode, label, entries, lossValue, gainValue, netValue }],
+//            biggest net loss first
+//   totals — { entries, lossValue, gainValue, netValue } across every row
+// lossValue is a positive dollar amount; netValue is gains minus losses.
+export const summarizeAdjustments = (entries, reasons) => {
+  const byReason = {};
+  const totals   = { entries: 0, lossValue: 0, gainValue: 0, netValue: 0 };
+
+  for (const entry of entries) {
+    const code = entry.reasonCode ?? "";
+    byReason[code] ??= {
+      reasonCode: code,
+      label:      getReasonLabel(code, reasons),
+      entries:    0,
+      lossValue:  0,
+      gainValue:  0,
+    };
+    const row   = byReason[code];
+    const value = getEntryValue(entry);
+    row.entries += 1;
+    totals.entries += 1;
+    if (value < 0) {
+      row.lossValue    -= value;
+      totals.lossValue -= value;
+    } else {
+      row.gainValue    += value;
+      totals.gainValue += value;
+    }
+  }
+
+  const rows = Object.values(byReason)
+    .map((row) => ({ ...row, netValue: row.gainValue - row.lossValue }))
+    .sort((a, b) => a.netValue - b.netValue);
+
+  return { rows, totals: { ...totals, netValue: totals.gainValue - totals.lossValue } };
+};
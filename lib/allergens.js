@@ -0,0 +1,144 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Allergens — which of the major food allergens each ingredient contains or
+// may contain, and how those roll up through recipes to the finished goods
+// they make. No Firestore code lives here; ingredients carry the flags and
+// the pages pass ingredients and recipes in.
+//
+// An ingredient has two lists of ALLERGENS keys:
+//   allergens  — it contains these ("wheat" in flour)
+//   mayContain — cross-contact the supplier warns about ("treeNuts" in
+//                chocolate made on a line that also runs hazelnuts)
+// Ingredients added before allergen tracking have neither, which reads as
+// "nothing declared" — not as "allergen-free".
+//
+// A profile is { contains: [keys], mayContain: [keys] }, both in ALLERGENS
+// order, with anything a product contains left out of its mayContain.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { MAX_RECIPE_DEPTH, isSubRecipeLine } from "@/lib/recipes";
+
+// The major food allergens (the US "big 9"), in label order.
+export const ALLERGENS = [
+  { key: "milk",      label: "Milk"      },
+  { key: "eggs",      label: "Eggs"      },
+  { key: "fish",      label: "Fish"      },
+  { key: "shellfish", label: "Shellfish" },
+  { key: "treeNuts",  label: "Tree nuts" },
+  { key: "peanuts",   label: "Peanuts"   },
+  { key: "wheat",     label: "Wheat"     },
+  { key: "soy",       label: "Soy"       },
+  { key: "sesame",    label: "Sesame"    },
+];
+
+// "Tree nuts" for "treeNuts".
+export const getAllergenLabel = (key) => ALLERGENS.find((a) => a.key === key)?.label ?? key;
+
+// "Milk, Wheat" — or `empty` when there are none.
+export const formatAllergens = (keys, empty = "None") =>
+  keys?.length > 0 ? keys.map(getAllergenLabel).join(", ") : empty;
+
+// Sorts keys into ALLERGENS order and drops duplicates and unknown keys.
+const normalizeKeys = (keys) => ALLERGENS.map((a) => a.key).filter((key) => keys.has(key));
+
+// Builds a profile from two sets of keys.
+const toProfile = (contains, mayContain) => ({
+  contains:   normalizeKeys(contains),
+  mayContain: normalizeKeys(new Set([...mayContain].filter((key) => !contains.has(key)))),
+});
+
+// An ingredient's own profile.
+export const getIngredientAllergens = (ingredient) =>
+  toProfile(new Set(ingredient?.allergens ?? []), new Set(ingredient?.mayContain ?? []));
+
+// Adds the allergens behind every line of `recipe` to the two sets, following
+// sub-recipes down. Throws past MAX_RECIPE_DEPTH, like the costing helpers.
+const collectRecipeAllergens = (recipe, recipes, ingredients, contains, mayContain, depth) => {
+  if (depth > MAX_RECIPE_DEPTH) {
+    throw new Error(`Recipe "${recipe.name}" is nested more than ${MAX_RECIPE_DEPTH} levels deep.`);
+  }
+  for (const line of recipe.ingredients ?? []) {
+    if (isSubRecipeLine(line)) {
+      const sub = recipes.find((r) => r.id === line.subRecipeId);
+      if (sub) collectRecipeAllergens(sub, recipes, ingredients, contains, mayContain, depth + 1);
+      continue;
+    }
+    const ing = ingredients.find((i) => i.id === line.ingredientId);
+    (ing?.allergens ?? []).forEach((key) => contains.add(key));
+    (ing?.mayContain ?? []).forEach((key) => mayContain.add(key));
+  }
+};
+
+// Everything in `recipe`, sub-recipes included.
+export const getRecipeAllergens = (recipe, recipes, ingredients) => {
+  const contains   = new Set();
+  const mayContain = new Set();
+  collectRecipeAllergens(recipe, recipes, ingredients, contains, mayContain, 0);
+  return toProfile(contains, mayContain);
+};
+
+// A finished good's profile: everything in any active recipe that makes it,
+// since any of them could have made the one on the shelf. hasRecipe is false
+// for a finished good no recipe makes (bought in, or not set up yet) — its
+// profile is empty because nothing is known, not because it's safe.
+export const getFinishedGoodAllergens = (finishedGoodId, recipes, ingredients) => {
+  const contains   = new Set();
+  const mayContain = new Set();
+  const makers     = recipes.filter((r) => r.finishedGoodId === finishedGoodId);
+  for (const recipe of makers) {
+    collectRecipeAllergens(recipe, recipes, ingredients, contains, mayContain, 0);
+  }
+  return { ...toProfile(contains, mayContain), hasRecipe: makers.length > 0 };
+};
+
+// What changed between two profiles, for the warning shown when a recipe
+// edit changes a product's allergens. Returns
+//   { added, removed, mayContainAdded, mayContainRemoved }
+// or null when nothing changed.
+export const diffAllergenProfiles = (before, after) => {
+  const minus = (a, b) => a.filter((key) => !b.includes(key));
+  const diff = {
+    added:             minus(after.contains, before.contains),
+    removed:           minus(before.contains, after.contains),
+    mayContainAdded:   minus(after.mayContain, before.mayContain),
+    mayContainRemoved: minus(before.mayContain, after.mayContain),
+  };
+  return Object.values(diff).some((keys) => keys.length > 0) ? diff : null;
+};
+
+// One line describing a diff from diffAllergenProfiles:
+// "now contains Milk; may now contain Tree nuts".
+export const describeAllergenDiff = (diff) =>
+  [
+    diff.added.length             > 0 && `now contains ${formatAllergens(diff.added)}`,
+    diff.removed.length           > 0 && `no longer contains ${formatAllergens(diff.removed)}`,
+    diff.mayContainAdded.length   > 0 && `may now contain ${formatAllergens(diff.mayContainAdded)}`,
+    diff.mayContainRemoved.length > 0 && `no longer may contain ${formatAllergens(diff.mayContainRemoved)}`,
+  ].filter(Boolean).join("; ");
+
+// The finished goods whose allergens change if `recipesBefore` becomes
+// `recipesAfter` (one recipe edited or added). Returns
+//   [{ finishedGoodId, finishedGoodName, diff }]
+// Parent recipes are covered — a sub-recipe's new allergen reaches every
+// product that uses it. A product's first recipe isn't a change; it had no
+// profile to change from.
+export const getAllergenChanges = (recipesBefore, recipesAfter, ingredients) => {
+  const goods = new Map(
+    [...recipesBefore, ...recipesAfter].map((r) => [r.finishedGoodId, r.finishedGoodName])
+  );
+  const changes = [];
+  for (const [finishedGoodId, finishedGoodName] of goods) {
+    const before = getFinishedGoodAllergens(finishedGoodId, recipesBefore, ingredients);
+    if (!before.hasRecipe) continue;
+    const diff = diffAllergenProfiles(before, getFinishedGoodAllergens(finishedGoodId, recipesAfter, ingredients));
+    if (diff) changes.push({ finishedGoodId, finishedGoodName, diff });
+  }
+  return changes;
+};
+
+// A customer's declared allergies that a product contains or may contain:
+//   { contains: [keys], mayContain: [keys] } — both empty when it's safe as
+// far as the recorded data goes.
+export const getAllergyConflicts = (profile, declared) => ({
+  contains:   profile.contains.filter((key) => declared.includes(key)),
+  mayContain: profile.mayContain.filter((key) => declared.includes(key)),
+});
@@ -0,0 +1,124 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Baker's percentages and recipe scaling. No Firestore code lives here; the
+// recipes page uses these to show a recipe the way bakers think about it and
+// to build scaled copies.
+//
+// In baker's percentages every line is a percentage of the total flour
+// weight — flour is 100%, water at 70% is 700 g per kilo of flour. Lines are
+// weighed in grams through lib/units.js, so a line in cups or units needs
+// the ingredient's density or grams-per-each to take part.
+//
+// A line counts as flour when it's marked (line.isFlour), or, if it's never
+// been marked, when its ingredient's name or category contains "flour".
+// A sub-recipe line (a levain, say) is one line; the flour inside it isn't
+// added to the total.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { convertQuantity, roundQuantity } from "@/lib/units";
+import { isSubRecipeLine } from "@/lib/recipes";
+
+// Whether `line` is one of the recipe's flours.
+export const isFlourLine = (line, ingredients) => {
+  if (typeof line.isFlour === "boolean") return line.isFlour;
+  if (isSubRecipeLine(line)) return false;
+  const ing = ingredients.find((i) => i.id === line.ingredientId);
+  return /flour/i.test(`${ing?.name ?? line.ingredientName} ${ing?.category ?? ""}`);
+};
+
+// A line's weight in grams, or null when its unit has no weight — a volume
+// or count with no conversion factor on the ingredient.
+export const getLineGrams = (line, ingredients) => {
+  const ing = isSubRecipeLine(line) ? null : ingredients.find((i) => i.id === line.ingredientId);
+  return convertQuantity(line.quantity, line.unit, "g", ing);
+};
+
+// The inverse of getLineGrams: `grams` in the line's own unit, rounded.
+// Returns null when the unit can't be weighed.
+export const gramsToLineQuantity = (grams, line, ingredients) => {
+  const ing = isSubRecipeLine(line) ? null : ingredients.find((i) => i.id === line.ingredientId);
+  const quantity = convertQuantity(grams, "g", line.unit, ing);
+  return quantity === null ? null : roundQuantity(quantity);
+};
+
+// `recipe` in baker's percentages. Returns
+//   { flourGrams, totalGrams, rows: [{ line, grams, percent, isFlour }],
+//     unweighed }
+// percent is null for a line that can't be weighed, or for every line when
+// the recipe has no flour. unweighed counts the lines without a weight —
+// totalGrams leaves them out.
+export const getBakersPercentages = (recipe, ingredients) => {
+  const rows = (recipe.ingredients ?? []).map((line) => ({
+    line,
+    grams:   getLineGrams(line, ingredients),
+    isFlour: isFlourLine(line, ingredients),
+  }));
+
+  const flourGrams = rows
+    .filter((row) => row.isFlour && row.grams !== null)
+    .reduce((sum, row) => sum + row.grams, 0);
+  const totalGrams = rows
+    .filter((row) => row.grams !== null)
+    .reduce((sum, row) => sum + row.grams, 0);
+
+  return {
+    flourGrams,
+    totalGrams,
+    rows: rows.map((row) => ({
+      ...row,
+      percent: row.grams !== null && flourGrams > 0 ? (row.grams / flourGrams) * 100 : null,
+    })),
+    unweighed: rows.filter((row) => row.grams === null).length,
+  };
+};
+
+// Rebuilds a recipe's lines from baker's percentages.
+// `rows` is [{ line, percent, isFlour }] in recipe order; each line's
+// quantity becomes percent × flourGrams, back in the line's own unit. A row
+// whose percent is null (can't be weighed) keeps its quantity.
+// Every line is saved with isFlour, so the flour choice sticks.
+export const applyBakersPercentages = (rows, flourGrams, ingredients) =>
+  rows.map(({ line, percent, isFlour }) => {
+    if (percent === null) return { ...line, isFlour };
+    const quantity = gramsToLineQuantity((percent / 100) * flourGrams, line, ingredients);
+    return { ...line, quantity: quantity ?? line.quantity, isFlour };
+  });
+
+// The sum of the flour lines' percentages — must be 100 before saving.
+export const getFlourPercentTotal = (rows) =>
+  rows.filter((row) => row.isFlour && row.percent !== null).reduce((sum, row) => sum + row.percent, 0);
+
+// `recipe` multiplied by `factor`: every line and the yield. Sub-recipe lines
+// scale too — the work order explodes them into more sub-recipe batches.
+// `yieldQuantity` overrides the scaled yield, e.g. an exact piece count.
+export const scaleRecipe = (recipe, factor, yieldQuantity = null) => ({
+  ...recipe,
+  yieldQuantity: yieldQuantity ?? roundQuantity(recipe.yieldQuantity * factor),
+  ingredients:   (recipe.ingredients ?? []).map((line) => ({
+    ...line,
+    quantity: roundQuantity(line.quantity * factor),
+  })),
+});
+
+// The scaling factor and yield for a scaling `target`:
+//   { mode: "doughWeight", grams }                 — total dough weight
+//   { mode: "pieces", pieces, pieceGrams }         — pieces × weight each
+// Piece mode sets the yield to the piece count when the recipe yields a
+// count unit (units, dozen); otherwise the yield scales with the dough.
+// Returns { factor, yieldQuantity } or null when the target or the recipe's
+// weight can't be worked out.
+export const getScaleTarget = (recipe, ingredients, target) => {
+  const { totalGrams } = getBakersPercentages(recipe, ingredients);
+  if (totalGrams <= 0) return null;
+
+  if (target.mode === "doughWeight") {
+    if (!(target.grams > 0)) return null;
+    return { factor: target.grams / totalGrams, yieldQuantity: null };
+  }
+
+  if (!(target.pieces > 0) || !(target.pieceGrams > 0)) return null;
+  const pieceYield = convertQuantity(target.pieces, "units", recipe.yieldUnit);
+  return {
+    factor:        (target.pieces * target.pieceGrams) / totalGrams,
+    yieldQuantity: pieceYield === null ? null : roundQuantity(pieceYield),
+  };
+};
@@ -0,0 +1,39 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Server-only Firebase setup for API routes. The app's pages talk to Firebase
+// from the browser (lib/firebase.js); an API route runs on the server and has
+// to check for itself that the request came from a signed-in user.
+//
+// Verifying an ID token only needs the project ID — the Admin SDK checks the
+// token's signature against Google's public keys. Reading and writing
+// Firestore (adminDb) needs a service account: point
+// GOOGLE_APPLICATION_CREDENTIALS in .env.local at its JSON key file, or run
+// somewhere with Google application default credentials. Admin access skips
+// the security rules, so routes must check the caller themselves.
+// Never import this file from a "use client" page.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { getApps, initializeApp } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore } from "firebase-admin/firestore";
+
+// Next.js can load this module more than once in development, and
+// initializeApp throws if the default app already exists.
+const adminApp = getApps()[0] ?? initializeApp({
+  projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+});
+
+// Server-side Firestore, for routes that must not trust what the browser
+// sends (see app/api/purchase-orders/send).
+export const adminDb = getFirestore(adminApp);
+
+// Reads the "Authorization: Bearer <ID token>" header sent by the page and
+// returns the decoded token ({ uid, email, ... }).
+// Throws if the header is missing or the token is invalid or expired.
+export const verifyRequestUser = async (request) => {
+  const header = request.headers.get("authorization") ?? "";
+  const token  = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!token) {
+    throw new Error("Missing sign-in token.");
+  }
+  return getAuth(adminApp).verifyIdToken(token);
+};
@@ -18,6 +18,8 @@ import { db } from "@/lib/firebase";
 // - updateDoc:  updates specific fields in an existing document
 // - deleteDoc:  permanently deletes a document
 // - serverTimestamp: records the exact server time when a write happens
+// - where:     filters a query to documents whose field matches a value
+// - runTransaction: read-then-write that retries if another client got there first
 import {
   collection,
   doc,
@@ -32,8 +34,130 @@ import {
   orderBy,
   writeBatch,
   increment,
+  where,
+  runTransaction,
 } from "firebase/firestore";
 
+// Shared multi-level recipe helpers (pure functions, no Firestore).
+import {
+  isSubRecipeLine,
+  getSubRecipeBatches,
+  MAX_RECIPE_DEPTH,
+  getRecipeSnapshot,
+  diffRecipeVersions,
+  getMethodDueBy,
+  getMethodStart,
+} from "@/lib/recipes";
+// Unit conversion — recipe units don't have to match the stock unit.
+import { toStockUnit, convertQuantity, incompatibleUnitMessage, roundQuantity } from "@/lib/units";
+// Invoice matching — price variance and weighted-average cost on receipt.
+import { hasPriceVariance, getWeightedAverageCost } from "@/lib/purchasing";
+// Stock already claimed by unrun work orders — used by the sufficiency check.
+import { getAllocatedQuantities } from "@/lib/inventory";
+// Count sheet lines and variances — shared with the counts page.
+import { buildCountLines, getCountLineVariance, summarizeCount } from "@/lib/stockCounts";
+// The reason codes a new bakery starts with — part of DEFAULT_SETTINGS.
+import { DEFAULT_ADJUSTMENT_REASONS, ADJUSTMENT_REPORT_TYPES } from "@/lib/adjustments";
+// Which storage locations a movement draws from or lands in.
+import { getLocationDeltas, getLocationQuantity, UNASSIGNED_LOCATION } from "@/lib/locations";
+// Which site's stock a movement changes, and what each site can see.
+import { getMainSite, belongsToSite, getSiteStockKey, getSiteQuantity, scopeItemToSite } from "@/lib/sites";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DOCUMENT NUMBERS
+// Purchase orders, work orders, special orders, stock counts and transfer
+// orders get a human-readable number on creation ("PO-2026-0042") that staff
+// can read over the phone. Each prefix has one counter document per year at
+// counters/{PREFIX}-{YEAR}, holding the next number to hand out, so numbering
+// restarts at 0001 every January.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PURCHASE_ORDER_PREFIX = "PO";
+const WORK_ORDER_PREFIX     = "WO";
+const SPECIAL_ORDER_PREFIX  = "SO";
+const STOCK_COUNT_PREFIX    = "CNT";
+const TRANSFER_ORDER_PREFIX = "TO";
+
+// Reserves `count` consecutive numbers for `prefix` and returns them formatted,
+// e.g. ["WO-2026-0007", "WO-2026-0008"].
+// The read and increment run in a transaction, so two bakers creating orders at
+// the same moment can never get the same number — Firestore retries the loser.
+//
+// Numbers are reserved before the document itself is written (a transaction
+// can't be combined with the write batches used elsewhere in this file). If
+// that later write fails, the reserved numbers are simply skipped — a gap in
+// the sequence, never a duplicate.
+export const reserveDocumentNumbers = async (prefix, count = 1) => {
+  const year       = new Date().getFullYear();
+  const counterRef = doc(db, "counters", `${prefix}-${year}`);
+
+  const first = await runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(counterRef);
+    const next     = snapshot.exists() ? snapshot.data().next : 1;
+
+    transaction.set(counterRef, {
+      prefix,
+      year,
+      next:      next + count,
+      updatedAt: serverTimestamp(),
+    });
+
+    return next;
+  });
+
+  return Array.from({ length: count }, (_, i) =>
+    `${prefix}-${year}-${String(first + i).padStart(4, "0")}`
+  );
+};
+
+// Gives every work order in `writes` (an array of { ref, data }) a
+// workOrderNumber from one reserved block, in the order they were built —
+// so a parent is always numbered just before its sub-recipe orders.
+const assignWorkOrderNumbers = async (writes) => {
+  if (writes.length === 0) return;
+  const numbers = await reserveDocumentNumbers(WORK_ORDER_PREFIX, writes.length);
+  writes.forEach((write, i) => {
+    write.data.workOrderNumber = numbers[i];
+  });
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SITE-SCOPED READS
+// Work orders, sales, end-of-day records, stock counts and storage locations
+// carry the siteId of the site they belong to. Records without one belong to
+// the main site (see lib/sites.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+// A field value Firestore would sort by — Timestamps compare by time.
+const getSortValue = (value) => value?.toMillis?.() ?? value ?? "";
+
+// Fetches the documents in `collectionName` that belong to `site` (null = all),
+// sorted by `field` ("asc" | "desc").
+// Any site but the main one is a where() query on siteId, sorted in JavaScript
+// — a where() plus an orderBy on another field would need a composite index.
+// The main site's records include those written before sites existed, which
+// have no siteId for a where() to match, so they're filtered here instead.
+const getSiteRecords = async (collectionName, site, field, direction = "asc") => {
+  const ref = collection(db, collectionName);
+
+  if (site && !site.isMain) {
+    const snapshot = await getDocs(query(ref, where("siteId", "==", site.id)));
+    const sign     = direction === "desc" ? -1 : 1;
+    return snapshot.docs
+      .map((document) => ({ id: document.id, ...document.data() }))
+      .sort((a, b) => {
+        const x = getSortValue(a[field]);
+        const y = getSortValue(b[field]);
+        return (x < y ? -1 : x > y ? 1 : 0) * sign;
+      });
+  }
+
+  const snapshot = await getDocs(query(ref, orderBy(field, direction)));
+  return snapshot.docs
+    .map((document) => ({ id: document.id, ...document.data() }))
+    .filter((record) => belongsToSite(record, site));
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // INGREDIENTS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -42,7 +166,9 @@ import {
 // Firestore documents don't include their own ID in the data, so we manually
 // attach it to each item as we loop through — you'll need the ID later to
 // update or delete a specific ingredient.
-export const getIngredients = async () => {
+// With a `site`, each ingredient is returned as that site sees it —
+// currentStock is the site's quantity (see scopeStockToSite).
+export const getIngredients = async (site = null) => {
   // Get a reference to the "ingredients" collection in Firestore
   const ingredientsRef = collection(db, "ingredients");
 
@@ -59,23 +185,19 @@ export const getIngredients = async () => {
   }));
 
   console.log(`Fetched ${ingredients.length} ingredients`);
-  return ingredients;
+  return scopeStockToSite(ingredients, site);
 };
 
 // Adds a new ingredient document to the database.
 // `data` should be an object with fields like: { name, unit, currentStock, lowStockThreshold }
 // We automatically add an `updatedAt` timestamp so we know when it was created.
 // Returns the new document reference, which includes the auto-generated ID.
-export const addIngredient = async (data) => {
-  // Get a reference to the "ingredients" collection
-  const ingredientsRef = collection(db, "ingredients");
-
-  // Write a new document. Firebase auto-generates a unique ID for it.
-  // We spread in the data the caller passed, then add our timestamp on top.
-  const docRef = await addDoc(ingredientsRef, {
-    ...data,
-    updatedAt: serverTimestamp(), // set by the server, not the browser clock
-  });
+// Any starting stock is logged as an "opening" inventory transaction, at
+// `site` if one is given.
+export const addIngredient = async (data, currentUserEmail = "", site = null) => {
+  // Firebase auto-generates a unique ID for the new document; the data the
+  // caller passed is written with our timestamp on top (see addStockedItem).
+  const docRef = await addStockedItem("ingredient", data, currentUserEmail, site);
 
   console.log(`Added ingredient with ID: ${docRef.id}`);
   return docRef;
@@ -85,18 +207,11 @@ export const addIngredient = async (data) => {
 // `id` is the Firestore document ID (e.g. "abc123").
 // `newStock` is the updated quantity as a number (e.g. 14.5).
 // Only `currentStock` and `updatedAt` are changed — all other fields stay the same.
-export const updateIngredientStock = async (id, newStock) => {
-  // `doc(db, "ingredients", id)` builds a reference to the exact document we want.
-  // It's like saying: in this database, in the ingredients collection, find the
-  // document with this specific ID.
-  const ingredientRef = doc(db, "ingredients", id);
-
-  // `updateDoc` only writes the fields we specify — it won't touch the rest.
-  // This is different from "setDoc with merge: false" which would overwrite everything.
-  await updateDoc(ingredientRef, {
-    currentStock: newStock,
-    updatedAt: serverTimestamp(),
-  });
+// The difference from the old level is logged as an "adjustment" inventory
+// transaction in the same batch (see updateStockedItem). With a `site`,
+// newStock is that site's quantity.
+export const updateIngredientStock = async (id, newStock, currentUserEmail = "", site = null) => {
+  await updateStockedItem("ingredient", id, { currentStock: newStock }, currentUserEmail, site);
 
   console.log(`Updated stock for ingredient ${id} to ${newStock}`);
 };
@@ -105,14 +220,10 @@ export const updateIngredientStock = async (id, newStock) => {
 // `id` is the Firestore document ID.
 // `data` is an object with the fields to update: { name, unit, currentStock, lowStockThreshold }
 // Unlike updateIngredientStock (which only touches stock), this function
-// can update any combination of fields in one write.
-export const updateIngredient = async (id, data) => {
-  const ingredientRef = doc(db, "ingredients", id);
-
-  await updateDoc(ingredientRef, {
-    ...data,
-    updatedAt: serverTimestamp(),
-  });
+// can update any combination of fields in one write. A changed currentStock
+// is logged as an "adjustment" inventory transaction — at `site`, if given.
+export const updateIngredient = async (id, data, currentUserEmail = "", site = null) => {
+  await updateStockedItem("ingredient", id, data, currentUserEmail, site);
 
   console.log(`Updated ingredient ${id}`, data);
 };
@@ -130,12 +241,596 @@ export const deleteIngredient = async (id) => {
   console.log(`Deleted ingredient ${id}`);
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// INGREDIENT PRICE HISTORY
+// updateIngredient and PO receipts overwrite costPerUnit, so every change is
+// also written to ingredientPrices — one document per price point:
+//   { ingredientId, ingredientName, unit, costPerUnit, previousCost, source,
+//     sourceId, sourceNumber, createdBy, createdAt }
+//   source       — "initial" (the cost an ingredient was added with),
+//                  "manual" (an edit on the ingredients page) or
+//                  "purchaseReceipt" (a PO delivery, per its costMethod)
+//   previousCost — the cost being replaced; null for "initial"
+// Points are written in the same batch (or transaction) as the change itself.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Queues a price point on `batch` (a transaction works too). `point` is the
+// document above, less createdAt; sourceId, sourceNumber and createdBy are
+// optional.
+const stagePricePoint = (batch, point) => {
+  batch.set(doc(collection(db, "ingredientPrices")), {
+    ingredientId:   point.ingredientId,
+    ingredientName: point.ingredientName ?? "",
+    unit:           point.unit           ?? "",
+    costPerUnit:    point.costPerUnit,
+    previousCost:   point.previousCost   ?? null,
+    source:         point.source,
+    sourceId:       point.sourceId       ?? "",
+    sourceNumber:   point.sourceNumber   ?? "",
+    createdBy:      point.createdBy      ?? "",
+    createdAt:      serverTimestamp(),
+  });
+};
+
+// Fetches one ingredient's price history, oldest first.
+// Filtered on ingredientId only and sorted in JavaScript — an orderBy as well
+// would need a composite index (same reasoning as getInventoryTransactions).
+export const getIngredientPriceHistory = async (ingredientId) => {
+  const q = query(collection(db, "ingredientPrices"), where("ingredientId", "==", ingredientId));
+  const snapshot = await getDocs(q);
+
+  const points = snapshot.docs
+    .map((document) => ({ id: document.id, ...document.data() }))
+    .sort((a, b) => (a.createdAt?.toMillis?.() ?? 0) - (b.createdAt?.toMillis?.() ?? 0));
+
+  console.log(`Fetched ${points.length} price points for ingredient ${ingredientId}`);
+  return points;
+};
+
+// Fetches every ingredient's price history, oldest first — the costing page
+// works out what each recipe cost at the start of a period from it.
+export const getAllPriceHistory = async () => {
+  const q = query(collection(db, "ingredientPrices"), orderBy("createdAt", "asc"));
+  const snapshot = await getDocs(q);
+
+  const points = snapshot.docs.map((document) => ({ id: document.id, ...document.data() }));
+
+  console.log(`Fetched ${points.length} price points`);
+  return points;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INGREDIENT LOTS
+// Every receipt of an ingredient (a restock or a PO delivery) creates one lot
+// document: { ingredientId, ingredientName, unit, lotCode, receivedDate,
+// bestBefore, quantityReceived, quantityRemaining, source, sourceId }.
+// The ingredient's currentStock stays the authoritative total — lots explain
+// *which* deliveries that stock came from so production can use them FIFO.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Returns today's date as "YYYY-MM-DD" using local time.
+// We avoid toISOString() because it converts to UTC first and can roll the
+// date forward or back a day depending on the timezone.
+const getTodayStr = () => {
+  const now = new Date();
+  return [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, "0"),
+    String(now.getDate()).padStart(2, "0"),
+  ].join("-");
+};
+
+// Builds the document for a new lot. Not exported — lots are only ever created
+// inside the batch of the receipt that produced them (see addRestockingRecord
+// and receivePurchaseOrder), or of a stock count that found more than the
+// lots held (postStockCount), never on their own.
+// When the user leaves the lot code blank we generate one from the received
+// date and the first characters of the new document ID, e.g. "20260226-K3FQ".
+// `site` is where the stock arrived (null = the main site, or no sites set
+// up); only that site's movements draw the lot down.
+const buildLotData = (lotRef, { ingredientId, ingredientName, unit, quantity, lotCode, bestBefore, source, sourceId, site = null }) => {
+  const receivedDate = getTodayStr();
+  return {
+    ingredientId,
+    ingredientName:    ingredientName ?? "",
+    unit:              unit ?? "",
+    lotCode:           lotCode?.trim() || `${receivedDate.replaceAll("-", "")}-${lotRef.id.slice(0, 4).toUpperCase()}`,
+    receivedDate,
+    bestBefore:        bestBefore || "",   // "YYYY-MM-DD" or "" when unknown
+    quantityReceived:  quantity,
+    quantityRemaining: quantity,
+    source,                                // "restock" | "purchaseOrder" | "count"
+    sourceId:          sourceId ?? "",     // restocking record, PO or stock count document ID
+    siteId:            site?.id ?? "",     // see belongsToSite
+    createdAt:         serverTimestamp(),
+  };
+};
+
+// Fetches every lot, oldest received first.
+// Includes fully consumed lots (quantityRemaining === 0) so history pages can
+// show them — the ingredients page filters those out itself.
+export const getIngredientLots = async () => {
+  const ref = collection(db, "ingredientLots");
+  const q   = query(ref, orderBy("receivedDate", "asc"));
+  const snapshot = await getDocs(q);
+
+  const lots = snapshot.docs.map((document) => ({
+    id: document.id,
+    ...document.data(),
+  }));
+
+  console.log(`Fetched ${lots.length} ingredient lots`);
+  return lots;
+};
+
+// Fetches the lots of one ingredient that still have stock left, oldest first.
+// We filter on ingredientId only and sort in JavaScript — adding an orderBy on
+// a different field would require a composite index (same reasoning as getRecipes).
+// Lots received on the same day fall back to creation time so the order is stable.
+// With a `site`, only that site's lots are returned — stock used at one site
+// can't come out of a lot sitting at another.
+const getOpenLotsForIngredient = async (ingredientId, site = null) => {
+  const q = query(collection(db, "ingredientLots"), where("ingredientId", "==", ingredientId));
+  const snapshot = await getDocs(q);
+
+  return snapshot.docs
+    .map((document) => ({ id: document.id, ...document.data() }))
+    .filter((lot) => lot.quantityRemaining > 0 && belongsToSite(lot, site))
+    .sort((a, b) =>
+      a.receivedDate.localeCompare(b.receivedDate) ||
+      (a.createdAt?.toMillis?.() ?? 0) - (b.createdAt?.toMillis?.() ?? 0)
+    );
+};
+
+// Splits `quantity` across `lots` (already sorted oldest-first), taking as much
+// as possible from each lot before moving to the next one.
+// Returns { allocations: [{ lotId, lotCode, quantity }], unallocated } where
+// `unallocated` is whatever the lots couldn't cover — usually stock that was
+// entered before lot tracking existed.
+const allocateFifo = (lots, quantity) => {
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const take = Math.min(lot.quantityRemaining, remaining);
+    allocations.push({ lotId: lot.id, lotCode: lot.lotCode, quantity: take });
+    remaining -= take;
+  }
+
+  return { allocations, unallocated: Math.max(0, remaining) };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// INVENTORY TRANSACTIONS
+// An append-only ledger with one entry per stock movement, written in the same
+// batch as the currentStock change it records — so the ledger and the stock
+// level can never disagree about whether a movement happened.
+//
+// Entry shape:
+//   { type, itemType, itemId, itemName, unit, delta, balanceAfter, siteId,
+//     locationDeltas, unitCost, sourceType, sourceId, sourceNumber, reasonCode, notes,
+//     createdBy, createdAt }
+//   type         — what moved the stock (see INVENTORY_TRANSACTION_TYPES)
+//   itemType     — "ingredient" | "finishedGood"
+//   delta        — signed change, in the item's stock unit
+//   balanceAfter — currentStock after the movement (the all-sites total)
+//   siteId       — the site whose stock moved; "" when no site was given,
+//                  which is the main site (see lib/sites.js)
+//   locationDeltas — { [locationId]: delta }, how the movement split across
+//                  storage locations (see lib/locations.js); {} if none
+//   unitCost     — cost of one stock unit when the movement was written, so
+//                  reports value it at the price of the day. Defaults to the
+//                  ingredient's costPerUnit; finished goods have none, so
+//                  adjustments pass in their recipe cost.
+//   sourceType / sourceId / sourceNumber — the document behind the movement,
+//                  e.g. "workOrder" / its ID / "WO-2026-0007"
+//   reasonCode   — why stock was adjusted, one of settings.adjustmentReasons
+//                  (adjustments and counts; "" otherwise)
+//
+// A batch can't read, so balanceAfter is worked out from a read taken just
+// before the batch (readStockBalances). currentStock itself is still moved
+// with increment(), so it stays exact; only a balanceAfter written at the
+// same instant as another movement of the same item can be off. Movements
+// staged in a transaction (receiving a PO, returning to a vendor) read their
+// balances through it instead, so theirs are exact.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Every ledger entry type, with the label the history views show.
+export const INVENTORY_TRANSACTION_TYPES = {
+  opening:           "Opening balance",
+  adjustment:        "Manual adjustment",
+  restock:           "Restock",
+  productionUse:     "Used in production",
+  productionOutput:  "Produced",
+  sale:              "Sale",
+  purchaseReceipt:   "PO receipt",
+  vendorReturn:      "Returned to vendor",
+  writeOff:          "End-of-day write-off",
+  dayOldTransfer:    "Day-old transfer",
+  count:             "Stock count",
+  transfer:          "Location transfer",
+  transferOut:       "Shipped to site",
+  transferIn:        "Received from site",
+};
+
+// The collection each itemType's stock lives in.
+const STOCK_COLLECTIONS = {
+  ingredient:   "ingredients",
+  finishedGood: "finishedGoods",
+};
+
+// "ingredients/abc123" — the key readStockBalances and stageStockMovement share.
+const getStockPath = (itemType, itemId) => `${STOCK_COLLECTIONS[itemType]}/${itemId}`;
+
+// Reads the current stock, name and unit of every item a batch is about to
+// move, in parallel. `items` is [{ itemType, itemId }]; duplicates are read once.
+// `site` is where the movements happen (null = the main site, or no sites set
+// up); the storage locations are read with it so stock is only picked from
+// that site's locations. Pass `transaction` to read the items through it —
+// the transaction then retries if any of them moves before it commits.
+// Returns { [stockPath]: { currentStock, name, unit, costPerUnit,
+//                          locationStock, defaultLocationId, siteStock,
+//                          site, locations } }.
+const readStockBalances = async (items, site = null, transaction = null) => {
+  const paths = [...new Set(items.map(({ itemType, itemId }) => getStockPath(itemType, itemId)))];
+  const [snapshots, locations] = await Promise.all([
+    Promise.all(paths.map((path) => (transaction ? transaction.get(doc(db, path)) : getDoc(doc(db, path))))),
+    site ? getStorageLocations() : [],
+  ]);
+
+  const balances = {};
+  paths.forEach((path, i) => {
+    const data = snapshots[i].exists() ? snapshots[i].data() : {};
+    balances[path] = {
+      currentStock: data.currentStock ?? 0,
+      name:         data.name         ?? "",
+      unit:         data.unit         ?? "",
+      costPerUnit:  data.costPerUnit  ?? 0,
+      // Copied, because stageStockMovement updates it as movements chain.
+      locationStock:     { ...(data.locationStock ?? {}) },
+      defaultLocationId: data.defaultLocationId ?? "",
+      siteStock:         { ...(data.siteStock ?? {}) },
+      site,
+      locations,
+    };
+  });
+  return balances;
+};
+
+// Returns `items` (ingredients or finished goods) as `site` sees them, for the
+// site-scoped reads. Reads the storage locations to tell which balances are
+// at the site. Without a site, the items come back untouched.
+const scopeStockToSite = async (items, site) => {
+  if (!site) return items;
+  const locations = await getStorageLocations();
+  return items.map((item) => scopeItemToSite(item, site, locations));
+};
+
+// The balance as the movement's site sees it — see scopeItemToSite.
+const getSiteBalance = (balance) => scopeItemToSite(balance, balance.site ?? null, balance.locations ?? []);
+
+// Queues one stock movement on `batch` (or a transaction, which has the same
+// set/update API): the increment() on the item and its ledger entry.
+// `balances` comes from readStockBalances and is updated here,
+// so several movements of one item in the same batch chain their balances.
+//
+// `movement`: { type, itemType, itemId, delta, sourceType, sourceId,
+//               sourceNumber, reasonCode, notes, createdBy } — itemName, unit
+// and unitCost are optional; they default to what readStockBalances found.
+// `movement.locationDeltas` says which storage locations move; without it,
+// stock comes out of the locations getLocationDeltas picks and goes into the
+// item's default location — both limited to the balance's site.
+// A movement at any site but the main one also moves that site's siteStock.
+// `itemUpdate` is merged into the item's update, e.g. a new costPerUnit, or
+// an absolute currentStock for a brand-new item.
+const stageStockMovement = (batch, balances, movement, itemUpdate = {}) => {
+  const path    = getStockPath(movement.itemType, movement.itemId);
+  const balance = balances[path] ?? { currentStock: 0, name: "", unit: "", costPerUnit: 0 };
+  balance.locationStock ??= {};
+  balance.siteStock     ??= {};
+
+  // Worked out before currentStock moves — unassigned stock is the difference.
+  const locationDeltas  = movement.locationDeltas ?? getLocationDeltas(getSiteBalance(balance), movement.delta);
+  const locationUpdates = {};
+  for (const [locationId, delta] of Object.entries(locationDeltas)) {
+    balance.locationStock[locationId] = (balance.locationStock[locationId] ?? 0) + delta;
+    locationUpdates[`locationStock.${locationId}`] = increment(delta);
+  }
+
+  const siteKey     = getSiteStockKey(balance.site);
+  const siteUpdates = {};
+  if (siteKey && movement.delta !== 0) {
+    balance.siteStock[siteKey] = (balance.siteStock[siteKey] ?? 0) + movement.delta;
+    siteUpdates[`siteStock.${siteKey}`] = increment(movement.delta);
+  }
+
+  balance.currentStock += movement.delta;
+  balances[path] = balance;
+
+  batch.update(doc(db, path), {
+    currentStock: increment(movement.delta),
+    ...locationUpdates,
+    ...siteUpdates,
+    updatedAt:    serverTimestamp(),
+    ...itemUpdate,
+  });
+
+  const entryRef = doc(collection(db, "inventoryTransactions"));
+  batch.set(entryRef, {
+    type:           movement.type,
+    itemType:       movement.itemType,
+    itemId:         movement.itemId,
+    itemName:       movement.itemName || balance.name,
+    unit:           movement.unit || balance.unit,
+    delta:          movement.delta,
+    balanceAfter:   balance.currentStock,
+    siteId:         balance.site?.id ?? "",
+    locationDeltas,
+    unitCost:       movement.unitCost ?? balance.costPerUnit ?? 0,
+    sourceType:     movement.sourceType   ?? "",
+    sourceId:       movement.sourceId     ?? "",
+    sourceNumber:   movement.sourceNumber ?? "",
+    reasonCode:     movement.reasonCode   ?? "",
+    notes:          movement.notes        ?? "",
+    createdBy:      movement.createdBy    ?? "",
+    createdAt:      serverTimestamp(),
+  });
+};
+
+// Fetches one item's ledger, newest first.
+// Filtered on itemId only and sorted in JavaScript — an orderBy on createdAt
+// as well would need a composite index (same reasoning as getRecipes).
+export const getInventoryTransactions = async (itemType, itemId) => {
+  const q = query(collection(db, "inventoryTransactions"), where("itemId", "==", itemId));
+  const snapshot = await getDocs(q);
+
+  const entries = snapshot.docs
+    .map((document) => ({ id: document.id, ...document.data() }))
+    .filter((entry) => entry.itemType === itemType)
+    .sort((a, b) => (b.createdAt?.toMillis?.() ?? 0) - (a.createdAt?.toMillis?.() ?? 0));
+
+  console.log(`Fetched ${entries.length} inventory transactions for ${itemType} ${itemId}`);
+  return entries;
+};
+
+// Fetches the adjustment and count entries written between `start` (inclusive)
+// and `end` (exclusive), newest first — the monthly adjustments report.
+// With a `site`, only that site's entries are returned.
+// A range and orderBy on the same field need no composite index; the type
+// and site filters are applied in JavaScript.
+export const getAdjustmentTransactions = async (start, end, site = null) => {
+  const q = query(
+    collection(db, "inventoryTransactions"),
+    where("createdAt", ">=", start),
+    where("createdAt", "<", end),
+    orderBy("createdAt", "desc")
+  );
+  const snapshot = await getDocs(q);
+
+  const entries = snapshot.docs
+    .map((document) => ({ id: document.id, ...document.data() }))
+    .filter((entry) => ADJUSTMENT_REPORT_TYPES.includes(entry.type) && belongsToSite(entry, site));
+
+  console.log(`Fetched ${entries.length} adjustment transactions`);
+  return entries;
+};
+
+// Fetches every ledger entry written at or after `since` — the valuation
+// report takes these back off current stock to value a past date.
+// With a `site`, only that site's entries are returned (filtered in JavaScript).
+export const getInventoryTransactionsSince = async (since, site = null) => {
+  const q = query(
+    collection(db, "inventoryTransactions"),
+    where("createdAt", ">=", since),
+    orderBy("createdAt", "asc")
+  );
+  const snapshot = await getDocs(q);
+
+  const entries = snapshot.docs
+    .map((document) => ({ id: document.id, ...document.data() }))
+    .filter((entry) => belongsToSite(entry, site));
+
+  console.log(`Fetched ${entries.length} inventory transactions since ${since.toDateString()}`);
+  return entries;
+};
+
+// Adjusts an ingredient's or finished good's stock for a reason — a spill, a
+// dropped tray, samples for tasting — and logs it as an "adjustment" entry.
+// `adjustment`: { itemType, itemId, delta, reasonCode, unitCost, notes }
+//   delta    — signed, in the item's stock unit; negative removes stock
+//   unitCost — optional; ingredients default to their costPerUnit
+// `site` is the site whose stock is adjusted (null = the main site).
+// Ingredient stock taken away also comes out of the ingredient's open lots,
+// oldest first — the same order production uses them — so discarded stock
+// isn't later traced into production. Stock added isn't given a lot.
+// Throws if the delta is zero or no reason is given.
+export const adjustStock = async (adjustment, currentUserEmail, site = null) => {
+  if (!adjustment.delta) {
+    throw new Error("Enter a quantity to adjust by.");
+  }
+  if (!adjustment.reasonCode) {
+    throw new Error("Choose a reason for the adjustment.");
+  }
+
+  const { itemType, itemId } = adjustment;
+  const drawsLots = itemType === "ingredient" && adjustment.delta < 0;
+  const [balances, lotPlan] = await Promise.all([
+    readStockBalances([{ itemType, itemId }], site),
+    drawsLots ? getOpenLotsForIngredient(itemId, site).then((lots) => allocateFifo(lots, -adjustment.delta)) : null,
+  ]);
+
+  const batch = writeBatch(db);
+  stageStockMovement(batch, balances, {
+    type:       "adjustment",
+    itemType,
+    itemId,
+    delta:      adjustment.delta,
+    unitCost:   adjustment.unitCost,
+    reasonCode: adjustment.reasonCode,
+    notes:      adjustment.notes ?? "",
+    createdBy:  currentUserEmail,
+  });
+  for (const allocation of lotPlan?.allocations ?? []) {
+    batch.update(doc(db, "ingredientLots", allocation.lotId), {
+      quantityRemaining: increment(-allocation.quantity),
+    });
+  }
+  await batch.commit();
+
+  console.log(`Adjusted ${itemType} ${itemId} by ${adjustment.delta} (${adjustment.reasonCode})`);
+};
+
+// Moves stock of one item between storage locations — currentStock doesn't
+// change, so the ledger entry has a delta of 0 and the move in locationDeltas.
+// `transfer`: { itemType, itemId, fromLocationId, toLocationId, quantity,
+//               fromName, toName, notes }
+//   fromLocationId — "" moves unassigned stock into a location
+//   fromName / toName — for the entry's notes, e.g. "Dry storage → Freezer"
+// Both locations are at `site`; unassigned stock means unassigned there.
+// Throws if the locations are the same or the source doesn't hold enough.
+export const transferStock = async (transfer, currentUserEmail, site = null) => {
+  const { itemType, itemId, fromLocationId, toLocationId, quantity } = transfer;
+
+  if (!(quantity > 0)) {
+    throw new Error("Enter a quantity to transfer.");
+  }
+  if (!toLocationId || fromLocationId === toLocationId) {
+    throw new Error("Choose a different location to transfer to.");
+  }
+
+  const balances  = await readStockBalances([{ itemType, itemId }], site);
+  const balance   = balances[getStockPath(itemType, itemId)];
+  const available = getLocationQuantity(getSiteBalance(balance), fromLocationId);
+  if (quantity > available) {
+    throw new Error(`Only ${available} ${balance.unit} of ${balance.name} is in ${transfer.fromName || "that location"}.`);
+  }
+
+  const locationDeltas = { [toLocationId]: quantity };
+  if (fromLocationId !== UNASSIGNED_LOCATION) locationDeltas[fromLocationId] = -quantity;
+
+  const batch = writeBatch(db);
+  stageStockMovement(batch, balances, {
+    type:      "transfer",
+    itemType,
+    itemId,
+    delta:     0,
+    locationDeltas,
+    notes:     [`${quantity} ${balance.unit}: ${transfer.fromName} → ${transfer.toName}`, transfer.notes]
+      .filter(Boolean).join(" — "),
+    createdBy: currentUserEmail,
+  });
+  await batch.commit();
+
+  console.log(`Transferred ${quantity} of ${itemType} ${itemId} to location ${toLocationId}`);
+};
+
+// Creates an ingredient or finished good, with an "opening" ledger entry when
+// it starts with stock — at `site`, if given. An ingredient added with a cost
+// gets its "initial" price point. Shared by addIngredient and addFinishedGood.
+const addStockedItem = async (itemType, data, currentUserEmail, site = null) => {
+  const itemRef = doc(collection(db, STOCK_COLLECTIONS[itemType]));
+  const batch   = writeBatch(db);
+
+  batch.set(itemRef, {
+    ...data,
+    updatedAt: serverTimestamp(), // set by the server, not the browser clock
+  });
+
+  if (itemType === "ingredient" && data.costPerUnit > 0) {
+    stagePricePoint(batch, {
+      ingredientId:   itemRef.id,
+      ingredientName: data.name,
+      unit:           data.unit,
+      costPerUnit:    data.costPerUnit,
+      source:         "initial",
+      createdBy:      currentUserEmail,
+    });
+  }
+
+  if (data.currentStock > 0) {
+    // The item was just set with its stock, so the movement writes the same
+    // absolute value rather than incrementing it a second time.
+    // It lands in the item's default location, if one was chosen at this site.
+    const balances = {
+      [getStockPath(itemType, itemRef.id)]: {
+        currentStock:      0,
+        name:              data.name,
+        unit:              data.unit,
+        costPerUnit:       data.costPerUnit ?? 0,
+        defaultLocationId: data.defaultLocationId ?? "",
+        site,
+        locations:         site ? await getStorageLocations() : [],
+      },
+    };
+    stageStockMovement(batch, balances, {
+      type:      "opening",
+      itemType,
+      itemId:    itemRef.id,
+      delta:     data.currentStock,
+      createdBy: currentUserEmail,
+    }, { currentStock: data.currentStock });
+  }
+
+  await batch.commit();
+  return itemRef;
+};
+
+// Updates an ingredient or finished good. When `data` changes currentStock
+// (an edit on the ingredients or finished goods page), the difference is
+// recorded as an "adjustment" in the same batch, and a changed ingredient
+// costPerUnit gets a "manual" price point. Shared by updateIngredient,
+// updateIngredientStock and updateFinishedGood.
+// With a `site`, data.currentStock is that site's quantity, as the page showed
+// it — so it's applied as a change, never written as the item's total.
+const updateStockedItem = async (itemType, id, data, currentUserEmail, site = null) => {
+  const path     = getStockPath(itemType, id);
+  const balances = await readStockBalances([{ itemType, itemId: id }], site);
+  const balance  = balances[path];
+  const batch    = writeBatch(db);
+
+  if (itemType === "ingredient" && data.costPerUnit !== undefined && data.costPerUnit !== balance.costPerUnit) {
+    stagePricePoint(batch, {
+      ingredientId:   id,
+      ingredientName: data.name ?? balance.name,
+      unit:           data.unit ?? balance.unit,
+      costPerUnit:    data.costPerUnit,
+      previousCost:   balance.costPerUnit,
+      source:         "manual",
+      createdBy:      currentUserEmail,
+    });
+  }
+
+  const delta = data.currentStock === undefined ? 0 : data.currentStock - getSiteQuantity(balance, site);
+  // Everything but currentStock, which only ever moves by the delta.
+  const fields = { ...data };
+  delete fields.currentStock;
+
+  if (delta === 0) {
+    batch.update(doc(db, path), { ...fields, updatedAt: serverTimestamp() });
+    await batch.commit();
+    return;
+  }
+
+  stageStockMovement(batch, balances, {
+    type:      "adjustment",
+    itemType,
+    itemId:    id,
+    itemName:  data.name,
+    unit:      data.unit,
+    delta,
+    createdBy: currentUserEmail,
+  }, fields);
+  await batch.commit();
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // FINISHED GOODS
 // ─────────────────────────────────────────────────────────────────────────────
 
 // Fetches every finished good from the database and returns them as a plain array.
-export const getFinishedGoods = async () => {
+// With a `site`, currentStock is that site's quantity (see scopeStockToSite).
+export const getFinishedGoods = async (site = null) => {
   const finishedGoodsRef = collection(db, "finishedGoods");
   const snapshot = await getDocs(finishedGoodsRef);
 
@@ -145,18 +840,15 @@ export const getFinishedGoods = async () => {
   }));
 
   console.log(`Fetched ${finishedGoods.length} finished goods`);
-  return finishedGoods;
+  return scopeStockToSite(finishedGoods, site);
 };
 
 // Adds a new finished good to the database.
 // `data` should include: { name, unit, currentStock, lowStockThreshold, price }
-export const addFinishedGood = async (data) => {
-  const finishedGoodsRef = collection(db, "finishedGoods");
-
-  const docRef = await addDoc(finishedGoodsRef, {
-    ...data,
-    updatedAt: serverTimestamp(),
-  });
+// Any starting stock is logged as an "opening" inventory transaction, at
+// `site` if one is given.
+export const addFinishedGood = async (data, currentUserEmail = "", site = null) => {
+  const docRef = await addStockedItem("finishedGood", data, currentUserEmail, site);
 
   console.log(`Added finished good with ID: ${docRef.id}`);
   return docRef;
@@ -164,13 +856,10 @@ export const addFinishedGood = async (data) => {
 
 // Updates all editable fields on an existing finished good document.
 // `data` can include: { name, unit, currentStock, lowStockThreshold, price }
-export const updateFinishedGood = async (id, data) => {
-  const finishedGoodRef = doc(db, "finishedGoods", id);
-
-  await updateDoc(finishedGoodRef, {
-    ...data,
-    updatedAt: serverTimestamp(),
-  });
+// A changed currentStock is logged as an "adjustment" inventory transaction —
+// at `site`, if given.
+export const updateFinishedGood = async (id, data, currentUserEmail = "", site = null) => {
+  await updateStockedItem("finishedGood", id, data, currentUserEmail, site);
 
   console.log(`Updated finished good ${id}`, data);
 };
@@ -182,6 +871,265 @@ export const deleteFinishedGood = async (id) => {
   console.log(`Deleted finished good ${id}`);
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// STORAGE LOCATIONS
+// Where stock physically lives — walk-in cooler, freezer, dry storage, front
+// case. One document per location. Shape:
+// { name, kind, notes, siteId, status: "active" | "archived" }
+//
+// siteId is the site the location is at ("" = the main site).
+// Balances aren't stored here: each ingredient and finished good holds its own
+// locationStock map, moved by stageStockMovement (see lib/locations.js).
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Fetches every storage location at `site` (null = every site), including
+// archived ones, sorted by name.
+// Archived locations stay in the list so old balances and ledger entries
+// still show a name — pages filter them out of dropdowns themselves.
+export const getStorageLocations = async (site = null) => {
+  const locations = await getSiteRecords("storageLocations", site, "name");
+
+  console.log(`Fetched ${locations.length} storage locations`);
+  return locations;
+};
+
+// Adds a storage location. `status` and timestamps are set here.
+export const addStorageLocation = async (data) => {
+  const docRef = await addDoc(collection(db, "storageLocations"), {
+    ...data,
+    status:    "active",
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  console.log(`Added storage location with ID: ${docRef.id}`);
+  return docRef;
+};
+
+// Updates a storage location's fields — including status, to archive or
+// restore it. Items keep their balance in an archived location until it's
+// transferred out.
+export const updateStorageLocation = async (id, data) => {
+  await updateDoc(doc(db, "storageLocations", id), {
+    ...data,
+    updatedAt: serverTimestamp(),
+  });
+
+  console.log(`Updated storage location ${id}`, data);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SITES
+// The bakery's premises — the production kitchen and its retail shops. One
+// document per site. Shape:
+// { name, kind: "production" | "retail", notes, status: "active" | "archived" }
+//
+// Until the first site is added the app works exactly as a single bakery.
+// Stock at each site is held on the items themselves (siteStock, see
+// lib/sites.js); work orders, sales and the rest store a siteId.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Fetches every site, including archived ones, in the order they were added,
+// with isMain set on the main site (see getMainSite).
+export const getSites = async () => {
+  const q = query(collection(db, "sites"), orderBy("createdAt", "asc"));
+  const snapshot = await getDocs(q);
+
+  const sites    = snapshot.docs.map((document) => ({ id: document.id, ...document.data() }));
+  const mainSite = getMainSite(sites);
+
+  console.log(`Fetched ${sites.length} sites`);
+  return sites.map((site) => ({ ...site, isMain: site.id === mainSite?.id }));
+};
+
+// Adds a site. `status` and timestamps are set here.
+export const addSite = async (data) => {
+  const docRef = await addDoc(collection(db, "sites"), {
+    ...data,
+    status:    "active",
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  console.log(`Added site with ID: ${docRef.id}`);
+  return docRef;
+};
+
+// Updates a site's fields — including status, to archive or restore it.
+export const updateSite = async (id, data) => {
+  await updateDoc(doc(db, "sites", id), {
+    ...data,
+    updatedAt: serverTimestamp(),
+  });
+
+  console.log(`Updated site ${id}`, data);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TRANSFER ORDERS
+// Finished goods sent from one site to another ("TO-2026-0012") — usually the
+// morning run from the production kitchen to the shops. Shipping takes the
+// stock out of the sending site straight away; it's in transit, at neither
+// site, until the receiving site checks it in.
+//
+// Document shape:
+//   { transferNumber, fromSiteId, fromSiteName, toSiteId, toSiteName,
+//     lines: [{ finishedGoodId, finishedGoodName, unit, quantity, quantityReceived }],
+//     status, notes, shippedBy, shippedAt, receivedBy, receivedAt,
+//     receivingNotes, createdAt, updatedAt }
+//   status           — "inTransit" | "received"
+//   quantityReceived — null until received; anything short of quantity was
+//                      lost on the way and stays recorded on the order
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Fetches every transfer order sent from or to `site` (null = all), newest first.
+// Filtered in JavaScript — a where() can only match one of the two fields.
+export const getTransferOrders = async (site = null) => {
+  const q = query(collection(db, "transferOrders"), orderBy("createdAt", "desc"));
+  const snapshot = await getDocs(q);
+
+  const orders = snapshot.docs
+    .map((document) => ({ id: document.id, ...document.data() }))
+    .filter((order) => !site || order.fromSiteId === site.id || order.toSiteId === site.id);
+
+  console.log(`Fetched ${orders.length} transfer orders`);
+  return orders;
+};
+
+// Ships finished goods from `fromSite` to `toSite` in a single atomic batch:
+//   1. Take each line's quantity out of the sending site's stock, with a
+//      "transferOut" inventory transaction
+//   2. Create the transfer order, in transit
+// `lines` is [{ finishedGoodId, finishedGoodName, unit, quantity }].
+// Throws if the sites are the same, there's nothing to send, or the sending
+// site doesn't have enough of something. Returns the new order's document ID.
+export const shipTransferOrder = async ({ fromSite, toSite, lines, notes }, currentUserEmail) => {
+  if (!fromSite || !toSite || toSite.id === fromSite.id) {
+    throw new Error("Choose a different site to send to.");
+  }
+  const shipped = lines.filter((line) => line.quantity > 0);
+  if (shipped.length === 0) {
+    throw new Error("Enter a quantity for at least one product.");
+  }
+
+  const balances = await readStockBalances(
+    shipped.map((line) => ({ itemType: "finishedGood", itemId: line.finishedGoodId })),
+    fromSite
+  );
+  const short = shipped.filter((line) =>
+    line.quantity > getSiteQuantity(balances[getStockPath("finishedGood", line.finishedGoodId)], fromSite)
+  );
+  if (short.length > 0) {
+    throw new Error(`${fromSite.name} doesn't have enough ${short.map((l) => l.finishedGoodName).join(", ")} to send.`);
+  }
+
+  const [transferNumber] = await reserveDocumentNumbers(TRANSFER_ORDER_PREFIX);
+  const orderRef = doc(collection(db, "transferOrders"));
+  const batch    = writeBatch(db);
+
+  for (const line of shipped) {
+    stageStockMovement(batch, balances, {
+      type:         "transferOut",
+      itemType:     "finishedGood",
+      itemId:       line.finishedGoodId,
+      itemName:     line.finishedGoodName,
+      unit:         line.unit,
+      delta:        -line.quantity,
+      sourceType:   "transferOrder",
+      sourceId:     orderRef.id,
+      sourceNumber: transferNumber,
+      notes:        `To ${toSite.name}`,
+      createdBy:    currentUserEmail,
+    });
+  }
+
+  batch.set(orderRef, {
+    transferNumber,
+    fromSiteId:     fromSite.id,
+    fromSiteName:   fromSite.name,
+    toSiteId:       toSite.id,
+    toSiteName:     toSite.name,
+    lines:          shipped.map((line) => ({
+      finishedGoodId:   line.finishedGoodId,
+      finishedGoodName: line.finishedGoodName,
+      unit:             line.unit ?? "",
+      quantity:         line.quantity,
+      quantityReceived: null,
+    })),
+    status:         "inTransit",
+    notes:          notes ?? "",
+    shippedBy:      currentUserEmail,
+    shippedAt:      serverTimestamp(),
+    receivedBy:     "",
+    receivedAt:     null,
+    receivingNotes: "",
+    createdAt:      serverTimestamp(),
+    updatedAt:      serverTimestamp(),
+  });
+
+  await batch.commit();
+  console.log(`Shipped transfer order ${transferNumber} (${orderRef.id}) to ${toSite.name}`);
+  return orderRef.id;
+};
+
+// Checks a transfer order in at the receiving site, `site`, in one batch:
+// each line's quantityReceived is added to the site's stock with a
+// "transferIn" inventory transaction, and the order is marked "received".
+// `quantities` lines up with order.lines.
+//
+// The order is re-read first, like postStockCount: receiving it twice would
+// double the stock. Throws if it's no longer in transit or is for another site.
+export const receiveTransferOrder = async (orderId, quantities, receivingNotes, currentUserEmail, site) => {
+  const orderRef = doc(db, "transferOrders", orderId);
+  const snapshot = await getDoc(orderRef);
+  if (!snapshot.exists() || snapshot.data().status !== "inTransit") {
+    throw new Error("This transfer is no longer in transit — it may have been received on another device.");
+  }
+  const order = snapshot.data();
+  if (order.toSiteId !== site?.id) {
+    throw new Error(`This transfer is going to ${order.toSiteName} — switch to that site to receive it.`);
+  }
+
+  const lines = order.lines.map((line, i) => ({ ...line, quantityReceived: Math.max(0, quantities[i] ?? 0) }));
+  const balances = await readStockBalances(
+    lines.map((line) => ({ itemType: "finishedGood", itemId: line.finishedGoodId })),
+    site
+  );
+
+  const batch = writeBatch(db);
+
+  for (const line of lines) {
+    if (line.quantityReceived === 0) continue;
+    stageStockMovement(batch, balances, {
+      type:         "transferIn",
+      itemType:     "finishedGood",
+      itemId:       line.finishedGoodId,
+      itemName:     line.finishedGoodName,
+      unit:         line.unit,
+      delta:        line.quantityReceived,
+      sourceType:   "transferOrder",
+      sourceId:     orderId,
+      sourceNumber: order.transferNumber,
+      notes:        line.quantityReceived === line.quantity
+                      ? `From ${order.fromSiteName}`
+                      : `From ${order.fromSiteName} (${line.quantity} shipped)`,
+      createdBy:    currentUserEmail,
+    });
+  }
+
+  batch.update(orderRef, {
+    status:         "received",
+    lines,
+    receivedBy:     currentUserEmail,
+    receivedAt:     serverTimestamp(),
+    receivingNotes: receivingNotes ?? "",
+    updatedAt:      serverTimestamp(),
+  });
+
+  await batch.commit();
+  console.log(`Received transfer order ${order.transferNumber} at ${site.name}`);
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // RESTOCKING RECORDS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -207,6 +1155,11 @@ export const getRestockingRecords = async () => {
 
 // Adds a new restocking record AND increments the item's currentStock in one
 // atomic batch write. `data` should include: { itemId, itemType, itemName, quantityAdded, notes }
+// Ingredient restocks may also pass { unit, lotCode, bestBefore } — they get a
+// new lot in the same batch (see INGREDIENT LOTS above). `createdBy`, when
+// given, is recorded on the inventory transaction. `site` is the site the
+// stock arrived at (null = the main site); the record and its lot get its
+// siteId.
 //
 // Why a batch?
 // A batch write guarantees that both operations succeed or both fail together.
@@ -219,16 +1172,18 @@ export const getRestockingRecords = async () => {
 // events land simultaneously, both increments are applied correctly. A
 // read-then-write approach would cause a race condition where the second
 // write overwrites the first, silently losing one of the restocks.
-export const addRestockingRecord = async (data) => {
-  // Determine which collection holds this item based on its type.
-  // "ingredient" → "ingredients", "finishedGood" → "finishedGoods"
-  const itemCollection = data.itemType === "ingredient" ? "ingredients" : "finishedGoods";
+export const addRestockingRecord = async (data, site = null) => {
+  // Anything that isn't an ingredient is a finished good — that decides which
+  // collection the stock lives in ("ingredients" or "finishedGoods").
+  const itemType = data.itemType === "ingredient" ? "ingredient" : "finishedGood";
 
-  // Build references to the two documents we need to write.
+  // Build a reference for the new record.
   // `doc(collection(...))` generates a new auto-ID reference without writing
   // anything yet — we need the ref up front so we can hand it to the batch.
   const newRecordRef = doc(collection(db, "restockingRecords"));
-  const itemRef      = doc(db, itemCollection, data.itemId);
+
+  // The item's current stock, so the ledger entry can record the new balance.
+  const balances = await readStockBalances([{ itemType, itemId: data.itemId }], site);
 
   // Create an empty batch — a container that holds multiple write operations.
   const batch = writeBatch(db);
@@ -237,18 +1192,44 @@ export const addRestockingRecord = async (data) => {
   // We use batch.set() here (not addDoc) because we pre-generated the ref above.
   batch.set(newRecordRef, {
     ...data,
+    siteId:    site?.id ?? "",
     createdAt: serverTimestamp(),
   });
 
-  // Operation 2: Atomically add quantityAdded to the item's current stock.
-  // increment() tells Firestore "add this number to the existing value on the
-  // server" — no read needed, no race condition possible.
-  batch.update(itemRef, {
-    currentStock: increment(data.quantityAdded),
-    updatedAt: serverTimestamp(),
+  // Operation 2: Atomically add quantityAdded to the item's current stock,
+  // and log it in the inventory ledger. increment() tells Firestore "add this
+  // number to the existing value on the server" — no race condition possible.
+  stageStockMovement(batch, balances, {
+    type:       "restock",
+    itemType,
+    itemId:     data.itemId,
+    itemName:   data.itemName,
+    unit:       data.unit,
+    delta:      data.quantityAdded,
+    sourceType: "restockingRecord",
+    sourceId:   newRecordRef.id,
+    notes:      data.notes,
+    createdBy:  data.createdBy,
   });
 
-  // Send both operations to Firestore in a single network request.
+  // Operation 3 (ingredients only): record the delivery as a new lot so
+  // production can draw it down oldest-first.
+  if (data.itemType === "ingredient") {
+    const lotRef = doc(collection(db, "ingredientLots"));
+    batch.set(lotRef, buildLotData(lotRef, {
+      ingredientId:   data.itemId,
+      ingredientName: data.itemName,
+      unit:           data.unit,
+      quantity:       data.quantityAdded,
+      lotCode:        data.lotCode,
+      bestBefore:     data.bestBefore,
+      source:         "restock",
+      sourceId:       newRecordRef.id,
+      site,
+    }));
+  }
+
+  // Send all operations to Firestore in a single network request.
   // If either write fails, neither is applied.
   await batch.commit();
 
@@ -258,6 +1239,11 @@ export const addRestockingRecord = async (data) => {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // RECIPES
+// Each recipe carries `version`, the number of its latest save. Every save
+// writes the full recipe to recipes/{id}/versions/{version} with what changed
+// (see lib/recipes.js — Recipe versions); work orders store the recipeVersion
+// they were made from. Recipes saved before versioning have no `version` and
+// count as version 1 — their first edit records that state as version 1.
 // ─────────────────────────────────────────────────────────────────────────────
 
 // Fetches all active recipes, sorted newest-first.
@@ -298,38 +1284,126 @@ export const getRecipeById = async (id) => {
   return { id: snapshot.id, ...snapshot.data() };
 };
 
-// Adds a new recipe document.
+// Adds a new recipe document, as version 1, in one batch with its first
+// version record.
 // `data` should include: { name, finishedGoodId, finishedGoodName,
 //   yieldQuantity, yieldUnit, ingredients: [...] }
-// `status` and timestamps are set here, not by the caller.
-export const addRecipe = async (data) => {
-  const recipesRef = collection(db, "recipes");
+// `status`, `version` and timestamps are set here, not by the caller.
+export const addRecipe = async (data, currentUserEmail = "") => {
+  const recipeRef = doc(collection(db, "recipes"));
+  const batch     = writeBatch(db);
 
-  const docRef = await addDoc(recipesRef, {
+  batch.set(recipeRef, {
     ...data,
-    status: "active",
+    version:   1,
+    status:    "active",
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp(),
   });
+  batch.set(doc(db, "recipes", recipeRef.id, "versions", "1"), {
+    ...getRecipeSnapshot(data),
+    version:      1,
+    changes:      [],
+    note:         "",
+    restoredFrom: null,
+    createdBy:    currentUserEmail,
+    createdAt:    serverTimestamp(),
+  });
 
-  console.log(`Added recipe with ID: ${docRef.id}`);
-  return docRef;
+  await batch.commit();
+  console.log(`Added recipe with ID: ${recipeRef.id}`);
+  return recipeRef;
 };
 
-// Updates an existing recipe's fields.
+// Updates an existing recipe's fields and records the result as a new
+// version, with the changes from the one before.
 // `data` can include any combination of: { name, finishedGoodId,
-//   finishedGoodName, yieldQuantity, yieldUnit, ingredients }
-// Note: before calling this, the caller should confirm no open work orders
-// reference this recipe (enforced in Phase D when work orders are built).
-export const updateRecipe = async (id, data) => {
+//   finishedGoodName, yieldQuantity, yieldUnit, ingredients, steps }
+// `options`: { note, restoredFrom } — a reason for the change, and the
+// version number being restored (see restoreRecipeVersion).
+// A save that changes none of the versioned fields doesn't make a version.
+// That's how the unversioned label settings (bakeLossPercent,
+// servingSizeGrams — see lib/nutrition.js) are saved.
+//
+// Runs in a transaction so two people saving at once can't both take the
+// same version number. Returns the recipe's version after the save.
+export const updateRecipe = async (id, data, currentUserEmail = "", options = {}) => {
   const recipeRef = doc(db, "recipes", id);
 
-  await updateDoc(recipeRef, {
-    ...data,
-    updatedAt: serverTimestamp(),
+  const version = await runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(recipeRef);
+    if (!snapshot.exists()) throw new Error("This recipe no longer exists.");
+
+    const current = snapshot.data();
+    const changes = diffRecipeVersions(getRecipeSnapshot(current), getRecipeSnapshot({ ...current, ...data }));
+    const currentVersion = current.version ?? 1;
+
+    if (changes.length === 0) {
+      transaction.update(recipeRef, { ...data, updatedAt: serverTimestamp() });
+      return currentVersion;
+    }
+
+    // A recipe from before versioning: keep the state being replaced as v1.
+    if (!current.version) {
+      transaction.set(doc(db, "recipes", id, "versions", "1"), {
+        ...getRecipeSnapshot(current),
+        version:      1,
+        changes:      [],
+        note:         "Recorded when version history started",
+        restoredFrom: null,
+        createdBy:    "",
+        createdAt:    current.updatedAt ?? current.createdAt ?? serverTimestamp(),
+      });
+    }
+
+    const nextVersion = currentVersion + 1;
+    transaction.set(doc(db, "recipes", id, "versions", String(nextVersion)), {
+      ...getRecipeSnapshot({ ...current, ...data }),
+      version:      nextVersion,
+      changes,
+      note:         options.note ?? "",
+      restoredFrom: options.restoredFrom ?? null,
+      createdBy:    currentUserEmail,
+      createdAt:    serverTimestamp(),
+    });
+    transaction.update(recipeRef, { ...data, version: nextVersion, updatedAt: serverTimestamp() });
+    return nextVersion;
   });
 
-  console.log(`Updated recipe ${id}`, data);
+  console.log(`Updated recipe ${id} to version ${version}`, data);
+  return version;
+};
+
+// Fetches every recorded version of a recipe, newest first.
+export const getRecipeVersions = async (recipeId) => {
+  const q = query(collection(db, "recipes", recipeId, "versions"), orderBy("version", "desc"));
+  const snapshot = await getDocs(q);
+
+  const versions = snapshot.docs.map((document) => ({ id: document.id, ...document.data() }));
+
+  console.log(`Fetched ${versions.length} versions of recipe ${recipeId}`);
+  return versions;
+};
+
+// Fetches one version of a recipe, or null if it wasn't recorded — a work
+// order made before versioning points at a version 1 that may not exist.
+export const getRecipeVersion = async (recipeId, version) => {
+  const snapshot = await getDoc(doc(db, "recipes", recipeId, "versions", String(version)));
+  if (!snapshot.exists()) return null;
+  return { id: snapshot.id, ...snapshot.data() };
+};
+
+// Puts an old version's name, yield and ingredients back on the recipe. It's
+// saved as a new version (marked restoredFrom), so the history stays intact.
+// Returns the new version number.
+export const restoreRecipeVersion = async (recipeId, version, currentUserEmail = "") => {
+  const old = await getRecipeVersion(recipeId, version);
+  if (!old) throw new Error(`Version ${version} of this recipe wasn't found.`);
+
+  return updateRecipe(recipeId, getRecipeSnapshot(old), currentUserEmail, {
+    note:         `Restored version ${version}`,
+    restoredFrom: version,
+  });
 };
 
 // Archives a recipe by setting its status to "archived".
@@ -375,16 +1449,19 @@ export const getDemandPlans = async () => {
 //   finishedGoodId, finishedGoodName, targetQuantity, currentStock,
 //   shortfall, batchesRequired, recipeId, recipeName, recipeYield,
 //   status, notes, createdBy }
+// An orderNumber ("SO-2026-0012") is assigned here.
 export const addDemandPlan = async (data) => {
   const plansRef = collection(db, "demandPlans");
+  const [orderNumber] = await reserveDocumentNumbers(SPECIAL_ORDER_PREFIX);
 
   const docRef = await addDoc(plansRef, {
     ...data,
+    orderNumber,
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp(),
   });
 
-  console.log(`Added demand plan with ID: ${docRef.id}`);
+  console.log(`Added demand plan ${orderNumber} with ID: ${docRef.id}`);
   return docRef;
 };
 
@@ -424,15 +1501,9 @@ export const cancelDemandPlan = async (id) => {
 // This is a task list, not a history log, so we show upcoming work at the top.
 // scheduledStart is stored as a datetime-local string ("YYYY-MM-DDThh:mm"),
 // which sorts correctly lexicographically because of the ISO format.
-export const getWorkOrders = async () => {
-  const ref = collection(db, "workOrders");
-  const q = query(ref, orderBy("scheduledStart", "asc"));
-  const snapshot = await getDocs(q);
-
-  const orders = snapshot.docs.map((document) => ({
-    id: document.id,
-    ...document.data(),
-  }));
+// With a `site`, only that site's work orders are returned.
+export const getWorkOrders = async (site = null) => {
+  const orders = await getSiteRecords("workOrders", site, "scheduledStart", "asc");
 
   console.log(`Fetched ${orders.length} work orders`);
   return orders;
@@ -455,21 +1526,25 @@ export const getWorkOrderById = async (id) => {
 // Creates a new work order document.
 // `data` should include all snapshot fields so the order stays accurate
 // even if the underlying recipe changes later:
-// { demandPlanId, recipeId, recipeName, finishedGoodId, finishedGoodName,
-//   batchesOrdered, batchesActual, totalYield, recipeYield,
-//   scheduledStart, dueBy, status, ingredientsRequired,
-//   ingredientsSufficient, insufficientIngredients, notes, createdBy,
-//   startedAt, completedAt }
+// { demandPlanId, recipeId, recipeName, recipeVersion, finishedGoodId,
+//   finishedGoodName, batchesOrdered, batchesActual, totalYield, recipeYield,
+//   scheduledStart, dueBy, status, ingredientsRequired, subRecipesRequired,
+//   ingredientsSufficient, insufficientIngredients, steps, notes, createdBy,
+//   startedAt, completedAt, siteId }
+// steps is a copy of the recipe's method steps (see lib/recipes.js).
+// A workOrderNumber ("WO-2026-0042") is assigned here.
 export const addWorkOrder = async (data) => {
   const ref = collection(db, "workOrders");
+  const [workOrderNumber] = await reserveDocumentNumbers(WORK_ORDER_PREFIX);
 
   const docRef = await addDoc(ref, {
     ...data,
+    workOrderNumber,
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp(),
   });
 
-  console.log(`Added work order with ID: ${docRef.id}`);
+  console.log(`Added work order ${workOrderNumber} with ID: ${docRef.id}`);
   return docRef;
 };
 
@@ -485,20 +1560,228 @@ export const updateWorkOrder = async (id, data) => {
     updatedAt: serverTimestamp(),
   });
 
-  console.log(`Updated work order ${id}`, data);
+  console.log(`Updated work order ${id}`, data);
+};
+
+// Soft-cancels a work order by setting its status to "cancelled".
+// We never hard-delete work orders — they are part of the production record.
+export const cancelWorkOrder = async (id) => {
+  const ref = doc(db, "workOrders", id);
+
+  await updateDoc(ref, {
+    status: "cancelled",
+    updatedAt: serverTimestamp(),
+  });
+
+  console.log(`Cancelled work order ${id}`);
+};
+
+// Builds the requirement snapshot stored on a work order for `batches` batches
+// of `recipe`. Shared by createWorkOrderFromDemandPlan and
+// generateWorkOrdersForWeek so both produce the same shape.
+//
+// Recipe lines are split in two:
+//   - ingredientsRequired: raw ingredients, checked against current stock
+//   - subRecipesRequired:  intermediates (levain, pastry cream) consumed from
+//     the sub-recipe's finished good stock. They aren't checked here — a
+//     dependent work order is generated for whatever stock doesn't cover
+//     (see below).
+//
+// Each ingredient line also records stockQuantity / stockUnit: the per-batch
+// amount converted into the ingredient's stock unit. That's what stock checks
+// and executeWorkOrder deduct, so a recipe in g against flour stocked in lbs
+// deducts the right amount.
+//
+// `allocated` (optional) is stock already claimed by other unrun work orders,
+// keyed by ingredientId (see lib/inventory.js). When given, sufficiency is
+// checked against currentStock minus that claim rather than currentStock.
+//
+// Throws if a sub-recipe has been archived, same as a missing top-level recipe,
+// or if a recipe line's unit can't be converted to the ingredient's stock unit.
+const buildRequirementSnapshot = (recipe, batches, recipes, ingredients, allocated = {}) => {
+  const ingredientsRequired = recipe.ingredients
+    .filter((line) => !isSubRecipeLine(line))
+    .map((ing) => {
+      const stockItem = ingredients.find((i) => i.id === ing.ingredientId);
+      // A deleted ingredient has no stock unit to convert to — keep the recipe's.
+      const stockQuantity = stockItem ? toStockUnit(ing.quantity, ing.unit, stockItem) : ing.quantity;
+      if (stockQuantity === null) {
+        throw new Error(incompatibleUnitMessage(ing.ingredientName, ing.unit, stockItem.unit));
+      }
+      return {
+        ingredientId:   ing.ingredientId,
+        ingredientName: ing.ingredientName,
+        quantity:       ing.quantity,          // per-batch amount from the recipe
+        unit:           ing.unit,
+        totalRequired:  batches * ing.quantity, // total for all batches
+        stockQuantity,                          // per-batch amount in the stock unit
+        stockUnit:      stockItem?.unit ?? ing.unit,
+      };
+    });
+
+  const subRecipesRequired = recipe.ingredients
+    .filter(isSubRecipeLine)
+    .map((line) => {
+      const sub = recipes.find((r) => r.id === line.subRecipeId);
+      if (!sub) {
+        throw new Error(`Sub-recipe "${line.ingredientName}" not found — it may have been archived.`);
+      }
+      // The recipe form locks sub-recipe lines to the yield unit, but convert
+      // anyway in case the sub-recipe's yieldUnit was changed since.
+      const quantity = convertQuantity(line.quantity, line.unit, sub.yieldUnit);
+      if (quantity === null) {
+        throw new Error(incompatibleUnitMessage(line.ingredientName, line.unit, sub.yieldUnit));
+      }
+      return {
+        recipeId:         sub.id,
+        recipeName:       sub.name,
+        recipeVersion:    sub.version ?? 1,
+        finishedGoodId:   sub.finishedGoodId,
+        finishedGoodName: sub.finishedGoodName,
+        quantity,                                 // per-batch amount, in the sub-recipe's yieldUnit
+        unit:             sub.yieldUnit,
+        totalRequired:    batches * quantity,
+      };
+    });
+
+  // Cross-reference current stock, less anything already allocated, to
+  // determine sufficiency. Compared in the stock unit, so the shortfall is
+  // reported in it too.
+  const ingredientCheck = ingredientsRequired.map((ing) => {
+    const currentStock  = ingredients.find((i) => i.id === ing.ingredientId)?.currentStock ?? 0;
+    const freeStock     = currentStock - (allocated[ing.ingredientId] ?? 0);
+    const stockRequired = batches * ing.stockQuantity;
+    const sufficient    = freeStock >= stockRequired;
+    return { ...ing, sufficient, shortfall: sufficient ? 0 : stockRequired - Math.max(freeStock, 0) };
+  });
+
+  const ingredientsSufficient   = ingredientCheck.every((ic) => ic.sufficient);
+  const insufficientIngredients = ingredientCheck
+    .filter((ic) => !ic.sufficient)
+    .map(({ ingredientName, shortfall, stockUnit }) => ({ ingredientName, shortfall, unit: stockUnit }));
+
+  return { ingredientsRequired, subRecipesRequired, ingredientsSufficient, insufficientIngredients };
+};
+
+// Adds a new work order's raw ingredients to `allocated`, so its dependent
+// work orders, checked next, don't count the same stock as free.
+const claimAllocatedStock = (allocated, ingredientsRequired, batches) => {
+  for (const ing of ingredientsRequired) {
+    if (ing.stockQuantity === null) continue;
+    allocated[ing.ingredientId] = (allocated[ing.ingredientId] ?? 0) + batches * ing.stockQuantity;
+  }
+};
+
+// What's free of each intermediate (a sub-recipe's finished good — levain,
+// pastry cream), keyed by finishedGoodId: its currentStock less what every
+// planned or in-progress work order will draw from it when it completes.
+const getFreeIntermediates = (finishedGoods, workOrders) => {
+  const free = Object.fromEntries(finishedGoods.map((fg) => [fg.id, fg.currentStock ?? 0]));
+
+  for (const wo of workOrders) {
+    if (wo.status !== "planned" && wo.status !== "inProgress") continue;
+    const batches = wo.batchesActual > 0 ? wo.batchesActual : wo.batchesOrdered;
+
+    for (const sub of wo.subRecipesRequired ?? []) {
+      free[sub.finishedGoodId] = (free[sub.finishedGoodId] ?? 0) - sub.quantity * (batches ?? 0);
+    }
+  }
+
+  return free;
 };
 
-// Soft-cancels a work order by setting its status to "cancelled".
-// We never hard-delete work orders — they are part of the production record.
-export const cancelWorkOrder = async (id) => {
-  const ref = doc(db, "workOrders", id);
+// Explodes a work order's subRecipesRequired into dependent work orders and
+// pushes them onto `writes` as { ref, data } — one per sub-recipe, recursing
+// through every level. Returns the number of work orders added.
+// Callers number everything in `writes` and then batch.set() it; the numbers
+// have to be on the data before it goes into the batch.
+//
+// `parent` is { ref, data } — the parent's pre-generated doc ref and the
+// object being written for it. `allocated` is passed through to the
+// sufficiency check and updated with each dependent's claim.
+// `freeIntermediates` comes from getFreeIntermediates: intermediate stock
+// already on hand is used first, and a dependent order is only raised for
+// the rest (none at all when stock covers it). It's updated with each claim,
+// so two parents in one call don't both count the same levain.
+//
+// Dependent orders are always MTS: completing one adds the intermediate to its
+// finished good stock, and completing the parent draws it back down. That keeps
+// a levain made for one order available to the next if there's any left over.
+//
+// dueBy is when the parent starts, since that's when the intermediate has to
+// be ready — the parent's scheduledStart, or worked back from its dueBy
+// through its method. When neither is known it's left blank for the baker to
+// set, rather than guessing. scheduledStart is worked back from that dueBy
+// through the sub-recipe's own method (overnight levain vs a 20-minute pastry
+// cream), and left blank without one.
+const addDependentWorkOrders = (
+  writes, parent, recipes, ingredients, allocated = {}, freeIntermediates = {}, depth = 1
+) => {
+  if (depth > MAX_RECIPE_DEPTH) {
+    throw new Error(
+      `Recipe "${parent.data.recipeName}" is nested more than ${MAX_RECIPE_DEPTH} levels deep — check for a recipe that uses itself.`
+    );
+  }
 
-  await updateDoc(ref, {
-    status: "cancelled",
-    updatedAt: serverTimestamp(),
-  });
+  let count = 0;
+
+  const parentStart = parent.data.scheduledStart || getMethodStart(parent.data.dueBy, parent.data.steps) || "";
+
+  for (const subReq of parent.data.subRecipesRequired) {
+    const subRecipe = recipes.find((r) => r.id === subReq.recipeId);
+
+    // Use what's on hand first; only the rest needs making.
+    const onHand    = Math.max(freeIntermediates[subReq.finishedGoodId] ?? 0, 0);
+    const fromStock = Math.min(onHand, subReq.totalRequired);
+    freeIntermediates[subReq.finishedGoodId] = onHand - fromStock;
+    const toMake    = roundQuantity(subReq.totalRequired - fromStock);
+    if (toMake <= 0) continue;
+
+    const batches   = getSubRecipeBatches(toMake, subRecipe);
+    const snapshot  = buildRequirementSnapshot(subRecipe, batches, recipes, ingredients, allocated);
+    claimAllocatedStock(allocated, snapshot.ingredientsRequired, batches);
+
+    const childRef  = doc(collection(db, "workOrders"));
+    const childData = {
+      // Weekly plan orders keep their plan link so the week's count includes them.
+      ...(parent.data.weeklyPlanId ? { weeklyPlanId: parent.data.weeklyPlanId, planDay: parent.data.planDay } : {}),
+      parentWorkOrderId:   parent.ref.id,
+      parentRecipeName:    parent.data.recipeName,
+      siteId:              parent.data.siteId ?? "",   // made in the same kitchen
+      orderType:           "MTS",
+      customerName:        "",
+      specialOrderId:      "",
+      recipeId:            subRecipe.id,
+      recipeName:          subRecipe.name,
+      recipeVersion:       subRecipe.version ?? 1,
+      finishedGoodId:      subRecipe.finishedGoodId,
+      finishedGoodName:    subRecipe.finishedGoodName,
+      batchesOrdered:      batches,
+      batchesActual:       batches,   // baker can adjust before executing
+      recipeYield:         subRecipe.yieldQuantity,
+      totalYield:          batches * subRecipe.yieldQuantity,
+      scheduledStart:      getMethodStart(parentStart, subRecipe.steps) ?? "",
+      dueBy:               parentStart,
+      status:              "planned",
+      ...snapshot,
+      steps:               subRecipe.steps ?? [],
+      notes:               fromStock > 0
+                             ? `${roundQuantity(fromStock)} of ${roundQuantity(subReq.totalRequired)} ${subReq.unit} taken from stock`
+                             : "",
+      createdBy:           parent.data.createdBy,
+      startedAt:           null,
+      completedAt:         null,
+      createdAt:           serverTimestamp(),
+      updatedAt:           serverTimestamp(),
+    };
 
-  console.log(`Cancelled work order ${id}`);
+    writes.push({ ref: childRef, data: childData });
+    count += 1 + addDependentWorkOrders(
+      writes, { ref: childRef, data: childData }, recipes, ingredients, allocated, freeIntermediates, depth + 1
+    );
+  }
+
+  return count;
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -508,13 +1791,23 @@ export const cancelWorkOrder = async (id) => {
 // Executes a completed work order in a single atomic batch write.
 // Takes the full work order object and the email of the user completing it.
 //
-// The batch contains N + 2 or N + 3 operations (N = number of ingredients):
-//   1. Decrement each ingredient's currentStock by its totalRequired amount
+// The batch contains N + L + S + 2 or N + L + S + 3 operations (N = number of
+// ingredients, L = number of lots drawn from, S = number of sub-recipes):
+//   1. Decrement each ingredient's currentStock by its totalRequired amount,
+//      and draw the same amount down from its lots oldest-first (FIFO).
+//      Sub-recipes (levain, pastry cream) are decremented from their own
+//      finished good stock — a dependent work order, or earlier production,
+//      put them there.
 //   2. Increment the finished good's currentStock by the work order's totalYield
 //        — SKIPPED for orderType "MTO": the product goes directly to the customer,
 //          not onto the shelf, so finished goods inventory should not change.
 //   3. Update the work order: status → "complete", completedAt → now
 //   4. Write a new productionRecord as a permanent audit log entry
+// Every stock change in 1 and 2 also writes an inventory transaction.
+// Deductions come out of the storage locations the work order's pick list
+// shows, and the output lands in the finished good's default location —
+// both worked out by stageStockMovement (see lib/locations.js). All of it
+// happens at `site`, the site the work order belongs to.
 //
 // Why this specific order?
 //   It mirrors the physical production sequence: consume inputs → produce output
@@ -526,36 +1819,107 @@ export const cancelWorkOrder = async (id) => {
 //   orders for the same ingredient complete simultaneously, both decrements apply
 //   correctly. A read-then-write would race and silently lose one deduction.
 //
+// Why are lots read first?
+//   A batch can't read, and FIFO needs to know which lots still have stock.
+//   We fetch each ingredient's open lots up front, plan the draw-down in
+//   JavaScript, then apply it with increment() like every other stock change.
+//   Two work orders completing at the same instant could both plan against the
+//   same lot; increment() keeps the totals right, the lot may just dip below 0.
+//   The current stock of everything that moves is read alongside, for the
+//   ledger's balanceAfter.
+//
 // Returns the auto-generated production record document ID.
-export const executeWorkOrder = async (workOrder, producedBy) => {
+export const executeWorkOrder = async (workOrder, producedBy, site = null) => {
+  // Every stock movement below is in the ingredient's stock unit.
+  // stockQuantity was converted from the recipe unit when the order was
+  // created; orders from before unit conversion only have quantity, which was
+  // always entered in the stock unit back then.
+  const stockUsed = (ing) => (ing.stockQuantity ?? ing.quantity) * workOrder.batchesActual;
+
+  // ── 0. Plan the FIFO lot draw-down ────────────────────────────────────────
+  // One query per ingredient, run in parallel. lotPlans[i] lines up with
+  // workOrder.ingredientsRequired[i].
+  const isMto = workOrder.orderType === "MTO";
+  const [lotPlans, balances] = await Promise.all([
+    Promise.all(
+      workOrder.ingredientsRequired.map(async (ing) => {
+        const openLots = await getOpenLotsForIngredient(ing.ingredientId, site);
+        return allocateFifo(openLots, stockUsed(ing));
+      })
+    ),
+    readStockBalances([
+      ...workOrder.ingredientsRequired.map((ing) => ({ itemType: "ingredient", itemId: ing.ingredientId })),
+      ...(workOrder.subRecipesRequired ?? []).map((sub) => ({ itemType: "finishedGood", itemId: sub.finishedGoodId })),
+      ...(isMto ? [] : [{ itemType: "finishedGood", itemId: workOrder.finishedGoodId }]),
+    ], site),
+  ]);
+
   const batch = writeBatch(db);
 
+  // Every movement below points back at this work order in the ledger.
+  const source = {
+    sourceType:   "workOrder",
+    sourceId:     workOrder.id,
+    sourceNumber: workOrder.workOrderNumber ?? "",
+    createdBy:    producedBy,
+  };
+
   // ── 1. Deduct each ingredient ─────────────────────────────────────────────
   // We loop over ingredientsRequired (snapshot stored at work order creation)
   // rather than re-reading the live recipe, so the deduction matches exactly
   // what was planned — even if the recipe was edited after the order was created.
   //
-  // IMPORTANT: we use ing.quantity * workOrder.batchesActual, NOT ing.totalRequired.
+  // IMPORTANT: we use the per-batch amount * workOrder.batchesActual, NOT ing.totalRequired.
   // ing.totalRequired was snapshotted at creation using batchesOrdered. If the
   // baker later edited batchesActual (e.g. changed 3 batches to 4), the snapshot
   // would still say 3 × quantity — causing an under-deduction. batchesActual is
   // always the authoritative "what we actually made" count.
   for (const ing of workOrder.ingredientsRequired) {
-    const ingredientRef = doc(db, "ingredients", ing.ingredientId);
-    batch.update(ingredientRef, {
-      currentStock: increment(-(ing.quantity * workOrder.batchesActual)),
-      updatedAt:    serverTimestamp(),
+    stageStockMovement(batch, balances, {
+      type:     "productionUse",
+      itemType: "ingredient",
+      itemId:   ing.ingredientId,
+      itemName: ing.ingredientName,
+      unit:     ing.stockUnit ?? ing.unit,
+      delta:    -stockUsed(ing),
+      ...source,
+    });
+  }
+
+  // Draw down each planned lot by the amount allocated to it.
+  for (const plan of lotPlans) {
+    for (const allocation of plan.allocations) {
+      batch.update(doc(db, "ingredientLots", allocation.lotId), {
+        quantityRemaining: increment(-allocation.quantity),
+      });
+    }
+  }
+
+  // Consume each intermediate from its finished good stock.
+  // ?? [] covers work orders created before multi-level recipes existed.
+  for (const sub of workOrder.subRecipesRequired ?? []) {
+    stageStockMovement(batch, balances, {
+      type:     "productionUse",
+      itemType: "finishedGood",
+      itemId:   sub.finishedGoodId,
+      itemName: sub.finishedGoodName,
+      unit:     sub.unit,
+      delta:    -(sub.quantity * workOrder.batchesActual),
+      ...source,
     });
   }
 
   // ── 2. Add to finished good stock (MTS only) ──────────────────────────────
   // MTO products go straight to the customer, so we skip this for those orders.
   // undefined orderType is treated as MTS to preserve behaviour for existing orders.
-  if (workOrder.orderType !== "MTO") {
-    const finishedGoodRef = doc(db, "finishedGoods", workOrder.finishedGoodId);
-    batch.update(finishedGoodRef, {
-      currentStock: increment(workOrder.totalYield),
-      updatedAt:    serverTimestamp(),
+  if (!isMto) {
+    stageStockMovement(batch, balances, {
+      type:     "productionOutput",
+      itemType: "finishedGood",
+      itemId:   workOrder.finishedGoodId,
+      itemName: workOrder.finishedGoodName,
+      delta:    workOrder.totalYield,
+      ...source,
     });
   }
 
@@ -573,20 +1937,38 @@ export const executeWorkOrder = async (workOrder, producedBy) => {
   const productionRecordRef = doc(collection(db, "productionRecords"));
   batch.set(productionRecordRef, {
     workOrderId:      workOrder.id,
+    workOrderNumber:  workOrder.workOrderNumber ?? "",
     recipeId:         workOrder.recipeId,
     recipeName:       workOrder.recipeName,
+    recipeVersion:    workOrder.recipeVersion ?? null,
     finishedGoodId:   workOrder.finishedGoodId,
     finishedGoodName: workOrder.finishedGoodName,
     batchesProduced:  workOrder.batchesActual,
     totalYield:       workOrder.totalYield,
+    siteId:           workOrder.siteId ?? "",
     // Snapshot ingredientsRequired as consumed amounts so the record is
     // self-contained and readable without cross-referencing the recipe.
-    ingredientsConsumed: workOrder.ingredientsRequired.map((ing) => ({
-      ingredientId:   ing.ingredientId,
-      ingredientName: ing.ingredientName,
-      quantity:       ing.quantity,       // per-batch amount from the recipe snapshot
-      unit:           ing.unit,
-      totalRequired:  ing.quantity * workOrder.batchesActual, // actual amount consumed
+    // lotsConsumed lists which lots the amount came from; unlottedQuantity is
+    // the part no lot could cover (stock entered before lot tracking).
+    ingredientsConsumed: workOrder.ingredientsRequired.map((ing, i) => ({
+      ingredientId:     ing.ingredientId,
+      ingredientName:   ing.ingredientName,
+      quantity:         ing.quantity,       // per-batch amount from the recipe snapshot
+      unit:             ing.unit,
+      totalRequired:    ing.quantity * workOrder.batchesActual, // actual amount consumed
+      stockConsumed:    stockUsed(ing),     // the same amount in the stock unit
+      stockUnit:        ing.stockUnit ?? ing.unit,
+      lotsConsumed:     lotPlans[i].allocations,
+      unlottedQuantity: lotPlans[i].unallocated,
+    })),
+    subRecipesConsumed: (workOrder.subRecipesRequired ?? []).map((sub) => ({
+      recipeId:         sub.recipeId,
+      recipeName:       sub.recipeName,
+      finishedGoodId:   sub.finishedGoodId,
+      finishedGoodName: sub.finishedGoodName,
+      quantity:         sub.quantity,
+      unit:             sub.unit,
+      totalRequired:    sub.quantity * workOrder.batchesActual,
     })),
     producedBy,
     createdAt: serverTimestamp(),
@@ -607,6 +1989,15 @@ export const executeWorkOrder = async (workOrder, producedBy) => {
 // The function fetches the full recipe and current ingredient stock levels in
 // parallel so it can build a complete snapshot (ingredientsRequired with
 // calculated totalRequired, ingredientsSufficient, insufficientIngredients).
+// Stock is checked net of what other planned and in-progress work orders have
+// already allocated, so two special orders can't both claim the same butter.
+//
+// If the recipe uses sub-recipes, a dependent work order is created for each
+// one that intermediate stock on hand doesn't cover (and for their
+// sub-recipes in turn) in the same batch.
+//
+// The work orders belong to the main site (the production kitchen), so stock
+// is checked against what's there.
 //
 // scheduledStart is left blank — the user fills it in on the work orders page.
 // dueBy defaults to 8 AM on the demand plan's requiredBy date so the work
@@ -614,12 +2005,18 @@ export const executeWorkOrder = async (workOrder, producedBy) => {
 //
 // Returns the new work order's Firestore document ID.
 export const createWorkOrderFromDemandPlan = async (demandPlan, currentUserEmail) => {
-  // Fetch the full recipe and current ingredient stock in parallel.
-  // We need the recipe for yieldQuantity and the ingredients array;
-  // we need live stock to calculate ingredientsSufficient.
-  const [recipe, ingredients] = await Promise.all([
+  // Fetch the full recipe, every active recipe, and current ingredient stock
+  // in parallel. We need the recipe for yieldQuantity and the ingredients
+  // array; the recipe list to resolve sub-recipes; live stock and the other
+  // work orders to calculate ingredientsSufficient; finished goods and those
+  // same work orders for the intermediates already on hand.
+  const mainSite = (await getSites()).find((s) => s.isMain) ?? null;
+  const [recipe, recipes, ingredients, finishedGoods, workOrders] = await Promise.all([
     getRecipeById(demandPlan.recipeId),
-    getIngredients(),
+    getRecipes(),
+    getIngredients(mainSite),
+    getFinishedGoods(mainSite),
+    getWorkOrders(mainSite),
   ]);
 
   if (!recipe) {
@@ -628,31 +2025,12 @@ export const createWorkOrderFromDemandPlan = async (demandPlan, currentUserEmail
 
   const batches = demandPlan.batchesRequired;
 
-  // Build the ingredientsRequired snapshot: one entry per recipe ingredient
-  // with totalRequired calculated for the number of batches being ordered.
-  const ingredientsRequired = recipe.ingredients.map((ing) => ({
-    ingredientId:   ing.ingredientId,
-    ingredientName: ing.ingredientName,
-    quantity:       ing.quantity,          // per-batch amount from the recipe
-    unit:           ing.unit,
-    totalRequired:  batches * ing.quantity, // total for all batches
-  }));
-
-  // Cross-reference current stock to determine sufficiency.
-  const ingredientCheck = ingredientsRequired.map((ing) => {
-    const currentStock = ingredients.find((i) => i.id === ing.ingredientId)?.currentStock ?? 0;
-    const sufficient   = currentStock >= ing.totalRequired;
-    return {
-      ...ing,
-      sufficient,
-      shortfall: sufficient ? 0 : ing.totalRequired - currentStock,
-    };
-  });
-
-  const ingredientsSufficient   = ingredientCheck.every((ic) => ic.sufficient);
-  const insufficientIngredients = ingredientCheck
-    .filter((ic) => !ic.sufficient)
-    .map(({ ingredientName, shortfall, unit }) => ({ ingredientName, shortfall, unit }));
+  // Build the requirement snapshot: one entry per recipe line with
+  // totalRequired calculated for the number of batches being ordered,
+  // plus the stock sufficiency flags.
+  const allocated = getAllocatedQuantities(workOrders, ingredients);
+  const snapshot  = buildRequirementSnapshot(recipe, batches, recipes, ingredients, allocated);
+  claimAllocatedStock(allocated, snapshot.ingredientsRequired, batches);
 
   // dueBy: use the customer's pickup datetime directly.
   // pickupDateTime is already a full "YYYY-MM-DDThh:mm" string — no conversion needed.
@@ -667,15 +2045,21 @@ export const createWorkOrderFromDemandPlan = async (demandPlan, currentUserEmail
   const batch = writeBatch(db);
 
   // Operation 1: Create the work order document.
-  // customerName, orderType, and specialOrderId are passed through from the
-  // demand plan so the work orders page can display the MTO badge and context.
-  batch.set(workOrderRef, {
+  // customerName, orderType, specialOrderId, and specialOrderNumber are passed
+  // through from the demand plan so the work orders page can display the MTO
+  // badge and context, and find the order by its SO number. customerAllergies
+  // comes along so the bakers see the customer's declared allergies too.
+  const workOrderData = {
     demandPlanId:          demandPlan.id,
     specialOrderId:        demandPlan.id,
     orderType:             demandPlan.orderType     ?? "MTS",
     customerName:          demandPlan.customerName  ?? "",
+    specialOrderNumber:    demandPlan.orderNumber   ?? "",
+    customerAllergies:     demandPlan.customerAllergies ?? [],
+    siteId:                mainSite?.id             ?? "",
     recipeId:              demandPlan.recipeId,
     recipeName:            demandPlan.recipeName,
+    recipeVersion:         recipe.version ?? 1,
     finishedGoodId:        demandPlan.finishedGoodId,
     finishedGoodName:      demandPlan.finishedGoodName,
     batchesOrdered:        batches,
@@ -685,16 +2069,28 @@ export const createWorkOrderFromDemandPlan = async (demandPlan, currentUserEmail
     scheduledStart:        "",        // intentionally blank — user sets this on /work-orders
     dueBy,
     status:                "planned",
-    ingredientsRequired,
-    ingredientsSufficient,
-    insufficientIngredients,
+    ...snapshot,
+    steps:                 recipe.steps ?? [],
     notes:                 "",
     createdBy:             currentUserEmail,
     startedAt:             null,
     completedAt:           null,
     createdAt:             serverTimestamp(),
     updatedAt:             serverTimestamp(),
-  });
+  };
+  const writes = [{ ref: workOrderRef, data: workOrderData }];
+
+  // Operation 1b: Dependent work orders for any sub-recipes.
+  addDependentWorkOrders(
+    writes, { ref: workOrderRef, data: workOrderData }, recipes, ingredients, allocated,
+    getFreeIntermediates(finishedGoods, workOrders)
+  );
+
+  // Number the order and its dependents, then queue them all in the batch.
+  await assignWorkOrderNumbers(writes);
+  for (const { ref, data } of writes) {
+    batch.set(ref, data);
+  }
 
   // Operation 2: Mark the demand plan as fulfilled.
   // Atomic — if the work order write fails, the plan stays "open".
@@ -705,7 +2101,7 @@ export const createWorkOrderFromDemandPlan = async (demandPlan, currentUserEmail
 
   await batch.commit();
 
-  console.log(`Created work order ${workOrderRef.id} from demand plan ${demandPlan.id}`);
+  console.log(`Created work order ${workOrderData.workOrderNumber} (${workOrderRef.id}) from demand plan ${demandPlan.id}`);
   return workOrderRef.id;
 };
 
@@ -716,15 +2112,9 @@ export const createWorkOrderFromDemandPlan = async (demandPlan, currentUserEmail
 // Fetches all sales records, newest first.
 // These are append-only — no update or delete functions are provided.
 // Sales history should never be modified after recording.
-export const getSalesRecords = async () => {
-  const ref = collection(db, "salesRecords");
-  const q = query(ref, orderBy("createdAt", "desc"));
-  const snapshot = await getDocs(q);
-
-  const records = snapshot.docs.map((document) => ({
-    id: document.id,
-    ...document.data(),
-  }));
+// With a `site`, only that site's sales are returned.
+export const getSalesRecords = async (site = null) => {
+  const records = await getSiteRecords("salesRecords", site, "createdAt", "desc");
 
   console.log(`Fetched ${records.length} sales records`);
   return records;
@@ -735,7 +2125,8 @@ export const getSalesRecords = async () => {
 //
 // `data` should include:
 //   { finishedGoodId, finishedGoodName, quantitySold, pricePerUnit,
-//     totalRevenue, notes, soldBy }
+//     totalRevenue, notes, soldBy, siteId }
+// `site` is the site the sale was made at; its stock is the one deducted.
 //
 // Why a batch?
 // A batch guarantees both the stock deduction and the sales record write
@@ -747,9 +2138,9 @@ export const getSalesRecords = async () => {
 // increment() is server-side and atomic. Multiple simultaneous sales of
 // the same item each deduct correctly. A read-then-write would race and the
 // second write would overwrite the first, silently losing a deduction.
-export const addSaleRecord = async (data) => {
-  const saleRecordRef   = doc(collection(db, "salesRecords"));
-  const finishedGoodRef = doc(db, "finishedGoods", data.finishedGoodId);
+export const addSaleRecord = async (data, site = null) => {
+  const saleRecordRef = doc(collection(db, "salesRecords"));
+  const balances      = await readStockBalances([{ itemType: "finishedGood", itemId: data.finishedGoodId }], site);
 
   const batch = writeBatch(db);
 
@@ -761,11 +2152,19 @@ export const addSaleRecord = async (data) => {
     createdAt: serverTimestamp(),
   });
 
-  // Operation 2: Deduct the sold quantity from the finished good's stock.
-  // increment(-n) is a server-side atomic subtract — no round-trip read needed.
-  batch.update(finishedGoodRef, {
-    currentStock: increment(-data.quantitySold),
-    updatedAt:    serverTimestamp(),
+  // Operation 2: Deduct the sold quantity from the finished good's stock,
+  // with its inventory transaction. increment(-n) is a server-side atomic
+  // subtract; the read above is only for the ledger's balanceAfter.
+  stageStockMovement(batch, balances, {
+    type:       "sale",
+    itemType:   "finishedGood",
+    itemId:     data.finishedGoodId,
+    itemName:   data.finishedGoodName,
+    delta:      -data.quantitySold,
+    sourceType: "salesRecord",
+    sourceId:   saleRecordRef.id,
+    notes:      data.notes,
+    createdBy:  data.soldBy,
   });
 
   await batch.commit();
@@ -795,6 +2194,83 @@ export const getProductionRecords = async () => {
   return records;
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SUPPLIERS
+// ─────────────────────────────────────────────────────────────────────────────
+// One document per vendor. Shape:
+// { name, contactName, phone, orderEmail, leadTimeDays, minimumOrder,
+//   deliveryDays: ["Mon", "Thu"], notes, status: "active" | "archived" }
+//
+// minimumOrder is a dollar amount (0 = none). leadTimeDays is calendar days
+// from sending a PO to delivery.
+//
+// Ingredients point at suppliers through two optional fields, each a snapshot
+// of the supplier-specific terms for that ingredient:
+//   preferredSupplier / alternateSupplier:
+//     { supplierId, supplierName, supplierItemCode, packSize, packUnit,
+//       packName, minPacks, packMultiple, packPrice }
+// The pack fields describe how that supplier sells the ingredient (a 36 lbs
+// case, minimum 2, in multiples of 1) — see lib/purchasing.js.
+
+// Fetches every supplier, including archived ones, sorted by name.
+// Archived suppliers are kept in the list because ingredients and past POs
+// still reference them — pages filter them out of dropdowns themselves.
+export const getSuppliers = async () => {
+  const ref = collection(db, "suppliers");
+  const q = query(ref, orderBy("name"));
+  const snapshot = await getDocs(q);
+
+  const suppliers = snapshot.docs.map((document) => ({
+    id: document.id,
+    ...document.data(),
+  }));
+
+  console.log(`Fetched ${suppliers.length} suppliers`);
+  return suppliers;
+};
+
+// Adds a new supplier. `status` and timestamps are set here, not by the caller.
+export const addSupplier = async (data) => {
+  const ref = collection(db, "suppliers");
+
+  const docRef = await addDoc(ref, {
+    ...data,
+    status:    "active",
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  console.log(`Added supplier with ID: ${docRef.id}`);
+  return docRef;
+};
+
+// Updates an existing supplier's fields.
+// Ingredients keep their own supplierName snapshot, so a rename only shows
+// up on an ingredient after its supplier terms are next saved.
+export const updateSupplier = async (id, data) => {
+  const ref = doc(db, "suppliers", id);
+
+  await updateDoc(ref, {
+    ...data,
+    updatedAt: serverTimestamp(),
+  });
+
+  console.log(`Updated supplier ${id}`, data);
+};
+
+// Archives a supplier rather than deleting it — purchase orders reference
+// suppliers by ID, and deleting one would orphan that history.
+export const archiveSupplier = async (id) => {
+  const ref = doc(db, "suppliers", id);
+
+  await updateDoc(ref, {
+    status:    "archived",
+    updatedAt: serverTimestamp(),
+  });
+
+  console.log(`Archived supplier ${id}`);
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // PURCHASING
 // ─────────────────────────────────────────────────────────────────────────────
@@ -817,22 +2293,34 @@ export const getPurchaseOrders = async () => {
 
 // Creates a new purchase order document with status "draft".
 // `data` should include the full snapshot:
-// { planningDateRange, items, workOrdersIncluded, notes, createdBy }
+// { planningDateRange, supplierId, supplierName, supplierEmail,
+//   supplierLeadTimeDays, supplierMinimumOrder, items, estimatedTotal,
+//   workOrdersIncluded, notes, createdBy }
+// supplierId is "" for a PO of items with no supplier set.
+// POs raised from reorder suggestions also carry source: "reorder", an empty
+// planningDateRange and no workOrdersIncluded.
 // Items array shape per element:
 // { ingredientId, ingredientName, unit, currentStock, safetyStock,
-//   totalRequired, netRequired, orderedQuantity, receivedQuantity: 0 }
+//   totalRequired, netRequired, orderedQuantity, receivedQuantity: 0,
+//   orderedPacks, packSize, packUnit, packName, packStockSize, overBuy,
+//   supplierItemCode, packPrice, unitPrice, lineTotal }
+// orderedQuantity is in the ingredient's stock unit; orderedPacks is the same
+// order in the supplier's packs (0 when the line isn't bought in packs).
+// A poNumber ("PO-2026-0042") is assigned here.
 export const addPurchaseOrder = async (data) => {
   const ref = collection(db, "purchaseOrders");
+  const [poNumber] = await reserveDocumentNumbers(PURCHASE_ORDER_PREFIX);
 
   const docRef = await addDoc(ref, {
     ...data,
+    poNumber,
     status:    "draft",
     sentAt:    null,
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp(),
   });
 
-  console.log(`Added purchase order with ID: ${docRef.id}`);
+  console.log(`Added purchase order ${poNumber} with ID: ${docRef.id}`);
   return docRef;
 };
 
@@ -873,97 +2361,541 @@ export const deletePurchaseOrder = async (id, status) => {
   console.log(`Deleted draft purchase order ${id}`);
 };
 
-// Receives goods against a purchase order in a single atomic batch write.
-// `updatedItems` is the full items array with receivedQuantity filled in for each line.
+// Fetches every receipt recorded against a purchase order, oldest first —
+// the delivery timeline shown on the expanded PO.
+// Receipts live in a subcollection (purchaseOrders/{id}/receipts) because
+// they only ever make sense in the context of their PO.
+export const getPurchaseOrderReceipts = async (poId) => {
+  const ref = collection(db, "purchaseOrders", poId, "receipts");
+  const q   = query(ref, orderBy("receivedAt", "asc"));
+  const snapshot = await getDocs(q);
+
+  const receipts = snapshot.docs.map((document) => ({
+    id: document.id,
+    ...document.data(),
+  }));
+
+  console.log(`Fetched ${receipts.length} receipts for purchase order ${poId}`);
+  return receipts;
+};
+
+// Receives one delivery against a purchase order in a single transaction.
+// A PO can be received several times — each partial delivery is its own call.
+// `po` only says which order: its lines and totals are re-read inside the
+// transaction, so two deliveries posted from two devices both count, and a
+// PO that's been completed or closed elsewhere can't be received again.
+//
+// `lines` has one entry per PO line in this delivery:
+//   { ingredientId, ingredientName, quantity, lotCode, bestBefore, actualUnitPrice, invoiceNumber }
+// quantity is what arrived in THIS delivery, in the stock unit; lines with
+// quantity 0 didn't come. actualUnitPrice is the invoiced price per stock unit.
+// ingredientName is only for the error when a line has since been taken off
+// the PO.
 //
-// The batch contains N + 1 operations (N = number of items):
-//   1. Increment each ingredient's currentStock by its receivedQuantity
-//   2. Update the PO: replace items array, set status to "complete" or "partial"
+// `receipt` carries the delivery details: { notes, temperature, costMethod }.
+// temperature is the probe reading for chilled goods (null when not taken).
+// costMethod decides what happens to each ingredient's costPerUnit when a
+// line has an invoiced price:
+//   "none"    — leave costPerUnit alone (the default)
+//   "last"    — costPerUnit becomes the invoiced price
+//   "average" — weighted average of the stock on hand and the received stock
+//
+// The transaction writes up to 4N + 2 documents (N = number of delivered lines):
+//   1. Increment each ingredient's currentStock by the delivered quantity
+//      (and update costPerUnit, per costMethod), with its inventory transaction
+//      and, when the cost changes, a price point
+//   2. Create one ingredient lot per delivered line
+//   3. Create the receipt record in purchaseOrders/{id}/receipts
+//   4. Update the PO: add the delivery to each line's cumulative
+//      receivedQuantity, and set status to "complete" or "partial"
 //
 // Status logic:
 //   "complete" — every item's receivedQuantity >= its orderedQuantity
-//   "partial"  — at least one item is short or undelivered
+//   "partial"  — at least one item is still short or undelivered
+//
+// Each PO line keeps running totals of what's been invoiced (invoicedQuantity
+// and invoicedAmount), so actualUnitPrice on the line is the average invoiced
+// price across every delivery. invoiceStatus goes back to "pending" with
+// every delivery — there's a new invoice to check.
+//
+// `site` is where the delivery arrived (null = the main site); the stock and
+// the new lots are booked there.
 //
 // Returns void. The page re-fetches POs after this call.
-export const receivePurchaseOrder = async (poId, updatedItems, currentUserEmail) => {
-  const batch = writeBatch(db);
+export const receivePurchaseOrder = async (po, lines, currentUserEmail, receipt = {}, site = null) => {
+  const { notes = "", temperature = null, costMethod = "none" } = receipt;
+  const delivered = lines.filter((line) => line.quantity > 0);
 
-  // ── 1. Increment stock for each received item ──────────────────────────────
-  // We skip items with receivedQuantity === 0 (not received at all — no stock change).
-  // increment() is server-side atomic: safe if multiple receipts run concurrently.
-  for (const item of updatedItems) {
-    if (item.receivedQuantity > 0) {
-      const ingredientRef = doc(db, "ingredients", item.ingredientId);
-      batch.update(ingredientRef, {
-        currentStock: increment(item.receivedQuantity),
-        updatedAt:    serverTimestamp(),
-      });
-    }
+  if (delivered.length === 0) {
+    throw new Error("Enter a received quantity for at least one line.");
   }
 
-  // ── 2. Update the purchase order ───────────────────────────────────────────
-  // Overwrite the items array with the received quantities filled in.
-  // Determine completion status: fully received = "complete", otherwise "partial".
-  const isComplete = updatedItems.every(
-    (item) => item.receivedQuantity >= item.orderedQuantity
-  );
+  const poRef = doc(db, "purchaseOrders", po.id);
 
-  const poRef = doc(db, "purchaseOrders", poId);
-  batch.update(poRef, {
-    items:      updatedItems,
-    status:     isComplete ? "complete" : "partial",
-    receivedBy: currentUserEmail,
-    updatedAt:  serverTimestamp(),
-  });
+  const { receiptId, isComplete } = await runTransaction(db, async (transaction) => {
+    // The PO as it is now, not as the page loaded it — another device may have
+    // received against it since, and its totals and status build on that.
+    const snapshot = await transaction.get(poRef);
+    if (!snapshot.exists() || !["sent", "partial"].includes(snapshot.data().status)) {
+      throw new Error("This order is no longer awaiting delivery — it may have been received or closed on another device.");
+    }
+    const current = snapshot.data();
 
-  await batch.commit();
+    const items = delivered.map((line) => current.items.find((it) => it.ingredientId === line.ingredientId));
+    const dropped = delivered.find((line, i) => !items[i]);
+    if (dropped) {
+      throw new Error(`${dropped.ingredientName || "A line"} is no longer on this order — reload it and try again.`);
+    }
+
+    // Each ingredient's stock and cost before this delivery lands — for the
+    // ledger's balanceAfter, and for the weighted average. Read through the
+    // transaction, so a movement that lands in the meantime makes it retry
+    // rather than work from stale stock.
+    const balances = await readStockBalances(
+      delivered.map((line) => ({ itemType: "ingredient", itemId: line.ingredientId })),
+      site,
+      transaction
+    );
+
+    const receiptRef = doc(collection(db, "purchaseOrders", po.id, "receipts"));
+
+    // ── 1 + 2. Increment stock and create a lot for each delivered line ──────
+    // increment() is server-side atomic: safe if multiple receipts run concurrently.
+    const receiptLines = delivered.map((line, i) => {
+      const item = items[i];
+
+      const ingredientUpdate = {};
+      if (line.actualUnitPrice > 0 && costMethod === "last") {
+        ingredientUpdate.costPerUnit = line.actualUnitPrice;
+      }
+      if (line.actualUnitPrice > 0 && costMethod === "average") {
+        const onHand = balances[getStockPath("ingredient", line.ingredientId)];
+        ingredientUpdate.costPerUnit = getWeightedAverageCost(
+          onHand.currentStock, onHand.costPerUnit, line.quantity, line.actualUnitPrice
+        );
+      }
+      // Read before stageStockMovement moves the balance on.
+      const previousCost = balances[getStockPath("ingredient", line.ingredientId)].costPerUnit;
+      if (ingredientUpdate.costPerUnit !== undefined && ingredientUpdate.costPerUnit !== previousCost) {
+        stagePricePoint(transaction, {
+          ingredientId:   line.ingredientId,
+          ingredientName: item.ingredientName,
+          unit:           item.unit,
+          costPerUnit:    ingredientUpdate.costPerUnit,
+          previousCost,
+          source:         "purchaseReceipt",
+          sourceId:       po.id,
+          sourceNumber:   current.poNumber ?? "",
+          createdBy:      currentUserEmail,
+        });
+      }
+
+      const lotRef  = doc(collection(db, "ingredientLots"));
+      const lotData = buildLotData(lotRef, {
+        ingredientId:   line.ingredientId,
+        ingredientName: item.ingredientName,
+        unit:           item.unit,
+        quantity:       line.quantity,
+        lotCode:        line.lotCode,
+        bestBefore:     line.bestBefore,
+        source:         "purchaseOrder",
+        sourceId:       po.id,
+        site,
+      });
+      transaction.set(lotRef, lotData);
+
+      stageStockMovement(transaction, balances, {
+        type:         "purchaseReceipt",
+        itemType:     "ingredient",
+        itemId:       line.ingredientId,
+        itemName:     item.ingredientName,
+        unit:         item.unit,
+        delta:        line.quantity,
+        sourceType:   "purchaseOrder",
+        sourceId:     po.id,
+        sourceNumber: current.poNumber ?? "",
+        notes:        `Lot ${lotData.lotCode}`,
+        createdBy:    currentUserEmail,
+      }, ingredientUpdate);
+
+      return {
+        ingredientId:    line.ingredientId,
+        ingredientName:  item.ingredientName,
+        unit:            item.unit,
+        quantity:        line.quantity,
+        lotId:           lotRef.id,
+        lotCode:         lotData.lotCode,
+        bestBefore:      lotData.bestBefore,
+        actualUnitPrice: line.actualUnitPrice ?? 0,
+        invoiceNumber:   line.invoiceNumber ?? "",
+      };
+    });
+
+    // ── 3. The receipt record ───────────────────────────────────────────────
+    transaction.set(receiptRef, {
+      receivedAt:  serverTimestamp(),
+      receivedBy:  currentUserEmail,
+      lines:       receiptLines,
+      notes:       notes.trim(),
+      temperature: temperature ?? null,
+    });
+
+    // ── 4. Update the purchase order ─────────────────────────────────────────
+    // Fold this delivery into each line's running totals. The line's lot fields
+    // point at the latest lot; a recall still finds every lot from this PO
+    // through the lot's sourceId.
+    const updatedItems = current.items.map((item) => {
+      const line = receiptLines.find((rl) => rl.ingredientId === item.ingredientId);
+      if (!line) return item;
+
+      const updated = {
+        ...item,
+        receivedQuantity: (item.receivedQuantity ?? 0) + line.quantity,
+        lotId:            line.lotId,
+        lotCode:          line.lotCode,
+        bestBefore:       line.bestBefore,
+        invoiceNumber:    line.invoiceNumber || item.invoiceNumber || "",
+      };
+
+      if (line.actualUnitPrice > 0) {
+        // Lines received before running totals existed count their earlier
+        // invoiced price against everything received so far.
+        const priorQuantity = item.invoicedQuantity ?? (item.actualUnitPrice > 0 ? item.receivedQuantity : 0);
+        const priorAmount   = item.invoicedAmount   ?? priorQuantity * (item.actualUnitPrice ?? 0);
+        updated.invoicedQuantity = priorQuantity + line.quantity;
+        updated.invoicedAmount   = priorAmount + line.quantity * line.actualUnitPrice;
+        updated.actualUnitPrice  = updated.invoicedAmount / updated.invoicedQuantity;
+      }
+
+      return updated;
+    });
+
+    const isComplete = updatedItems.every(
+      (item) => item.receivedQuantity >= item.orderedQuantity
+    );
+
+    // The invoice numbers seen on this PO, for searching and the discrepancy report.
+    const invoiceNumbers = [...new Set([
+      ...(current.invoiceNumbers ?? []),
+      ...receiptLines.map((line) => line.invoiceNumber).filter(Boolean),
+    ])];
+
+    transaction.update(poRef, {
+      items:            updatedItems,
+      status:           isComplete ? "complete" : "partial",
+      receivedBy:       currentUserEmail,
+      receiptCount:     increment(1),
+      invoiceNumbers,
+      invoiceStatus:    "pending",
+      hasPriceVariance: updatedItems.some(hasPriceVariance),
+      updatedAt:        serverTimestamp(),
+    });
+
+    return { receiptId: receiptRef.id, isComplete };
+  });
 
   console.log(
-    `Received goods for PO ${poId} — status: ${isComplete ? "complete" : "partial"}`
+    `Received delivery ${receiptId} for PO ${po.id} — status: ${isComplete ? "complete" : "partial"}`
   );
 };
 
+// Closes a partially received PO without waiting for the rest.
+// Used when the supplier can't deliver the outstanding lines — the PO drops
+// out of "awaiting receipt" and the shortfall is explained by `reason`.
+// Nothing is written to stock; only what was actually received counts.
+export const closePurchaseOrderShort = async (poId, reason, currentUserEmail) => {
+  const ref = doc(db, "purchaseOrders", poId);
+
+  await updateDoc(ref, {
+    status:            "closed",
+    closedShortReason: reason,
+    closedBy:          currentUserEmail,
+    closedAt:          serverTimestamp(),
+    updatedAt:         serverTimestamp(),
+  });
+
+  console.log(`Closed purchase order ${poId} short: ${reason}`);
+};
+
+// Marks a received PO's supplier invoice as checked.
+// `status` is "matched" (the invoice agrees with what we received, or any
+// difference has been settled) or "disputed" (we've raised it with the
+// supplier). `notes` records the reason — required by the page for disputes.
+// Disputed POs stay on the open discrepancies report until marked matched.
+export const setPurchaseOrderInvoiceStatus = async (poId, status, notes, currentUserEmail) => {
+  const ref = doc(db, "purchaseOrders", poId);
+
+  await updateDoc(ref, {
+    invoiceStatus:    status,
+    invoiceNotes:     notes ?? "",
+    invoiceCheckedBy: currentUserEmail,
+    invoiceCheckedAt: serverTimestamp(),
+    updatedAt:        serverTimestamp(),
+  });
+
+  console.log(`Set invoice status on purchase order ${poId} to ${status}`);
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
-// END OF DAY
+// VENDOR RETURNS
+// Damaged or wrong goods sent back to the supplier after they were received.
+// Each return is tied to the PO it came in on and records the credit the
+// supplier owes us until it shows up on a statement.
 // ─────────────────────────────────────────────────────────────────────────────
 
-// Fetches all end-of-day reconciliation records, newest first.
-export const getEndOfDayRecords = async () => {
-  const ref = collection(db, "endOfDayRecords");
+// Fetches every vendor return, newest first. Small collection — the purchasing
+// page filters by PO and the suppliers page totals by supplier in JavaScript.
+export const getVendorReturns = async () => {
+  const ref = collection(db, "vendorReturns");
   const q   = query(ref, orderBy("createdAt", "desc"));
   const snapshot = await getDocs(q);
-  return snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const returns = snapshot.docs.map((document) => ({
+    id: document.id,
+    ...document.data(),
+  }));
+
+  console.log(`Fetched ${returns.length} vendor returns`);
+  return returns;
+};
+
+// Records goods going back to the supplier in a single transaction.
+// `lines` has one entry per returned PO line:
+//   { ingredientId, ingredientName, quantity, unitCredit }
+// quantity is in the stock unit and can't exceed what's left of that line's
+// receipt (received minus already returned). unitCredit is the credit per
+// stock unit — the page defaults it to the invoiced price. ingredientName is
+// only for the error when a line has since been taken off the PO.
+//
+// `po` only says which order: the PO and its lots are re-read inside the
+// transaction, so a return or delivery posted from another device since the
+// page loaded is counted before checking what's left to return.
+//
+// The transaction:
+//   1. Decrements each ingredient's currentStock, with its inventory transaction
+//   2. Draws the quantity down from this PO's lots for that ingredient,
+//      newest first — the goods going back are usually the latest delivery
+//   3. Creates the vendorReturns document with creditStatus "owed"
+//   4. Adds the quantities to each PO line's returnedQuantity and the credit
+//      to the PO's returnedCredit
+//
+// `site` is where the goods are going back from (null = the main site); only
+// its stock and lots are drawn down.
+//
+// Returns the new return's document ID.
+export const addVendorReturn = async (po, lines, reason, currentUserEmail, site = null) => {
+  const returned = lines.filter((line) => line.quantity > 0);
+
+  if (returned.length === 0) {
+    throw new Error("Enter a quantity to return for at least one line.");
+  }
+
+  // This PO's open lots, one query per ingredient (same approach as
+  // executeWorkOrder), newest first. A transaction can't run a query, so
+  // these only say which lots to look at — each is re-read below.
+  const candidateLots = await Promise.all(
+    returned.map(async (line) =>
+      (await getOpenLotsForIngredient(line.ingredientId, site))
+        .filter((lot) => lot.source === "purchaseOrder" && lot.sourceId === po.id)
+        .reverse()
+    )
+  );
+
+  const poRef     = doc(db, "purchaseOrders", po.id);
+  const returnRef = doc(collection(db, "vendorReturns"));
+
+  const creditTotal = await runTransaction(db, async (transaction) => {
+    // All reads first — a transaction can't read after it has written.
+    const [snapshot, balances, ...lotSnapshots] = await Promise.all([
+      transaction.get(poRef),
+      readStockBalances(
+        returned.map((line) => ({ itemType: "ingredient", itemId: line.ingredientId })),
+        site,
+        transaction
+      ),
+      ...candidateLots.flat().map((lot) => transaction.get(doc(db, "ingredientLots", lot.id))),
+    ]);
+    if (!snapshot.exists()) {
+      throw new Error("This order no longer exists.");
+    }
+    const current = snapshot.data();
+
+    const items = returned.map((line) => current.items.find((it) => it.ingredientId === line.ingredientId));
+    returned.forEach((line, i) => {
+      const item = items[i];
+      if (!item) {
+        throw new Error(`${line.ingredientName || "A line"} is no longer on this order — reload it and try again.`);
+      }
+      const available = (item.receivedQuantity ?? 0) - (item.returnedQuantity ?? 0);
+      if (line.quantity > available) {
+        throw new Error(
+          `Only ${available} ${item.unit} of ${item.ingredientName} is left to return on this order.`
+        );
+      }
+    });
+
+    // The lots as they stand now, still newest first per ingredient.
+    const freshLots = lotSnapshots
+      .filter((lotSnap) => lotSnap.exists())
+      .map((lotSnap) => ({ id: lotSnap.id, ...lotSnap.data() }));
+    const lotPlans = returned.map((line, i) => allocateFifo(
+      candidateLots[i]
+        .map((lot) => freshLots.find((fresh) => fresh.id === lot.id))
+        .filter((lot) => lot?.quantityRemaining > 0),
+      line.quantity
+    ));
+
+    // ── 1 + 2. Stock and lots ────────────────────────────────────────────────
+    const returnLines = returned.map((line, i) => {
+      const item = items[i];
+
+      stageStockMovement(transaction, balances, {
+        type:         "vendorReturn",
+        itemType:     "ingredient",
+        itemId:       line.ingredientId,
+        itemName:     item.ingredientName,
+        unit:         item.unit,
+        delta:        -line.quantity,
+        sourceType:   "vendorReturn",
+        sourceId:     returnRef.id,
+        sourceNumber: current.poNumber ?? "",
+        notes:        reason.trim(),
+        createdBy:    currentUserEmail,
+      });
+
+      for (const allocation of lotPlans[i].allocations) {
+        transaction.update(doc(db, "ingredientLots", allocation.lotId), {
+          quantityRemaining: increment(-allocation.quantity),
+        });
+      }
+
+      return {
+        ingredientId:   line.ingredientId,
+        ingredientName: item.ingredientName,
+        unit:           item.unit,
+        quantity:       line.quantity,
+        unitCredit:     line.unitCredit ?? 0,
+        credit:         line.quantity * (line.unitCredit ?? 0),
+        lotsReturned:   lotPlans[i].allocations,
+      };
+    });
+
+    const total = returnLines.reduce((sum, line) => sum + line.credit, 0);
+
+    // ── 3. The return record ────────────────────────────────────────────────
+    transaction.set(returnRef, {
+      poId:             po.id,
+      poNumber:         current.poNumber ?? "",
+      supplierId:       current.supplierId ?? "",
+      supplierName:     current.supplierName ?? "",
+      lines:            returnLines,
+      reason:           reason.trim(),
+      creditTotal:      total,
+      creditStatus:     "owed",
+      creditReference:  "",
+      creditReceivedAt: null,
+      createdBy:        currentUserEmail,
+      createdAt:        serverTimestamp(),
+    });
+
+    // ── 4. Running totals on the PO ─────────────────────────────────────────
+    const updatedItems = current.items.map((item) => {
+      const line = returnLines.find((rl) => rl.ingredientId === item.ingredientId);
+      return line
+        ? { ...item, returnedQuantity: (item.returnedQuantity ?? 0) + line.quantity }
+        : item;
+    });
+
+    transaction.update(poRef, {
+      items:          updatedItems,
+      returnedCredit: increment(total),
+      updatedAt:      serverTimestamp(),
+    });
+
+    return total;
+  });
+
+  console.log(`Recorded vendor return ${returnRef.id} against PO ${po.id} — credit $${creditTotal.toFixed(2)}`);
+  return returnRef.id;
+};
+
+// Marks a return's credit as received from the supplier.
+// `creditReference` is the credit note or statement line it appeared on.
+export const markVendorCreditReceived = async (returnId, creditReference, currentUserEmail) => {
+  const ref = doc(db, "vendorReturns", returnId);
+
+  await updateDoc(ref, {
+    creditStatus:     "received",
+    creditReference:  creditReference ?? "",
+    creditReceivedBy: currentUserEmail,
+    creditReceivedAt: serverTimestamp(),
+  });
+
+  console.log(`Marked credit received on vendor return ${returnId}`);
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// END OF DAY
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Fetches all end-of-day reconciliation records, newest first — only
+// `site`'s, when one is given.
+export const getEndOfDayRecords = async (site = null) =>
+  getSiteRecords("endOfDayRecords", site, "createdAt", "desc");
+
 // Writes all end-of-day reconciliation rows as a single atomic batch:
 //   - Decrements the fresh finished good's stock for every row
 //   - Increments the linked day-old product's stock for "transferToDayOld" rows
 //   - Creates one endOfDayRecord audit document per row
+//   - Logs an inventory transaction for every stock change
 // All operations across all rows commit together — all succeed or none do.
-export const addEndOfDayRecords = async (records, currentUserEmail) => {
+// Every row is for `site` — its stock moves and the records get its siteId.
+export const addEndOfDayRecords = async (records, currentUserEmail, site = null) => {
+  const isTransfer = (record) => record.action === "transferToDayOld" && record.dayOldFinishedGoodId;
+
+  const balances = await readStockBalances(records.flatMap((record) => [
+    { itemType: "finishedGood", itemId: record.finishedGoodId },
+    ...(isTransfer(record) ? [{ itemType: "finishedGood", itemId: record.dayOldFinishedGoodId }] : []),
+  ]), site);
+
   const batch = writeBatch(db);
 
   for (const record of records) {
+    // doc(collection(...)) generates a new auto-ID ref usable in a batch.
+    // Generated first so the ledger entries can point at it.
+    const recordRef = doc(collection(db, "endOfDayRecords"));
+    const source = {
+      sourceType: "endOfDayRecord",
+      sourceId:   recordRef.id,
+      notes:      record.notes || "",
+      createdBy:  currentUserEmail || "",
+    };
 
     // ── 1. Decrement the fresh finished good ───────────────────────────────
-    const freshRef = doc(db, "finishedGoods", record.finishedGoodId);
-    batch.update(freshRef, {
-      currentStock: increment(-record.quantity),
-      updatedAt:    serverTimestamp(),
+    // A transfer is logged as one on both sides, so each product's history
+    // says where the stock went or came from.
+    stageStockMovement(batch, balances, {
+      type:     isTransfer(record) ? "dayOldTransfer" : "writeOff",
+      itemType: "finishedGood",
+      itemId:   record.finishedGoodId,
+      itemName: record.finishedGoodName,
+      delta:    -record.quantity,
+      ...source,
     });
 
     // ── 2. Increment the day-old product (transfer rows only) ──────────────
-    if (record.action === "transferToDayOld" && record.dayOldFinishedGoodId) {
-      const dayOldRef = doc(db, "finishedGoods", record.dayOldFinishedGoodId);
-      batch.update(dayOldRef, {
-        currentStock: increment(record.quantity),
-        updatedAt:    serverTimestamp(),
+    if (isTransfer(record)) {
+      stageStockMovement(batch, balances, {
+        type:     "dayOldTransfer",
+        itemType: "finishedGood",
+        itemId:   record.dayOldFinishedGoodId,
+        itemName: record.dayOldFinishedGoodName,
+        delta:    record.quantity,
+        ...source,
       });
     }
 
     // ── 3. Write the audit record ──────────────────────────────────────────
-    // doc(collection(...)) generates a new auto-ID ref usable in a batch.
-    const recordRef = doc(collection(db, "endOfDayRecords"));
     batch.set(recordRef, {
       date:                   record.date,
       finishedGoodId:         record.finishedGoodId,
@@ -975,6 +2907,7 @@ export const addEndOfDayRecords = async (records, currentUserEmail) => {
       dayOldFinishedGoodName: record.action === "transferToDayOld"
                                 ? record.dayOldFinishedGoodName : null,
       notes:                  record.notes || "",
+      siteId:                 site?.id ?? "",
       recordedBy:             currentUserEmail || "",
       createdAt:              serverTimestamp(),
     });
@@ -984,6 +2917,184 @@ export const addEndOfDayRecords = async (records, currentUserEmail) => {
   console.log(`End of day recorded: ${records.length} item(s)`);
 };
 
+// ─────────────────────────────────────────────────────────────────────────────
+// STOCK COUNTS
+// Physical count sessions ("CNT-2026-0003"). A count is started for a
+// category and/or storage area, filled in on the counts page (saved as it
+// goes, so a count can be picked up on another tablet), then posted: every
+// line with a variance becomes a "count" inventory transaction in one batch.
+// See lib/stockCounts.js for the line shape and variance rules.
+//
+// Document shape:
+//   { countNumber, category, storageArea, siteId, status, lines, notes,
+//     summary, createdBy, createdAt, updatedAt, postedBy, postedAt }
+//   status — "open" | "posted" | "cancelled"
+//   summary — summarizeCount(lines), frozen when the count is posted
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Fetches every count session at `site` (null = every site), newest first.
+export const getStockCounts = async (site = null) => {
+  const counts = await getSiteRecords("stockCounts", site, "createdAt", "desc");
+
+  console.log(`Fetched ${counts.length} stock counts`);
+  return counts;
+};
+
+// Starts a count of `ingredients` (already filtered to the scope) and
+// snapshots their system quantities. `scope` is { category, storageArea } —
+// kept on the count so the history says what was counted. The ingredients
+// are as `site` sees them, so the count is of that site's stock.
+// Returns the new count's document ID.
+export const startStockCount = async (scope, ingredients, currentUserEmail, site = null) => {
+  if (ingredients.length === 0) {
+    throw new Error("No ingredients match that category and storage area.");
+  }
+
+  const [countNumber] = await reserveDocumentNumbers(STOCK_COUNT_PREFIX);
+  const docRef = await addDoc(collection(db, "stockCounts"), {
+    countNumber,
+    category:    scope.category    ?? "",
+    storageArea: scope.storageArea ?? "",
+    siteId:      site?.id ?? "",
+    status:      "open",
+    lines:       buildCountLines(ingredients),
+    notes:       "",
+    summary:     null,
+    createdBy:   currentUserEmail,
+    createdAt:   serverTimestamp(),
+    updatedAt:   serverTimestamp(),
+    postedBy:    "",
+    postedAt:    null,
+  });
+
+  console.log(`Started stock count ${countNumber} (${docRef.id})`);
+  return docRef.id;
+};
+
+// Saves the counted quantities and reason codes entered so far.
+export const saveStockCount = async (countId, lines, notes) => {
+  await updateDoc(doc(db, "stockCounts", countId), {
+    lines,
+    notes:     notes ?? "",
+    updatedAt: serverTimestamp(),
+  });
+  console.log(`Saved stock count ${countId}`);
+};
+
+// Abandons an open count. Nothing is written to stock.
+export const cancelStockCount = async (countId, currentUserEmail) => {
+  await updateDoc(doc(db, "stockCounts", countId), {
+    status:      "cancelled",
+    cancelledBy: currentUserEmail,
+    updatedAt:   serverTimestamp(),
+  });
+  console.log(`Cancelled stock count ${countId}`);
+};
+
+// Posts a count in a single atomic batch write:
+//   1. For every counted line with a variance, move the ingredient's stock by
+//      counted − system (the snapshot taken when the count started) and log a
+//      "count" inventory transaction with the line's reason code
+//   2. Apply the same variance to the ingredient's lots, so lots and stock
+//      agree afterwards: a shortfall comes out of the open lots oldest first
+//      (as production would have used them); a surplus becomes a new lot
+//      with source "count"
+//   3. Mark the count "posted" with the final lines and summary
+// Uncounted lines are left alone. Throws if a variance line has no reason,
+// or if the count was posted or cancelled elsewhere since it was loaded.
+//
+// The count is re-read first: a batch can't check a document's status, and
+// posting the same count twice would double every adjustment.
+// `site` is the site the count was taken at.
+export const postStockCount = async (countId, lines, notes, currentUserEmail, site = null) => {
+  const missingReason = lines.filter((line) => {
+    const variance = getCountLineVariance(line);
+    return variance && variance.quantity !== 0 && !line.reasonCode;
+  });
+  if (missingReason.length > 0) {
+    throw new Error(`Choose a reason for every variance — ${missingReason.map((l) => l.itemName).join(", ")}.`);
+  }
+
+  const countRef = doc(db, "stockCounts", countId);
+  const snapshot = await getDoc(countRef);
+  if (!snapshot.exists() || snapshot.data().status !== "open") {
+    throw new Error("This count is no longer open — it may have been posted or cancelled on another device.");
+  }
+  const count = snapshot.data();
+
+  const adjusted = lines.filter((line) => getCountLineVariance(line)?.quantity);
+
+  // Lot plans line up with `adjusted`; surpluses don't draw on any lots.
+  const [balances, lotPlans] = await Promise.all([
+    readStockBalances(
+      adjusted.map((line) => ({ itemType: "ingredient", itemId: line.itemId })),
+      site
+    ),
+    Promise.all(
+      adjusted.map(async (line) => {
+        const variance = getCountLineVariance(line).quantity;
+        if (variance > 0) return null;
+        return allocateFifo(await getOpenLotsForIngredient(line.itemId, site), -variance);
+      })
+    ),
+  ]);
+
+  const batch = writeBatch(db);
+
+  // ── 1 + 2. Stock and lots ──────────────────────────────────────────────────
+  adjusted.forEach((line, i) => {
+    const variance = getCountLineVariance(line).quantity;
+
+    stageStockMovement(batch, balances, {
+      type:         "count",
+      itemType:     "ingredient",
+      itemId:       line.itemId,
+      itemName:     line.itemName,
+      unit:         line.unit,
+      delta:        variance,
+      sourceType:   "stockCount",
+      sourceId:     countId,
+      sourceNumber: count.countNumber,
+      reasonCode:   line.reasonCode,
+      unitCost:     line.costPerUnit,
+      createdBy:    currentUserEmail,
+    });
+
+    if (variance > 0) {
+      const lotRef = doc(collection(db, "ingredientLots"));
+      batch.set(lotRef, buildLotData(lotRef, {
+        ingredientId:   line.itemId,
+        ingredientName: line.itemName,
+        unit:           line.unit,
+        quantity:       variance,
+        source:         "count",
+        sourceId:       countId,
+        site,
+      }));
+      return;
+    }
+    for (const allocation of lotPlans[i].allocations) {
+      batch.update(doc(db, "ingredientLots", allocation.lotId), {
+        quantityRemaining: increment(-allocation.quantity),
+      });
+    }
+  });
+
+  // ── 3. The count itself ───────────────────────────────────────────────────
+  batch.update(countRef, {
+    status:    "posted",
+    lines,
+    notes:     notes ?? "",
+    summary:   summarizeCount(lines),
+    postedBy:  currentUserEmail,
+    postedAt:  serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+
+  await batch.commit();
+  console.log(`Posted stock count ${count.countNumber}: ${adjusted.length} adjustment(s)`);
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // WEEKLY PLANNING
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1018,7 +3129,9 @@ export const getWeeklyPlans = async () => {
 //
 // Steps:
 //   1. addDoc the weeklyPlan → get its ID (needed on every work order)
-//   2. writeBatch N work orders (one per product per non-zero day)
+//   2. writeBatch N work orders (one per product per non-zero day), plus a
+//      dependent work order for every sub-recipe stock doesn't cover, each
+//      numbered from a single reserved block of WO numbers
 //   3. batch.update the plan with the final work order count + "generated" status
 //   4. batch.commit() — all succeed or none do
 //
@@ -1039,6 +3152,19 @@ export const generateWorkOrdersForWeek = async (
     "friday", "saturday", "sunday",
   ];
 
+  // Stock is checked the way createWorkOrderFromDemandPlan checks it: net of
+  // what open work orders at the production kitchen already hold, for
+  // ingredients and intermediates alike. Read before the plan is saved; both
+  // maps are shared across the week and updated with each order's claim, so
+  // Monday's butter isn't promised again on Tuesday.
+  const mainSite = (await getSites()).find((s) => s.isMain) ?? null;
+  const [finishedGoods, workOrders] = await Promise.all([
+    getFinishedGoods(mainSite),
+    getWorkOrders(mainSite),
+  ]);
+  const allocated         = getAllocatedQuantities(workOrders, ingredients);
+  const freeIntermediates = getFreeIntermediates(finishedGoods, workOrders);
+
   // ── 1. Save the plan document first to get its Firestore ID ────────────────
   const planRef = await addDoc(collection(db, "weeklyPlans"), {
     weekStartDate:       weeklyPlan.weekStartDate,
@@ -1052,8 +3178,9 @@ export const generateWorkOrdersForWeek = async (
   const planId = planRef.id;
 
   // ── 2. Build and batch all work orders ─────────────────────────────────────
-  const batch = writeBatch(db);
-  let count   = 0;
+  const batch  = writeBatch(db);
+  const writes = [];
+  let count    = 0;
 
   // Parse the Monday date at noon local time to prevent timezone rollback.
   // A bare "YYYY-MM-DD" string parsed by new Date() is treated as midnight UTC,
@@ -1079,28 +3206,17 @@ export const generateWorkOrdersForWeek = async (
       const dd     = String(dayDate.getDate()).padStart(2, "0");
       const dateStr = `${yyyy}-${mm}-${dd}`;
 
-      // Build the per-ingredient snapshot — same shape as createWorkOrderFromDemandPlan.
-      const ingredientsRequired = recipe.ingredients.map((ing) => ({
-        ingredientId:   ing.ingredientId,
-        ingredientName: ing.ingredientName,
-        unit:           ing.unit,
-        quantity:       ing.quantity,          // per-batch amount from the recipe
-        totalRequired:  batches * ing.quantity, // total across all batches
-      }));
+      // Build the requirement snapshot — same shape as createWorkOrderFromDemandPlan.
+      const snapshot = buildRequirementSnapshot(recipe, batches, recipes, ingredients, allocated);
+      claimAllocatedStock(allocated, snapshot.ingredientsRequired, batches);
 
-      // Cross-reference current stock for sufficiency flags.
-      const ingredientCheck = ingredientsRequired.map((ing) => {
-        const currentStock = ingredients.find((i) => i.id === ing.ingredientId)?.currentStock ?? 0;
-        const sufficient   = currentStock >= ing.totalRequired;
-        return { ...ing, sufficient, shortfall: sufficient ? 0 : ing.totalRequired - currentStock };
-      });
-      const ingredientsSufficient = ingredientCheck.every((ic) => ic.sufficient);
-      const insufficientIngredients = ingredientCheck
-        .filter((ic) => !ic.sufficient)
-        .map(({ ingredientName, shortfall, unit }) => ({ ingredientName, shortfall, unit }));
+      // A recipe with a timed method is due when the method ends; otherwise
+      // the default due time applies.
+      const scheduledStart = `${dateStr}T${defaultStartTime}`;
+      const dueBy          = getMethodDueBy(scheduledStart, recipe.steps) ?? `${dateStr}T${defaultDueTime}`;
 
-      const woRef = doc(collection(db, "workOrders"));
-      batch.set(woRef, {
+      const woRef  = doc(collection(db, "workOrders"));
+      const woData = {
         weeklyPlanId:           planId,
         planDay:                day,
         orderType:              "MTS",
@@ -1108,30 +3224,40 @@ export const generateWorkOrdersForWeek = async (
         specialOrderId:         "",
         recipeId:               item.recipeId,
         recipeName:             item.recipeName,
+        recipeVersion:          recipe.version ?? 1,
         finishedGoodId:         item.finishedGoodId,
         finishedGoodName:       item.finishedGoodName,
         batchesOrdered:         batches,
         batchesActual:          batches,         // baker can adjust before executing
         recipeYield:            item.recipeYield,
         totalYield:             qty,
-        scheduledStart:         `${dateStr}T${defaultStartTime}`,
-        dueBy:                  `${dateStr}T${defaultDueTime}`,
+        scheduledStart,
+        dueBy,
         status:                 "planned",
-        ingredientsRequired,
-        ingredientsSufficient,
-        insufficientIngredients,
+        ...snapshot,
+        steps:                  recipe.steps ?? [],
         notes:                  "",
         createdBy:              currentUserEmail || "",
         startedAt:              null,
         completedAt:            null,
         createdAt:              serverTimestamp(),
         updatedAt:              serverTimestamp(),
-      });
+      };
+      writes.push({ ref: woRef, data: woData });
 
       count++;
+      count += addDependentWorkOrders(
+        writes, { ref: woRef, data: woData }, recipes, ingredients, allocated, freeIntermediates
+      );
     }
   }
 
+  // Number the whole week in one reservation, then queue every order.
+  await assignWorkOrderNumbers(writes);
+  for (const { ref, data } of writes) {
+    batch.set(ref, data);
+  }
+
   // ── 3. Stamp the plan with the final count and mark as generated ───────────
   batch.update(planRef, {
     workOrdersGenerated: count,
@@ -1156,6 +3282,8 @@ export const DEFAULT_SETTINGS = {
   defaultStartTime:   "06:00",
   defaultDueTime:     "10:00",
   adminEmails:        [],
+  // Reasons offered when adjusting stock or posting a count — { value, label }.
+  adjustmentReasons:  DEFAULT_ADJUSTMENT_REASONS,
 };
 
 // Reads the settings document and merges any missing fields with defaults.
@@ -0,0 +1,69 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Stock availability per ingredient — how much of what's on the shelf is
+// already spoken for, and how much more is on its way. No Firestore code
+// lives here; the ingredients page and lib/firestore.js pass in the work
+// orders and purchase orders they've already fetched.
+//
+// For each ingredient, in its stock unit:
+//   onHand    — currentStock
+//   allocated — required by work orders that haven't run yet (planned or in
+//               progress). executeWorkOrder only deducts stock on completion,
+//               so until then the ingredients are still counted in onHand.
+//   onOrder   — ordered on sent / part-received POs and not yet received
+//   free      — onHand − allocated: what a new order can claim today
+//   atp       — free + onOrder: "available to promise" once deliveries land
+// ────────────────────────────────────────────────────────────────────────────
+
+import { toStockUnit } from "@/lib/units";
+import { getOnOrderQuantity } from "@/lib/purchasing";
+
+// Work orders in these statuses still have their ingredients to consume.
+const ALLOCATING_STATUSES = ["planned", "inProgress"];
+
+// Adds up what every unrun work order still needs, keyed by ingredientId.
+// Each line uses its stockQuantity snapshot, or is converted for work orders
+// created before the snapshot existed; a line that can't be converted is
+// skipped. Sub-recipes aren't counted here — their dependent work orders
+// carry their own raw ingredients.
+export const getAllocatedQuantities = (workOrders, ingredients) => {
+  const allocated = {};
+
+  for (const wo of workOrders) {
+    if (!ALLOCATING_STATUSES.includes(wo.status)) continue;
+    // Same rule as the purchasing calculator: batchesActual once it's set.
+    const batches = wo.batchesActual > 0 ? wo.batchesActual : wo.batchesOrdered;
+
+    for (const line of (wo.ingredientsRequired || [])) {
+      const stockItem     = ingredients.find((i) => i.id === line.ingredientId);
+      const stockQuantity = line.stockQuantity
+        ?? (stockItem ? toStockUnit(line.quantity, line.unit, stockItem) : line.quantity);
+      if (stockQuantity === null) continue;
+
+      allocated[line.ingredientId] = (allocated[line.ingredientId] ?? 0) + stockQuantity * (batches ?? 0);
+    }
+  }
+
+  return allocated;
+};
+
+// Availability for every ingredient, keyed by ingredientId.
+// Returns { [ingredientId]: { onHand, allocated, onOrder, free, atp } }.
+export const getStockAvailability = (ingredients, workOrders, purchaseOrders) => {
+  const allocated    = getAllocatedQuantities(workOrders, ingredients);
+  const availability = {};
+
+  for (const ing of ingredients) {
+    const onHand  = ing.currentStock ?? 0;
+    const claimed = allocated[ing.id] ?? 0;
+    const onOrder = getOnOrderQuantity(ing.id, purchaseOrders);
+    availability[ing.id] = {
+      onHand,
+      allocated: claimed,
+      onOrder,
+      free:      onHand - claimed,
+      atp:       onHand - claimed + onOrder,
+    };
+  }
+
+  return availability;
+};
@@ -0,0 +1,159 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Helpers for stock held in storage locations (walk-in cooler, freezer, dry
+// storage, front case). No Firestore code lives here; the locations, work
+// orders and inventory pages share these with lib/firestore.js so a pick list
+// shows exactly the draw-down that completing the work order will post.
+//
+// currentStock stays the item's total. Ingredients and finished goods also
+// carry:
+//   locationStock     — { [locationId]: quantity } in the stock unit
+//   defaultLocationId — where deliveries, production output and edits land
+//                       when a movement doesn't name a location
+// Whatever currentStock holds beyond the location balances is "unassigned" —
+// stock from before locations existed, or items with no default location.
+// It's shown as its own row and can be transferred into a location.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { roundQuantity } from "@/lib/units";
+
+// The kinds offered when adding a location — only used for display.
+export const LOCATION_KINDS = [
+  { value: "cooler",  label: "Cooler" },
+  { value: "freezer", label: "Freezer" },
+  { value: "dry",     label: "Dry storage" },
+  { value: "display", label: "Display / front case" },
+  { value: "other",   label: "Other" },
+];
+
+// The key transfers and pick lists use for stock not in any location.
+export const UNASSIGNED_LOCATION = "";
+
+// Sum of an item's location balances.
+const sumLocationStock = (item) =>
+  Object.values(item.locationStock ?? {}).reduce((sum, qty) => sum + qty, 0);
+
+// currentStock not held in any location.
+export const getUnassignedQuantity = (item) =>
+  roundQuantity((item.currentStock ?? 0) - sumLocationStock(item));
+
+// How much of `item` is in one location ("" = unassigned).
+export const getLocationQuantity = (item, locationId) =>
+  locationId === UNASSIGNED_LOCATION
+    ? getUnassignedQuantity(item)
+    : item.locationStock?.[locationId] ?? 0;
+
+// An item's non-zero balances for display: [{ locationId, name, quantity }],
+// in the order of `locations`, with unassigned stock last.
+// A balance in a location that's since been deleted is still listed.
+export const describeLocationStock = (item, locations) => {
+  const orderOf = (locationId) => locations.findIndex((l) => l.id === locationId);
+  const rows = Object.entries(item.locationStock ?? {})
+    .filter(([, qty]) => roundQuantity(qty) !== 0)
+    .sort(([a], [b]) => orderOf(a) - orderOf(b))
+    .map(([locationId, qty]) => ({
+      locationId,
+      name:     locations.find((l) => l.id === locationId)?.name ?? "Unknown location",
+      quantity: roundQuantity(qty),
+    }));
+
+  const unassigned = getUnassignedQuantity(item);
+  if (unassigned !== 0) {
+    rows.push({ locationId: UNASSIGNED_LOCATION, name: "Unassigned", quantity: unassigned });
+  }
+  return rows;
+};
+
+// Plans where to pull `quantity` of `item` from, like allocateFifo does for
+// lots: the default location first, then the other locations holding the
+// most, then unassigned stock. Whatever's left is short.
+// `item` needs { currentStock, locationStock, defaultLocationId }.
+// Returns { picks: [{ locationId, quantity }], short }. A pick with
+// locationId "" is taken from unassigned stock.
+export const planPicks = (item, quantity) => {
+  const stock   = item.locationStock ?? {};
+  const homeId  = item.defaultLocationId ?? "";
+  const others  = Object.keys(stock)
+    .filter((id) => id !== homeId)
+    .sort((a, b) => stock[b] - stock[a]);
+  const sources = [...(homeId ? [homeId] : []), ...others, UNASSIGNED_LOCATION];
+
+  const picks = [];
+  let remaining = quantity;
+
+  for (const locationId of sources) {
+    if (remaining <= 0) break;
+    const available = getLocationQuantity(item, locationId);
+    if (available <= 0) continue;
+    const take = Math.min(available, remaining);
+    picks.push({ locationId, quantity: roundQuantity(take) });
+    remaining -= take;
+  }
+
+  return { picks, short: Math.max(0, roundQuantity(remaining)) };
+};
+
+// The location balance changes for moving `delta` of `item` — the shape
+// stageStockMovement takes as locationDeltas ({ [locationId]: delta }).
+//   - taking stock out (delta < 0) follows planPicks; a shortfall is taken
+//     from the default location, which can dip below zero like currentStock
+//   - putting stock in goes to the default location
+// Unassigned stock has no balance of its own, so it never appears as a key.
+export const getLocationDeltas = (item, delta) => {
+  const homeId = item.defaultLocationId ?? "";
+  const deltas = {};
+  const add = (locationId, amount) => {
+    if (!locationId || amount === 0) return;
+    deltas[locationId] = (deltas[locationId] ?? 0) + amount;
+  };
+
+  if (delta >= 0) {
+    add(homeId, delta);
+    return deltas;
+  }
+
+  const { picks, short } = planPicks(item, -delta);
+  for (const pick of picks) add(pick.locationId, -pick.quantity);
+  add(homeId, -short);
+  return deltas;
+};
+
+// The pick list for a work order: where to pull each ingredient and sub-recipe
+// from for `batches` batches. Returns
+//   [{ itemType, itemId, itemName, unit, quantity, picks, short }]
+// with picks as [{ locationId, locationName, quantity }].
+export const buildPickList = (workOrder, batches, ingredients, finishedGoods, locations) => {
+  const locationName = (id) =>
+    id === UNASSIGNED_LOCATION ? "Unassigned" : locations.find((l) => l.id === id)?.name ?? "Unknown location";
+
+  const toLine = (itemType, item, itemId, itemName, unit, quantity) => {
+    const { picks, short } = item ? planPicks(item, quantity) : { picks: [], short: quantity };
+    return {
+      itemType,
+      itemId,
+      itemName,
+      unit,
+      quantity: roundQuantity(quantity),
+      picks:    picks.map((p) => ({ ...p, locationName: locationName(p.locationId) })),
+      short,
+    };
+  };
+
+  return [
+    ...(workOrder.ingredientsRequired ?? []).map((ing) => toLine(
+      "ingredient",
+      ingredients.find((i) => i.id === ing.ingredientId),
+      ing.ingredientId,
+      ing.ingredientName,
+      ing.stockUnit ?? ing.unit,
+      (ing.stockQuantity ?? ing.quantity) * batches,
+    )),
+    ...(workOrder.subRecipesRequired ?? []).map((sub) => toLine(
+      "finishedGood",
+      finishedGoods.find((fg) => fg.id === sub.finishedGoodId),
+      sub.finishedGoodId,
+      sub.finishedGoodName,
+      sub.unit,
+      sub.quantity * batches,
+    )),
+  ];
+};
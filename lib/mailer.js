@@ -0,0 +1,54 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Server-only outgoing email. Purchase orders are emailed to suppliers through
+// whatever SMTP server is configured in the environment (.env.local):
+//
+//   SMTP_HOST    — required, e.g. smtp.gmail.com, or localhost for a mail catcher
+//   SMTP_PORT    — default 587
+//   SMTP_SECURE  — "true" for implicit TLS (usually port 465); default false
+//   SMTP_USER    — optional; leave unset for servers that don't need a login
+//   SMTP_PASS
+//   SMTP_FROM    — the From address, e.g. "Sunrise Bakery <orders@sunrise.com>"
+//
+// To test without emailing anyone, run a local mail catcher such as Mailpit
+// (SMTP on localhost:1025, inbox at http://localhost:8025) and set
+// SMTP_HOST=localhost and SMTP_PORT=1025.
+//
+// The credentials stay on the server — they are deliberately not
+// NEXT_PUBLIC_ variables or bakery settings, both of which reach the browser.
+// ────────────────────────────────────────────────────────────────────────────
+
+import nodemailer from "nodemailer";
+
+// Builds a transport from the environment. Created per send rather than once
+// at import time so a changed .env.local is picked up after a restart without
+// a stale transport, and so a missing SMTP_HOST fails the send, not the build.
+const createTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("Email is not configured — set SMTP_HOST in .env.local.");
+  }
+  return nodemailer.createTransport({
+    host:   process.env.SMTP_HOST,
+    port:   parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth:   process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+};
+
+// Sends one email. `message` is { to, subject, text, html, attachments, replyTo }.
+// Returns { messageId, accepted, rejected } from the SMTP server.
+export const sendMail = async (message) => {
+  const transport = createTransport();
+  const info = await transport.sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    ...message,
+  });
+
+  console.log(`Sent email ${info.messageId} to ${message.to}`);
+  return {
+    messageId: info.messageId,
+    accepted:  info.accepted,
+    rejected:  info.rejected,
+  };
+};
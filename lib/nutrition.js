@@ -0,0 +1,163 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Nutrition facts for wholesale labels: what a recipe's product contains per
+// 100 g and per serving, and its ingredient declaration. No Firestore code
+// lives here; the nutrition page passes recipes and ingredients in.
+//
+// Ingredients carry nutritionPer100g — { [NUTRIENTS key]: amount } per 100 g
+// as bought, from the supplier's spec sheet — and optionally labelName, the
+// wording for the ingredient declaration ("Enriched wheat flour (wheat flour,
+// niacin, …)"). A nutrient left out counts as 0, so an ingredient with no
+// values at all is reported as missing rather than silently adding nothing.
+//
+// Recipes carry two label settings, neither versioned (they change the
+// label, not what gets made):
+//   bakeLossPercent  — weight lost in the oven, mostly water (10–15% for
+//                      bread). Nutrients stay; the weight they're spread
+//                      over shrinks, so per-100 g values go up.
+//   servingSizeGrams — one serving. Blank means one piece for recipes that
+//                      yield a count (units, dozen), or 100 g otherwise.
+//
+// Sub-recipes are expanded into their ingredients in proportion to how much
+// of their yield is used. Bake loss is only applied to the recipe being
+// labelled — levains and creams aren't baked on their own.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { convertQuantity } from "@/lib/units";
+import { MAX_RECIPE_DEPTH, isSubRecipeLine } from "@/lib/recipes";
+import { getLineGrams } from "@/lib/bakersPercent";
+
+// The nutrients on the label, in label order. dailyValue is the FDA's daily
+// value for the % column (null where there isn't one). indent marks a
+// "of which" row.
+export const NUTRIENTS = [
+  { key: "energyKcal",   label: "Calories",           unit: "kcal", dailyValue: null, indent: false },
+  { key: "fat",          label: "Total Fat",          unit: "g",    dailyValue: 78,   indent: false },
+  { key: "saturatedFat", label: "Saturated Fat",      unit: "g",    dailyValue: 20,   indent: true  },
+  { key: "transFat",     label: "Trans Fat",          unit: "g",    dailyValue: null, indent: true  },
+  { key: "cholesterol",  label: "Cholesterol",        unit: "mg",   dailyValue: 300,  indent: false },
+  { key: "sodium",       label: "Sodium",             unit: "mg",   dailyValue: 2300, indent: false },
+  { key: "carbohydrate", label: "Total Carbohydrate", unit: "g",    dailyValue: 275,  indent: false },
+  { key: "fiber",        label: "Dietary Fiber",      unit: "g",    dailyValue: 28,   indent: true  },
+  { key: "sugars",       label: "Total Sugars",       unit: "g",    dailyValue: null, indent: true  },
+  { key: "addedSugars",  label: "Added Sugars",       unit: "g",    dailyValue: 50,   indent: true  },
+  { key: "protein",      label: "Protein",            unit: "g",    dailyValue: null, indent: false },
+];
+
+// True when the ingredient has any nutrient values entered.
+export const hasNutrition = (ingredient) =>
+  Object.values(ingredient?.nutritionPer100g ?? {}).some((v) => typeof v === "number");
+
+// Adds the grams of every ingredient behind `recipe` (× factor) to `weights`
+// ({ [ingredientId]: grams }), following sub-recipes down. Lines that can't
+// be weighed are pushed onto `unweighed` by name.
+const collectWeights = (recipe, factor, recipes, ingredients, weights, unweighed, depth) => {
+  if (depth > MAX_RECIPE_DEPTH) {
+    throw new Error(`Recipe "${recipe.name}" is nested more than ${MAX_RECIPE_DEPTH} levels deep.`);
+  }
+  for (const line of recipe.ingredients ?? []) {
+    if (isSubRecipeLine(line)) {
+      const sub   = recipes.find((r) => r.id === line.subRecipeId);
+      const used  = sub ? convertQuantity(line.quantity, line.unit, sub.yieldUnit) : null;
+      if (!sub || used === null || !(sub.yieldQuantity > 0)) {
+        unweighed.push(line.ingredientName);
+        continue;
+      }
+      collectWeights(sub, factor * (used / sub.yieldQuantity), recipes, ingredients, weights, unweighed, depth + 1);
+      continue;
+    }
+    const grams = getLineGrams(line, ingredients);
+    if (grams === null) {
+      unweighed.push(line.ingredientName);
+      continue;
+    }
+    weights[line.ingredientId] = (weights[line.ingredientId] ?? 0) + grams * factor;
+  }
+};
+
+// One batch of `recipe` as labelled. Returns
+//   { rawGrams, bakedGrams, pieceGrams, servingGrams, servingsPerPiece,
+//     per100g, perServing, declaration, unweighed, missingNutrition }
+// per100g / perServing are { [nutrient key]: amount }, unrounded.
+// declaration is [{ ingredientId, name, grams }], heaviest first.
+// pieceGrams (and servingsPerPiece) are null unless the recipe yields a count.
+// unweighed / missingNutrition list ingredient names the figures leave out.
+export const getRecipeNutrition = (recipe, recipes, ingredients) => {
+  const weights   = {};
+  const unweighed = [];
+  collectWeights(recipe, 1, recipes, ingredients, weights, unweighed, 0);
+
+  const totals           = Object.fromEntries(NUTRIENTS.map((n) => [n.key, 0]));
+  const missingNutrition = [];
+  const declaration      = [];
+  let rawGrams = 0;
+
+  for (const [ingredientId, grams] of Object.entries(weights)) {
+    const ing = ingredients.find((i) => i.id === ingredientId);
+    rawGrams += grams;
+    declaration.push({ ingredientId, name: ing?.labelName || ing?.name || "Unknown ingredient", grams });
+    if (!hasNutrition(ing)) {
+      missingNutrition.push(ing?.name ?? ingredientId);
+      continue;
+    }
+    for (const n of NUTRIENTS) {
+      totals[n.key] += (grams / 100) * (ing.nutritionPer100g[n.key] ?? 0);
+    }
+  }
+  declaration.sort((a, b) => b.grams - a.grams);
+
+  const lossPercent = Math.min(Math.max(recipe.bakeLossPercent ?? 0, 0), 99);
+  const bakedGrams  = rawGrams * (1 - lossPercent / 100);
+  const pieces      = convertQuantity(recipe.yieldQuantity, recipe.yieldUnit, "units");
+  const pieceGrams  = pieces > 0 && bakedGrams > 0 ? bakedGrams / pieces : null;
+
+  const servingGrams = recipe.servingSizeGrams > 0 ? recipe.servingSizeGrams : (pieceGrams ?? 100);
+  const scale        = (factor) => Object.fromEntries(NUTRIENTS.map((n) => [n.key, totals[n.key] * factor]));
+
+  return {
+    rawGrams,
+    bakedGrams,
+    pieceGrams,
+    servingGrams,
+    servingsPerPiece: pieceGrams === null ? null : pieceGrams / servingGrams,
+    per100g:          bakedGrams > 0 ? scale(100 / bakedGrams) : scale(0),
+    perServing:       bakedGrams > 0 ? scale(servingGrams / bakedGrams) : scale(0),
+    declaration,
+    unweighed,
+    missingNutrition,
+  };
+};
+
+// "Ingredients: Wheat flour, Water, Butter, Salt." — the declaration line.
+export const formatDeclaration = (declaration) =>
+  declaration.length === 0 ? "" : `Ingredients: ${declaration.map((d) => d.name).join(", ")}.`;
+
+// Rounds a value the way US nutrition labels do:
+//   Calories        — under 5 → 0, up to 50 → nearest 5, above → nearest 10
+//   fats            — under 0.5 → 0, under 5 → nearest 0.5, above → whole g
+//   cholesterol     — under 2 → 0, otherwise nearest 5
+//   sodium          — under 5 → 0, up to 140 → nearest 5, above → nearest 10
+//   everything else — under 0.5 → 0, otherwise whole g
+export const roundForLabel = (key, value) => {
+  const nearest = (step) => Math.round(value / step) * step;
+  switch (key) {
+    case "energyKcal":
+      return value < 5 ? 0 : value <= 50 ? nearest(5) : nearest(10);
+    case "fat":
+    case "saturatedFat":
+    case "transFat":
+      return value < 0.5 ? 0 : value < 5 ? nearest(0.5) : nearest(1);
+    case "cholesterol":
+      return value < 2 ? 0 : nearest(5);
+    case "sodium":
+      return value < 5 ? 0 : value <= 140 ? nearest(5) : nearest(10);
+    default:
+      return value < 0.5 ? 0 : nearest(1);
+  }
+};
+
+// The % daily value for a nutrient amount (unrounded in, whole percent out),
+// or null for a nutrient without a daily value.
+export const getDailyValuePercent = (key, value) => {
+  const dv = NUTRIENTS.find((n) => n.key === key)?.dailyValue;
+  return dv ? Math.round((value / dv) * 100) : null;
+};
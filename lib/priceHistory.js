@@ -0,0 +1,87 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Ingredient price history — what an ingredient cost at any point in time,
+// and how much each recipe's unit cost has moved over a period because of
+// it. No Firestore code lives here; lib/firestore.js writes a price point to
+// ingredientPrices whenever costPerUnit changes (see INGREDIENT PRICE
+// HISTORY there) and the pages pass those points in.
+//
+// A point is { ingredientId, costPerUnit, previousCost, source, createdAt }.
+// Costs before an ingredient's first point are its previousCost — the cost
+// it had before history was kept — or, failing that, its first cost.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { getRecipeBatchCost } from "@/lib/recipes";
+
+// What each price point source is called on screen.
+export const PRICE_SOURCE_LABELS = {
+  initial:         "Added",
+  manual:          "Edited",
+  purchaseReceipt: "PO receipt",
+};
+
+// The periods the costing page compares over, in days.
+export const COST_TREND_PERIODS = [
+  { days: 30,  label: "Last 30 days" },
+  { days: 90,  label: "Last 90 days" },
+  { days: 180, label: "Last 6 months" },
+  { days: 365, label: "Last 12 months" },
+];
+
+// A point's time in milliseconds. A just-written point's serverTimestamp can
+// still be null locally; it counts as now.
+const getPointTime = (point) => point.createdAt?.toMillis?.() ?? Date.now();
+
+// An ingredient's costPerUnit at `date`. `points` may hold every ingredient's
+// history; it must be oldest first. Without any points the current cost is
+// all there is.
+export const getCostAsOf = (ingredient, points, date) => {
+  const own = points.filter((p) => p.ingredientId === ingredient.id);
+  if (own.length === 0) return ingredient.costPerUnit ?? 0;
+
+  const time   = date.getTime();
+  const before = own.filter((p) => getPointTime(p) <= time);
+  if (before.length > 0) return before[before.length - 1].costPerUnit;
+  return own[0].previousCost ?? own[0].costPerUnit;
+};
+
+// `ingredients` with costPerUnit as it was at `date`, for the recipe costing
+// helpers.
+export const getIngredientsAsOf = (ingredients, points, date) =>
+  ingredients.map((ing) => ({ ...ing, costPerUnit: getCostAsOf(ing, points, date) }));
+
+// How every recipe's unit cost (batch cost ÷ yield) moved between `since` and
+// now, from ingredient prices alone — the recipes themselves are costed as
+// they are today. Returns [{ recipe, startCost, currentCost, change,
+// changePct }], biggest move (either way) first. changePct is null when the
+// recipe had no cost at the start.
+export const getRecipeCostChanges = (recipes, ingredients, points, since) => {
+  const then = getIngredientsAsOf(ingredients, points, since);
+
+  return recipes
+    .filter((recipe) => recipe.yieldQuantity > 0)
+    .map((recipe) => {
+      const startCost   = getRecipeBatchCost(recipe, recipes, then) / recipe.yieldQuantity;
+      const currentCost = getRecipeBatchCost(recipe, recipes, ingredients) / recipe.yieldQuantity;
+      const change      = currentCost - startCost;
+      return {
+        recipe,
+        startCost,
+        currentCost,
+        change,
+        changePct: startCost > 0 ? (change / startCost) * 100 : null,
+      };
+    })
+    .sort((a, b) =>
+      Math.abs(b.changePct ?? 0) - Math.abs(a.changePct ?? 0) ||
+      Math.abs(b.change) - Math.abs(a.change)
+    );
+};
+
+// One ingredient's points as chart data, oldest first:
+// [{ time, cost, source }], ending with a point for now at `currentCost` so
+// the line runs up to today.
+export const buildPriceChartData = (points, currentCost) => {
+  const data = points.map((p) => ({ time: getPointTime(p), cost: p.costPerUnit, source: p.source }));
+  data.push({ time: Date.now(), cost: currentCost ?? 0, source: "" });
+  return data;
+};
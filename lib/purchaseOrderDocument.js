@@ -0,0 +1,277 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Turns a purchase order into something a supplier can read: a PDF, and a
+// plain-text + HTML email body. Used in two places:
+//   - the purchasing page, to download the PDF and preview the email
+//   - app/api/purchase-orders/send, to build the email and its PDF attachment
+//
+// Both start from buildPoDocumentData(), which flattens the Firestore PO into
+// plain strings and numbers. The API route builds it from the PO it loads
+// itself (never from the browser), the page from its own copy for the
+// preview and the download. It takes either SDK's Timestamps.
+// No Firestore code lives here.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { jsPDF } from "jspdf";
+import { roundQuantity } from "@/lib/units";
+
+// Weekday labels in JavaScript's getDay() order (0 = Sunday), matching the
+// short labels stored in a supplier's deliveryDays.
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Returns a Date as "YYYY-MM-DD" in local time (not UTC, which can roll the
+// date forward in the evening).
+const toDateString = (date) => {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+};
+
+// "2026-03-04" → "Mar 4, 2026". Blank stays blank.
+const formatDate = (dateStr) => {
+  if (!dateStr) return "";
+  return new Date(`${dateStr}T12:00:00`).toLocaleDateString("en-US", {
+    month: "short",
+    day:   "numeric",
+    year:  "numeric",
+  });
+};
+
+const formatMoney = (amount) => `$${(amount ?? 0).toFixed(2)}`;
+
+// Escapes text for the HTML email body.
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// The number printed on the PO. POs created before sequential numbering get a
+// stable stand-in built from the document ID.
+export const getPoNumber = (po) => po.poNumber || `PO-${po.id.slice(0, 6).toUpperCase()}`;
+
+// The earliest date a supplier can deliver if the PO is sent on `fromDate`:
+// the lead time in days, then forward to the supplier's next delivery day.
+// A supplier with no delivery days set is assumed to deliver any day.
+// Returns "YYYY-MM-DD".
+export const getExpectedDeliveryDate = (leadTimeDays, deliveryDays, fromDate = new Date()) => {
+  const date = new Date(fromDate);
+  date.setHours(12, 0, 0, 0);
+  date.setDate(date.getDate() + (leadTimeDays || 0));
+
+  if (deliveryDays?.length > 0) {
+    // At most a week ahead — every weekday is hit once in 7 steps.
+    for (let i = 0; i < 7 && !deliveryDays.includes(WEEKDAY_LABELS[date.getDay()]); i++) {
+      date.setDate(date.getDate() + 1);
+    }
+  }
+
+  return toDateString(date);
+};
+
+// Flattens a PO into the plain object every renderer below works from.
+// `options`:
+//   bakeryName   — from SettingsContext
+//   deliveryDate — "YYYY-MM-DD" the supplier should deliver by
+//   message      — optional note to the supplier, printed above the lines
+//   supplier     — the live supplier record, if loaded; otherwise the
+//                  snapshot saved on the PO is used
+export const buildPoDocumentData = (po, { bakeryName, deliveryDate, message = "", supplier = null }) => ({
+  poNumber:     getPoNumber(po),
+  bakeryName:   bakeryName || "Bakery",
+  orderDate:    toDateString(po.createdAt?.toDate ? po.createdAt.toDate() : new Date()),
+  deliveryDate: deliveryDate || "",
+  message:      message.trim(),
+  supplier: {
+    name:        supplier?.name        ?? po.supplierName        ?? "",
+    contactName: supplier?.contactName ?? po.supplierContactName ?? "",
+    email:       supplier?.orderEmail  ?? po.supplierEmail       ?? "",
+    phone:       supplier?.phone       ?? po.supplierPhone       ?? "",
+  },
+  // Lines bought in packs are described the way the supplier sells them;
+  // the rest in the stock unit.
+  lines: (po.items ?? []).map((item) => ({
+    ingredientName:   item.ingredientName,
+    supplierItemCode: item.supplierItemCode ?? "",
+    quantity: item.orderedPacks > 0
+      ? `${item.orderedPacks} × ${item.packName} of ${item.packSize} ${item.packUnit}`
+      : `${roundQuantity(item.orderedQuantity)} ${item.unit}`,
+    price: item.orderedPacks > 0 && item.packPrice > 0
+      ? `${formatMoney(item.packPrice)}/${item.packName}`
+      : item.unitPrice > 0 ? `${formatMoney(item.unitPrice)}/${item.unit}` : "",
+    lineTotal: item.lineTotal ?? 0,
+  })),
+  estimatedTotal: po.estimatedTotal ?? 0,
+});
+
+// The email subject, plain-text body, and HTML body for a PO.
+export const buildPoEmail = (data) => {
+  const subject = `Purchase order ${data.poNumber} from ${data.bakeryName}`;
+  const greeting = data.supplier.contactName ? `Hi ${data.supplier.contactName},` : "Hello,";
+  const deliveryLine = data.deliveryDate
+    ? `Please deliver by ${formatDate(data.deliveryDate)}.`
+    : "";
+
+  const textLines = data.lines.map((line) =>
+    `- ${line.ingredientName}${line.supplierItemCode ? ` (${line.supplierItemCode})` : ""}: ${line.quantity}` +
+    (line.price ? ` @ ${line.price}` : "")
+  );
+
+  const text = [
+    greeting,
+    "",
+    `Please find purchase order ${data.poNumber} attached.`,
+    deliveryLine,
+    data.message,
+    "",
+    ...textLines,
+    "",
+    data.estimatedTotal > 0 ? `Estimated total: ${formatMoney(data.estimatedTotal)}` : "",
+    "",
+    "Thank you,",
+    data.bakeryName,
+  ]
+    // Drop the blank optional lines without collapsing the intended spacing.
+    .filter((line, i, all) => line !== "" || (i > 0 && all[i - 1] !== ""))
+    .join("\n");
+
+  const rows = data.lines.map((line) => `
+      <tr>
+        <td style="padding:4px 8px;border-bottom:1px solid #e7e5e4">${escapeHtml(line.ingredientName)}</td>
+        <td style="padding:4px 8px;border-bottom:1px solid #e7e5e4">${escapeHtml(line.supplierItemCode)}</td>
+        <td style="padding:4px 8px;border-bottom:1px solid #e7e5e4">${escapeHtml(line.quantity)}</td>
+        <td style="padding:4px 8px;border-bottom:1px solid #e7e5e4">${escapeHtml(line.price)}</td>
+      </tr>`).join("");
+
+  const html = `
+    <div style="font-family:Arial,sans-serif;color:#292524;font-size:14px">
+      <p>${escapeHtml(greeting)}</p>
+      <p>Please find purchase order <strong>${escapeHtml(data.poNumber)}</strong> attached.
+        ${deliveryLine ? `<br>${escapeHtml(deliveryLine)}` : ""}</p>
+      ${data.message ? `<p>${escapeHtml(data.message).replace(/\n/g, "<br>")}</p>` : ""}
+      <table style="border-collapse:collapse;margin:12px 0">
+        <thead>
+          <tr style="text-align:left;background:#f5f5f4">
+            <th style="padding:4px 8px">Item</th>
+            <th style="padding:4px 8px">Code</th>
+            <th style="padding:4px 8px">Quantity</th>
+            <th style="padding:4px 8px">Price</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+      ${data.estimatedTotal > 0 ? `<p>Estimated total: <strong>${formatMoney(data.estimatedTotal)}</strong></p>` : ""}
+      <p>Thank you,<br>${escapeHtml(data.bakeryName)}</p>
+    </div>`;
+
+  return { subject, text, html };
+};
+
+// Builds the PO as a one-or-more page PDF and returns the jsPDF document.
+// Callers choose the output: doc.save(filename) in the browser, or
+// doc.output("arraybuffer") on the server for an email attachment.
+export const buildPoPdf = (data) => {
+  const doc    = new jsPDF({ unit: "pt", format: "letter" });
+  const left   = 48;
+  const right  = doc.internal.pageSize.getWidth() - 48;
+  const bottom = doc.internal.pageSize.getHeight() - 48;
+  let y = 60;
+
+  // ── Header ──
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.text(data.bakeryName, left, y);
+  doc.setFontSize(12);
+  doc.text("PURCHASE ORDER", right, y, { align: "right" });
+  y += 20;
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  doc.text(data.poNumber, right, y, { align: "right" });
+  y += 14;
+  doc.text(`Date: ${formatDate(data.orderDate)}`, right, y, { align: "right" });
+  if (data.deliveryDate) {
+    y += 14;
+    doc.text(`Deliver by: ${formatDate(data.deliveryDate)}`, right, y, { align: "right" });
+  }
+
+  // ── Supplier block ──
+  y += 30;
+  doc.setFont("helvetica", "bold");
+  doc.text("Supplier", left, y);
+  doc.setFont("helvetica", "normal");
+  const supplierLines = [
+    data.supplier.name || "—",
+    data.supplier.contactName,
+    data.supplier.email,
+    data.supplier.phone,
+  ].filter(Boolean);
+  for (const line of supplierLines) {
+    y += 14;
+    doc.text(line, left, y);
+  }
+
+  if (data.message) {
+    y += 24;
+    const wrapped = doc.splitTextToSize(data.message, right - left);
+    doc.text(wrapped, left, y);
+    y += (wrapped.length - 1) * 12;
+  }
+
+  // ── Line items ──
+  // Column x positions: item, code, quantity, price, total (right-aligned).
+  const cols = { item: left, code: left + 170, qty: left + 250, price: left + 410, total: right };
+  const drawTableHeader = () => {
+    doc.setFont("helvetica", "bold");
+    doc.text("Item",     cols.item,  y);
+    doc.text("Code",     cols.code,  y);
+    doc.text("Quantity", cols.qty,   y);
+    doc.text("Price",    cols.price, y);
+    doc.text("Total",    cols.total, y, { align: "right" });
+    doc.setFont("helvetica", "normal");
+    y += 6;
+    doc.line(left, y, right, y);
+    y += 14;
+  };
+
+  y += 30;
+  drawTableHeader();
+  for (const line of data.lines) {
+    const nameLines = doc.splitTextToSize(line.ingredientName, cols.code - cols.item - 8);
+    const qtyLines  = doc.splitTextToSize(line.quantity, cols.price - cols.qty - 8);
+    const height    = Math.max(nameLines.length, qtyLines.length) * 12;
+
+    // Start a new page (with the column headings again) rather than split a row.
+    if (y + height > bottom) {
+      doc.addPage();
+      y = 60;
+      drawTableHeader();
+    }
+
+    doc.text(nameLines, cols.item, y);
+    doc.text(line.supplierItemCode, cols.code, y);
+    doc.text(qtyLines, cols.qty, y);
+    doc.text(line.price, cols.price, y);
+    doc.text(line.lineTotal > 0 ? formatMoney(line.lineTotal) : "", cols.total, y, { align: "right" });
+    y += height + 6;
+  }
+
+  // ── Total ──
+  if (data.estimatedTotal > 0) {
+    if (y + 20 > bottom) {
+      doc.addPage();
+      y = 60;
+    }
+    doc.line(left, y - 6, right, y - 6);
+    y += 8;
+    doc.setFont("helvetica", "bold");
+    doc.text("Estimated total", cols.price, y);
+    doc.text(formatMoney(data.estimatedTotal), cols.total, y, { align: "right" });
+  }
+
+  return doc;
+};
+
+// The file name used for both the download and the email attachment.
+export const getPoPdfFilename = (data) => `${data.poNumber}.pdf`;
@@ -0,0 +1,221 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Pack rules for purchasing. Suppliers sell in packs — a 36 lb case of butter,
+// a 50 lb bag of flour — so an exact shortfall like 13.7 lbs has to be rounded
+// up to something we can actually order. No Firestore code lives here; the
+// purchasing page calls these with an ingredient's supplier terms.
+//
+// Supplier terms (ingredient.preferredSupplier / alternateSupplier) carry the
+// pack definition:
+//   { packSize, packUnit, packName, minPacks, packMultiple, packPrice, ... }
+//   - packSize / packUnit: what one pack holds (36 lbs). packUnit can differ
+//     from the ingredient's stock unit; it's converted through lib/units.js.
+//     Terms saved before packUnit existed are in the stock unit.
+//   - packName:     what to call one pack on screen and on the PO ("case")
+//   - minPacks:     the supplier's minimum order quantity, in packs (0 = none)
+//   - packMultiple: packs must be ordered in multiples of this (0/1 = any)
+//   - packPrice:    the price of one pack
+//
+// Also here: the reorder-point engine behind the purchasing page's reorder
+// suggestions, and the invoice-matching helpers the receive form and
+// discrepancy report use to compare invoiced prices against the PO.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { convertQuantity, roundQuantity } from "@/lib/units";
+
+// How much of the ingredient's stock unit one pack holds, or null when the
+// terms have no pack size or the pack unit can't be converted.
+export const getPackStockSize = (terms, ingredient) => {
+  if (!(terms?.packSize > 0)) return null;
+  const packUnit = terms.packUnit || ingredient.unit;
+  return convertQuantity(terms.packSize, packUnit, ingredient.unit, ingredient);
+};
+
+// Applies the supplier's MOQ and case multiple to a pack count.
+// Zero stays zero — a line we don't need isn't forced up to the minimum.
+export const applyPackRules = (packs, terms) => {
+  if (packs <= 0) return 0;
+  const multiple = terms?.packMultiple > 1 ? terms.packMultiple : 1;
+  const atLeast  = Math.max(packs, terms?.minPacks ?? 0);
+  return Math.ceil(atLeast / multiple) * multiple;
+};
+
+// Rounds a net requirement (in the stock unit) up to whole packs.
+// Returns { packs, packStockSize, orderedQuantity, overBuy }:
+//   packs           — whole packs to order, after MOQ and case multiple
+//   packStockSize   — stock units per pack
+//   orderedQuantity — packs × packStockSize, in the stock unit
+//   overBuy         — orderedQuantity minus the net requirement
+// Returns null when the terms have no usable pack definition; the caller
+// then orders the exact net requirement.
+export const roundUpToPacks = (netRequired, terms, ingredient) => {
+  const packStockSize = getPackStockSize(terms, ingredient);
+  if (!packStockSize) return null;
+
+  // Round away floating-point dust first so 72.0000001 lbs isn't three cases.
+  const exactPacks      = Math.round((netRequired / packStockSize) * 1e6) / 1e6;
+  const packs           = applyPackRules(Math.ceil(exactPacks), terms);
+  const orderedQuantity = packs * packStockSize;
+
+  return {
+    packs,
+    packStockSize,
+    orderedQuantity,
+    overBuy: orderedQuantity - netRequired,
+  };
+};
+
+// Price per stock unit from a supplier's terms: pack price / stock units per pack.
+// Falls back to `fallback` (the ingredient's costPerUnit) when the pack price
+// or size hasn't been entered, so an estimate is never blank without reason.
+export const getUnitPrice = (terms, ingredient, fallback = 0) => {
+  const packStockSize = getPackStockSize(terms, ingredient);
+  return packStockSize && terms.packPrice > 0 ? terms.packPrice / packStockSize : fallback;
+};
+
+// "case of 36 lbs" — a pack described for screens and POs.
+export const describePack = (terms, ingredient) =>
+  `${terms.packName || "pack"} of ${terms.packSize} ${terms.packUnit || ingredient.unit}`;
+
+// ─── Reorder points ──────────────────────────────────────────────────────────
+// Independent of the work-order calculator: an ingredient's lowStockThreshold
+// is its reorder point, and its parLevel is what we top back up to. Stock
+// already on its way — sent or part-received POs — counts towards both, so
+// a second suggestion isn't raised for butter that's already on the truck.
+
+// POs whose outstanding quantities are still expected to arrive.
+const OPEN_PO_STATUSES = ["sent", "partial"];
+
+// How much of an ingredient is on open POs and not yet received, in its
+// stock unit. Returns are ignored — they come off received stock, not the order.
+export const getOnOrderQuantity = (ingredientId, purchaseOrders) =>
+  purchaseOrders
+    .filter((po) => OPEN_PO_STATUSES.includes(po.status))
+    .flatMap((po) => po.items ?? [])
+    .filter((item) => item.ingredientId === ingredientId)
+    .reduce((sum, item) => sum + Math.max(0, (item.orderedQuantity ?? 0) - (item.receivedQuantity ?? 0)), 0);
+
+// Every ingredient whose stock plus what's on order has fallen below its
+// reorder point, with the quantity needed to reach par.
+// A par level at or below the reorder point is treated as unset, and the
+// suggestion tops up to the reorder point instead.
+// Rows have the same shape as the purchasing page's requirement rows (so its
+// supplier choice, pack rounding and PO grouping work unchanged), plus
+// onOrder / reorderPoint / parLevel. Sorted alphabetically.
+export const buildReorderSuggestions = (ingredients, purchaseOrders) =>
+  ingredients
+    .filter((ing) => ing.lowStockThreshold > 0)
+    .map((ing) => {
+      const currentStock = ing.currentStock ?? 0;
+      const onOrder      = getOnOrderQuantity(ing.id, purchaseOrders);
+      const reorderPoint = ing.lowStockThreshold;
+      const parLevel     = ing.parLevel > reorderPoint ? ing.parLevel : reorderPoint;
+      return {
+        ingredientId:      ing.id,
+        ingredientName:    ing.name,
+        unit:              ing.unit,
+        currentStock,
+        safetyStock:       reorderPoint,
+        onOrder,
+        reorderPoint,
+        parLevel,
+        // "Total required" for a reorder line is the par level itself.
+        totalRequired:     parLevel,
+        netRequired:       roundQuantity(Math.max(0, parLevel - currentStock - onOrder)),
+        belowReorderPoint: currentStock + onOrder < reorderPoint,
+        ingredient:        ing,
+        costPerUnit:       ing.costPerUnit       ?? 0,
+        preferredSupplier: ing.preferredSupplier ?? null,
+        alternateSupplier: ing.alternateSupplier ?? null,
+      };
+    })
+    .filter((row) => row.belowReorderPoint && row.netRequired > 0)
+    .sort((a, b) => a.ingredientName.localeCompare(b.ingredientName));
+
+// ─── Invoice matching ────────────────────────────────────────────────────────
+// When goods arrive, each received line records what the supplier actually
+// invoiced (item.actualUnitPrice, per stock unit) next to the price the PO was
+// raised at (item.unitPrice). These helpers compare the two.
+
+// Variances smaller than this (in dollars per line) are rounding, not a dispute.
+const VARIANCE_TOLERANCE = 0.01;
+
+// Price variance on one received PO line, or null when there's nothing to
+// compare (no invoiced price entered, or nothing received).
+// Returns { perUnit, total, percent }:
+//   perUnit — invoiced minus PO price, per stock unit (positive = overcharged)
+//   total   — perUnit × the quantity invoiced (invoicedQuantity, which can be
+//             less than receivedQuantity if a delivery came without a price)
+//   percent — perUnit as a % of the PO price, or null when the PO had no price
+export const getLinePriceVariance = (item) => {
+  const quantity = item.invoicedQuantity ?? item.receivedQuantity;
+  if (!(item.actualUnitPrice > 0) || !(quantity > 0)) return null;
+  const expected = item.unitPrice ?? 0;
+  const perUnit  = item.actualUnitPrice - expected;
+  return {
+    perUnit,
+    total:   perUnit * quantity,
+    percent: expected > 0 ? (perUnit / expected) * 100 : null,
+  };
+};
+
+// True when a line's invoiced price differs from the PO price by more than rounding.
+export const hasPriceVariance = (item) => {
+  const variance = getLinePriceVariance(item);
+  return variance !== null && Math.abs(variance.total) >= VARIANCE_TOLERANCE;
+};
+
+// Weighted-average cost after a receipt: the stock already on hand at its
+// current cost, blended with the received quantity at the invoiced price.
+// Stock at or below zero has no meaningful cost, so the invoiced price wins.
+export const getWeightedAverageCost = (currentStock, currentCost, receivedQuantity, receivedPrice) => {
+  const onHand = Math.max(currentStock ?? 0, 0);
+  if (onHand === 0 || !(currentCost > 0)) return receivedPrice;
+  return (onHand * currentCost + receivedQuantity * receivedPrice) / (onHand + receivedQuantity);
+};
+
+// Every received PO line with a price variance whose PO hasn't been marked
+// invoice-matched — the open discrepancies report. Disputed POs stay on the
+// list until they're resolved and marked matched.
+// Returns one row per line: { po, item, variance }, newest PO first (the
+// order getPurchaseOrders() returns).
+export const getOpenDiscrepancies = (purchaseOrders) =>
+  purchaseOrders
+    .filter((po) => po.invoiceStatus && po.invoiceStatus !== "matched")
+    .flatMap((po) =>
+      (po.items ?? [])
+        .filter(hasPriceVariance)
+        .map((item) => ({ po, item, variance: getLinePriceVariance(item) }))
+    );
+
+// ─── Supplier credits ────────────────────────────────────────────────────────
+
+// Totals vendor returns by supplier for the credits summary.
+// Returns [{ supplierId, supplierName, owed, received, openReturns }] — owed
+// and received are dollar totals; openReturns lists the returns still owed,
+// newest first. Suppliers with money owed sort to the top.
+export const summarizeSupplierCredits = (vendorReturns) => {
+  const bySupplier = {};
+
+  for (const ret of vendorReturns) {
+    const key = ret.supplierId || ret.supplierName || "none";
+    if (!bySupplier[key]) {
+      bySupplier[key] = {
+        supplierId:   ret.supplierId ?? "",
+        supplierName: ret.supplierName || "No supplier",
+        owed:         0,
+        received:     0,
+        openReturns:  [],
+      };
+    }
+
+    const entry = bySupplier[key];
+    if (ret.creditStatus === "received") {
+      entry.received += ret.creditTotal ?? 0;
+    } else {
+      entry.owed += ret.creditTotal ?? 0;
+      entry.openReturns.push(ret);
+    }
+  }
+
+  return Object.values(bySupplier).sort((a, b) => b.owed - a.owed);
+};
@@ -0,0 +1,345 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Helpers for multi-level recipes (a recipe line that uses another recipe,
+// e.g. levain, pastry cream, or laminated dough). No Firestore code lives
+// here — every function is pure and takes the recipes/ingredients it needs,
+// so pages and lib/firestore.js can share the same bill-of-materials logic.
+//
+// A recipe line is either:
+//   - an ingredient line: { ingredientId, ingredientName, quantity, unit }
+//   - a sub-recipe line:  { ingredientId: "", ingredientName, subRecipeId,
+//                           quantity, unit }
+//     ingredientName holds the sub-recipe's name so existing displays still
+//     read naturally. quantity is in the sub-recipe's yieldUnit.
+//
+// A recipe can also have method steps (recipe.steps) — see "Method steps"
+// at the bottom of this file.
+//
+// Either kind may also carry isFlour (true/false) once it's been set in the
+// baker's percentage panel — see lib/bakersPercent.js.
+//
+// Ingredient line units don't have to match the ingredient's stock unit —
+// quantities are converted through lib/units.js before being costed or summed.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { convertQuantity, toStockUnit } from "@/lib/units";
+
+// How many levels deep a recipe can nest. Real bakery recipes rarely go past
+// two or three (dough → laminated dough → croissant); the limit mainly stops
+// an accidental loop (A uses B, B uses A) from recursing forever.
+export const MAX_RECIPE_DEPTH = 5;
+
+// Returns true if a recipe line references another recipe rather than an ingredient.
+export const isSubRecipeLine = (line) => Boolean(line.subRecipeId);
+
+// Throws if we've recursed past MAX_RECIPE_DEPTH. Shared by every walker below
+// so the error message is the same wherever a loop is hit.
+const checkDepth = (depth, recipe) => {
+  if (depth > MAX_RECIPE_DEPTH) {
+    throw new Error(
+      `Recipe "${recipe.name}" is nested more than ${MAX_RECIPE_DEPTH} levels deep — check for a recipe that uses itself.`
+    );
+  }
+};
+
+// How many whole batches of a sub-recipe a parent needs.
+// `needed` is in the sub-recipe's yieldUnit. Rounded up because you can't
+// mix a fraction of a levain build — same rule as batchesRequired elsewhere.
+export const getSubRecipeBatches = (needed, subRecipe) =>
+  Math.ceil(needed / subRecipe.yieldQuantity);
+
+// Returns true if `recipe` uses the recipe with `targetId` at any level.
+// Used by the recipe form to hide choices that would create a loop.
+export const recipeUsesRecipe = (recipe, targetId, recipes, depth = 0) => {
+  if (!recipe || depth > MAX_RECIPE_DEPTH) return false;
+  return (recipe.ingredients ?? []).some((line) => {
+    if (!isSubRecipeLine(line)) return false;
+    if (line.subRecipeId === targetId) return true;
+    const sub = recipes.find((r) => r.id === line.subRecipeId);
+    return recipeUsesRecipe(sub, targetId, recipes, depth + 1);
+  });
+};
+
+// Cost of ONE batch of `recipe`, rolled up through every sub-recipe level.
+// A sub-recipe line costs its share of the sub-recipe's batch:
+//   (sub batch cost / sub yieldQuantity) × line quantity
+// Costing uses the exact share, not whole batches — the leftover levain
+// isn't wasted, it's used by the next order.
+// Missing ingredients or costPerUnit count as 0, same as the costing page.
+export const getRecipeBatchCost = (recipe, recipes, ingredients, depth = 0) => {
+  checkDepth(depth, recipe);
+  return (recipe.ingredients ?? []).reduce(
+    (sum, line) => sum + getLineCost(line, recipes, ingredients, depth),
+    0
+  );
+};
+
+// Cost of a single recipe line for one batch of its parent recipe.
+// costPerUnit is per stock unit, so the line quantity is converted into the
+// ingredient's stock unit first. A line whose unit can't be converted costs 0
+// — the recipe form blocks saving those, so it only happens if the
+// ingredient's unit was changed afterwards.
+export const getLineCost = (line, recipes, ingredients, depth = 0) => {
+  if (isSubRecipeLine(line)) {
+    const sub = recipes.find((r) => r.id === line.subRecipeId);
+    if (!sub || !sub.yieldQuantity) return 0;
+    const subBatchCost = getRecipeBatchCost(sub, recipes, ingredients, depth + 1);
+    const yieldShare   = convertQuantity(line.quantity, line.unit, sub.yieldUnit) ?? 0;
+    return (subBatchCost / sub.yieldQuantity) * yieldShare;
+  }
+  const ingData = ingredients.find((i) => i.id === line.ingredientId);
+  if (!ingData) return 0;
+  return (ingData.costPerUnit ?? 0) * (toStockUnit(line.quantity, line.unit, ingData) ?? 0);
+};
+
+// Flattens `batches` batches of `recipe` down to raw ingredients, exploding
+// each sub-recipe into whole batches the same way work orders are generated.
+// Returns [{ ingredientId, ingredientName, unit, totalRequired, incompatible }],
+// one entry per ingredient, summed across every level in the ingredient's
+// stock unit — the same ingredient can appear in g at one level and kg at another.
+//
+// `incompatible` flags an ingredient with a line that couldn't be converted;
+// that line's amount is left out of totalRequired rather than guessed. A
+// sub-recipe line whose unit can't be converted to the sub-recipe's yield unit
+// flags every ingredient beneath it the same way.
+//
+// A sub-recipe that's been archived or deleted can't be exploded, so it comes
+// back as its own entry with `missing: true` (keyed by the sub-recipe's ID)
+// instead of quietly dropping out — callers treat it as a shortage.
+export const flattenRecipeIngredients = (recipe, batches, recipes, ingredients, depth = 0) => {
+  checkDepth(depth, recipe);
+  const totals = {};
+
+  const add = (item) => {
+    const existing = totals[item.ingredientId];
+    if (existing) {
+      existing.totalRequired += item.totalRequired;
+      existing.incompatible ||= item.incompatible;
+    } else {
+      totals[item.ingredientId] = { ...item };
+    }
+  };
+
+  for (const line of recipe.ingredients ?? []) {
+    if (!isSubRecipeLine(line)) {
+      const ingData  = ingredients.find((i) => i.id === line.ingredientId);
+      // An ingredient missing from the list (deleted) is kept in the recipe's unit.
+      const perBatch = ingData ? toStockUnit(line.quantity, line.unit, ingData) : line.quantity;
+      add({
+        ingredientId:   line.ingredientId,
+        ingredientName: line.ingredientName,
+        unit:           ingData?.unit ?? line.unit,
+        totalRequired:  (perBatch ?? 0) * batches,
+        incompatible:   perBatch === null,
+      });
+      continue;
+    }
+    const sub = recipes.find((r) => r.id === line.subRecipeId);
+    if (!sub) {
+      add({
+        ingredientId:   line.subRecipeId,
+        ingredientName: line.ingredientName,
+        unit:           line.unit,
+        totalRequired:  0,
+        incompatible:   false,
+        missing:        true,
+      });
+      continue;
+    }
+    // A line that can't be converted to the yield unit can't be batched, so
+    // the sub-recipe is walked at zero batches just to flag what's under it.
+    const needed     = convertQuantity(line.quantity * batches, line.unit, sub.yieldUnit);
+    const subBatches = needed === null ? 0 : getSubRecipeBatches(needed, sub);
+    for (const item of flattenRecipeIngredients(sub, subBatches, recipes, ingredients, depth + 1)) {
+      add(needed === null ? { ...item, incompatible: true } : item);
+    }
+  }
+
+  return Object.values(totals);
+};
+
+// Cost of one stock unit of a finished good: the batch cost of the recipe that
+// makes it, divided by its yield. Work orders add totalYield straight to the
+// finished good's stock, so the yield unit is taken to be its stock unit.
+// Returns null when no active recipe makes the finished good.
+export const getFinishedGoodUnitCost = (finishedGoodId, recipes, ingredients) => {
+  const recipe = recipes.find((r) => r.finishedGoodId === finishedGoodId && r.yieldQuantity > 0);
+  if (!recipe) return null;
+  return getRecipeBatchCost(recipe, recipes, ingredients) / recipe.yieldQuantity;
+};
+
+// ─── Recipe versions ─────────────────────────────────────────────────────────
+// Every save of a recipe is a numbered version (recipe.version, from 1). Each
+// version's full snapshot is kept in recipes/{id}/versions/{version} with the
+// list of changes from the version before, so old versions can be viewed and
+// restored, and work orders record the version they were made from.
+
+// The fields a version snapshots — everything that changes what gets made.
+export const RECIPE_VERSION_FIELDS = [
+  "name",
+  "finishedGoodId",
+  "finishedGoodName",
+  "yieldQuantity",
+  "yieldUnit",
+  "ingredients",
+  "steps",
+];
+
+// The versioned fields of `recipe`, ready to be stored.
+export const getRecipeSnapshot = (recipe) =>
+  Object.fromEntries(RECIPE_VERSION_FIELDS.map((field) => [field, recipe[field] ?? null]));
+
+// A line's identity across versions — the same ingredient or sub-recipe.
+const getLineKey = (line) => (isSubRecipeLine(line) ? `recipe:${line.subRecipeId}` : line.ingredientId);
+
+// "500 g", or "500 g (flour)" for a line marked as flour.
+const describeLine = (line) => `${line.quantity} ${line.unit}${line.isFlour ? " (flour)" : ""}`;
+
+// "6 steps, 4 h 30 min", or "none".
+const describeMethod = (steps) => {
+  if (steps.length === 0) return "none";
+  const count = `${steps.length} step${steps.length !== 1 ? "s" : ""}`;
+  const total = getMethodMinutes(steps);
+  return total > 0 ? `${count}, ${formatMinutes(total)}` : count;
+};
+
+// What changed between two snapshots, as a list of
+//   { kind: "added" | "removed" | "changed", subject, before, after }
+// subject is "Name", "Finished good", "Yield" or an ingredient line's name;
+// before/after are display strings (null for an added or removed line).
+// An empty list means nothing changed.
+export const diffRecipeVersions = (before, after) => {
+  const changes = [];
+
+  if (before.name !== after.name) {
+    changes.push({ kind: "changed", subject: "Name", before: before.name, after: after.name });
+  }
+  if (before.finishedGoodId !== after.finishedGoodId) {
+    changes.push({
+      kind:    "changed",
+      subject: "Finished good",
+      before:  before.finishedGoodName,
+      after:   after.finishedGoodName,
+    });
+  }
+  if (before.yieldQuantity !== after.yieldQuantity || before.yieldUnit !== after.yieldUnit) {
+    changes.push({
+      kind:    "changed",
+      subject: "Yield",
+      before:  `${before.yieldQuantity} ${before.yieldUnit}`,
+      after:   `${after.yieldQuantity} ${after.yieldUnit}`,
+    });
+  }
+
+  // Steps are compared as a whole — "Method: 5 steps, 4 h → 6 steps, 4 h 30 min".
+  // Recipes from before method steps have none.
+  const beforeSteps = before.steps ?? [];
+  const afterSteps  = after.steps ?? [];
+  if (JSON.stringify(beforeSteps) !== JSON.stringify(afterSteps)) {
+    changes.push({
+      kind:    "changed",
+      subject: "Method",
+      before:  describeMethod(beforeSteps),
+      after:   describeMethod(afterSteps),
+    });
+  }
+
+  const beforeLines = before.ingredients ?? [];
+  const afterLines  = after.ingredients ?? [];
+  for (const line of afterLines) {
+    const old = beforeLines.find((l) => getLineKey(l) === getLineKey(line));
+    if (!old) {
+      changes.push({ kind: "added", subject: line.ingredientName, before: null, after: describeLine(line) });
+    } else if (
+      old.quantity !== line.quantity ||
+      old.unit !== line.unit ||
+      // A line that was never marked reads as not flour here.
+      Boolean(old.isFlour) !== Boolean(line.isFlour)
+    ) {
+      changes.push({ kind: "changed", subject: line.ingredientName, before: describeLine(old), after: describeLine(line) });
+    }
+  }
+  for (const old of beforeLines) {
+    if (!afterLines.some((l) => getLineKey(l) === getLineKey(old))) {
+      changes.push({ kind: "removed", subject: old.ingredientName, before: describeLine(old), after: null });
+    }
+  }
+
+  return changes;
+};
+
+// ─── Method steps ────────────────────────────────────────────────────────────
+// recipe.steps is the method, in order:
+//   [{ stage, durationMinutes, temperature, notes }]
+// stage is one of STEP_STAGES. durationMinutes is how long the step takes for
+// one run of the recipe, whatever the batch count — a bigger mix doesn't
+// proof any faster. temperature is the oven, proofer or dough temperature in
+// degrees, or null. Work orders copy the steps when they're created, so the
+// method printed with an order is the one its recipe version had.
+//
+// The total of the durations is how long production takes, which is how a
+// work order's dueBy is worked out from its scheduledStart.
+
+// The stages a step can be, in the order they usually happen.
+export const STEP_STAGES = [
+  { value: "mix",         label: "Mix"          },
+  { value: "bulkFerment", label: "Bulk ferment" },
+  { value: "divide",      label: "Divide"       },
+  { value: "proof",       label: "Proof"        },
+  { value: "bake",        label: "Bake"         },
+  { value: "cool",        label: "Cool"         },
+];
+
+// "Bulk ferment" for "bulkFerment".
+export const getStageLabel = (stage) =>
+  STEP_STAGES.find((s) => s.value === stage)?.label ?? stage;
+
+// The method's total time in minutes.
+export const getMethodMinutes = (steps) =>
+  (steps ?? []).reduce((sum, step) => sum + (Number(step.durationMinutes) || 0), 0);
+
+// 90 → "1 h 30 min", 45 → "45 min", 120 → "2 h".
+export const formatMinutes = (minutes) => {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  if (h === 0) return `${m} min`;
+  return m === 0 ? `${h} h` : `${h} h ${m} min`;
+};
+
+// Adds `minutes` to a datetime-local string ("YYYY-MM-DDThh:mm") and returns
+// another one. Both are local time, like every scheduledStart and dueBy.
+const addMinutes = (dtStr, minutes) => {
+  const d = new Date(dtStr);
+  d.setMinutes(d.getMinutes() + minutes);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// When each step starts and ends if production starts at `scheduledStart`:
+// the steps with startsAt and endsAt added (datetime-local strings, or null
+// without a start time).
+export const getStepSchedule = (steps, scheduledStart) => {
+  let elapsed = 0;
+  return (steps ?? []).map((step) => {
+    const startsAt = scheduledStart ? addMinutes(scheduledStart, elapsed) : null;
+    elapsed += Number(step.durationMinutes) || 0;
+    return { ...step, startsAt, endsAt: scheduledStart ? addMinutes(scheduledStart, elapsed) : null };
+  });
+};
+
+// The dueBy a method gives when production starts at `scheduledStart`, or
+// null when there's no start time or the steps have no durations — callers
+// fall back to the defaultDueTime setting then.
+export const getMethodDueBy = (scheduledStart, steps) => {
+  const total = getMethodMinutes(steps);
+  if (!scheduledStart || total <= 0) return null;
+  return addMinutes(scheduledStart, total);
+};
+
+// The scheduledStart a method needs to be done by `dueBy` — getMethodDueBy
+// worked backwards. null when there's no due time or the steps have no
+// durations.
+export const getMethodStart = (dueBy, steps) => {
+  const total = getMethodMinutes(steps);
+  if (!dueBy || total <= 0) return null;
+  return addMinutes(dueBy, -total);
+};
@@ -0,0 +1,13 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// The free-text search used by the list pages. Staff mostly search by the
+// document number read off a printout or over the phone ("PO-2026-0042", or
+// just "42"), but the same box matches names too. No Firestore code lives here.
+// ────────────────────────────────────────────────────────────────────────────
+
+// True when any of `values` contains `searchText`, ignoring case.
+// A blank search matches everything, so pages can filter unconditionally.
+export const matchesSearch = (searchText, values) => {
+  const needle = searchText.trim().toLowerCase();
+  if (!needle) return true;
+  return values.some((value) => String(value ?? "").toLowerCase().includes(needle));
+};
@@ -0,0 +1,92 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Helpers for running more than one bakery site — the production kitchen and
+// the retail shops it supplies. No Firestore code lives here; the site
+// switcher, the inventory pages and lib/firestore.js share these so every
+// page agrees on what "stock at this site" means.
+//
+// Sites hold their stock the same way locations do. currentStock stays the
+// item's total across every site, and ingredients and finished goods also
+// carry:
+//   siteStock — { [siteId]: quantity } for every site except the main one
+// The main site (the production kitchen) holds whatever currentStock has
+// beyond the other sites' balances — which is all of it for stock from before
+// sites existed. Work orders, sales, counts and the rest get a siteId; a
+// record without one belongs to the main site.
+//
+// Storage locations belong to a site too (location.siteId, "" = main site),
+// so an item's location balances split cleanly between sites.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { roundQuantity } from "@/lib/units";
+
+// The kinds offered when adding a site.
+export const SITE_KINDS = [
+  { value: "production", label: "Production kitchen" },
+  { value: "retail",     label: "Retail shop" },
+];
+
+// The site that holds stock not assigned to any other: the first production
+// kitchen set up, or the first site if there's no kitchen yet.
+// `sites` must be in creation order — getSites marks the result as isMain.
+export const getMainSite = (sites) =>
+  sites.find((s) => s.kind === "production") ?? sites[0] ?? null;
+
+// Whether a work order, sale, location, count, etc. belongs to `site`.
+// With no site selected (no sites set up yet) everything does.
+export const belongsToSite = (record, site) => {
+  if (!site) return true;
+  return record.siteId ? record.siteId === site.id : site.isMain;
+};
+
+// The siteStock key a movement at `site` updates — "" for the main site,
+// whose balance is the remainder rather than a stored value.
+export const getSiteStockKey = (site) => (site && !site.isMain ? site.id : "");
+
+// How much of `item` is at `site` (null = every site).
+export const getSiteQuantity = (item, site) => {
+  if (!site) return item.currentStock ?? 0;
+  if (!site.isMain) return item.siteStock?.[site.id] ?? 0;
+  const elsewhere = Object.values(item.siteStock ?? {}).reduce((sum, qty) => sum + qty, 0);
+  return roundQuantity((item.currentStock ?? 0) - elsewhere);
+};
+
+// `item` as seen from `site`: currentStock is the site's quantity and
+// locationStock only lists that site's locations, so the location helpers,
+// stock checks and low-stock flags all work per site unchanged.
+// totalStock keeps the all-sites figure. `locations` is every location.
+// A balance in a location that's since been deleted stays with the main site.
+export const scopeItemToSite = (item, site, locations) => {
+  if (!site) return item;
+
+  const isHere = (locationId) => {
+    const location = locations.find((l) => l.id === locationId);
+    return location ? belongsToSite(location, site) : site.isMain;
+  };
+
+  return {
+    ...item,
+    totalStock:        item.currentStock ?? 0,
+    currentStock:      getSiteQuantity(item, site),
+    locationStock:     Object.fromEntries(
+      Object.entries(item.locationStock ?? {}).filter(([locationId]) => isHere(locationId))
+    ),
+    defaultLocationId: isHere(item.defaultLocationId) ? item.defaultLocationId ?? "" : "",
+  };
+};
+
+// A site's name from its ID, for records that only store the ID.
+export const getSiteName = (siteId, sites) =>
+  sites.find((s) => s.id === siteId)?.name ?? "Unknown site";
+
+// Finished goods on their way to `site`: { [finishedGoodId]: quantity },
+// summed over its transfer orders still in transit.
+export const getIncomingQuantities = (transferOrders, site) => {
+  const incoming = {};
+  for (const order of transferOrders) {
+    if (order.status !== "inTransit" || order.toSiteId !== site?.id) continue;
+    for (const line of order.lines) {
+      incoming[line.finishedGoodId] = roundQuantity((incoming[line.finishedGoodId] ?? 0) + line.quantity);
+    }
+  }
+  return incoming;
+};
@@ -0,0 +1,75 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// Helpers for physical stock counts (cycle counting). No Firestore code lives
+// here; the counts page and lib/firestore.js share these so the variance the
+// baker reviews is exactly the variance that gets posted.
+//
+// A count session covers the ingredients in one category and/or storage area.
+// Each line snapshots the system quantity when the count starts:
+//   { itemId, itemName, unit, systemQuantity, costPerUnit,
+//     countedQuantity, reasonCode }
+//   - countedQuantity is null until the line has been counted
+//   - reasonCode explains a variance; required before posting. The codes
+//     are the adjustment reasons from settings (see lib/adjustments.js)
+// The variance is always counted minus the snapshot, so stock that moves
+// while the count is in progress (a sale, a delivery) isn't lost on posting.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { roundQuantity } from "@/lib/units";
+
+// The distinct, non-blank categories and storage areas across `ingredients`,
+// sorted — the choices offered when starting a count.
+export const getCountScopeOptions = (ingredients) => {
+  const distinct = (field) =>
+    [...new Set(ingredients.map((ing) => (ing[field] ?? "").trim()).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+  return { categories: distinct("category"), storageAreas: distinct("storageArea") };
+};
+
+// The ingredients a count of `scope` covers. A blank category or storage area
+// means "any", so a blank scope counts everything.
+export const filterCountItems = (ingredients, { category, storageArea }) =>
+  ingredients
+    .filter((ing) => !category    || (ing.category    ?? "").trim() === category)
+    .filter((ing) => !storageArea || (ing.storageArea ?? "").trim() === storageArea)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+// Builds a count's lines from the ingredients it covers.
+export const buildCountLines = (ingredients) =>
+  ingredients.map((ing) => ({
+    itemId:          ing.id,
+    itemName:        ing.name,
+    unit:            ing.unit,
+    systemQuantity:  ing.currentStock ?? 0,
+    costPerUnit:     ing.costPerUnit  ?? 0,
+    countedQuantity: null,
+    reasonCode:      "",
+  }));
+
+// A line's variance, or null while it hasn't been counted.
+// Returns { quantity, value }: counted minus system in the stock unit, and
+// the same in dollars at the line's costPerUnit. Negative = stock missing.
+export const getCountLineVariance = (line) => {
+  if (line.countedQuantity === null || line.countedQuantity === undefined) return null;
+  const quantity = roundQuantity(line.countedQuantity - line.systemQuantity);
+  return { quantity, value: quantity * (line.costPerUnit ?? 0) };
+};
+
+// Totals for a count's review panel and history row.
+// Returns { total, counted, withVariance, missingReason, gainValue, lossValue, netValue }.
+// lossValue is a positive dollar amount; netValue is gains minus losses.
+export const summarizeCount = (lines) => {
+  const summary = { total: lines.length, counted: 0, withVariance: 0, missingReason: 0, gainValue: 0, lossValue: 0 };
+
+  for (const line of lines) {
+    const variance = getCountLineVariance(line);
+    if (!variance) continue;
+    summary.counted += 1;
+    if (variance.quantity === 0) continue;
+    summary.withVariance += 1;
+    if (!line.reasonCode) summary.missingReason += 1;
+    if (variance.value > 0) summary.gainValue += variance.value;
+    else                    summary.lossValue -= variance.value;
+  }
+
+  return { ...summary, netValue: summary.gainValue - summary.lossValue };
+};
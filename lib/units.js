@@ -0,0 +1,100 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// The one place that knows how units relate to each other. Recipes, stock,
+// purchasing, and costing all record a quantity + unit, and those units don't
+// have to match: a recipe can call for 500 g of flour stocked in lbs.
+// Everything that compares or combines quantities converts through here.
+//
+// Units belong to a dimension:
+//   - mass:   g, kg, oz, lbs
+//   - volume: ml, L, cups
+//   - count:  units, dozen
+//   - tray:   trays (no fixed size, so it only converts to itself)
+//
+// Same-dimension conversions always work. Crossing dimensions needs a factor
+// stored on the ingredient:
+//   - densityGPerMl: grams per millilitre — mass ↔ volume (e.g. honey 1.42)
+//   - gramsPerEach:  what one unit weighs — count ↔ mass (e.g. egg 50 g)
+// Without the factor, the conversion returns null and callers block it.
+// ────────────────────────────────────────────────────────────────────────────
+
+// The unit list offered in every unit dropdown.
+export const UNIT_OPTIONS = ["g", "kg", "oz", "lbs", "ml", "L", "cups", "units", "dozen", "trays"];
+
+// Each unit's dimension and its size in that dimension's base unit
+// (g for mass, ml for volume, units for count).
+const UNITS = {
+  g:     { dimension: "mass",   toBase: 1 },
+  kg:    { dimension: "mass",   toBase: 1000 },
+  oz:    { dimension: "mass",   toBase: 28.349523125 },
+  lbs:   { dimension: "mass",   toBase: 453.59237 },
+  ml:    { dimension: "volume", toBase: 1 },
+  L:     { dimension: "volume", toBase: 1000 },
+  cups:  { dimension: "volume", toBase: 236.5882365 },   // US cup
+  units: { dimension: "count",  toBase: 1 },
+  dozen: { dimension: "count",  toBase: 12 },
+  trays: { dimension: "tray",   toBase: 1 },
+};
+
+// Converts an amount already in a base unit (g / ml / units) to grams,
+// using the ingredient's factors. Returns null if the factor isn't set.
+const baseToGrams = (amount, dimension, ingredient) => {
+  if (dimension === "mass") return amount;
+  if (dimension === "volume" && ingredient?.densityGPerMl > 0) return amount * ingredient.densityGPerMl;
+  if (dimension === "count"  && ingredient?.gramsPerEach  > 0) return amount * ingredient.gramsPerEach;
+  return null;
+};
+
+// The reverse of baseToGrams: grams → the base unit of `dimension`.
+const gramsToBase = (grams, dimension, ingredient) => {
+  if (dimension === "mass") return grams;
+  if (dimension === "volume" && ingredient?.densityGPerMl > 0) return grams / ingredient.densityGPerMl;
+  if (dimension === "count"  && ingredient?.gramsPerEach  > 0) return grams / ingredient.gramsPerEach;
+  return null;
+};
+
+// Converts `quantity` from one unit to another.
+// `ingredient` is optional — it's only needed to cross dimensions, via its
+// densityGPerMl / gramsPerEach fields.
+// Returns the converted number, or null when the units can't be converted
+// (unknown unit, or a cross-dimension conversion with no factor set).
+export const convertQuantity = (quantity, fromUnit, toUnit, ingredient = null) => {
+  if (fromUnit === toUnit) return quantity;
+
+  const from = UNITS[fromUnit];
+  const to   = UNITS[toUnit];
+  if (!from || !to) return null;
+
+  const baseAmount = quantity * from.toBase;
+
+  if (from.dimension === to.dimension) {
+    return baseAmount / to.toBase;
+  }
+
+  // Cross-dimension: go through grams. "tray" has no factor, so it never
+  // gets past baseToGrams.
+  const grams = baseToGrams(baseAmount, from.dimension, ingredient);
+  if (grams === null) return null;
+  const target = gramsToBase(grams, to.dimension, ingredient);
+  if (target === null) return null;
+  return target / to.toBase;
+};
+
+// True if `fromUnit` can be converted to `toUnit` for this ingredient.
+export const canConvert = (fromUnit, toUnit, ingredient = null) =>
+  convertQuantity(1, fromUnit, toUnit, ingredient) !== null;
+
+// Converts a recipe (or PO) quantity into the ingredient's stock unit — the
+// unit currentStock, lots, and costPerUnit are all kept in.
+// Returns null if the units are incompatible.
+export const toStockUnit = (quantity, unit, ingredient) =>
+  convertQuantity(quantity, unit, ingredient.unit, ingredient);
+
+// The message shown when a conversion is blocked. Kept here so every page
+// explains the fix the same way.
+export const incompatibleUnitMessage = (ingredientName, fromUnit, toUnit) =>
+  `${ingredientName}: can't convert ${fromUnit} to ${toUnit}. ` +
+  `Use a ${toUnit}-compatible unit, or set a density or "each weighs" factor on the ingredient.`;
+
+// Rounds a converted quantity for display — conversions produce long
+// decimals (500 g = 1.1023113109243878 lbs). Stored values are never rounded.
+export const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
@@ -0,0 +1,118 @@
+// ─── What this file does ────────────────────────────────────────────────────
+// The inventory valuation report — what the stock on hand is worth, today or
+// at the end of a past day. No Firestore code lives here; the page fetches
+// the items, recipes and ledger entries and passes them in.
+//
+// Ingredients are valued at their costPerUnit. Finished goods are valued at
+// the rolled-up cost of the recipe that makes them (getFinishedGoodUnitCost),
+// so both use today's costs even for a past date.
+//
+// A past date's quantities come from the inventory transaction ledger: every
+// stock movement is logged with its delta, so stock at the end of a day is
+// today's stock minus every delta logged since. Movements from before the
+// ledger existed weren't logged, so dates before then can't be replayed.
+// ────────────────────────────────────────────────────────────────────────────
+
+import { getFinishedGoodUnitCost } from "@/lib/recipes";
+import { roundQuantity } from "@/lib/units";
+
+// The category finished goods are totalled under — they don't have their own.
+export const FINISHED_GOODS_CATEGORY = "Finished goods";
+
+// Returns today's date as "YYYY-MM-DD" using local time.
+export const getTodayStr = () => {
+  const d    = new Date();
+  const yyyy = d.getFullYear();
+  const mm   = String(d.getMonth() + 1).padStart(2, "0");
+  const dd   = String(d.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+};
+
+// "2026-10-03" → the Date at midnight that night, local time — the report
+// values stock as it stood after everything that happened that day.
+export const getEndOfDate = (dateStr) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(year, month - 1, day + 1);
+};
+
+// How much of an item there was before `laterEntries` happened: its current
+// stock with each later ledger delta taken back out. `laterEntries` is every
+// ledger entry written after the report date, for any item.
+export const getStockAsOf = (item, itemType, laterEntries) => {
+  const later = laterEntries
+    .filter((entry) => entry.itemType === itemType && entry.itemId === item.id)
+    .reduce((sum, entry) => sum + entry.delta, 0);
+  return roundQuantity((item.currentStock ?? 0) - later);
+};
+
+// One row per item with stock on the report date:
+//   { itemType, id, name, category, unit, quantity, unitCost, value }
+// unitCost is null for a finished good no recipe makes; its value counts as
+// $0. Items with nothing in stock are left out. Sorted by category, then name.
+export const buildValuationRows = ({ ingredients, finishedGoods, recipes, laterEntries = [] }) => {
+  const rows = [];
+
+  for (const ing of ingredients) {
+    const quantity = getStockAsOf(ing, "ingredient", laterEntries);
+    if (quantity === 0) continue;
+    const unitCost = ing.costPerUnit ?? 0;
+    rows.push({
+      itemType: "ingredient",
+      id:       ing.id,
+      name:     ing.name,
+      category: ing.category?.trim() || "Uncategorized",
+      unit:     ing.unit,
+      quantity,
+      unitCost,
+      value:    quantity * unitCost,
+    });
+  }
+
+  for (const fg of finishedGoods) {
+    const quantity = getStockAsOf(fg, "finishedGood", laterEntries);
+    if (quantity === 0) continue;
+    const unitCost = getFinishedGoodUnitCost(fg.id, recipes, ingredients);
+    rows.push({
+      itemType: "finishedGood",
+      id:       fg.id,
+      name:     fg.name,
+      category: FINISHED_GOODS_CATEGORY,
+      unit:     fg.unit,
+      quantity,
+      unitCost,
+      value:    quantity * (unitCost ?? 0),
+    });
+  }
+
+  // Ingredient categories first, finished goods last.
+  const categoryOrder = (row) => (row.itemType === "finishedGood" ? 1 : 0);
+  return rows.sort((a, b) =>
+    categoryOrder(a) - categoryOrder(b) ||
+    a.category.localeCompare(b.category) ||
+    a.name.localeCompare(b.name)
+  );
+};
+
+// Totals buildValuationRows' rows by category.
+// Returns { categories, totals }:
+//   categories — [{ category, items, value }], in row order
+//   totals     — { items, value, ingredientValue, finishedGoodValue, uncosted }
+// uncosted counts the finished goods without a recipe cost.
+export const summarizeValuation = (rows) => {
+  const byCategory = {};
+  const totals     = { items: 0, value: 0, ingredientValue: 0, finishedGoodValue: 0, uncosted: 0 };
+
+  for (const row of rows) {
+    byCategory[row.category] ??= { category: row.category, items: 0, value: 0 };
+    byCategory[row.category].items += 1;
+    byCategory[row.category].value += row.value;
+
+    totals.items += 1;
+    totals.value += row.value;
+    if (row.itemType === "finishedGood") totals.finishedGoodValue += row.value;
+    else totals.ingredientValue += row.value;
+    if (row.unitCost === null) totals.uncosted += 1;
+  }
+
+  return { categories: Object.values(byCategory), totals };
+};